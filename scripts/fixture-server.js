@@ -0,0 +1,110 @@
+/* ---------- local FHIR fixture server ---------- */
+/**
+ * Serves the curated cohort plus any FHIR Bundle / NDJSON files over HTTP so the
+ * app (or curl) can run fully offline:
+ *
+ *   npm run fixtures:serve -- [--port 8787] [--no-curated] [file-or-directory ...]
+ *
+ * Then set the FHIR base in the app to http://localhost:8787/fhir.
+ * POST /v1/chat/completions is a mock summary model for the app's HTTP summary provider.
+ * Directories are scanned (non-recursively) for *.json and *.ndjson, e.g. Synthea's output/fhir.
+ */
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { buildCuratedResources } from "../src/fixtures/curatedPatients.js";
+import { createFixtureStore } from "../src/fixtures/fixtureStore.js";
+import { mockChatCompletion } from "../src/fixtures/mockModel.js";
+
+const args = process.argv.slice(2);
+let port = 8787;
+let curated = true;
+const inputs = [];
+
+for (let i = 0; i < args.length; i += 1) {
+  if (args[i] === "--port") port = Number(args[++i]);
+  else if (args[i] === "--no-curated") curated = false;
+  else inputs.push(args[i]);
+}
+
+const store = createFixtureStore(curated ? buildCuratedResources() : []);
+
+function fixtureFiles(p) {
+  const stat = fs.statSync(p);
+  if (!stat.isDirectory()) return [p];
+  return fs
+    .readdirSync(p)
+    .filter((f) => /\.(nd)?json$/i.test(f))
+    .map((f) => path.join(p, f));
+}
+
+for (const input of inputs) {
+  for (const file of fixtureFiles(input)) {
+    try {
+      const n = store.load(fs.readFileSync(file, "utf8"), file);
+      console.log(`loaded ${n} resource(s) from ${file}`);
+    } catch (e) {
+      console.error(`skipped ${file}: ${e.message}`);
+    }
+  }
+}
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Accept, Authorization, Content-Type, If-None-Match, If-Modified-Since, Prefer",
+  "Access-Control-Expose-Headers": "ETag, Last-Modified, Location, Retry-After",
+};
+
+function readJSONBody(req) {
+  return new Promise((resolve) => {
+    let text = "";
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => {
+      try {
+        resolve(text ? JSON.parse(text) : null);
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS);
+    res.end();
+    return;
+  }
+
+  const base = `http://${req.headers.host}/fhir`;
+  const url = `http://${req.headers.host}${req.url}`;
+  if (req.method === "POST" && req.url === "/v1/chat/completions") {
+    const { status, body } = mockChatCompletion(await readJSONBody(req));
+    res.writeHead(status, { ...CORS, "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body));
+    return;
+  }
+  if (!req.url.startsWith("/fhir")) {
+    res.writeHead(404, { ...CORS, "Content-Type": "text/plain" });
+    res.end("FHIR base is /fhir\n");
+    return;
+  }
+
+  const payload = req.method === "POST" || req.method === "PUT" ? await readJSONBody(req) : null;
+  const { status, body, location } = store.handle(req.method, url, base, payload);
+  res.writeHead(status, {
+    ...CORS,
+    "Content-Type": "application/fhir+json; charset=utf-8",
+    ...(location ? { Location: location } : {}),
+  });
+  res.end(JSON.stringify(body));
+});
+
+server.listen(port, () => {
+  const counts = Object.entries(store.counts())
+    .map(([type, n]) => `${type} ${n}`)
+    .join(", ");
+  console.log(`FHIR fixture server on http://localhost:${port}/fhir (${counts || "empty"})`);
+  console.log(`Mock summary model on http://localhost:${port}/v1 (OpenAI-compatible chat completions)`);
+});
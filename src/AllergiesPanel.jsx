@@ -0,0 +1,85 @@
+import React from "react";
+
+const fmtDay = (iso) => {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+};
+
+function CriticalityBadge({ allergy }) {
+  const cls = allergy.criticality === "high" ? "labFlagCritical" : allergy.criticality === "low" ? "labFlagNormal" : "labFlagAbnormal";
+  return <span className={`labFlag ${cls}`}>{allergy.criticalityLabel}</span>;
+}
+
+function conflictReason(c) {
+  if (c.kind === "ingredient") return "same ingredient";
+  return c.kind === "class" ? `same class, ${c.classLabel}` : `possible cross-reactivity, ${c.classLabel}`;
+}
+
+/**
+ * AllergyIntolerances with criticality and reactions; rows that conflict with an active medication order
+ * are highlighted and name the order.
+ */
+export default function AllergiesPanel({ allergies, conflicts }) {
+  if (!allergies) return <div className="subtle">Loading allergies…</div>;
+  if (!allergies.length) {
+    return <div className="subtle">No AllergyIntolerance returned by server (not the same as &quot;no known allergies&quot;).</div>;
+  }
+
+  return (
+    <div className="labsWrap">
+      <table className="labTable problemTable">
+        <thead>
+          <tr>
+            <th>Substance</th>
+            <th>Criticality</th>
+            <th>Reactions</th>
+            <th>Status</th>
+            <th>Onset</th>
+          </tr>
+        </thead>
+        <tbody>
+          {allergies.map((a) => {
+            const mine = conflicts.filter((c) => c.allergy.id === a.id);
+            return (
+              <tr key={a.id} className={mine.length ? "labRowCritical" : a.active ? "" : "medRowInactive"}>
+                <td>
+                  <div className="labValue">{a.substance}</div>
+                  <div className="subtle">
+                    {a.ref}
+                    {a.type ? ` · ${a.type}` : ""}
+                    {a.categories.length ? ` · ${a.categories.join(", ")}` : ""}
+                  </div>
+                  {mine.map((c) => (
+                    <div className="allergyConflictLine" key={c.medication.ref}>
+                      Conflicts with {c.medication.display} ({c.medication.ref}): {conflictReason(c)}
+                    </div>
+                  ))}
+                </td>
+                <td>
+                  <CriticalityBadge allergy={a} />
+                </td>
+                <td>
+                  {a.reactions.length
+                    ? a.reactions.map((r, i) => (
+                        <div key={i}>
+                          {r.manifestations.join(", ") || "Unspecified reaction"}
+                          {r.severity ? ` (${r.severity})` : ""}
+                        </div>
+                      ))
+                    : "—"}
+                </td>
+                <td>
+                  {a.clinical || "no clinical status"} / {a.verification || "no verification status"}
+                </td>
+                <td>{fmtDay(a.onset)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="subtle">Checked against active medication orders with a built-in drug class table (demo, not a formulary).</div>
+    </div>
+  );
+}
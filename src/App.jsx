@@ -1,8 +1,114 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import html2canvas from "html2canvas";
-import { jsPDF } from "jspdf";
+import RuleSetEditor from "./RuleSetEditor.jsx";
+import {
+  FIXTURE_BASE,
+  bundleNextLink,
+  bundleResources,
+  capabilityFeatures,
+  fetchBatch,
+  fetchBundlePages,
+  fetchJSON,
+  fetchJSONConditional,
+  getFixtureStore,
+  isAbortError,
+  isFixtureBase,
+  saveResource,
+} from "./fhirClient.js";
+import { formatOriginal, normaliseQuantity, vitalDisplayUnit } from "./ucum.js";
+import {
+  EMPTY_PATIENT_QUERY,
+  describePatientSearch,
+  loadRecentSearches,
+  patientSearchParams,
+  patientSearchQueryString,
+  rememberSearch,
+  saveRecentSearches,
+} from "./patientSearch.js";
+import PatientSearchForm from "./PatientSearchForm.jsx";
+import Sparkline from "./Sparkline.jsx";
+import LabsPanel from "./LabsPanel.jsx";
+import ProblemListPanel from "./ProblemListPanel.jsx";
+import MedicationsPanel from "./MedicationsPanel.jsx";
+import AllergiesPanel from "./AllergiesPanel.jsx";
+import PatientTimeline from "./PatientTimeline.jsx";
+import VitalsChart from "./VitalsChart.jsx";
+import TriageOverrideForm from "./TriageOverrideForm.jsx";
+import AuditTrailPanel from "./AuditTrailPanel.jsx";
+import { exportAiNoteToPdf, notePdfBase64 } from "./notePdf.js";
+import { buildNoteComposition, buildNoteDocumentBundle, buildNoteDocumentReference, noteSourceResources } from "./noteDocument.js";
+import { downloadText } from "./download.js";
+import { checkCitations, loadProviderConfig, providerFromConfig, saveProviderConfig } from "./summaryProviders.js";
+import SummaryProviderSettings from "./SummaryProviderSettings.jsx";
+import { chainAuditEntry, loadAuditSent, loadAuditTrail, saveAuditSent, saveAuditTrail, toAuditEvent } from "./auditTrail.js";
+import {
+  activeOverride,
+  describeOverride,
+  describeSuperseded,
+  isOverrideActive,
+  isOverrideEscalated,
+  loadOverrides,
+  overrideFromDraft,
+  saveOverrides,
+  supersedeOverride,
+  supersededOverride,
+} from "./triageOverrides.js";
+import { LAB_ESCALATION_HOURS, describeLabResult, isAbnormalFlag, recentResults, summariseLabs } from "./labs.js";
+import { encounterAt, episodeSummaryLines, validateEpisodes } from "./episodes.js";
+import { buildProblemList, problemGroup } from "./conditions.js";
+import { summariseMedications } from "./medications.js";
+import {
+  COMPLETENESS_VITALS,
+  completenessLabel,
+  computeCompleteness,
+  fmtAge,
+  missingFrom,
+  missingLabel,
+} from "./completeness.js";
+import { allergyConflicts, summariseAllergies } from "./allergies.js";
+import { checkInteractions, interactionText, INTERACTION_DATASET_VERSION } from "./interactions.js";
+import { DEFAULT_TIMELINE_VIEW } from "./timeline.js";
+import {
+  TRIAGE_ALERTS,
+  TRIAGE_CODE_SYSTEM,
+  buildRiskAssessment,
+  evaluationSignature,
+  flagAlertCode,
+  isSameEvaluation,
+  isWritableEvaluation,
+  latestRiskAssessmentSearch,
+  loadWriteBackEnabled,
+  planFlagChanges,
+  saveWriteBackEnabled,
+} from "./triageWriteBack.js";
+import { createResourceCache } from "./resourceCache.js";
+import { acvpuFromObs, computeNews2, news2Breakdown, news2Level } from "./news2.js";
+import {
+  diffRules,
+  loadActiveRuleVersion,
+  loadRuleSets,
+  loadSpo2Scale2,
+  loadTriageEngine,
+  saveActiveRuleVersion,
+  saveRuleSets,
+  saveSpo2Scale2,
+  saveTriageEngine,
+  spo2ScaleKey,
+  TRIAGE_ENGINES,
+} from "./ruleSets.js";
+import { SMART_CLIENT_ID_DEFAULT, beginSmartLaunch, completeSmartLaunch, endSmartSession } from "./smart.js";
 
 const FHIR_BASE_DEFAULT = "https://hapi.fhir.org/baseR4";
+const FHIR_BASE_PRESETS = [
+  { label: "Public HAPI (R4)", url: FHIR_BASE_DEFAULT },
+  { label: "Offline fixtures (in-browser)", url: FIXTURE_BASE },
+  { label: "Local fixture server (npm run fixtures:serve)", url: "http://localhost:8787/fhir" },
+];
+
+// Vitals paging: keep following Bundle next links until the look-back window is covered, capped per patient.
+const VITALS_LOOKBACK_DAYS = 90;
+const VITALS_MAX_PAGES = 10;
+// Newest Encounters loaded per patient; a full page may mean older ones exist (the episode check allows for that).
+const ENCOUNTER_COUNT = 30;
 
 /* ---------- tiny helpers ---------- */
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
@@ -26,12 +132,6 @@ const fmtDateTime = (iso) => {
 };
 const safe = (v, fallback = "—") => (v === null || v === undefined || v === "" ? fallback : v);
 
-async function fetchJSON(url) {
-  const res = await fetch(url, { headers: { Accept: "application/fhir+json" } });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
-}
-
 function getPatientDisplayName(p) {
   const name = p?.name?.[0];
   if (!name) return "Unnamed patient";
@@ -70,6 +170,10 @@ function getRefId(ref) {
  * - Body temperature: 8310-5
  * - Oxygen saturation: 59408-5
  * - Blood pressure panel: 55284-4 (components: systolic 8480-6, diastolic 8462-4)
+ * - Respiratory rate: 9279-1
+ * - Level of consciousness (ACVPU): 67775-7 (level of responsiveness) or 80288-4
+ * - Supplemental oxygen: 3151-8 (inhaled O₂ flow rate) or 3150-0 (inhaled O₂ concentration),
+ *   either standalone or as components of the SpO₂ Observation (US Core pulse oximetry)
  */
 const LOINC = {
   HR: "8867-4",
@@ -78,6 +182,11 @@ const LOINC = {
   BP_PANEL: "55284-4",
   BP_SYS: "8480-6",
   BP_DIA: "8462-4",
+  RR: "9279-1",
+  LOC: "67775-7",
+  LOC_ALT: "80288-4",
+  O2_FLOW: "3151-8",
+  O2_CONC: "3150-0",
 };
 
 function codeHas(obs, loinc) {
@@ -95,15 +204,8 @@ function obsEffectiveDate(obs) {
   );
 }
 
-function numericValueFromObs(obs) {
-  const q = obs?.valueQuantity;
-  if (q && typeof q.value === "number") return q.value;
-  if (q && typeof q.value === "string" && q.value.trim() !== "") return Number(q.value);
-  return null;
-}
-
 function extractBP(obs) {
-  // Either panel with components or direct systolic/diastolic observations.
+  // Either panel with components or direct systolic/diastolic observations. Returns the valueQuantity of each.
   if (codeHas(obs, LOINC.BP_PANEL) && Array.isArray(obs.component)) {
     let sys = null;
     let dia = null;
@@ -111,18 +213,39 @@ function extractBP(obs) {
       const coding = c?.code?.coding || [];
       const isSys = coding.some((x) => x.code === LOINC.BP_SYS);
       const isDia = coding.some((x) => x.code === LOINC.BP_DIA);
-      if (isSys) sys = c?.valueQuantity?.value ?? sys;
-      if (isDia) dia = c?.valueQuantity?.value ?? dia;
+      if (isSys) sys = c?.valueQuantity ?? sys;
+      if (isDia) dia = c?.valueQuantity ?? dia;
     }
-    return { sys: typeof sys === "number" ? sys : null, dia: typeof dia === "number" ? dia : null };
+    return { sys, dia };
   }
-  if (codeHas(obs, LOINC.BP_SYS)) return { sys: numericValueFromObs(obs), dia: null };
-  if (codeHas(obs, LOINC.BP_DIA)) return { sys: null, dia: numericValueFromObs(obs) };
+  if (codeHas(obs, LOINC.BP_SYS)) return { sys: obs.valueQuantity ?? null, dia: null };
+  if (codeHas(obs, LOINC.BP_DIA)) return { sys: null, dia: obs.valueQuantity ?? null };
   return { sys: null, dia: null };
 }
 
-function pickUnit(obs) {
-  return obs?.valueQuantity?.unit || obs?.valueQuantity?.code || "";
+function supplementalOxygenFromObs(obs) {
+  // true = on oxygen, false = documented room air, null = not stated.
+  const read = (code, q, valueBoolean) => {
+    const coding = code?.coding || [];
+    if (typeof valueBoolean === "boolean") return valueBoolean;
+    const v = typeof q?.value === "number" ? q.value : null;
+    if (v === null) return null;
+    if (coding.some((c) => c.code === LOINC.O2_FLOW)) return v > 0;
+    if (coding.some((c) => c.code === LOINC.O2_CONC)) return v > 21;
+    return null;
+  };
+
+  if (codeHas(obs, LOINC.O2_FLOW) || codeHas(obs, LOINC.O2_CONC)) {
+    return read(obs.code, obs.valueQuantity, obs.valueBoolean);
+  }
+  for (const c of obs?.component || []) {
+    const coding = c?.code?.coding || [];
+    if (coding.some((x) => x.code === LOINC.O2_FLOW || x.code === LOINC.O2_CONC)) {
+      const r = read(c.code, c.valueQuantity, c.valueBoolean);
+      if (r !== null) return r;
+    }
+  }
+  return null;
 }
 
 function firstCodingDisplay(codeable) {
@@ -130,32 +253,13 @@ function firstCodingDisplay(codeable) {
   return c?.display || codeable?.text || "—";
 }
 
-/* ---------- mini sparkline (SVG) ---------- */
-function Sparkline({ values = [], height = 28, width = 92 }) {
-  const clean = values.filter((v) => typeof v === "number" && Number.isFinite(v));
-  if (clean.length < 2) return <div className="sparkEmpty">—</div>;
-
-  const min = Math.min(...clean);
-  const max = Math.max(...clean);
-  const span = max - min || 1;
-
-  const pts = clean.map((v, i) => {
-    const x = (i / (clean.length - 1)) * (width - 4) + 2;
-    const y = height - ((v - min) / span) * (height - 6) - 3;
-    return `${x.toFixed(1)},${y.toFixed(1)}`;
-  });
-
-  return (
-    <svg className="spark" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
-      <polyline points={pts.join(" ")} fill="none" stroke="currentColor" strokeWidth="2" />
-    </svg>
-  );
-}
-
 /* ---------- triage + completeness ---------- */
-function computeTriage(latest, rules) {
-  // latest: { bpSys, bpDia, hr, temp, spo2 } (numbers or null)
-  // rules: thresholds
+function computeTriage(latest, rules, engine = "THRESHOLDS", news2Options = {}) {
+  // latest: { bpSys, bpDia, hr, temp, spo2, rr, acvpu, onOxygen } (values or null)
+  // rules: thresholds (ignored by NEWS2, whose bands are fixed by the RCP chart)
+  // news2Options: { spo2Scale } for the patient (NEWS2 only)
+  if (engine === "NEWS2") return computeNews2Triage(latest, news2Options);
+
   const reasons = [];
   let level = "GREEN";
 
@@ -214,23 +318,354 @@ function computeTriage(latest, rules) {
   }
 
   if (reasons.length === 0) reasons.push("No RED/AMBER triggers found in latest vitals window (demo rule).");
-  return { level, reasons };
+  return { level, reasons, engine: "THRESHOLDS" };
 }
 
-function computeCompleteness(latest, wanted = ["bpSys", "hr", "temp", "spo2"]) {
-  const missing = [];
-  for (const k of wanted) {
-    if (!(typeof latest?.[k] === "number" && Number.isFinite(latest[k]))) missing.push(k);
+function computeNews2Triage(latest, news2Options) {
+  const news2 = computeNews2(latest, news2Options);
+  const reasons = [`NEWS2 aggregate score ${news2.total} (${news2.risk} clinical risk).`];
+  if (news2.spo2Scale === 2) reasons.push("SpO₂ scored on scale 2 (hypercapnic respiratory failure, target 88–92%).");
+  if (news2.singleParam3) {
+    const threes = news2.subscores.filter((s) => s.score === 3).map((s) => s.label);
+    reasons.push(`Single parameter scored 3: ${threes.join(", ")}.`);
   }
-  return missing;
+  reasons.push(news2.response);
+  if (news2.missing.length) {
+    const labels = news2.subscores.filter((s) => s.score === null).map((s) => s.label);
+    reasons.push(`Incomplete NEWS2: not scored for ${labels.join(", ")}.`);
+  }
+  return { level: news2Level(news2), reasons, engine: "NEWS2", news2 };
+}
+
+// Results the lab flagged as critical in the last LAB_ESCALATION_HOURS make the patient RED whichever engine is
+// active. The NEWS2 score itself stays vitals-only; the lab reasons sit on top of it.
+function withLabFindings(triage, critical) {
+  const recent = recentResults(critical);
+  if (!recent.length) return triage;
+  const reasons = recent.map((r) => `Critical lab (last ${LAB_ESCALATION_HOURS} h): ${describeLabResult(r)}.`);
+  const vitalsReasons = triage.level === "UNKNOWN" ? [] : triage.reasons;
+  return { ...triage, level: "RED", reasons: [...reasons, ...vitalsReasons] };
+}
+
+// Active allergies against active medication orders; the worklist badge, the AI alert and the note all use this.
+function medicationAllergyConflicts(allergyRows, medView) {
+  const orders = (medView?.orders || [])
+    .filter((o) => o.current)
+    .map((o) => ({ ref: o.ref, display: o.medication.display, concepts: o.medication.concepts }));
+  return allergyConflicts(allergyRows || [], orders);
+}
+
+// Interaction severities that turn the alert red.
+const SEVERE_INTERACTIONS = ["contraindicated", "major"];
+
+// Drug-drug interactions between active medication orders (offline dataset in interactions.js).
+function medicationInteractions(medView) {
+  const orders = (medView?.orders || [])
+    .filter((o) => o.current)
+    .map((o) => ({ ref: o.ref, display: o.medication.display, concepts: o.medication.concepts }));
+  return checkInteractions(orders);
+}
+
+/* ---------- story timeline helpers ---------- */
+const TRIAGE_RANK = { GREEN: 0, AMBER: 1, RED: 2 };
+
+function worstTriage(levels) {
+  return levels.reduce((worst, l) => (TRIAGE_RANK[l] > TRIAGE_RANK[worst] ? l : worst), "GREEN");
 }
 
-function missingLabel(k) {
-  if (k === "bpSys") return "Blood pressure";
-  if (k === "hr") return "Heart rate";
-  if (k === "temp") return "Temperature";
-  if (k === "spo2") return "Oxygen saturation";
-  return k;
+// What one vitals Observation recorded, e.g. ["BP 192/124 mmHg", "ACVPU V"], with any recorded-as unit.
+function vitalsParts(values, originals) {
+  const parts = [];
+  const { bpSys, bpDia } = values;
+  if (typeof bpSys === "number" && typeof bpDia === "number") parts.push(`BP ${bpSys}/${bpDia} mmHg${recordedAs(originals, "bpSys")}`);
+  else if (typeof bpSys === "number") parts.push(`Systolic BP ${bpSys} mmHg${recordedAs(originals, "bpSys")}`);
+  else if (typeof bpDia === "number") parts.push(`Diastolic BP ${bpDia} mmHg${recordedAs(originals, "bpDia")}`);
+  if (typeof values.hr === "number") parts.push(`HR ${values.hr} bpm${recordedAs(originals, "hr")}`);
+  if (typeof values.temp === "number") parts.push(`Temp ${values.temp} °C${recordedAs(originals, "temp")}`);
+  if (typeof values.spo2 === "number") parts.push(`SpO₂ ${values.spo2}%${recordedAs(originals, "spo2")}`);
+  if (typeof values.rr === "number") parts.push(`RR ${values.rr}/min${recordedAs(originals, "rr")}`);
+  if (values.acvpu) parts.push(`ACVPU ${values.acvpu}`);
+  if (typeof values.onOxygen === "boolean") parts.push(values.onOxygen ? "On supplemental oxygen" : "Room air");
+  return parts;
+}
+
+// The encounter a timeline item sits under: where the episode check placed it, else the encounter the resource
+// references (when that encounter was loaded), else the encounter period its timestamp falls in.
+function timelineEncounter(episodes, ref, resource, when) {
+  const placed = episodes.byRef[ref]?.encounterId;
+  if (placed) return placed;
+  const linked = getRefId(resource?.encounter?.reference || resource?.context?.reference);
+  if (linked && episodes.windows.some((w) => w.id === linked)) return linked;
+  return encounterAt(episodes.windows, when)?.id || null;
+}
+
+// " (recorded 102 [degF])" when the latest value of `key` was converted from another unit.
+function recordedAs(originals, key) {
+  const o = originals?.[key];
+  return o ? ` (recorded ${formatOriginal(o)})` : "";
+}
+
+function unitIssueText(issue) {
+  return `${missingLabel(issue.key)} recorded as ${formatOriginal(issue)}: unit not recognised, not triaged`;
+}
+
+// Latest vitals in canonical units, with the recorded value beside any converted one: [{ key, text }].
+function latestVitalsFacts(vitals) {
+  const { latest, units, originals } = vitals;
+  const facts = [];
+  if (typeof latest.bpSys === "number") {
+    facts.push({ key: "bpSys", text: `Blood pressure: ${latest.bpSys}/${latest.bpDia ?? "—"} ${units.bp}${recordedAs(originals, "bpSys")}` });
+  }
+  for (const key of ["hr", "temp", "spo2", "rr"]) {
+    if (typeof latest[key] === "number") facts.push({ key, text: `${missingLabel(key)}: ${latest[key]} ${units[key]}${recordedAs(originals, key)}` });
+  }
+  return facts;
+}
+
+/**
+ * Vital-sign Observations (any order, duplicates allowed) ->
+ * { latest, when, sources, units, originals, unitIssues, spark, points, readings, observations, rawCount, pages,
+ *   truncated, warnings }.
+ * `sources` maps each latest value to the Observation id it came from; `points` keeps every converted
+ * reading with its timestamp and Observation id (oldest -> newest) for the chart; `readings` lists each
+ * vital-sign Observation once as { id, when, encounter } (newest first) for the episode check.
+ * `observations` is every Observation that carried a vital sign, ACVPU or oxygen (newest first) with what it
+ * recorded on its own, { id, when, encounter, values, originals, unitIssues, resource }, for the timeline.
+ * Shared by the per-search, batch and $everything loading strategies.
+ */
+function summariseVitals(observations, { pages = 1, truncated = false, warnings = [] } = {}) {
+  const seen = new Set();
+  const obs = observations
+    .filter((o) => o && !seen.has(o.id) && seen.add(o.id))
+    .sort((a, b) => new Date(obsEffectiveDate(b) || 0).getTime() - new Date(obsEffectiveDate(a) || 0).getTime());
+
+  // Build series (most recent first -> reverse for sparkline). Values enter in canonical UCUM units.
+  const series = { bpSys: [], bpDia: [], hr: [], temp: [], spo2: [], rr: [] };
+  const points = { bpSys: [], bpDia: [], hr: [], temp: [], spo2: [], rr: [] }; // [{ when, value, id, original }]
+  const when = { bpSys: null, bpDia: null, hr: null, temp: null, spo2: null, rr: null, acvpu: null, onOxygen: null };
+  const units = Object.fromEntries(["hr", "temp", "spo2", "rr", "bp"].map((k) => [k, vitalDisplayUnit(k)]));
+  const originals = {}; // key -> { value, unit } as recorded, when the latest value was converted
+  const sources = {}; // key -> Observation id of the latest value
+  const unitIssues = []; // [{ key, value, unit, when }] latest readings in a unit we can't convert
+  const blocked = new Set();
+  const used = new Set(); // Observation ids that carried a vital sign
+  const perObs = {}; // Observation id -> { values, originals, unitIssues } recorded by that Observation alone
+  const reading = (id) => (perObs[id] ||= { values: {}, originals: {}, unitIssues: [] });
+  let acvpu = null;
+  let onOxygen = null;
+
+  const take = (key, vital, q, dt, id) => {
+    const n = normaliseQuantity(vital, q);
+    if (!n) return;
+    used.add(id);
+    if (n.unknownUnit) {
+      reading(id).unitIssues.push({ key, ...n.original, when: dt });
+      // An unconvertible newest reading is flagged, and older readings don't stand in for it in triage.
+      if (!when[key] && !blocked.has(key)) {
+        blocked.add(key);
+        unitIssues.push({ key, ...n.original, when: dt });
+      }
+      return;
+    }
+    reading(id).values[key] = n.value;
+    if (n.converted) reading(id).originals[key] = n.original;
+    series[key].push(n.value);
+    if (dt) points[key].push({ when: dt, value: n.value, id, original: n.converted ? n.original : null });
+    if (!when[key] && !blocked.has(key)) {
+      when[key] = dt;
+      sources[key] = id;
+      if (n.converted) originals[key] = n.original;
+    }
+  };
+
+  for (const o of obs) {
+    const dt = obsEffectiveDate(o);
+    // BP panel
+    if (codeHas(o, LOINC.BP_PANEL) || codeHas(o, LOINC.BP_SYS) || codeHas(o, LOINC.BP_DIA)) {
+      const bp = extractBP(o);
+      take("bpSys", "bp", bp.sys, dt, o.id);
+      take("bpDia", "bp", bp.dia, dt, o.id);
+    }
+
+    if (codeHas(o, LOINC.HR)) take("hr", "hr", o.valueQuantity, dt, o.id);
+    if (codeHas(o, LOINC.TEMP)) take("temp", "temp", o.valueQuantity, dt, o.id);
+    if (codeHas(o, LOINC.SPO2)) take("spo2", "spo2", o.valueQuantity, dt, o.id);
+    if (codeHas(o, LOINC.RR)) take("rr", "rr", o.valueQuantity, dt, o.id);
+    const level = codeHas(o, LOINC.LOC) || codeHas(o, LOINC.LOC_ALT) ? acvpuFromObs(o) : null;
+    if (level) reading(o.id).values.acvpu = level;
+    if (acvpu === null && level) {
+      acvpu = level;
+      when.acvpu = dt;
+      sources.acvpu = o.id;
+    }
+    const oxygen = supplementalOxygenFromObs(o);
+    if (oxygen !== null) reading(o.id).values.onOxygen = oxygen;
+    if (onOxygen === null && oxygen !== null) {
+      onOxygen = oxygen;
+      when.onOxygen = dt;
+      sources.onOxygen = o.id;
+    }
+  }
+
+  // latest values (first pushed are newest because sorted -date)
+  const newest = (key) => (blocked.has(key) ? null : series[key][0] ?? null);
+  const latest = {
+    bpSys: newest("bpSys"),
+    bpDia: newest("bpDia"),
+    hr: newest("hr"),
+    temp: newest("temp"),
+    spo2: newest("spo2"),
+    rr: newest("rr"),
+    acvpu,
+    onOxygen,
+  };
+
+  // Reverse series for sparkline (oldest -> newest), keep last 12 points.
+  const spark = {
+    bpSys: series.bpSys.slice(0, 24).reverse().slice(-12),
+    hr: series.hr.slice(0, 24).reverse().slice(-12),
+    temp: series.temp.slice(0, 24).reverse().slice(-12),
+    spo2: series.spo2.slice(0, 24).reverse().slice(-12),
+    rr: series.rr.slice(0, 24).reverse().slice(-12),
+  };
+
+  return {
+    latest,
+    when,
+    sources,
+    units,
+    originals,
+    unitIssues,
+    spark,
+    points: Object.fromEntries(Object.entries(points).map(([key, list]) => [key, list.reverse()])),
+    readings: obs
+      .filter((o) => used.has(o.id))
+      .map((o) => ({ id: o.id, when: obsEffectiveDate(o), encounter: o.encounter?.reference || null })),
+    observations: obs
+      .filter((o) => perObs[o.id])
+      .map((o) => ({ id: o.id, when: obsEffectiveDate(o), encounter: o.encounter?.reference || null, ...perObs[o.id], resource: o })),
+    rawCount: obs.length,
+    pages,
+    truncated,
+    warnings,
+  };
+}
+
+/* ---------- per-patient story sections (resource cache) ---------- */
+// `types` are what `_lastUpdated` revalidation searches when the server gave no ETag.
+const STORY_SECTIONS = [
+  { key: "vitals", types: ["Observation"] },
+  { key: "labs", types: ["Observation", "DiagnosticReport"] },
+  { key: "encounters", types: ["Encounter"] },
+  { key: "conditions", types: ["Condition"] },
+  { key: "meds", types: ["MedicationRequest", "MedicationStatement", "MedicationAdministration"] },
+  { key: "allergies", types: ["AllergyIntolerance"] },
+];
+
+const MEDICATION_TYPES = ["Medication", ...STORY_SECTIONS.find((s) => s.key === "meds").types];
+
+// Revalidation timestamps come from the browser clock when the server doesn't stamp its Bundles;
+// back them off so a skewed clock causes an extra refetch rather than a missed update.
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Batch Bundles carry ten searches per patient, so this keeps one request at 50 entries.
+const BATCH_PATIENTS_PER_REQUEST = 5;
+// Medications have no patient of their own: they are fetched with `_include` (and come back from $everything)
+// but never revalidated by themselves.
+const STORY_TYPES = [...new Set([...STORY_SECTIONS.flatMap((s) => s.types), "Medication"])].join(",");
+
+// NEWS2 extras: consciousness and supplemental oxygen are often recorded outside the vital-signs category.
+const NEWS2_EXTRA_CODES = [LOINC.LOC, LOINC.LOC_ALT, LOINC.O2_FLOW, LOINC.O2_CONC];
+
+const STORY_LABELS = {
+  vitals: "Vital signs search",
+  news2: "Consciousness/oxygen search",
+  labs: "Laboratory Observation search",
+  reports: "DiagnosticReport search",
+  encounters: "Encounter search",
+  conditions: "Condition search",
+  meds: "MedicationRequest search",
+  medStatements: "MedicationStatement search",
+  medAdmins: "MedicationAdministration search",
+  allergies: "AllergyIntolerance search",
+};
+
+/**
+ * The searches behind one patient's story, relative to the FHIR base so they can go into a batch Bundle.
+ */
+function storySearches(patientId) {
+  const pid = encodeURIComponent(patientId);
+  const news2Codes = NEWS2_EXTRA_CODES.map((c) => `http://loinc.org|${c}`).join(",");
+  return {
+    vitals: `Observation?patient=${pid}&category=vital-signs&_sort=-date&_count=200`,
+    news2: `Observation?patient=${pid}&code=${encodeURIComponent(news2Codes)}&_sort=-date&_count=50`,
+    labs: `Observation?patient=${pid}&category=laboratory&_sort=-date&_count=100`,
+    reports: `DiagnosticReport?patient=${pid}&_sort=-date&_count=30`,
+    encounters: `Encounter?patient=${pid}&_sort=-date&_count=${ENCOUNTER_COUNT}`,
+    // Resolved history is part of the problem list, so Conditions get a bigger page than the other sections.
+    conditions: `Condition?patient=${pid}&_sort=-recorded-date&_count=100`,
+    // Status and intent are sorted out client-side, so stopped and proposed orders can still be listed.
+    meds: `MedicationRequest?patient=${pid}&_include=MedicationRequest:medication&_include=MedicationRequest:requester&_sort=-authoredon&_count=50`,
+    medStatements: `MedicationStatement?patient=${pid}&_include=MedicationStatement:medication&_sort=-effective&_count=50`,
+    medAdmins: `MedicationAdministration?patient=${pid}&_include=MedicationAdministration:medication&_sort=-effective-time&_count=50`,
+    allergies: `AllergyIntolerance?patient=${pid}&_count=50`,
+  };
+}
+
+// Results are newest-first, so vitals paging stops once a page reaches past the look-back window.
+function withinVitalsWindow(_all, page) {
+  const cutoff = Date.now() - VITALS_LOOKBACK_DAYS * 24 * 3600 * 1000;
+  const oldest = obsEffectiveDate(page[page.length - 1]);
+  return !oldest || new Date(oldest).getTime() >= cutoff;
+}
+
+// Start of the range the loaded vitals cover (ms): the look-back window, or the oldest reading when paging was
+// capped before reaching it. Encounters that ended earlier can't be checked for missing vitals.
+function vitalsCoveredSince(vitals, now) {
+  const lookback = now - VITALS_LOOKBACK_DAYS * 24 * 3600 * 1000;
+  if (!vitals?.truncated) return lookback;
+  const times = (vitals.readings || []).map((r) => new Date(r.when).getTime()).filter((t) => !Number.isNaN(t));
+  return times.length ? Math.max(lookback, Math.min(...times)) : now;
+}
+
+function isStoryObservation(o) {
+  const cats = Array.isArray(o.category) ? o.category : [];
+  const vital = cats.some((c) => (c.coding || []).some((x) => x.code === "vital-signs"));
+  return vital || NEWS2_EXTRA_CODES.some((code) => codeHas(o, code));
+}
+
+function isLabObservation(o) {
+  const cats = Array.isArray(o.category) ? o.category : [];
+  return cats.some((c) => (c.coding || []).some((x) => x.code === "laboratory"));
+}
+
+const newestFirst = (dateOf) => (a, b) => new Date(dateOf(b) || 0).getTime() - new Date(dateOf(a) || 0).getTime();
+
+/**
+ * Splits a Patient/$everything result into the same sections the per-type searches produce
+ * (newest first, 30 of each; 100 Conditions), so the rest of the app can't tell the strategies apart.
+ */
+function splitEverything(resources, { pages, truncated }) {
+  const of = (type) => resources.filter((r) => r.resourceType === type);
+  return {
+    vitals: summariseVitals(of("Observation").filter(isStoryObservation), { pages, truncated }),
+    labs: summariseLabs(of("Observation").filter(isLabObservation), of("DiagnosticReport")),
+    encounters: of("Encounter").sort(newestFirst((e) => e.period?.start || e.period?.end)).slice(0, ENCOUNTER_COUNT),
+    conditions: of("Condition").sort(newestFirst((c) => c.recordedDate || c.onsetDateTime)).slice(0, 100),
+    meds: summariseMedications(resources.filter((r) => MEDICATION_TYPES.includes(r.resourceType))),
+    allergies: of("AllergyIntolerance"),
+  };
+}
+
+function revalidationStamp(bundle) {
+  return bundle?.meta?.lastUpdated || new Date(Date.now() - CLOCK_SKEW_MS).toISOString();
+}
+
+// Error messages from a Promise.allSettled over section loads; rethrows when the caller cancelled.
+function settledErrors(settled, signal) {
+  const failed = settled.filter((r) => r.status === "rejected").map((r) => r.reason);
+  if (signal?.aborted || failed.some(isAbortError)) throw failed.find(isAbortError) || new DOMException("Cancelled", "AbortError");
+  return failed.map((e) => e?.message || String(e));
 }
 
 /* ---------- concurrency limiter ---------- */
@@ -248,54 +683,23 @@ async function mapLimit(items, limit, mapper) {
   return out;
 }
 
-/* ---------- PDF export (NO popups) ---------- */
-async function exportAiNoteToPdf(noteEl, filename = "AI_note.pdf") {
-  if (!noteEl) return;
-
-  const canvas = await html2canvas(noteEl, {
-    scale: 2,
-    backgroundColor: "#ffffff",
-    useCORS: true,
-    logging: false,
-  });
-
-  const imgData = canvas.toDataURL("image/png");
-  const pdf = new jsPDF("p", "mm", "a4");
-
-  const pageW = pdf.internal.pageSize.getWidth();
-  const pageH = pdf.internal.pageSize.getHeight();
-
-  // Fit image to page width; keep aspect ratio.
-  const imgProps = pdf.getImageProperties(imgData);
-  const imgW = pageW;
-  const imgH = (imgProps.height * imgW) / imgProps.width;
-
-  let y = 0;
-  if (imgH <= pageH) {
-    pdf.addImage(imgData, "PNG", 0, 0, imgW, imgH);
-  } else {
-    // Multi-page slicing
-    let remaining = imgH;
-    let offset = 0;
-    while (remaining > 0) {
-      pdf.addImage(imgData, "PNG", 0, -offset, imgW, imgH);
-      remaining -= pageH;
-      offset += pageH;
-      if (remaining > 0) pdf.addPage();
-    }
-  }
-
-  pdf.save(filename);
-}
-
 /* ---------- App ---------- */
 export default function App() {
   const [fhirBase, setFhirBase] = useState(FHIR_BASE_DEFAULT);
-  const [nameQuery, setNameQuery] = useState("smith");
+  const [baseDraft, setBaseDraft] = useState(FHIR_BASE_DEFAULT);
+  const [fixtureInfo, setFixtureInfo] = useState("");
+  const [smartSession, setSmartSession] = useState(null);
+  const [smartClientId, setSmartClientId] = useState(SMART_CLIENT_ID_DEFAULT);
+  const [smartBusy, setSmartBusy] = useState(false);
+  const [patientQuery, setPatientQuery] = useState({ ...EMPTY_PATIENT_QUERY, name: "smith" });
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
   const [count, setCount] = useState(10);
 
   const [loading, setLoading] = useState(false);
   const [patients, setPatients] = useState([]);
+  const [patientsTotal, setPatientsTotal] = useState(null); // Bundle.total from the server, when reported
+  const [patientsNext, setPatientsNext] = useState(null); // Bundle.link[relation=next] for "load more"
+  const [loadingMore, setLoadingMore] = useState(false);
   const [selectedPatientId, setSelectedPatientId] = useState(null);
   const [error, setError] = useState("");
 
@@ -305,197 +709,952 @@ export default function App() {
   const [sortMode, setSortMode] = useState("RISK"); // RISK | NAME | RECENT
 
   // governance + audit
-  const [modelVersion] = useState("demo-rules-v1.3");
-  const [modelReviewed] = useState("2025-12-29");
-  const [audit, setAudit] = useState([]);
-
-  // rule thresholds (configurable)
-  const [rules, setRules] = useState({
-    bpRedSys: 180,
-    bpRedDia: 120,
-    bpAmberSys: 140,
-    bpAmberDia: 90,
-    hrRed: 130,
-    hrAmber: 100,
-    spo2Red: 90,
-    spo2Amber: 94,
-    tempRed: 39,
-    tempAmber: 37.8,
-    completenessHours: 24,
-  });
+  const [audit, setAudit] = useState(loadAuditTrail); // hash-chained, newest first, persisted without a cap
+  const auditTailRef = useRef(null); // promise of the newest entry; appends chain through it one at a time
+  const [auditSent, setAuditSent] = useState(loadAuditSent); // base -> highest seq POSTed as AuditEvent
+  const [auditSending, setAuditSending] = useState(false);
+
+  // rule thresholds (versioned rule sets, editable in the Governance view)
+  const [ruleSets, setRuleSets] = useState(loadRuleSets);
+  const [activeRuleVersion, setActiveRuleVersion] = useState(() => loadActiveRuleVersion(ruleSets));
+  const activeRuleSet = ruleSets.find((s) => s.version === activeRuleVersion) || ruleSets[0];
+  const rules = activeRuleSet.rules;
+  const modelVersion = activeRuleSet.version;
+  const modelReviewed = (activeRuleSet.savedAt || "").slice(0, 10) || "—";
+  const [triageEngine, setTriageEngine] = useState(loadTriageEngine); // THRESHOLDS | NEWS2
+  const [spo2Scale2, setSpo2Scale2] = useState(loadSpo2Scale2); // spo2ScaleKey()s of patients on NEWS2 SpO₂ scale 2
+
+  // Snapshot fetches resolve after the user may have switched versions; always triage with the current config.
+  const triageConfigRef = useRef({ ruleSet: activeRuleSet, engine: triageEngine, spo2Scale2 });
+  useEffect(() => {
+    triageConfigRef.current = { ruleSet: activeRuleSet, engine: triageEngine, spo2Scale2 };
+  }, [activeRuleSet, triageEngine, spo2Scale2]);
+
+  const news2OptionsFor = (pid, scale2 = spo2Scale2) => ({ spo2Scale: scale2.includes(spo2ScaleKey(fhirBase, pid)) ? 2 : 1 });
 
   // caches
   const [obsByPatient, setObsByPatient] = useState({}); // patientId -> parsed vitals data
+  const [labsByPatient, setLabsByPatient] = useState({}); // patientId -> summariseLabs() result
   const [encByPatient, setEncByPatient] = useState({});
   const [condByPatient, setCondByPatient] = useState({});
   const [medByPatient, setMedByPatient] = useState({});
+  const [allergyByPatient, setAllergyByPatient] = useState({});
   const [snapshotByPatient, setSnapshotByPatient] = useState({}); // worklist preview
+  const [loadErrorsByPatient, setLoadErrorsByPatient] = useState({}); // patientId -> ["Encounter search failed: …"]
+  const [resourceCache] = useState(() => createResourceCache()); // shared by worklist previews + patient view
+  const [cacheTick, setCacheTick] = useState(0); // bumped every TTL so the worklist revalidates
+  const [refreshing, setRefreshing] = useState(false);
+  const [serverFeatures, setServerFeatures] = useState(null); // { patientEverything, batch } from the CapabilityStatement
+  const capabilitiesRef = useRef({ base: null, promise: null });
+  const [writeBackEnabled, setWriteBackEnabled] = useState(loadWriteBackEnabled); // RiskAssessment + Flag write-back
+  const [writeBackByPatient, setWriteBackByPatient] = useState({}); // patientId -> { base, status, at, riskAssessmentId, flags, error }
+  const writeBackRef = useRef({ written: new Map(), queue: new Map() }); // `${base}|${pid}` -> last signature / pending write
+  const [overrides, setOverrides] = useState(loadOverrides); // clinician triage overrides, all servers
+  const [overrideDraft, setOverrideDraft] = useState(null); // open override dialog
+  const [clock, setClock] = useState(() => Date.now()); // minute tick for override expiry
   const [aiNote, setAiNote] = useState("");
+  const [aiNoteData, setAiNoteData] = useState(null); // { meta, sections } behind aiNote, for the PDF and FHIR document exports
   const [aiBusy, setAiBusy] = useState(false);
+  const [noteFiling, setNoteFiling] = useState(null); // { status: "filing" | "done" | "error", id, error }
+  const [aiError, setAiError] = useState("");
+  const [summaryProvider, setSummaryProvider] = useState(loadProviderConfig); // { kind: "rules" | "http", endpoint, model }
+  const [summaryApiKey, setSummaryApiKey] = useState(""); // memory only, never persisted
   const [expandedWhy, setExpandedWhy] = useState({}); // story item id -> bool
+  const [timelineView, setTimelineView] = useState(DEFAULT_TIMELINE_VIEW); // kinds, date range, search, grouping, page
+  const [vitalsChartView, setVitalsChartView] = useState({ vital: "bp", range: "7d", mode: "chart", zoom: null });
+  const [problemCategory, setProblemCategory] = useState("all");
 
-  const aiNoteRef = useRef(null);
+  // Audit actor: the SMART fhirUser claim when signed in. A ref, so async flows started earlier still log the right user.
+  const auditActorRef = useRef("demo.clinician");
 
   function addAudit(action, details = "") {
     const ts = new Date().toISOString();
-    setAudit((prev) => [
-      { ts, actor: "demo.clinician", action, details },
-      ...prev.slice(0, 24),
-    ]);
+    const actor = auditActorRef.current;
+    const tail = auditTailRef.current || Promise.resolve(audit[0] || null);
+    // Without SubtleCrypto the entry is kept unhashed and marked unverifiable (see auditTrail.js), never dropped.
+    auditTailRef.current = tail.then((prev) =>
+      chainAuditEntry(prev, { ts, actor, action, details }).then((entry) => {
+        setAudit((list) => [entry, ...list]);
+        return entry;
+      })
+    );
+  }
+
+  useEffect(() => {
+    saveAuditTrail(audit);
+  }, [audit]);
+
+  useEffect(() => {
+    saveAuditSent(auditSent);
+  }, [auditSent]);
+
+  // POSTs entries this server hasn't received yet as AuditEvents, oldest first, stopping at the first failure.
+  async function sendAuditEvents() {
+    const base = fhirBase;
+    const pending = audit.filter((e) => e.seq > (auditSent[base] || 0)).reverse();
+    if (!pending.length) return;
+    setAuditSending(true);
+    let sent = 0;
+    try {
+      for (const entry of pending) {
+        await saveResource(base, toAuditEvent(entry), { label: `AuditEvent #${entry.seq} create` });
+        setAuditSent((prev) => ({ ...prev, [base]: entry.seq }));
+        sent += 1;
+      }
+      addAudit("Sent audit trail to server", `${sent} AuditEvent(s) to ${base}`);
+    } catch (e) {
+      addAudit("Audit trail send failed", `${sent} of ${pending.length} sent to ${base}: ${e.message || e}`);
+    } finally {
+      setAuditSending(false);
+    }
+  }
+
+  /* ---------- rule set versions ---------- */
+  useEffect(() => {
+    saveRuleSets(ruleSets);
+  }, [ruleSets]);
+
+  useEffect(() => {
+    saveActiveRuleVersion(activeRuleVersion);
+  }, [activeRuleVersion]);
+
+  useEffect(() => {
+    saveTriageEngine(triageEngine);
+  }, [triageEngine]);
+
+  useEffect(() => {
+    saveSpo2Scale2(spo2Scale2);
+  }, [spo2Scale2]);
+
+  useEffect(() => {
+    saveRecentSearches(recentSearches);
+  }, [recentSearches]);
+
+  useEffect(() => {
+    saveWriteBackEnabled(writeBackEnabled);
+  }, [writeBackEnabled]);
+
+  useEffect(() => {
+    saveOverrides(overrides);
+  }, [overrides]);
+
+  useEffect(() => {
+    saveProviderConfig(summaryProvider);
+  }, [summaryProvider]);
+
+  function retriageSnapshots(ruleSet, engine = triageEngine, scale2 = spo2Scale2) {
+    setSnapshotByPatient((prev) => {
+      const next = {};
+      for (const [pid, snap] of Object.entries(prev)) {
+        if (!snap?.vitalsLatest) {
+          next[pid] = snap;
+          continue;
+        }
+        const triage = withLabFindings(
+          computeTriage(snap.vitalsLatest, ruleSet.rules, engine, news2OptionsFor(pid, scale2)),
+          snap.labCritical
+        );
+        const completeness = computeCompleteness(
+          { latest: snap.vitalsLatest, when: snap.vitalsWhen },
+          ruleSet.rules.completenessHours
+        );
+        next[pid] = {
+          ...snap,
+          completeness,
+          missing: missingFrom(completeness),
+          triage: triage.level,
+          triageReasons: triage.reasons,
+          news2: triage.news2 || null,
+          engine,
+          ruleVersion: ruleSet.version,
+        };
+      }
+      return next;
+    });
+  }
+
+  function activateRuleSet(version) {
+    const next = ruleSets.find((s) => s.version === version);
+    if (!next || version === activeRuleVersion) return;
+    const changes = diffRules(activeRuleSet, next);
+    setActiveRuleVersion(version);
+    retriageSnapshots(next);
+    addAudit(
+      "Activated rule set",
+      `${activeRuleSet.version} → ${version}; ${changes.length} threshold change(s); worklist re-triaged`
+    );
+  }
+
+  function changeTriageEngine(engine) {
+    if (engine === triageEngine) return;
+    setTriageEngine(engine);
+    retriageSnapshots(activeRuleSet, engine);
+    addAudit("Changed triage engine", `${triageEngine} → ${engine}; worklist re-triaged`);
+  }
+
+  function changeSpo2Scale(pid, scale) {
+    const key = spo2ScaleKey(fhirBase, pid);
+    const next = scale === 2 ? [...spo2Scale2.filter((k) => k !== key), key] : spo2Scale2.filter((k) => k !== key);
+    setSpo2Scale2(next);
+    retriageSnapshots(activeRuleSet, triageEngine, next);
+    addAudit("Changed NEWS2 SpO₂ scale", `Patient/${pid}: scale ${scale === 2 ? "1 → 2" : "2 → 1"}`);
+  }
+
+  function saveRuleSet(set, { activate, changes }) {
+    setRuleSets((prev) => [...prev, set]);
+    addAudit(
+      "Saved rule set version",
+      `${set.version} (from ${set.basedOn}): ${changes.map((c) => `${c.key} ${c.from}→${c.to}`).join(", ")}${
+        set.note ? ` — ${set.note}` : ""
+      }`
+    );
+    if (activate) {
+      setActiveRuleVersion(set.version);
+      retriageSnapshots(set);
+      addAudit("Activated rule set", `${activeRuleSet.version} → ${set.version}; worklist re-triaged`);
+    }
   }
 
   /* ---------- search patients ---------- */
-  async function searchPatients() {
+  async function searchPatients({ base = fhirBase, query = patientQuery } = {}) {
     setLoading(true);
     setError("");
+    setPatientQuery(query);
     try {
-      // Patient?name=smith&_count=10
-      const url = `${fhirBase}/Patient?name=${encodeURIComponent(nameQuery)}&_count=${encodeURIComponent(
-        count
-      )}`;
-      const data = await fetchJSON(url);
-      const entries = data?.entry || [];
-      const list = entries
-        .map((e) => e.resource)
-        .filter((r) => r && r.resourceType === "Patient");
+      // e.g. Patient?family:exact=Smith&birthdate=ge1970-01-01&_count=10&_total=accurate (no criteria lists everyone)
+      const params = patientSearchParams(query);
+      const criteria = patientSearchQueryString(params);
+      const url = `${base}/Patient?${criteria ? `${criteria}&` : ""}_count=${encodeURIComponent(count)}&_total=accurate`;
+      const page = await fetchBundlePages(url, { maxPages: 1, label: "Patient search" });
+      const list = page.resources.filter((r) => r.resourceType === "Patient");
       setPatients(list);
+      setPatientsTotal(page.total);
+      setPatientsNext(page.next);
       const firstId = list?.[0]?.id || null;
       setSelectedPatientId((prev) => prev || firstId);
-      addAudit("Patient search", `name contains "${nameQuery}", count ${count}`);
+      setRecentSearches((prev) => rememberSearch(prev, query));
+      addAudit(
+        "Patient search",
+        `${describePatientSearch(params)} · _count=${count}${page.total !== null ? `, ${page.total} match(es) on server` : ""}`
+      );
     } catch (e) {
-      setError(`Search failed: ${e.message}`);
+      setError(e.message);
     } finally {
       setLoading(false);
     }
   }
 
+  async function loadMorePatients() {
+    if (!patientsNext || loadingMore) return;
+    setLoadingMore(true);
+    setError("");
+    try {
+      const page = await fetchBundlePages(patientsNext, { maxPages: 1, label: "Loading more patients" });
+      const more = page.resources.filter((r) => r.resourceType === "Patient");
+      setPatients((prev) => {
+        const have = new Set(prev.map((p) => p.id));
+        return [...prev, ...more.filter((p) => !have.has(p.id))];
+      });
+      if (page.total !== null) setPatientsTotal(page.total);
+      setPatientsNext(page.next);
+      addAudit("Patient search (more)", `loaded ${more.length} more patient(s)`);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  /* ---------- SMART on FHIR ---------- */
+  async function applySmartSession(session) {
+    setSmartSession(session);
+    if (session.fhirUser) auditActorRef.current = session.fhirUser;
+    setFhirBase(session.serverUrl);
+    setBaseDraft(session.serverUrl);
+    addAudit(
+      "SMART session started",
+      `${session.launchType} launch on ${session.serverUrl}${session.patient ? `, patient context Patient/${session.patient}` : ""}`
+    );
+
+    if (!session.patient) {
+      searchPatients({ base: session.serverUrl });
+      return;
+    }
+
+    // Launch context: show and preselect the in-context patient.
+    try {
+      const p = await fetchJSON(`${session.serverUrl}/Patient/${encodeURIComponent(session.patient)}`, {
+        label: "Launch patient read",
+      });
+      setPatients([p]);
+      setPatientsTotal(1);
+      setPatientsNext(null);
+      setSelectedPatientId(p.id);
+      setView("patient");
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  async function startSmartSignIn() {
+    setSmartBusy(true);
+    setError("");
+    try {
+      addAudit("SMART sign-in started", `standalone launch on ${baseDraft}`);
+      await beginSmartLaunch({ iss: baseDraft, clientId: smartClientId.trim() });
+    } catch (e) {
+      setError(e.message);
+      setSmartBusy(false);
+    }
+  }
+
+  function signOutSmart() {
+    endSmartSession();
+    addAudit("SMART session ended", smartSession?.serverUrl || "");
+    auditActorRef.current = "demo.clinician";
+    setSmartSession(null);
+  }
+
   useEffect(() => {
-    searchPatients();
+    (async () => {
+      // A SMART redirect (EHR launch or returning from authorize) decides which server to search first.
+      try {
+        const launch = await completeSmartLaunch({ clientId: smartClientId });
+        if (launch.status === "redirecting") return;
+        if (launch.status === "authorized") {
+          await applySmartSession(launch.session);
+          return;
+        }
+      } catch (e) {
+        setError(e.message);
+      }
+      searchPatients();
+    })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  /* ---------- FHIR fetches ---------- */
-  async function fetchVitals(patientId) {
-    // vital signs only; enough for triage + completeness + sparklines
-    const url = `${fhirBase}/Observation?patient=${encodeURIComponent(
-      patientId
-    )}&category=vital-signs&_sort=-date&_count=200`;
-    const data = await fetchJSON(url);
-    const obs = (data?.entry || []).map((e) => e.resource).filter(Boolean);
-
-    // Build series (most recent first -> reverse for sparkline)
-    const series = { bpSys: [], bpDia: [], hr: [], temp: [], spo2: [] };
-    const when = { bpSys: null, bpDia: null, hr: null, temp: null, spo2: null };
-    const units = { hr: "", temp: "", spo2: "", bp: "mmHg" };
-
-    for (const o of obs) {
-      const dt = obsEffectiveDate(o);
-      // BP panel
-      if (codeHas(o, LOINC.BP_PANEL) || codeHas(o, LOINC.BP_SYS) || codeHas(o, LOINC.BP_DIA)) {
-        const bp = extractBP(o);
-        if (typeof bp.sys === "number") {
-          series.bpSys.push(bp.sys);
-          if (!when.bpSys) when.bpSys = dt;
-        }
-        if (typeof bp.dia === "number") {
-          series.bpDia.push(bp.dia);
-          if (!when.bpDia) when.bpDia = dt;
-        }
-      }
+  /* ---------- FHIR base (live server, local fixture server or in-browser fixtures) ---------- */
+  function changeFhirBase(next) {
+    const base = String(next || "").trim().replace(/\/+$/, "");
+    if (!base || base === fhirBase) return;
+
+    // Patient ids are only meaningful per server: drop everything loaded from the old base.
+    setFhirBase(base);
+    setBaseDraft(base);
+    setPatients([]);
+    setPatientsTotal(null);
+    setPatientsNext(null);
+    setSelectedPatientId(null);
+    resourceCache.clear();
+    setServerFeatures(null);
+    setObsByPatient({});
+    setLabsByPatient({});
+    setEncByPatient({});
+    setCondByPatient({});
+    setMedByPatient({});
+    setAllergyByPatient({});
+    setSnapshotByPatient({});
+    setWriteBackByPatient({});
+    setLoadErrorsByPatient({});
+    setAiNote("");
+    setAiNoteData(null);
+    setNoteFiling(null);
+    addAudit("Changed FHIR server", `${fhirBase} → ${base}`);
+
+    // The curated cohort doesn't share names with public test data, so list everyone.
+    searchPatients({ base, query: isFixtureBase(base) ? EMPTY_PATIENT_QUERY : patientQuery });
+  }
 
-      if (codeHas(o, LOINC.HR)) {
-        const v = numericValueFromObs(o);
-        if (typeof v === "number") {
-          series.hr.push(v);
-          if (!when.hr) when.hr = dt;
-          if (!units.hr) units.hr = pickUnit(o);
-        }
+  async function loadFixtureFiles(fileList) {
+    const files = [...(fileList || [])];
+    if (!files.length) return;
+    const store = getFixtureStore();
+    const loaded = [];
+    try {
+      for (const f of files) {
+        const n = store.load(await f.text(), f.name);
+        loaded.push(`${f.name} (${n})`);
       }
-      if (codeHas(o, LOINC.TEMP)) {
-        const v = numericValueFromObs(o);
-        if (typeof v === "number") {
-          series.temp.push(v);
-          if (!when.temp) when.temp = dt;
-          if (!units.temp) units.temp = pickUnit(o);
+      setFixtureInfo(`Loaded ${loaded.join(", ")}.`);
+      addAudit("Loaded fixture files", loaded.join(", "));
+      resourceCache.clear();
+      setSnapshotByPatient({});
+      searchPatients({ base: FIXTURE_BASE });
+    } catch (e) {
+      setFixtureInfo(`Could not load fixtures: ${e.message}`);
+    }
+  }
+
+  /* ---------- FHIR fetches ---------- */
+  async function fetchVitals(patientId, { signal } = {}) {
+    const searches = storySearches(patientId);
+
+    // The NEWS2 extras search is best-effort: servers without token search still get vitals.
+    const warnings = [];
+    const [vitalPages, news2Pages] = await Promise.all([
+      fetchBundlePages(`${fhirBase}/${searches.vitals}`, {
+        maxPages: VITALS_MAX_PAGES,
+        shouldContinue: withinVitalsWindow,
+        signal,
+        label: STORY_LABELS.vitals,
+      }),
+      fetchBundlePages(`${fhirBase}/${searches.news2}`, { maxPages: 1, signal, label: STORY_LABELS.news2 }).catch((e) => {
+        if (isAbortError(e)) throw e;
+        warnings.push(e.message);
+        return { resources: [] };
+      }),
+    ]);
+    return summariseVitals([...vitalPages.resources, ...news2Pages.resources], {
+      pages: vitalPages.pages,
+      truncated: vitalPages.truncated,
+      warnings,
+    });
+  }
+
+  // One page of a story search. Sends the cached ETag back so an unchanged result costs a 304.
+  async function fetchSearchSection(url, label, { signal, previous }) {
+    const res = await fetchJSONConditional(url, { etag: previous?.validators?.etag, signal, label });
+    if (res.notModified) return { notModified: true };
+    return {
+      value: bundleResources(res.body),
+      validators: { etag: res.etag, lastUpdated: revalidationStamp(res.body) },
+    };
+  }
+
+  function fetchEncounters(patientId, options) {
+    return fetchSearchSection(`${fhirBase}/${storySearches(patientId).encounters}`, STORY_LABELS.encounters, options);
+  }
+
+  function fetchConditions(patientId, options) {
+    return fetchSearchSection(`${fhirBase}/${storySearches(patientId).conditions}`, STORY_LABELS.conditions, options);
+  }
+
+  function fetchAllergies(patientId, options) {
+    return fetchSearchSection(`${fhirBase}/${storySearches(patientId).allergies}`, STORY_LABELS.allergies, options);
+  }
+
+  // Orders, patient-reported medication and administrations, each with the Medications they reference.
+  async function fetchMedicationsSection(patientId, { signal }) {
+    const searches = storySearches(patientId);
+    const lastUpdated = revalidationStamp(null);
+    const pages = await Promise.all(
+      ["meds", "medStatements", "medAdmins"].map((key) =>
+        fetchBundlePages(`${fhirBase}/${searches[key]}`, { maxPages: 1, signal, label: STORY_LABELS[key] })
+      )
+    );
+    return { value: summariseMedications(pages.flatMap((p) => p.resources)), validators: { lastUpdated } };
+  }
+
+  // Lab results and the reports that group them; both searches have to succeed for the panels to make sense.
+  async function fetchLabsSection(patientId, { signal }) {
+    const searches = storySearches(patientId);
+    const lastUpdated = revalidationStamp(null);
+    const [labPages, reportPages] = await Promise.all([
+      fetchBundlePages(`${fhirBase}/${searches.labs}`, { maxPages: 3, signal, label: STORY_LABELS.labs }),
+      fetchBundlePages(`${fhirBase}/${searches.reports}`, { maxPages: 1, signal, label: STORY_LABELS.reports }),
+    ]);
+    return { value: summariseLabs(labPages.resources, reportPages.resources), validators: { lastUpdated } };
+  }
+
+  async function fetchVitalsSection(patientId, { signal }) {
+    const lastUpdated = revalidationStamp(null);
+    return { value: await fetchVitals(patientId, { signal }), validators: { lastUpdated } };
+  }
+
+  const storyFetchers = {
+    vitals: fetchVitalsSection,
+    labs: fetchLabsSection,
+    encounters: fetchEncounters,
+    conditions: fetchConditions,
+    meds: fetchMedicationsSection,
+    allergies: fetchAllergies,
+  };
+
+  /* ---------- shared per-patient cache ---------- */
+  function storyKey(pid, section) {
+    return `${fhirBase}|${pid}|${section}`;
+  }
+
+  // Cheap revalidation: has anything of `types` for this patient been created or updated since `since`?
+  async function changedSince(types, patientId, since, { signal }) {
+    const counts = await Promise.all(
+      types.map((type) => {
+        const url = `${fhirBase}/${type}?patient=${encodeURIComponent(patientId)}&_lastUpdated=gt${encodeURIComponent(
+          since
+        )}&_summary=count`;
+        return fetchJSON(url, { signal, label: `${type} revalidation` });
+      })
+    );
+    return counts.some((data) => typeof data?.total !== "number" || data.total > 0);
+  }
+
+  function loadStorySection(pid, section, { signal, force } = {}) {
+    return resourceCache.load(
+      storyKey(pid, section.key),
+      async ({ signal: loadSignal, previous }) => {
+        // Without an ETag to send back, a `_lastUpdated` count query decides whether the full search is needed.
+        // (Deletions don't show up this way; they are picked up by a manual refresh after the TTL.)
+        if (previous?.validators?.lastUpdated && !previous.validators.etag) {
+          const changed = await changedSince(section.types, pid, previous.validators.lastUpdated, { signal: loadSignal });
+          if (!changed) return { notModified: true };
         }
+        return storyFetchers[section.key](pid, { signal: loadSignal, previous });
+      },
+      { signal, force, meta: { patientId: pid, section: section.key } }
+    );
+  }
+
+  /**
+   * Loads (or revalidates) the story sections independently so one failing search doesn't blank the others.
+   * Results reach the UI through the cache subscription; resolves to the error messages, rejects only when cancelled.
+   */
+  async function loadPatientStory(pid, { signal, force = false } = {}) {
+    const settled = await Promise.allSettled(STORY_SECTIONS.map((section) => loadStorySection(pid, section, { signal, force })));
+    return settledErrors(settled, signal);
+  }
+
+  /* ---------- loading strategy: $everything / batch / per-type searches ---------- */
+  // CapabilityStatement features, fetched once per base.
+  function getServerFeatures() {
+    if (capabilitiesRef.current.base !== fhirBase) {
+      const base = fhirBase;
+      const promise = fetchJSON(`${base}/metadata`, { label: "CapabilityStatement read", retries: 0 })
+        .then(capabilityFeatures)
+        .catch(() => ({ patientEverything: false, batch: false }));
+      promise.then((features) => {
+        if (capabilitiesRef.current.base === base) setServerFeatures(features);
+      });
+      capabilitiesRef.current = { base, promise };
+    }
+    return capabilitiesRef.current.promise;
+  }
+
+  // The section fetchers for one patient, as { section: { value, validators } | { error } }.
+  async function fetchStorySections(pid, signal) {
+    const settled = await Promise.allSettled(STORY_SECTIONS.map((section) => storyFetchers[section.key](pid, { signal })));
+    if (signal?.aborted) throw new DOMException("Cancelled", "AbortError");
+    return Object.fromEntries(
+      STORY_SECTIONS.map((section, i) => [
+        section.key,
+        settled[i].status === "fulfilled" ? settled[i].value : { error: settled[i].reason },
+      ])
+    );
+  }
+
+  async function fetchStoriesEverything(pids, signal) {
+    const out = {};
+    await mapLimit(pids, 3, async (pid) => {
+      const url = `${fhirBase}/Patient/${encodeURIComponent(pid)}/$everything?_type=${STORY_TYPES}&_count=200`;
+      try {
+        const page = await fetchBundlePages(url, { maxPages: VITALS_MAX_PAGES, signal, label: "Patient $everything" });
+        const validators = { lastUpdated: revalidationStamp(null) };
+        const split = splitEverything(page.resources, page);
+        out[pid] = Object.fromEntries(Object.entries(split).map(([key, value]) => [key, { value, validators }]));
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        // Servers may advertise $everything but refuse it (scopes, size limits); plain searches still work.
+        out[pid] = await fetchStorySections(pid, signal);
       }
-      if (codeHas(o, LOINC.SPO2)) {
-        const v = numericValueFromObs(o);
-        if (typeof v === "number") {
-          series.spo2.push(v);
-          if (!when.spo2) when.spo2 = dt;
-          if (!units.spo2) units.spo2 = pickUnit(o);
-        }
+    });
+    return out;
+  }
+
+  // One patient's batch entries -> sections. Batch entries hold the first page only, so vitals keep paging when needed.
+  async function storyFromBatch(parts, signal) {
+    const searchSection = (r) =>
+      r.ok ? { value: bundleResources(r.resource), validators: { lastUpdated: revalidationStamp(r.resource) } } : { error: r.error };
+
+    let vitals;
+    if (!parts.vitals.ok) {
+      vitals = { error: parts.vitals.error };
+    } else {
+      try {
+        const first = bundleResources(parts.vitals.resource);
+        const next = bundleNextLink(parts.vitals.resource);
+        const more =
+          next && first.length && withinVitalsWindow(first, first)
+            ? await fetchBundlePages(next, {
+                maxPages: VITALS_MAX_PAGES - 1,
+                shouldContinue: withinVitalsWindow,
+                signal,
+                label: STORY_LABELS.vitals,
+              })
+            : { resources: [], pages: 0, truncated: false };
+        const extras = parts.news2.ok ? bundleResources(parts.news2.resource) : [];
+        vitals = {
+          value: summariseVitals([...first, ...more.resources, ...extras], {
+            pages: 1 + more.pages,
+            truncated: more.truncated,
+            warnings: parts.news2.ok ? [] : [parts.news2.error.message],
+          }),
+          validators: { lastUpdated: revalidationStamp(parts.vitals.resource) },
+        };
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        vitals = { error: e };
       }
     }
 
-    // latest values (first pushed are newest because sorted -date)
-    const latest = {
-      bpSys: series.bpSys[0] ?? null,
-      bpDia: series.bpDia[0] ?? null,
-      hr: series.hr[0] ?? null,
-      temp: series.temp[0] ?? null,
-      spo2: series.spo2[0] ?? null,
+    const labs =
+      parts.labs.ok && parts.reports.ok
+        ? {
+            value: summariseLabs(bundleResources(parts.labs.resource), bundleResources(parts.reports.resource)),
+            validators: { lastUpdated: revalidationStamp(parts.labs.resource) },
+          }
+        : { error: parts.labs.ok ? parts.reports.error : parts.labs.error };
+
+    const medParts = [parts.meds, parts.medStatements, parts.medAdmins];
+    const failedMeds = medParts.find((r) => !r.ok);
+    const meds = failedMeds
+      ? { error: failedMeds.error }
+      : {
+          value: summariseMedications(medParts.flatMap((r) => bundleResources(r.resource))),
+          validators: { lastUpdated: revalidationStamp(parts.meds.resource) },
+        };
+
+    return {
+      vitals,
+      labs,
+      encounters: searchSection(parts.encounters),
+      conditions: searchSection(parts.conditions),
+      meds,
+      allergies: searchSection(parts.allergies),
+    };
+  }
+
+  async function fetchStoriesBatch(pids, signal) {
+    const chunks = [];
+    for (let i = 0; i < pids.length; i += BATCH_PATIENTS_PER_REQUEST) chunks.push(pids.slice(i, i + BATCH_PATIENTS_PER_REQUEST));
+
+    const out = {};
+    await mapLimit(chunks, 2, async (chunk) => {
+      const requests = chunk.flatMap((pid) =>
+        Object.entries(storySearches(pid)).map(([section, url]) => ({ pid, section, url, label: STORY_LABELS[section] }))
+      );
+      const results = await fetchBatch(fhirBase, requests, { signal, label: "Patient story batch" });
+      const byPatient = {};
+      requests.forEach((r, i) => {
+        byPatient[r.pid] = { ...byPatient[r.pid], [r.section]: results[i] };
+      });
+      for (const pid of chunk) out[pid] = await storyFromBatch(byPatient[pid], signal);
+    });
+    return out;
+  }
+
+  /**
+   * Loads the stories of `pids` that aren't fresh in the cache with the fewest round trips the server allows:
+   * one batch Bundle per BATCH_PATIENTS_PER_REQUEST patients, Patient/$everything for a single patient,
+   * otherwise four (revalidating) searches per patient. Resolves to { strategy, errors }.
+   */
+  async function loadStories(pids, { signal, force = false } = {}) {
+    const features = await getServerFeatures();
+    const due = force
+      ? pids
+      : pids.filter((pid) =>
+          STORY_SECTIONS.some((section) => {
+            const entry = resourceCache.get(storyKey(pid, section.key));
+            return !entry || entry.stale || entry.error;
+          })
+        );
+    if (!due.length) return { strategy: "cache", errors: [] };
+
+    const strategy =
+      features.patientEverything && (due.length === 1 || !features.batch) ? "$everything" : features.batch ? "batch" : "searches";
+    if (strategy === "searches") {
+      const errors = await mapLimit(due, 3, (pid) => loadPatientStory(pid, { signal, force }));
+      return { strategy, errors: errors.flat() };
+    }
+
+    const group = strategy === "batch" ? fetchStoriesBatch(due, signal) : fetchStoriesEverything(due, signal);
+    group.catch(() => {}); // surfaced through each section's load below
+
+    // Every section's cache entry waits on the shared round trip(s), so the patient view can join them.
+    const settled = await Promise.allSettled(
+      due.flatMap((pid) =>
+        STORY_SECTIONS.map((section) =>
+          resourceCache.load(
+            storyKey(pid, section.key),
+            async () => {
+              const result = (await group)[pid]?.[section.key];
+              if (!result || result.error) {
+                throw result?.error || new Error(`${STORY_LABELS[section.key]} failed: missing from the response`);
+              }
+              return result;
+            },
+            { signal, force: true, meta: { patientId: pid, section: section.key } }
+          )
+        )
+      )
+    );
+    return { strategy, errors: settledErrors(settled, signal) };
+  }
+
+  function snapshotFromStory(pid, { vitals: v, labs, encounters: enc, conditions: cond, meds, allergies }, errors, refreshedAt) {
+    const { ruleSet, engine, spo2Scale2: scale2 } = triageConfigRef.current;
+    const vitalsTriage = v
+      ? computeTriage(v.latest, ruleSet.rules, engine, news2OptionsFor(pid, scale2))
+      : { level: "UNKNOWN", reasons: [errors[0] || "Vitals could not be loaded."] };
+    const triage = withLabFindings(vitalsTriage, labs?.critical);
+    const completeness = v ? computeCompleteness(v, ruleSet.rules.completenessHours) : null;
+    const missing = completeness ? missingFrom(completeness) : [...COMPLETENESS_VITALS];
+    const lastEnc = enc?.[0]?.period?.start || enc?.[0]?.period?.end || enc?.[0]?.meta?.lastUpdated || null;
+
+    return {
+      triage: triage.level,
+      triageReasons: triage.reasons,
+      news2: triage.news2 || null,
+      engine,
+      ruleVersion: ruleSet.version,
+      completeness,
+      missing,
+      lastEncounter: lastEnc,
+      counts: {
+        conditions: cond ? cond.length : null,
+        meds: meds ? meds.current.length : null,
+        encounters: enc ? enc.length : null,
+        labs: labs ? labs.count : null,
+        allergies: allergies ? allergies.length : null,
+      },
+      allergyConflicts:
+        allergies && meds
+          ? medicationAllergyConflicts(summariseAllergies(allergies), meds).map((c) => ({ text: c.text, high: c.high }))
+          : [],
+      labCritical: labs?.critical || [],
+      labAbnormal: labs ? labs.abnormal.length : null,
+      vitalsLatest: v?.latest || null,
+      vitalsWhen: v?.when || null,
+      vitalsSources: v?.sources || {},
+      vitalsOriginals: v?.originals || {},
+      unitIssues: v?.unitIssues || [],
+      spark: v?.spark || null,
+      errors,
+      refreshedAt,
     };
+  }
 
-    // Reverse series for sparkline (oldest -> newest), keep last 12 points.
-    const spark = {
-      bpSys: series.bpSys.slice(0, 24).reverse().slice(-12),
-      hr: series.hr.slice(0, 24).reverse().slice(-12),
-      temp: series.temp.slice(0, 24).reverse().slice(-12),
-      spo2: series.spo2.slice(0, 24).reverse().slice(-12),
+  // Copies one patient's cache entries into view state and rebuilds their worklist snapshot.
+  function syncPatientFromCache(pid) {
+    const story = {};
+    const errors = [];
+    let pending = false;
+    let refreshedAt = null;
+    for (const section of STORY_SECTIONS) {
+      const entry = resourceCache.get(storyKey(pid, section.key));
+      story[section.key] = entry?.value ?? null;
+      if (entry?.error) errors.push(entry.error.message || String(entry.error));
+      if (!entry || (entry.loading && entry.value === undefined)) pending = true;
+      if (entry?.fetchedAt && (!refreshedAt || entry.fetchedAt < refreshedAt)) refreshedAt = entry.fetchedAt;
+    }
+    if (story.vitals?.warnings?.length) errors.push(...story.vitals.warnings);
+
+    const put = (setter, value) => {
+      if (value) setter((prev) => (prev[pid] === value ? prev : { ...prev, [pid]: value }));
     };
+    put(setObsByPatient, story.vitals);
+    put(setLabsByPatient, story.labs);
+    put(setEncByPatient, story.encounters);
+    put(setCondByPatient, story.conditions);
+    put(setMedByPatient, story.meds);
+    put(setAllergyByPatient, story.allergies);
+    setLoadErrorsByPatient((prev) => ({ ...prev, [pid]: errors }));
+
+    // Wait for every section's first answer so a preview doesn't flash half-built.
+    if (!pending) setSnapshotByPatient((prev) => ({ ...prev, [pid]: snapshotFromStory(pid, story, errors, refreshedAt) }));
+  }
+
+  useEffect(() => {
+    return resourceCache.subscribe((_key, entry) => {
+      if (entry?.meta?.patientId) syncPatientFromCache(entry.meta.patientId);
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [resourceCache, fhirBase]);
 
-    return { latest, when, units, spark, rawCount: obs.length };
+  // Expired entries are revalidated on the next worklist pass, so previews don't go stale.
+  useEffect(() => {
+    const t = setInterval(() => setCacheTick((n) => n + 1), resourceCache.ttlMs);
+    return () => clearInterval(t);
+  }, [resourceCache]);
+
+  async function refreshPatientData(pids) {
+    if (!pids.length || refreshing) return;
+    setRefreshing(true);
+    try {
+      const { strategy, errors } = await loadStories(pids, { force: true });
+      addAudit(
+        "Refreshed patient data",
+        `${pids.length === 1 ? `Patient/${pids[0]}` : `${pids.length} patients`} via ${strategy}${
+          errors.length ? ` (${errors.length} request(s) failed)` : ""
+        }`
+      );
+    } finally {
+      setRefreshing(false);
+    }
   }
 
-  async function fetchEncounters(patientId) {
-    const url = `${fhirBase}/Encounter?patient=${encodeURIComponent(patientId)}&_sort=-date&_count=30`;
-    const data = await fetchJSON(url);
-    const enc = (data?.entry || []).map((e) => e.resource).filter(Boolean);
-    return enc;
+  /* ---------- triage write-back (RiskAssessment + Flag) ---------- */
+  function triageEvaluation(pid, snap) {
+    const ids = [...Object.values(snap.vitalsSources || {}), ...(snap.labCritical || []).map((r) => r.id)].filter(Boolean);
+    return {
+      patientId: pid,
+      level: snap.triage,
+      reasons: snap.triageReasons || [],
+      engine: snap.engine,
+      ruleVersion: snap.ruleVersion,
+      basis: [...new Set(ids)].map((id) => `Observation/${id}`),
+      missing: (snap.missing || []).map(missingLabel),
+      when: new Date().toISOString(),
+    };
   }
 
-  async function fetchConditions(patientId) {
-    const url = `${fhirBase}/Condition?patient=${encodeURIComponent(patientId)}&_sort=-recorded-date&_count=30`;
-    const data = await fetchJSON(url);
-    const cond = (data?.entry || []).map((e) => e.resource).filter(Boolean);
-    return cond;
+  // RiskAssessment first, so newly raised Flags can point at it; then the patient's active Flags are reconciled.
+  // The latest RiskAssessment on the server is read back first: if it records this same evaluation (e.g. written
+  // before a reload) no new one is created, and only the Flags are checked.
+  async function writeBackTriage(base, pid, snap) {
+    const evaluation = triageEvaluation(pid, snap);
+    const key = `${base}|${pid}`;
+    const signature = evaluationSignature(evaluation);
+    if (writeBackRef.current.written.get(key) === signature) return;
+
+    const put = (entry) => setWriteBackByPatient((prev) => ({ ...prev, [pid]: { ...prev[pid], base, ...entry } }));
+    put({ status: "writing" });
+    try {
+      const [latest] = bundleResources(await fetchJSON(`${base}/${latestRiskAssessmentSearch(pid)}`, { label: "RiskAssessment search" }));
+      const reused = isSameEvaluation(latest, evaluation);
+      const risk = reused ? latest : await saveResource(base, buildRiskAssessment(evaluation), { label: "RiskAssessment create" });
+      const flagSearch = `${base}/Flag?patient=${encodeURIComponent(pid)}&status=active&code=${encodeURIComponent(
+        `${TRIAGE_CODE_SYSTEM}|`
+      )}&_count=50`;
+      const active = bundleResources(await fetchJSON(flagSearch, { label: "Flag search" }));
+      const plan = planFlagChanges(active, evaluation, risk.id);
+      const saved = await Promise.all([...plan.resolve, ...plan.create].map((flag) => saveResource(base, flag)));
+      writeBackRef.current.written.set(key, signature);
+
+      const flags = [...plan.keep, ...saved.filter((f) => f.status === "active")].map((f) => ({ id: f.id, code: flagAlertCode(f) }));
+      put({
+        status: "ok",
+        at: reused ? risk.occurrenceDateTime : evaluation.when,
+        riskAssessmentId: risk.id,
+        ruleVersion: evaluation.ruleVersion,
+        flags,
+        error: null,
+      });
+      if (reused && !saved.length) return;
+      addAudit(
+        "Wrote triage back to FHIR",
+        `Patient/${pid} ${evaluation.level} (${evaluation.ruleVersion}) → RiskAssessment/${risk.id}${reused ? " (unchanged)" : ""}; ${
+          plan.create.length
+        } Flag(s) raised, ${plan.resolve.length} resolved`
+      );
+    } catch (e) {
+      put({ status: "error", at: evaluation.when, error: e.message || String(e) });
+      addAudit("Triage write-back failed", `Patient/${pid}: ${e.message || e}`);
+    }
   }
 
-  async function fetchMedicationRequests(patientId) {
-    const url = `${fhirBase}/MedicationRequest?patient=${encodeURIComponent(patientId)}&_sort=-authoredon&_count=30`;
-    const data = await fetchJSON(url);
-    const meds = (data?.entry || []).map((e) => e.resource).filter(Boolean);
-    return meds;
+  // Writes for one patient run one after another, so Flags are reconciled against the previous write's result.
+  function queueWriteBack(pid, snap) {
+    const base = fhirBase;
+    const key = `${base}|${pid}`;
+    const { queue } = writeBackRef.current;
+    const run = (queue.get(key) || Promise.resolve()).then(() => writeBackTriage(base, pid, snap));
+    queue.set(key, run);
+    run.finally(() => {
+      if (queue.get(key) === run) queue.delete(key);
+    });
   }
 
+  // While the option is on, every new triage evaluation is written back; unchanged ones are skipped.
+  useEffect(() => {
+    if (!writeBackEnabled) return;
+    for (const [pid, snap] of Object.entries(snapshotByPatient)) {
+      if (snap && isWritableEvaluation({ level: snap.triage })) queueWriteBack(pid, snap);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [snapshotByPatient, writeBackEnabled]);
+
+  function changeWriteBack(enabled) {
+    setWriteBackEnabled(enabled);
+    addAudit("Changed triage write-back", enabled ? "RiskAssessment + Flag write-back on" : "write-back off");
+  }
+
+  /* ---------- clinician triage override ---------- */
+  // `computedLevel` is the patient's current computed level; an override it has escalated past doesn't apply.
+  function overrideFor(pid, computedLevel) {
+    return activeOverride(overrides, fhirBase, pid, clock, computedLevel);
+  }
+
+  function openOverride(pid, computedLevel) {
+    const existing = overrideFor(pid, computedLevel);
+    setOverrideDraft({
+      patientId: pid,
+      computedLevel,
+      level: existing?.level || (computedLevel === "RED" ? "AMBER" : "RED"),
+      reason: existing?.reason || "",
+      expiry: "",
+    });
+  }
+
+  function applyOverride(draft) {
+    const prior = overrideFor(draft.patientId, draft.computedLevel)?.level || draft.computedLevel;
+    const o = overrideFromDraft(draft, { base: fhirBase, computedLevel: draft.computedLevel, by: auditActorRef.current });
+    setOverrides((prev) => [...prev.filter((x) => !(x.base === o.base && x.patientId === o.patientId)), o]);
+    setOverrideDraft(null);
+    addAudit(
+      "Overrode triage",
+      `Patient/${o.patientId} ${prior} → ${o.level} (computed ${o.computedLevel}); reason: ${o.reason}; ${
+        o.expiresAt ? `expires ${fmtDateTime(o.expiresAt)}` : "no expiry"
+      }`
+    );
+  }
+
+  // Also dismisses an override that was superseded by an escalation.
+  function removeOverride(pid, computedLevel) {
+    const o = overrides.find((x) => x.base === fhirBase && x.patientId === pid);
+    if (!o) return;
+    setOverrides((prev) => prev.filter((x) => !(x.base === fhirBase && x.patientId === pid)));
+    addAudit("Removed triage override", `Patient/${pid} ${o.level} → ${computedLevel} (computed); override reason was: ${o.reason}`);
+  }
+
+  useEffect(() => {
+    const t = setInterval(() => setClock(Date.now()), 60 * 1000);
+    return () => clearInterval(t);
+  }, []);
+
+  // Expired overrides stop applying; drop them and record it so the audit trail shows when the computed level returned.
+  useEffect(() => {
+    const expired = overrides.filter((o) => !isOverrideActive(o, clock));
+    if (!expired.length) return;
+    setOverrides((prev) => prev.filter((o) => isOverrideActive(o, clock)));
+    for (const o of expired) {
+      addAudit("Triage override expired", `Patient/${o.patientId} ${o.level} (set by ${o.by}) expired ${fmtDateTime(o.expiresAt)}`);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clock]);
+
   /* ---------- load selected patient full story ---------- */
   useEffect(() => {
     if (!selectedPatientId) return;
 
+    // Switching patient or server cancels whatever is still in flight for the previous one
+    // (unless the worklist is waiting on the same cached request).
+    const controller = new AbortController();
+
     (async () => {
+      const pid = selectedPatientId;
       try {
-        const pid = selectedPatientId;
-
-        // Load in parallel
-        const [v, enc, cond, meds] = await Promise.all([
-          fetchVitals(pid),
-          fetchEncounters(pid),
-          fetchConditions(pid),
-          fetchMedicationRequests(pid),
-        ]);
-
-        setObsByPatient((prev) => ({ ...prev, [pid]: v }));
-        setEncByPatient((prev) => ({ ...prev, [pid]: enc }));
-        setCondByPatient((prev) => ({ ...prev, [pid]: cond }));
-        setMedByPatient((prev) => ({ ...prev, [pid]: meds }));
-
-        addAudit("Loaded patient story data", `Patient/${pid} vitals+encounters+conditions+medications`);
-      } catch (e) {
-        // keep UI alive
+        const { strategy, errors } = await loadStories([pid], { signal: controller.signal });
+        addAudit(
+          "Loaded patient story data",
+          `Patient/${pid} vitals+encounters+conditions+medications via ${strategy}${
+            errors.length ? ` (${errors.length} failed)` : ""
+          }`
+        );
+      } catch {
+        // loadStories only rejects when cancelled
       }
     })();
+
+    return () => controller.abort();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedPatientId, fhirBase]);
 
@@ -503,60 +1662,21 @@ export default function App() {
   useEffect(() => {
     if (!patients?.length) return;
 
-    let cancelled = false;
+    const controller = new AbortController();
 
     (async () => {
-      // Build snapshots for visible list (limited concurrency)
+      // Fresh cache entries answer immediately; the rest load together (batched across patients when supported).
       const list = patients.map((p) => p.id).filter(Boolean);
-
-      await mapLimit(
-        list,
-        3,
-        async (pid) => {
-          if (cancelled) return;
-
-          // Don’t refetch if we already have a snapshot
-          if (snapshotByPatient[pid]) return;
-
-          try {
-            const [v, enc, cond, meds] = await Promise.all([
-              fetchVitals(pid),
-              fetchEncounters(pid),
-              fetchConditions(pid),
-              fetchMedicationRequests(pid),
-            ]);
-
-            const triage = computeTriage(v.latest, rules);
-            const missing = computeCompleteness(v.latest);
-            const lastEnc = enc?.[0]?.period?.start || enc?.[0]?.period?.end || enc?.[0]?.meta?.lastUpdated || null;
-
-            const snap = {
-              triage: triage.level,
-              triageReasons: triage.reasons,
-              missing,
-              lastEncounter: lastEnc,
-              counts: { conditions: (cond || []).length, meds: (meds || []).length, encounters: (enc || []).length },
-              vitalsLatest: v.latest,
-              vitalsWhen: v.when,
-              spark: v.spark,
-            };
-
-            setSnapshotByPatient((prev) => ({ ...prev, [pid]: snap }));
-          } catch (e) {
-            setSnapshotByPatient((prev) => ({
-              ...prev,
-              [pid]: { triage: "UNKNOWN", triageReasons: ["Unable to fetch preview."], missing: ["bpSys", "hr", "temp", "spo2"] },
-            }));
-          }
-        }
-      );
+      try {
+        await loadStories(list, { signal: controller.signal });
+      } catch {
+        // cancelled
+      }
     })();
 
-    return () => {
-      cancelled = true;
-    };
+    return () => controller.abort();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [patients, fhirBase]);
+  }, [patients, fhirBase, cacheTick]);
 
   /* ---------- derived: selected patient objects ---------- */
   const selectedPatient = useMemo(() => patients.find((p) => p.id === selectedPatientId) || null, [
@@ -567,127 +1687,302 @@ export default function App() {
   const selectedVitals = obsByPatient[selectedPatientId] || null;
   const selectedEnc = encByPatient[selectedPatientId] || [];
   const selectedCond = condByPatient[selectedPatientId] || [];
-  const selectedMeds = medByPatient[selectedPatientId] || [];
+  const selectedMedView = medByPatient[selectedPatientId] || null;
+  const selectedMeds = selectedMedView?.requests || [];
+
+  const selectedAllergies = useMemo(
+    () => (allergyByPatient[selectedPatientId] ? summariseAllergies(allergyByPatient[selectedPatientId]) : null),
+    [allergyByPatient, selectedPatientId]
+  );
+  const selectedAllergyConflicts = useMemo(
+    () => medicationAllergyConflicts(selectedAllergies, selectedMedView),
+    [selectedAllergies, selectedMedView]
+  );
+  const selectedInteractions = useMemo(() => medicationInteractions(selectedMedView), [selectedMedView]);
+
+  const selectedLabs = labsByPatient[selectedPatientId] || null;
+
+  // Problem list: null until the Condition search has come back.
+  const selectedProblems = useMemo(
+    () => (condByPatient[selectedPatientId] ? buildProblemList(condByPatient[selectedPatientId]) : null),
+    [condByPatient, selectedPatientId]
+  );
+
+  const selectedSpo2Scale = news2OptionsFor(selectedPatientId).spo2Scale;
 
   const selectedTriage = useMemo(() => {
     if (!selectedVitals) return { level: "UNKNOWN", reasons: ["Loading vitals…"] };
-    return computeTriage(selectedVitals.latest, rules);
-  }, [selectedVitals, rules]);
+    return withLabFindings(
+      computeTriage(selectedVitals.latest, rules, triageEngine, { spo2Scale: selectedSpo2Scale }),
+      selectedLabs?.critical
+    );
+  }, [selectedVitals, selectedLabs, rules, triageEngine, selectedSpo2Scale]);
 
-  const selectedMissing = useMemo(() => {
-    if (!selectedVitals) return ["bpSys", "hr", "temp", "spo2"];
-    return computeCompleteness(selectedVitals.latest);
-  }, [selectedVitals]);
+  // An override made against a lower computed level stops applying once the computed level rises above it; mark it
+  // superseded (it stays listed, flagged, until dismissed or replaced) and record it in the audit trail.
+  useEffect(() => {
+    const computedFor = (pid) => (pid === selectedPatientId ? selectedTriage.level : snapshotByPatient[pid]?.triage);
+    const escalated = overrides.filter(
+      (o) => o.base === fhirBase && !o.supersededAt && isOverrideActive(o, clock) && isOverrideEscalated(o, computedFor(o.patientId))
+    );
+    if (!escalated.length) return;
+    const marked = escalated.map((o) => supersedeOverride(o, computedFor(o.patientId)));
+    setOverrides((prev) => prev.map((o) => marked.find((m) => m.base === o.base && m.patientId === o.patientId && m.at === o.at) || o));
+    for (const o of marked) addAudit("Triage override superseded", `Patient/${o.patientId} ${describeSuperseded(o, fmtDateTime)}`);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [overrides, fhirBase, selectedPatientId, selectedTriage, snapshotByPatient, clock]);
+
+  const selectedCompleteness = useMemo(() => {
+    if (!selectedVitals) return COMPLETENESS_VITALS.map((key) => ({ key, status: "absent", when: null, ageHours: null }));
+    return computeCompleteness(selectedVitals, rules.completenessHours);
+  }, [selectedVitals, rules.completenessHours]);
+
+  const selectedMissing = useMemo(() => missingFrom(selectedCompleteness), [selectedCompleteness]);
+
+  // Vitals, Conditions and MedicationRequests matched to Encounters; `clock` keeps "now" current for open encounters.
+  const selectedEpisodes = useMemo(
+    () =>
+      validateEpisodes({
+        encounters: selectedEnc,
+        vitals: selectedVitals?.readings || [],
+        conditions: selectedCond,
+        medications: selectedMeds,
+        birthDate: selectedPatient?.birthDate || null,
+        vitalsSince: vitalsCoveredSince(selectedVitals, clock),
+        encountersComplete: selectedEnc.length < ENCOUNTER_COUNT,
+        now: clock,
+      }),
+    [selectedEnc, selectedVitals, selectedCond, selectedMeds, selectedPatient, clock]
+  );
 
-  /* ---------- story timeline (Encounter + Condition + MedicationRequest + key Observations summary) ---------- */
+  /* ---------- story timeline (every Encounter, Condition, medication, allergy, vitals Observation and lab panel) ---------- */
   const storyItems = useMemo(() => {
     const items = [];
+    const place = (ref, resource, when) => timelineEncounter(selectedEpisodes, ref, resource, when);
 
-    // Encounters
+    // Encounters, flagged when the episode check found a problem with them
     for (const e of selectedEnc || []) {
-      const when = e?.period?.start || e?.period?.end || e?.meta?.lastUpdated;
+      const ref = `Encounter/${e.id}`;
+      const issues = selectedEpisodes.issues.filter((i) => i.ref === ref).map((i) => i.text);
       items.push({
         id: `enc-${e.id}`,
+        encounterId: e.id,
         kind: "Encounter",
+        category: "encounters",
         title: firstCodingDisplay(e?.type?.[0]) || "Encounter",
-        when,
-        triage: "GREEN",
-        why: ["Episode of care anchor used to group events (demo)."],
+        when: e?.period?.start || e?.period?.end || e?.meta?.lastUpdated,
+        triage: issues.length ? "AMBER" : "GREEN",
+        why: issues.length ? issues : ["Episode of care anchor used to group events (demo)."],
+        refs: [ref],
+        resources: [e],
       });
     }
 
-    // Conditions
+    // Conditions, each by its own status (refuted and entered-in-error ones are left off the timeline)
     for (const c of selectedCond || []) {
+      const group = problemGroup(c);
+      if (group === "excluded") continue;
+      const ref = `Condition/${c.id}`;
       const when = c?.recordedDate || c?.onsetDateTime || c?.meta?.lastUpdated;
       const title = firstCodingDisplay(c?.code) || "Condition";
       items.push({
         id: `cond-${c.id}`,
+        encounterId: place(ref, c, when),
         kind: "Condition",
-        title,
+        category: "conditions",
+        title: group === "active" ? title : `${title} (${group === "inactive" ? "inactive / resolved" : "unconfirmed"})`,
         when,
-        triage: "AMBER",
-        why: ["Active conditions contribute to clinical context (demo)."],
+        triage: group === "active" ? "AMBER" : "GREEN",
+        why: [
+          group === "active"
+            ? "Active, confirmed conditions contribute to clinical context (demo)."
+            : "Inactive or unconfirmed conditions are shown for history only.",
+        ],
+        refs: [ref],
+        resources: [c],
       });
     }
 
-    // MedicationRequest
-    for (const m of selectedMeds || []) {
-      const when = m?.authoredOn || m?.meta?.lastUpdated;
-      const title = firstCodingDisplay(m?.medicationCodeableConcept) || "Medication request";
+    // Medication: orders are flagged by the allergy and interaction checks; statements and administrations are history
+    const rawMeds = new Map((selectedMedView?.resources || []).map((r) => [`${r.resourceType}/${r.id}`, r]));
+    for (const m of selectedMedView?.orders || []) {
+      const flags = [
+        ...selectedAllergyConflicts
+          .filter((c) => c.medication.ref === m.ref)
+          .map((c) => ({ level: c.high ? "RED" : "AMBER", text: `Allergy conflict: ${c.text}.` })),
+        ...selectedInteractions.interactions
+          .filter((x) => x.a.ref === m.ref || x.b.ref === m.ref)
+          .map((x) => ({ level: SEVERE_INTERACTIONS.includes(x.severity) ? "RED" : "AMBER", text: interactionText(x) })),
+      ];
       items.push({
         id: `med-${m.id}`,
+        encounterId: place(m.ref, rawMeds.get(m.ref), m.when),
         kind: "MedicationRequest",
-        title,
-        when,
+        category: "medications",
+        title: m.current ? m.medication.display : `${m.medication.display} (${m.intent}, ${m.status})`,
+        when: m.when,
+        triage: worstTriage(flags.map((f) => f.level)),
+        why: [
+          ...flags.map((f) => f.text),
+          ...m.dosage,
+          m.current ? "Current medication order." : "Not a current order; shown for history only.",
+        ],
+        refs: [m.ref],
+        resources: [rawMeds.get(m.ref), rawMeds.get(m.medication.reference)].filter(Boolean),
+      });
+    }
+    for (const row of [...(selectedMedView?.statements || []), ...(selectedMedView?.administrations || [])]) {
+      const statement = row.ref.startsWith("MedicationStatement/");
+      items.push({
+        id: `med-${row.ref}`,
+        encounterId: place(row.ref, rawMeds.get(row.ref), row.when),
+        kind: statement ? "MedicationStatement" : "MedicationAdministration",
+        category: "medications",
+        title: `${row.medication.display} (${statement ? "reported" : "given"}, ${row.status})`,
+        when: row.when,
         triage: "GREEN",
-        why: ["Current medication requests add to the longitudinal story (demo)."],
+        why: [
+          ...row.dosage,
+          statement
+            ? `Patient-reported medication${row.source ? ` (source: ${row.source})` : ""}.`
+            : `Administration${row.performer ? ` by ${row.performer}` : ""}.`,
+        ],
+        refs: [row.ref],
+        resources: [rawMeds.get(row.ref)].filter(Boolean),
       });
     }
 
-    // Vital summary entry
-    if (selectedVitals?.latest) {
-      const when =
-        selectedVitals.when.bpSys ||
-        selectedVitals.when.hr ||
-        selectedVitals.when.temp ||
-        selectedVitals.when.spo2 ||
-        null;
-
-      const tri = computeTriage(selectedVitals.latest, rules);
-      const parts = [];
-      if (typeof selectedVitals.latest.bpSys === "number" && typeof selectedVitals.latest.bpDia === "number")
-        parts.push(`BP ${selectedVitals.latest.bpSys}/${selectedVitals.latest.bpDia} mmHg`);
-      if (typeof selectedVitals.latest.hr === "number") parts.push(`HR ${selectedVitals.latest.hr} bpm`);
-      if (typeof selectedVitals.latest.temp === "number") parts.push(`Temp ${selectedVitals.latest.temp} °C`);
-      if (typeof selectedVitals.latest.spo2 === "number") parts.push(`SpO₂ ${selectedVitals.latest.spo2}%`);
+    // Allergies, flagged when they conflict with an active order
+    const rawAllergies = allergyByPatient[selectedPatientId] || [];
+    for (const a of selectedAllergies || []) {
+      const conflicts = selectedAllergyConflicts.filter((c) => c.allergy.id === a.id);
+      const reactions = a.reactions.flatMap((r) => r.manifestations);
+      items.push({
+        id: `allergy-${a.id}`,
+        encounterId: null,
+        kind: "AllergyIntolerance",
+        category: "allergies",
+        title: `${a.substance} ${a.type === "intolerance" ? "intolerance" : "allergy"}${a.active ? "" : " (inactive)"}`,
+        when: a.recorded || a.onset,
+        triage: worstTriage(conflicts.map((c) => (c.high ? "RED" : "AMBER"))),
+        why: [
+          ...conflicts.map((c) => `Conflicts with an active order: ${c.text}.`),
+          `${a.criticalityLabel}${reactions.length ? `; reaction: ${reactions.join(", ")}` : ""}.`,
+        ],
+        refs: [a.ref],
+        resources: rawAllergies.filter((r) => r.id === a.id),
+      });
+    }
 
+    // Laboratory panels (DiagnosticReports / panel Observations)
+    for (const panel of selectedLabs?.panels || []) {
+      const flagged = panel.results.filter((r) => r.reportable && (r.critical || isAbnormalFlag(r.flag)));
+      const resultRefs = panel.results.map((r) => `Observation/${r.id}`);
       items.push({
-        id: `vitals-latest`,
+        id: `lab-${panel.id}`,
+        encounterId: encounterAt(selectedEpisodes.windows, panel.when)?.id || null,
+        kind: panel.source,
+        category: "labs",
+        title: panel.title,
+        when: panel.when,
+        triage: flagged.some((r) => r.critical) ? "RED" : flagged.length ? "AMBER" : "GREEN",
+        why: [
+          ...(flagged.length
+            ? flagged.map((r) => `${r.critical ? "Critical" : "Abnormal"}: ${describeLabResult(r)}.`)
+            : ["All results within reference range."]),
+          ...panel.results
+            .filter((r) => !r.reportable)
+            .map((r) => `Not flagged (status ${r.status || "missing"}): ${describeLabResult(r)}.`),
+        ],
+        refs: panel.id === "other" ? resultRefs : [panel.id, ...resultRefs],
+        resources: panel.resources,
+      });
+    }
+
+    // Vitals: one item per Observation, triaged on what that Observation recorded
+    for (const o of selectedVitals?.observations || []) {
+      const ref = `Observation/${o.id}`;
+      const tri = Object.keys(o.values).length
+        ? computeTriage(o.values, rules, triageEngine, { spo2Scale: selectedSpo2Scale })
+        : null;
+      const parts = vitalsParts(o.values, o.originals);
+      items.push({
+        id: `obs-${o.id}`,
+        encounterId: place(ref, o.resource, o.when),
         kind: "Observation",
-        title: parts.length ? parts.join(" · ") : "Latest vitals",
-        when,
-        triage: tri.level,
-        why: tri.reasons,
+        category: "vitals",
+        title: parts.length ? parts.join(" · ") : "Vital signs (unit not recognised)",
+        when: o.when,
+        triage: tri ? tri.level : "UNKNOWN",
+        why: [
+          ...(tri ? tri.reasons : []),
+          ...o.unitIssues.map(unitIssueText),
+          ...(tri ? ["Triage computed from this Observation alone."] : []),
+        ],
+        news2: tri?.news2 || null,
+        refs: [ref],
+        resources: [o.resource],
       });
     }
 
     // Sort newest first
     items.sort((a, b) => (new Date(b.when || 0)).getTime() - (new Date(a.when || 0)).getTime());
-    return items.slice(0, 14);
-  }, [selectedEnc, selectedCond, selectedMeds, selectedVitals, rules]);
+    return items;
+  }, [
+    selectedEnc,
+    selectedCond,
+    selectedMedView,
+    selectedAllergies,
+    selectedAllergyConflicts,
+    selectedInteractions,
+    allergyByPatient,
+    selectedPatientId,
+    selectedVitals,
+    selectedLabs,
+    selectedEpisodes,
+    rules,
+    triageEngine,
+    selectedSpo2Scale,
+  ]);
 
   /* ---------- Worklist KPIs ---------- */
+  // A clinician override replaces the computed level for counting, filtering and sorting.
   const worklistStats = useMemo(() => {
-    const snaps = patients
-      .map((p) => snapshotByPatient[p.id])
-      .filter(Boolean);
-
     const counts = { RED: 0, AMBER: 0, GREEN: 0, UNKNOWN: 0, MISSING: 0 };
-    for (const s of snaps) {
-      const t = s?.triage || "UNKNOWN";
+    for (const p of patients) {
+      const s = snapshotByPatient[p.id];
+      if (!s) continue;
+      const t = activeOverride(overrides, fhirBase, p.id, clock, s.triage)?.level || s.triage || "UNKNOWN";
       counts[t] = (counts[t] || 0) + 1;
       if (Array.isArray(s?.missing) && s.missing.length) counts.MISSING += 1;
     }
     return counts;
-  }, [patients, snapshotByPatient]);
+  }, [patients, snapshotByPatient, overrides, fhirBase, clock]);
 
   const filteredWorklist = useMemo(() => {
     const list = patients.map((p) => {
       const snap = snapshotByPatient[p.id] || null;
-      return { p, snap };
+      const override = activeOverride(overrides, fhirBase, p.id, clock, snap?.triage);
+      return { p, snap, override, level: override?.level || snap?.triage || "UNKNOWN" };
     });
 
-    const filtered = list.filter(({ snap }) => {
+    const filtered = list.filter(({ snap, level }) => {
       if (worklistFilter === "ALL") return true;
       if (worklistFilter === "MISSING") return (snap?.missing || []).length > 0;
-      return (snap?.triage || "UNKNOWN") === worklistFilter;
+      return level === worklistFilter;
     });
 
-    const score = (snap) => {
-      const order = { RED: 3, AMBER: 2, GREEN: 1, UNKNOWN: 0 };
-      const base = order[snap?.triage || "UNKNOWN"] || 0;
+    const score = ({ snap, override, level }) => {
       const miss = (snap?.missing || []).length ? 0.2 : 0;
-      return base + miss;
+      // NEWS2: aggregate score first, single-parameter 3 breaks ties; snapshots without a score sort last.
+      // An override ranks like the NEWS2 band it asserts (high ≥ 7, medium ≥ 5).
+      if (triageEngine === "NEWS2") {
+        if (override) return { RED: 7, AMBER: 5, GREEN: 0 }[level] + miss;
+        if (!snap?.news2) return -1;
+        return snap.news2.total + (snap.news2.singleParam3 ? 0.5 : 0) + miss;
+      }
+      const order = { RED: 3, AMBER: 2, GREEN: 1, UNKNOWN: 0 };
+      return (order[level] || 0) + miss;
     };
 
     filtered.sort((a, b) => {
@@ -698,73 +1993,211 @@ export default function App() {
         return bd - ad;
       }
       // default RISK
-      return score(b.snap) - score(a.snap);
+      return score(b) - score(a);
     });
 
     return filtered;
-  }, [patients, snapshotByPatient, worklistFilter, sortMode]);
+  }, [patients, snapshotByPatient, worklistFilter, sortMode, triageEngine, overrides, fhirBase, clock]);
+
+  /* ---------- AI summary note (pluggable provider, see summaryProviders.js) ---------- */
+  // Facts for the selected patient, each with the reference it came from. No name or identifiers:
+  // those go into the note header locally and are never handed to a provider.
+  function summaryContext() {
+    const pid = selectedPatientId;
+    const tri = selectedTriage;
+    const override = overrideFor(pid, tri.level);
+    const sources = selectedVitals?.sources || {};
+    const obsRef = (id) => `Observation/${id}`;
+    const labFact = (r) => ({ ref: obsRef(r.id), text: describeLabResult(r) });
+    return {
+      patient: { ref: `Patient/${pid}`, gender: getPatientGender(selectedPatient), birthDate: selectedPatient?.birthDate || null },
+      triage: {
+        level: override?.level || tri.level,
+        computedLevel: tri.level,
+        engineLabel: tri.news2 ? "NEWS2" : `rule set ${modelVersion}`,
+        ruleVersion: modelVersion,
+        override: override ? describeOverride(override, fmtDateTime) : null,
+        reasons: tri.reasons || [],
+        refs: [...new Set([...Object.values(sources).filter(Boolean).map(obsRef), ...(selectedLabs?.critical || []).map((r) => obsRef(r.id))])],
+        news2: tri.news2
+          ? {
+              total: tri.news2.total,
+              lines: tri.news2.subscores.map(
+                (sub) => `${sub.label}: ${sub.display} → ${sub.score === null ? "not scored" : sub.score}${sub.note ? ` (${sub.note})` : ""}`
+              ),
+            }
+          : null,
+      },
+      vitals: selectedVitals
+        ? latestVitalsFacts(selectedVitals).map((f) => ({ ref: sources[f.key] ? obsRef(sources[f.key]) : null, text: f.text }))
+        : [],
+      unitIssues: (selectedVitals?.unitIssues || []).map(unitIssueText),
+      labs: selectedLabs
+        ? {
+            count: selectedLabs.count,
+            critical: selectedLabs.critical.map(labFact),
+            abnormal: selectedLabs.abnormal.map(labFact),
+            reports: selectedLabs.panels.filter((pn) => pn.source === "DiagnosticReport").map((pn) => `DiagnosticReport/${pn.id}`),
+          }
+        : null,
+      episodeCheck: {
+        ok: selectedEpisodes.ok,
+        lines: episodeSummaryLines(selectedEpisodes, fmtDateTime),
+        issues: selectedEpisodes.issues.map((i) => ({ ref: i.ref, text: i.text })),
+      },
+      encounters: (selectedEnc || []).map((e) => ({
+        ref: `Encounter/${e.id}`,
+        text: firstCodingDisplay(e?.type?.[0]) || "Encounter",
+        when: fmtDateTime(e?.period?.start || e?.meta?.lastUpdated || null),
+      })),
+      completeness: {
+        hours: rules.completenessHours,
+        missing: selectedCompleteness.filter((c) => c.status !== "present").map(completenessLabel),
+        present: selectedCompleteness
+          .filter((c) => c.status === "present")
+          .map((c) => ({ ref: sources[c.key] ? obsRef(sources[c.key]) : null, text: completenessLabel(c) })),
+      },
+      // Only active, confirmed problems; resolved, unconfirmed and refuted ones stay out of the note.
+      conditions: (selectedProblems?.active || []).map((p) => ({
+        ref: p.ref,
+        text: p.severity ? `${p.display} (${p.severity.toLowerCase()})` : p.display,
+      })),
+      // What the patient is taking: active orders, active statements and recent administrations, one per medication.
+      medications: (selectedMedView?.current || []).map((c) => ({
+        ref: c.refs[0],
+        text: c.dosage.length ? `${c.display} (${c.dosage.join("; ")})` : c.display,
+      })),
+      allergies: {
+        loaded: Boolean(selectedAllergies),
+        recorded: (selectedAllergies || [])
+          .filter((a) => a.active)
+          .map((a) => {
+            const reactions = a.reactions.flatMap((r) => r.manifestations);
+            const details = [a.criticalityLabel.toLowerCase(), ...(reactions.length ? [`reaction: ${reactions.join(", ")}`] : [])];
+            return { ref: a.ref, text: `${a.substance} (${details.join("; ")})` };
+          }),
+        conflicts: selectedAllergyConflicts.map((c) => ({ ref: c.allergy.ref, medicationRef: c.medication.ref, text: c.text })),
+      },
+      interactions: {
+        loaded: Boolean(selectedMedView),
+        checked: selectedInteractions.checked,
+        unmatched: selectedInteractions.unmatched,
+        pairs: selectedInteractions.interactions.map((x) => ({
+          ref: x.a.ref,
+          otherRef: x.b.ref,
+          severity: x.severity,
+          text: interactionText(x),
+        })),
+      },
+    };
+  }
 
-  /* ---------- AI summary note (demo “AI heavy”) ---------- */
   async function generateAiSummary() {
     if (!selectedPatientId) return;
+    const name = getPatientDisplayName(selectedPatient);
+    const pid = selectedPatientId;
+    const provider = providerFromConfig(summaryProvider, summaryApiKey);
     setAiBusy(true);
+    setAiError("");
     try {
-      // This is a demo “AI note” generator (rule-driven).
-      // In the next upgrade we swap this for an actual model + governance service.
-      const name = getPatientDisplayName(selectedPatient);
-      const pid = selectedPatientId;
-
-      const tri = selectedTriage;
-      const miss = selectedMissing;
-
-      const lastEnc = selectedEnc?.[0]?.period?.start || selectedEnc?.[0]?.meta?.lastUpdated || null;
-
-      const noteLines = [];
-      noteLines.push(`AI clinical assistant note (demo)`);
-      noteLines.push(`Patient: ${name} (Patient/${pid})`);
-      noteLines.push(`Generated: ${fmtDateTime(new Date().toISOString())}`);
-      noteLines.push("");
-      noteLines.push(`Triage: ${tri.level}`);
-      for (const r of tri.reasons) noteLines.push(`- ${r}`);
-      noteLines.push("");
-
-      noteLines.push(`Episode-of-care (Encounter) check (demo):`);
-      noteLines.push(`- Most recent encounter: ${fmtDateTime(lastEnc)}`);
-      noteLines.push(`- Validation: timestamps are within the same care window: DEMO CHECK (upgrade to real episode logic).`);
-      noteLines.push("");
-
-      noteLines.push(`Data completeness check (last ${rules.completenessHours} hours):`);
-      if (miss.length === 0) {
-        noteLines.push(`- Complete: all key vitals present.`);
-      } else {
-        noteLines.push(`- Missing: ${miss.map(missingLabel).join(", ")}.`);
-        noteLines.push(`- Action: trigger “data completeness” flag for clinical review.`);
+      const context = summaryContext();
+      const result = await provider.summarise(context);
+      // Checked against what the provider actually sent, so a citation to a fact capped out of the prompt fails.
+      const { sections, problems } = checkCitations(result.sections, result.context);
+      if (problems.length) {
+        sections.push({ key: "citation-check", title: "Citation check (references removed)", lines: problems.map((t) => `- ${t}`), refs: [] });
       }
-      noteLines.push("");
-
-      noteLines.push(`Top active problems (Conditions) (demo):`);
-      if (!selectedCond?.length) noteLines.push(`- None returned by server.`);
-      else selectedCond.slice(0, 5).forEach((c) => noteLines.push(`- ${firstCodingDisplay(c?.code)}`));
-      noteLines.push("");
-
-      noteLines.push(`Current medications (MedicationRequest) (demo):`);
-      if (!selectedMeds?.length) noteLines.push(`- None returned by server.`);
-      else selectedMeds.slice(0, 5).forEach((m) => noteLines.push(`- ${firstCodingDisplay(m?.medicationCodeableConcept)}`));
-      noteLines.push("");
 
-      noteLines.push(`AI next actions (demo):`);
-      noteLines.push(`- Validate timestamps align to an episode of care (Encounter).`);
-      noteLines.push(`- Check missing vitals and raise a data completeness flag.`);
-      noteLines.push(`- Surface Conditions + MedicationRequests in one timeline view.`);
-      noteLines.push(`- Provide rule-based triage suggestions and export this note to PDF (Portable Document Format).`);
+      const generatedIso = new Date().toISOString();
+      const generatedAt = fmtDateTime(generatedIso);
+      const model = { ...result.model, provider: provider.kind };
+      const noteLines = [
+        `AI clinical assistant note (demo)`,
+        `Patient: ${name} (Patient/${pid})`,
+        `Generated: ${generatedAt} by ${model.name} ${model.version}`,
+      ];
+      for (const section of sections) noteLines.push("", `${section.title}:`, ...section.lines);
 
       setAiNote(noteLines.join("\n"));
-      addAudit("Generated AI note", `Patient/${pid} triage ${tri.level}`);
+      setNoteFiling(null);
+      setAiNoteData({
+        meta: {
+          patientName: name,
+          patientId: pid,
+          identifier: getPatientIdentifier(selectedPatient),
+          birthDate: getPatientDOB(selectedPatient),
+          gender: getPatientGender(selectedPatient),
+          ruleVersion: modelVersion,
+          engine: context.triage.news2 ? "NEWS2" : "THRESHOLDS",
+          model,
+          generatedAt,
+          generatedIso,
+          author: auditActorRef.current,
+        },
+        sections,
+      });
+      addAudit(
+        "Generated AI note",
+        `Patient/${pid} triage ${context.triage.level} (${modelVersion}); model ${model.name} ${model.version}${
+          problems.length ? `; ${problems.length} citation problem(s) removed` : "; citations verified"
+        }`
+      );
+    } catch (e) {
+      setAiError(e.message || String(e));
+      addAudit("AI note generation failed", `Patient/${pid} via ${provider.label}: ${e.message || e}`);
     } finally {
       setAiBusy(false);
     }
   }
 
+  function changeSummaryProvider(config, apiKey) {
+    const prev = providerFromConfig(summaryProvider, summaryApiKey);
+    setSummaryProvider(config);
+    setSummaryApiKey(apiKey);
+    addAudit("Changed AI summary provider", `${prev.label} → ${providerFromConfig(config, apiKey).label}`);
+  }
+
+  /* ---------- AI note as a FHIR document ---------- */
+  // Includes the referenced resources loaded for the patient (vitals, labs and allergies too), so the document's
+  // section references resolve inside it.
+  function noteDocumentBundle(note) {
+    const pid = note.meta.patientId;
+    const resources = noteSourceResources({
+      patient: patients.find((p) => p.id === pid),
+      encounters: encByPatient[pid],
+      conditions: condByPatient[pid],
+      medications: medByPatient[pid],
+      vitals: obsByPatient[pid],
+      labs: labsByPatient[pid],
+      allergies: allergyByPatient[pid],
+    });
+    return buildNoteDocumentBundle(buildNoteComposition(note), { base: fhirBase, resources });
+  }
+
+  function downloadNoteDocument() {
+    const bundle = noteDocumentBundle(aiNoteData);
+    const pid = aiNoteData.meta.patientId;
+    downloadText(`AI_note_${pid}.json`, JSON.stringify(bundle, null, 2), "application/fhir+json");
+    addAudit("Exported AI note as FHIR document", `Patient/${pid} Composition/${bundle.entry[0].resource.id} (${bundle.entry.length} entries)`);
+  }
+
+  async function fileNoteDocumentReference() {
+    const note = aiNoteData;
+    const pid = note.meta.patientId;
+    const bundle = noteDocumentBundle(note);
+    const filename = `AI_note_${pid}.pdf`;
+    setNoteFiling({ status: "filing" });
+    try {
+      const docRef = buildNoteDocumentReference(bundle, notePdfBase64(aiNote, note.meta), filename);
+      const saved = await saveResource(fhirBase, docRef, { label: "DocumentReference create" });
+      setNoteFiling({ status: "done", id: saved.id });
+      addAudit("Filed AI note as DocumentReference", `Patient/${pid} DocumentReference/${saved.id} on ${fhirBase}`);
+    } catch (e) {
+      setNoteFiling({ status: "error", error: e.message || String(e) });
+      addAudit("AI note filing failed", `Patient/${pid}: ${e.message || e}`);
+    }
+  }
+
   /* ---------- UI components ---------- */
   function TriagePill({ level }) {
     const cls =
@@ -779,9 +2212,20 @@ export default function App() {
     const gender = getPatientGender(p);
     const dob = getPatientDOB(p);
 
-    const tri = snap?.triage || "UNKNOWN";
+    const computed = snap?.triage || "UNKNOWN";
+    const override = overrideFor(p.id, computed);
+    const superseded = override ? null : supersededOverride(overrides, fhirBase, p.id, clock);
+    const tri = override?.level || computed;
     const missing = snap?.missing || [];
     const lastEnc = snap?.lastEncounter || null;
+    const staleNote = (k) => {
+      const c = (snap?.completeness || []).find((x) => x.key === k);
+      return c?.status === "stale" || c?.status === "future" ? <span className="miniStale"> · {fmtAge(c.ageHours)}</span> : null;
+    };
+    const originalNote = (k) => {
+      const o = snap?.vitalsOriginals?.[k];
+      return o ? <div className="miniOrig">recorded {formatOriginal(o)}</div> : null;
+    };
 
     return (
       <div
@@ -799,7 +2243,36 @@ export default function App() {
             <div className="wName">{name}</div>
             <div className="wBadges">
               <TriagePill level={tri} />
-              {missing.length > 0 ? <span className="flagMissing">Missing data</span> : <span className="flagOk">Complete</span>}
+              {override ? (
+                <span className="overrideBadge" title={describeOverride(override, fmtDateTime)}>
+                  Override · computed {computed}
+                </span>
+              ) : null}
+              {superseded ? (
+                <span className="overrideBadge overrideSuperseded" title={describeSuperseded(superseded, fmtDateTime)}>
+                  Override withdrawn · now {computed}
+                </span>
+              ) : null}
+              {snap?.allergyConflicts?.length ? (
+                <span className="allergyBadge" title={snap.allergyConflicts.map((c) => c.text).join("\n")}>
+                  Allergy conflict{snap.allergyConflicts.length > 1 ? ` × ${snap.allergyConflicts.length}` : ""}
+                </span>
+              ) : null}
+              {snap?.news2 ? (
+                <span className={`news2Badge ${snap.news2.singleParam3 ? "news2Badge3" : ""}`} title={news2Breakdown(snap.news2)}>
+                  NEWS2 {snap.news2.total}
+                </span>
+              ) : null}
+              {missing.length > 0 ? (
+                <span
+                  className="flagMissing"
+                  title={(snap?.completeness || []).filter((c) => c.status !== "present").map(completenessLabel).join(", ")}
+                >
+                  Missing data
+                </span>
+              ) : (
+                <span className="flagOk">Complete</span>
+              )}
             </div>
           </div>
 
@@ -809,52 +2282,132 @@ export default function App() {
             <span className="wMeta">{gender}</span>
             <span className="wDot">•</span>
             <span className="wMeta">{dob}</span>
+            {snap?.ruleVersion ? (
+              <>
+                <span className="wDot">•</span>
+                <span className="wMeta" title="Rule set version that produced this triage">{snap.ruleVersion}</span>
+              </>
+            ) : null}
+            {computed !== "UNKNOWN" ? (
+              <>
+                <span className="wDot">•</span>
+                <button
+                  className="overrideLink"
+                  type="button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    openOverride(p.id, computed);
+                  }}
+                >
+                  {override ? "Edit override" : "Override…"}
+                </button>
+              </>
+            ) : null}
           </div>
 
+          {snap?.errors?.length ? (
+            <div className="wErrors">
+              {snap.errors.map((msg) => (
+                <div key={msg}>⚠ {msg}</div>
+              ))}
+            </div>
+          ) : null}
+
+          {snap?.unitIssues?.length ? (
+            <div className="wErrors">
+              {snap.unitIssues.map((u) => (
+                <div key={u.key}>⚠ {unitIssueText(u)}</div>
+              ))}
+            </div>
+          ) : null}
+
+          {snap?.labCritical?.length ? (
+            <div className="wErrors">
+              {snap.labCritical.map((r) => (
+                <div key={r.id}>⚠ Critical lab: {describeLabResult(r)}</div>
+              ))}
+            </div>
+          ) : null}
+
+          {snap?.news2 ? (
+            <div className="news2Line">
+              {news2Breakdown(snap.news2)}
+              {snap.news2.singleParam3 ? " · single parameter scored 3" : ""}
+              {snap.news2.missing.length ? ` · ${snap.news2.missing.length} not scored` : ""}
+            </div>
+          ) : null}
+
           <div className="wMiniGrid">
             <div className="miniCell">
-              <div className="miniLabel">Blood pressure</div>
+              <div className="miniLabel">Blood pressure{staleNote("bpSys")}</div>
               <div className="miniVal">
                 {typeof snap?.vitalsLatest?.bpSys === "number" ? `${snap.vitalsLatest.bpSys}/${safe(snap.vitalsLatest.bpDia, "—")}` : "—"}
                 <span className="miniUnit"> mmHg</span>
               </div>
+              {originalNote("bpSys")}
               <div className="miniSpark">
                 <Sparkline values={snap?.spark?.bpSys || []} />
               </div>
             </div>
 
             <div className="miniCell">
-              <div className="miniLabel">Heart rate</div>
+              <div className="miniLabel">Heart rate{staleNote("hr")}</div>
               <div className="miniVal">
                 {typeof snap?.vitalsLatest?.hr === "number" ? snap.vitalsLatest.hr : "—"}
                 <span className="miniUnit"> bpm</span>
               </div>
+              {originalNote("hr")}
               <div className="miniSpark">
                 <Sparkline values={snap?.spark?.hr || []} />
               </div>
             </div>
 
             <div className="miniCell">
-              <div className="miniLabel">Temperature</div>
+              <div className="miniLabel">Temperature{staleNote("temp")}</div>
               <div className="miniVal">
                 {typeof snap?.vitalsLatest?.temp === "number" ? snap.vitalsLatest.temp : "—"}
                 <span className="miniUnit"> °C</span>
               </div>
+              {originalNote("temp")}
               <div className="miniSpark">
                 <Sparkline values={snap?.spark?.temp || []} />
               </div>
             </div>
 
             <div className="miniCell">
-              <div className="miniLabel">Oxygen saturation</div>
+              <div className="miniLabel">Oxygen saturation{staleNote("spo2")}</div>
               <div className="miniVal">
                 {typeof snap?.vitalsLatest?.spo2 === "number" ? snap.vitalsLatest.spo2 : "—"}
                 <span className="miniUnit"> %</span>
               </div>
+              {originalNote("spo2")}
               <div className="miniSpark">
                 <Sparkline values={snap?.spark?.spo2 || []} />
               </div>
             </div>
+
+            <div className="miniCell">
+              <div className="miniLabel">Respiratory rate</div>
+              <div className="miniVal">
+                {typeof snap?.vitalsLatest?.rr === "number" ? snap.vitalsLatest.rr : "—"}
+                <span className="miniUnit"> /min</span>
+              </div>
+              {originalNote("rr")}
+              <div className="miniSpark">
+                <Sparkline values={snap?.spark?.rr || []} />
+              </div>
+            </div>
+
+            <div className="miniCell">
+              <div className="miniLabel">Consciousness · O₂</div>
+              <div className="miniVal">
+                {safe(snap?.vitalsLatest?.acvpu, "—")}
+                <span className="miniUnit">
+                  {" "}
+                  {snap?.vitalsLatest?.onOxygen === true ? "on oxygen" : snap?.vitalsLatest?.onOxygen === false ? "room air" : "O₂ not recorded"}
+                </span>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -893,6 +2446,9 @@ export default function App() {
     const pid = p.id;
     const tri = selectedTriage;
     const miss = selectedMissing;
+    const writeBack = writeBackByPatient[pid]?.base === fhirBase ? writeBackByPatient[pid] : null;
+    const override = overrideFor(pid, tri.level);
+    const superseded = override ? null : supersededOverride(overrides, fhirBase, pid, clock);
 
     return (
       <div className="card cardPad">
@@ -900,8 +2456,24 @@ export default function App() {
           <div className="sectionTitle">Patient details</div>
           <div className="detailsName">{name}</div>
           <div className="subtle">Patient/{pid}</div>
+          <div className="detailsRefresh">
+            <span className="subtle">
+              {snapshotByPatient[pid]?.refreshedAt ? `Data as of ${fmtDateTime(new Date(snapshotByPatient[pid].refreshedAt).toISOString())}` : "Loading…"}
+            </span>
+            <button className="aiBtnGhost" onClick={() => refreshPatientData([pid])} disabled={refreshing}>
+              {refreshing ? "Refreshing…" : "Refresh"}
+            </button>
+          </div>
         </div>
 
+        {(loadErrorsByPatient[pid] || []).length ? (
+          <div className="errorBox">
+            {loadErrorsByPatient[pid].map((msg) => (
+              <div key={msg}>{msg}</div>
+            ))}
+          </div>
+        ) : null}
+
         <div className="kvRow">
           <div className="kv"><span>Gender</span>{getPatientGender(p)}</div>
           <div className="kv"><span>Date of birth</span>{getPatientDOB(p)}</div>
@@ -915,10 +2487,131 @@ export default function App() {
             <div className="aiBlockTitle">AI alerts (high visibility)</div>
 
             <div className="aiAlertRow">
-              <TriagePill level={tri.level} />
+              <TriagePill level={override?.level || tri.level} />
               <div className="aiAlertText">
-                <div className="aiAlertHeadline">Triage status: {tri.level}</div>
+                <div className="aiAlertHeadline">
+                  Triage status: {override ? `${override.level} (clinician override; computed ${tri.level})` : tri.level}
+                </div>
+                {override ? (
+                  <div className="aiAlertSmall overrideNote">Override: {describeOverride(override, fmtDateTime)}</div>
+                ) : null}
+                {superseded ? (
+                  <div className="aiAlertSmall overrideSupersededNote">
+                    {describeSuperseded(superseded, fmtDateTime)} Review the patient and override again if still appropriate.
+                  </div>
+                ) : null}
                 <div className="aiAlertSmall">{tri.reasons?.[0] || "—"}</div>
+                <div className="aiAlertSmall">
+                  {tri.news2 ? `NEWS2 ${tri.news2.total} · ${news2Breakdown(tri.news2)}` : `Rule set: ${modelVersion}`}
+                </div>
+                {tri.news2 ? (
+                  <label className="aiAlertSmall" title="RCP scale 2 is for confirmed hypercapnic respiratory failure only">
+                    <input
+                      type="checkbox"
+                      checked={tri.news2.spo2Scale === 2}
+                      onChange={(e) => changeSpo2Scale(pid, e.target.checked ? 2 : 1)}
+                    />{" "}
+                    SpO₂ scale 2 (target 88–92%)
+                  </label>
+                ) : null}
+                {writeBack ? (
+                  <div className={`aiAlertSmall ${writeBack.status === "error" ? "writeBackError" : ""}`}>
+                    {writeBack.status === "writing"
+                      ? "Writing RiskAssessment + Flags…"
+                      : writeBack.status === "error"
+                        ? `Write-back failed: ${writeBack.error}`
+                        : `Written back ${fmtDateTime(writeBack.at)}: RiskAssessment/${writeBack.riskAssessmentId} (${writeBack.ruleVersion})${
+                            writeBack.flags.length
+                              ? ` · active Flag: ${writeBack.flags.map((f) => TRIAGE_ALERTS[f.code] || f.code).join(", ")}`
+                              : " · no active Flags"
+                          }`}
+                  </div>
+                ) : null}
+                {tri.level !== "UNKNOWN" ? (
+                  <div className="overrideActions">
+                    <button className="aiBtnGhost" type="button" onClick={() => openOverride(pid, tri.level)}>
+                      {override ? "Edit override" : "Override triage…"}
+                    </button>
+                    {override || superseded ? (
+                      <button className="aiBtnGhost" type="button" onClick={() => removeOverride(pid, tri.level)}>
+                        {override ? "Remove override" : "Dismiss withdrawn override"}
+                      </button>
+                    ) : null}
+                  </div>
+                ) : null}
+              </div>
+            </div>
+
+            <div className={`aiAlertRow ${selectedAllergyConflicts.length ? "aiAlertRowAllergy" : ""}`}>
+              <span
+                className={`dotDot ${
+                  !selectedAllergies
+                    ? "dotAmber"
+                    : selectedAllergyConflicts.some((c) => c.high)
+                      ? "dotRed"
+                      : selectedAllergyConflicts.length
+                        ? "dotAmber"
+                        : "dotGreen"
+                }`}
+              />
+              <div className="aiAlertText">
+                <div className="aiAlertHeadline">
+                  Allergy check:{" "}
+                  {!selectedAllergies
+                    ? "allergies not loaded"
+                    : selectedAllergyConflicts.length
+                      ? `${selectedAllergyConflicts.length} conflict(s) with active medication orders`
+                      : selectedAllergies.some((a) => a.active)
+                        ? "no conflicts with active medication orders"
+                        : "no active allergies recorded"}
+                </div>
+                {selectedAllergyConflicts.map((c) => (
+                  <div className="aiAlertSmall" key={`${c.allergy.id}-${c.medication.ref}`}>
+                    {c.high ? "⚠ " : ""}
+                    {c.text}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div
+              className={`aiAlertRow ${
+                selectedInteractions.interactions.some((x) => SEVERE_INTERACTIONS.includes(x.severity)) ? "aiAlertRowInteraction" : ""
+              }`}
+            >
+              <span
+                className={`dotDot ${
+                  !selectedMedView
+                    ? "dotAmber"
+                    : selectedInteractions.interactions.some((x) => SEVERE_INTERACTIONS.includes(x.severity))
+                      ? "dotRed"
+                      : selectedInteractions.interactions.length
+                        ? "dotAmber"
+                        : "dotGreen"
+                }`}
+              />
+              <div className="aiAlertText">
+                <div className="aiAlertHeadline">
+                  Interaction check:{" "}
+                  {!selectedMedView
+                    ? "medications not loaded"
+                    : selectedInteractions.interactions.length
+                      ? `${selectedInteractions.interactions.length} drug-drug interaction(s) between active orders`
+                      : selectedInteractions.checked > 1
+                        ? `no interactions between ${selectedInteractions.checked} active orders`
+                        : "fewer than two active orders"}
+                </div>
+                {selectedInteractions.interactions.map((x) => (
+                  <div className="aiAlertSmall" key={`${x.a.ref}-${x.b.ref}-${x.a.drug}-${x.b.drug}`}>
+                    {SEVERE_INTERACTIONS.includes(x.severity) ? "⚠ " : ""}
+                    {interactionText(x)}
+                  </div>
+                ))}
+                {selectedInteractions.unmatched.length ? (
+                  <div className="aiAlertSmall">
+                    Not in the interaction dataset ({INTERACTION_DATASET_VERSION}), not checked: {selectedInteractions.unmatched.join(", ")}
+                  </div>
+                ) : null}
               </div>
             </div>
 
@@ -929,8 +2622,47 @@ export default function App() {
                   Data completeness flag: {miss.length ? "missing recent vitals" : "complete"}
                 </div>
                 <div className="aiAlertSmall">
-                  {miss.length ? `${miss.map(missingLabel).join(", ")} in last ${rules.completenessHours} hours.` : "All key vitals present."}
+                  {miss.length
+                    ? `Not recorded in last ${rules.completenessHours} hours: ${selectedCompleteness
+                        .filter((c) => c.status !== "present")
+                        .map(completenessLabel)
+                        .join(", ")}.`
+                    : `All key vitals recorded in last ${rules.completenessHours} hours.`}
                 </div>
+                {selectedVitals ? (
+                  <div className="aiAlertSmall">
+                    Based on {selectedVitals.rawCount} Observation(s) from {selectedVitals.pages} page(s)
+                    {selectedVitals.truncated
+                      ? ` — history capped at ${VITALS_MAX_PAGES} pages before reaching the ${VITALS_LOOKBACK_DAYS}-day look-back.`
+                      : "."}
+                  </div>
+                ) : null}
+              </div>
+            </div>
+
+            <div className="aiAlertRow">
+              <span
+                className={`dotDot ${
+                  !selectedEpisodes.windows.length ? "dotAmber" : selectedEpisodes.ok ? "dotGreen" : "dotRed"
+                }`}
+              />
+              <div className="aiAlertText">
+                <div className="aiAlertHeadline">
+                  Episode-of-care check:{" "}
+                  {!selectedEpisodes.windows.length
+                    ? "no encounters to validate against"
+                    : selectedEpisodes.ok
+                      ? "all vitals within an encounter"
+                      : `${selectedEpisodes.issues.length} issue(s)`}
+                </div>
+                {selectedEpisodes.issues.slice(0, 3).map((i) => (
+                  <div className="aiAlertSmall" key={`${i.kind}-${i.ref}`}>
+                    {i.text}
+                  </div>
+                ))}
+                {selectedEpisodes.issues.length > 3 ? (
+                  <div className="aiAlertSmall">… and {selectedEpisodes.issues.length - 3} more (see the AI note).</div>
+                ) : null}
               </div>
             </div>
           </div>
@@ -951,15 +2683,43 @@ export default function App() {
 
             <button
               className="aiBtnGhost"
-              onClick={() => exportAiNoteToPdf(aiNoteRef.current, `AI_note_${pid}.pdf`)}
-              disabled={!aiNote || aiBusy}
+              onClick={() => {
+                exportAiNoteToPdf(aiNote, aiNoteData.meta, `AI_note_${aiNoteData.meta.patientId}.pdf`);
+                addAudit("Exported AI note to PDF", `Patient/${aiNoteData.meta.patientId} (rule set ${aiNoteData.meta.ruleVersion})`);
+              }}
+              disabled={!aiNoteData || aiBusy}
               title="Downloads a PDF directly (no browser popup)."
             >
               Export AI note to PDF (Portable Document Format)
             </button>
-          </div>
 
-          <div className="aiNoteBox" ref={aiNoteRef}>
+            <button
+              className="aiBtnGhost"
+              onClick={downloadNoteDocument}
+              disabled={!aiNoteData || aiBusy}
+              title="Composition with one section per check, each referencing its source resources, in a document Bundle."
+            >
+              Download FHIR document
+            </button>
+
+            <button
+              className="aiBtnGhost"
+              onClick={fileNoteDocumentReference}
+              disabled={!aiNoteData || aiBusy || noteFiling?.status === "filing"}
+              title="POSTs a DocumentReference with the PDF and the document Bundle attached."
+            >
+              {noteFiling?.status === "filing" ? "Filing…" : "File as DocumentReference"}
+            </button>
+          </div>
+          <div className="subtle">Note provider: {providerFromConfig(summaryProvider, summaryApiKey).label} (change in Governance)</div>
+          {aiError ? <div className="errorBox">AI note generation failed: {aiError}</div> : null}
+          {noteFiling?.status === "done" ? (
+            <div className="subtle">Filed as DocumentReference/{noteFiling.id} on {fhirBase}.</div>
+          ) : noteFiling?.status === "error" ? (
+            <div className="errorBox">DocumentReference filing failed: {noteFiling.error}</div>
+          ) : null}
+
+          <div className="aiNoteBox">
             <div className="aiNoteTitle">AI note</div>
             <div className="aiNoteText">{aiNote || "Click “Generate AI summary” to produce a board-ready AI note."}</div>
           </div>
@@ -967,62 +2727,92 @@ export default function App() {
           {!compact && (
             <>
               <div className="storyHeader">
-                <div className="aiBlockTitle">Patient story timeline (Encounter + Conditions + MedicationRequest + Observations)</div>
-                <div className="countText">{storyItems.length} items</div>
+                <div className="aiBlockTitle">Vitals chart (Observation)</div>
+                <div className="countText">{selectedVitals ? `${selectedVitals.rawCount} Observations` : ""}</div>
+              </div>
+              <VitalsChart
+                vitals={selectedVitals}
+                rules={rules}
+                patientId={pid}
+                view={vitalsChartView}
+                onViewChange={setVitalsChartView}
+              />
+
+              <div className="storyHeader">
+                <div className="aiBlockTitle">Laboratory results (DiagnosticReport + Observation)</div>
+                <div className="countText">
+                  {selectedLabs ? `${selectedLabs.count} results · ${selectedLabs.critical.length} critical · ${selectedLabs.abnormal.length} abnormal` : ""}
+                </div>
               </div>
+              <LabsPanel labs={selectedLabs} />
 
-              <div className="storyList">
-                {storyItems.map((it) => {
-                  const open = !!expandedWhy[it.id];
-                  return (
-                    <div className="storyItem" key={it.id}>
-                      <div className="storyLeft">
-                        <div className="storyKind">{it.kind}</div>
-                        <div className="storyTitle">{it.title}</div>
-                        <div className="storyWhen">{fmtDateTime(it.when)}</div>
-                      </div>
-                      <div className="storyRight">
-                        <TriagePill level={it.triage} />
-                        <button
-                          className="whyBtn"
-                          onClick={() => setExpandedWhy((prev) => ({ ...prev, [it.id]: !prev[it.id] }))}
-                        >
-                          Explain why
-                        </button>
-                        {open && (
-                          <div className="whyPanel">
-                            {(it.why || []).slice(0, 4).map((w, i) => (
-                              <div className="whyLine" key={i}>• {w}</div>
-                            ))}
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                  );
-                })}
+              <div className="storyHeader">
+                <div className="aiBlockTitle">Problem list (Condition)</div>
+                <div className="countText">
+                  {selectedProblems
+                    ? `${selectedProblems.active.length} active · ${selectedProblems.inactive.length} inactive · ${selectedProblems.unconfirmed.length} unconfirmed`
+                    : ""}
+                </div>
+              </div>
+              <ProblemListPanel problems={selectedProblems} category={problemCategory} onCategoryChange={setProblemCategory} />
+
+              <div className="storyHeader">
+                <div className="aiBlockTitle">Medication (MedicationRequest + MedicationStatement + MedicationAdministration)</div>
+                <div className="countText">
+                  {selectedMedView ? `${selectedMedView.current.length} current · ${selectedMedView.orders.length} orders` : ""}
+                </div>
+              </div>
+              <MedicationsPanel meds={selectedMedView} interactions={selectedInteractions} />
+
+              <div className="storyHeader">
+                <div className="aiBlockTitle">Allergies and intolerances (AllergyIntolerance)</div>
+                <div className="countText">
+                  {selectedAllergies
+                    ? `${selectedAllergies.filter((a) => a.active).length} active · ${selectedAllergyConflicts.length} conflict(s)`
+                    : ""}
+                </div>
               </div>
+              <AllergiesPanel allergies={selectedAllergies} conflicts={selectedAllergyConflicts} />
+
+              <div className="storyHeader">
+                <div className="aiBlockTitle">Patient story timeline (every loaded resource, newest first)</div>
+                <div className="countText">
+                  {storyItems.length} items · {selectedEpisodes.windows.length} encounter(s)
+                </div>
+              </div>
+
+              <PatientTimeline
+                items={storyItems}
+                episodes={selectedEpisodes}
+                view={timelineView}
+                onViewChange={setTimelineView}
+                expanded={expandedWhy}
+                onToggleExpanded={(id) => setExpandedWhy((prev) => ({ ...prev, [id]: !prev[id] }))}
+              />
             </>
           )}
 
           <div className="govCard">
             <div className="bigAiTitle">Governance & model card</div>
             <div className="govGrid">
-              <div className="govItem"><div className="govKey">Model</div><div className="govVal">{modelVersion}</div></div>
+              <div className="govItem"><div className="govKey">Model</div><div className="govVal">{modelVersion}{triageEngine === "NEWS2" ? " · NEWS2 engine" : ""}</div></div>
               <div className="govItem"><div className="govKey">Last reviewed</div><div className="govVal">{modelReviewed}</div></div>
               <div className="govItem"><div className="govKey">Data sources</div><div className="govVal">FHIR server (Fast Healthcare Interoperability Resources) demo data</div></div>
-              <div className="govItem"><div className="govKey">Clinician override</div><div className="govVal">Supported (upgrade: explicit override + reason)</div></div>
+              <div className="govItem"><div className="govKey">Clinician override</div><div className="govVal">Explicit override with mandatory reason + optional expiry ({overrides.filter((o) => o.base === fhirBase && !o.supersededAt).length} active)</div></div>
             </div>
             <div className="govNote">
-              Upgrade path: replace rules with a real model + audit trail, versioning, clinician override, and monitoring.
+              Upgrade path: replace rules with a real model + versioning and monitoring.
             </div>
 
-            <div className="auditTitle">Audit trail (demo)</div>
+            <div className="auditTitle">
+              Audit trail ({audit.length} stored; search and export in Governance)
+            </div>
             <div className="auditList">
               {audit.length === 0 ? (
                 <div className="subtle">No events yet.</div>
               ) : (
-                audit.slice(0, 8).map((a, i) => (
-                  <div className="auditRow" key={i}>
+                audit.slice(0, 8).map((a) => (
+                  <div className="auditRow" key={a.seq}>
                     <div className="auditTs">{fmtDateTime(a.ts)}</div>
                     <div className="auditBody">
                       <div className="auditAction">{a.action}</div>
@@ -1039,6 +2829,27 @@ export default function App() {
   }
 
   /* ---------- Layout ---------- */
+  const resultCountText =
+    patientsTotal !== null ? `${patients.length} of ${patientsTotal} patient(s)` : `${patients.length} patient(s)`;
+
+  const refreshWorklistButton = (
+    <button
+      className="aiBtnGhost"
+      onClick={() => refreshPatientData(patients.map((p) => p.id).filter(Boolean))}
+      disabled={refreshing || !patients.length}
+    >
+      {refreshing ? "Refreshing…" : "Refresh"}
+    </button>
+  );
+
+  const loadMoreButton = patientsNext ? (
+    <div className="loadMoreRow">
+      <button className="aiBtnGhost" onClick={loadMorePatients} disabled={loadingMore || loading}>
+        {loadingMore ? "Loading…" : `Load more${patientsTotal !== null ? ` (${Math.max(0, patientsTotal - patients.length)} remaining)` : ""}`}
+      </button>
+    </div>
+  ) : null;
+
   return (
     <div className="page">
       <div className="shell">
@@ -1046,7 +2857,8 @@ export default function App() {
           <div className="brandLeft">
             <div className="brandTitle">Clinical FHIR Integration Demo</div>
             <div className="brandMeta">
-              FHIR (Fast Healthcare Interoperability Resources) R4 (Release 4) • React + Vite • Public server: {FHIR_BASE_DEFAULT}
+              FHIR (Fast Healthcare Interoperability Resources) R4 (Release 4) • React + Vite •{" "}
+              {isFixtureBase(fhirBase) ? "Offline fixtures (in-browser)" : `Server: ${fhirBase}`}
             </div>
           </div>
 
@@ -1061,9 +2873,11 @@ export default function App() {
               Governance & audit
             </button>
 
-            <a className="pill linkPill" href={FHIR_BASE_DEFAULT} target="_blank" rel="noreferrer">
-              Test server
-            </a>
+            {!isFixtureBase(fhirBase) ? (
+              <a className="pill linkPill" href={fhirBase} target="_blank" rel="noreferrer">
+                Test server
+              </a>
+            ) : null}
           </div>
         </div>
 
@@ -1074,48 +2888,148 @@ export default function App() {
           </div>
 
           <div className="badgesRow">
-            <span className="badge"><span className="dot dotGreen" /> Public demo data</span>
+            <span className="badge">
+              <span className="dot dotGreen" /> {isFixtureBase(fhirBase) ? "Offline fixture data" : "Public demo data"}
+            </span>
             <span className="badge"><span className="dot" /> Standards-based integration</span>
             <span className="badge"><span className="dot dotAmber" /> Deployed on Cloudflare Pages</span>
           </div>
 
-          <div className="searchGrid">
+          <div className="baseGrid">
             <div>
-              <div className="label">Name contains</div>
-              <input className="input" value={nameQuery} onChange={(e) => setNameQuery(e.target.value)} />
+              <div className="label">FHIR server</div>
+              <select
+                className="select baseSelect"
+                value={FHIR_BASE_PRESETS.some((x) => x.url === baseDraft) ? baseDraft : ""}
+                onChange={(e) => e.target.value && setBaseDraft(e.target.value)}
+              >
+                {FHIR_BASE_PRESETS.map((x) => (
+                  <option key={x.url} value={x.url}>
+                    {x.label}
+                  </option>
+                ))}
+                <option value="">Custom base URL…</option>
+              </select>
             </div>
-
             <div>
-              <div className="label">Count</div>
-              <input
-                className="input"
-                type="number"
-                min={1}
-                max={50}
-                value={count}
-                onChange={(e) => setCount(clamp(Number(e.target.value || 10), 1, 50))}
-              />
+              <div className="label">FHIR base URL</div>
+              <input className="input" value={baseDraft} onChange={(e) => setBaseDraft(e.target.value)} />
             </div>
-
-            <button className="button" onClick={searchPatients} disabled={loading}>
-              {loading ? "Searching…" : "Search"}
+            <button className="button" onClick={() => changeFhirBase(baseDraft)} disabled={loading || baseDraft === fhirBase}>
+              Connect
             </button>
           </div>
 
+          {!isFixtureBase(baseDraft) ? (
+            <div className="fixtureRow">
+              {smartSession && smartSession.serverUrl === fhirBase ? (
+                <>
+                  <span className="badge">
+                    <span className="dot dotGreen" /> SMART: {smartSession.fhirUser || "signed in"}
+                    {smartSession.patient ? ` · patient Patient/${smartSession.patient}` : ""}
+                  </span>
+                  <button className="aiBtnGhost" onClick={signOutSmart}>
+                    Sign out
+                  </button>
+                </>
+              ) : (
+                <>
+                  <input
+                    className="input smartClientInput"
+                    value={smartClientId}
+                    onChange={(e) => setSmartClientId(e.target.value)}
+                    placeholder="SMART client_id"
+                  />
+                  <button className="aiBtnGhost" onClick={startSmartSignIn} disabled={smartBusy || !smartClientId.trim()}>
+                    {smartBusy ? "Redirecting…" : "Sign in with SMART on FHIR"}
+                  </button>
+                  <span className="subtle">Open test servers work without signing in.</span>
+                </>
+              )}
+            </div>
+          ) : null}
+
+          {isFixtureBase(fhirBase) ? (
+            <div className="fixtureRow">
+              <label className="aiBtnGhost fixtureLoad">
+                Load FHIR Bundle / NDJSON files…
+                <input
+                  type="file"
+                  accept=".json,.ndjson,application/json,application/fhir+json"
+                  multiple
+                  onChange={(e) => {
+                    loadFixtureFiles(e.target.files);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+              <span className="subtle">
+                {fixtureInfo ||
+                  `Curated cohort loaded: ${Object.entries(getFixtureStore().counts())
+                    .map(([type, n]) => `${n} ${type}`)
+                    .join(", ")}.`}
+              </span>
+            </div>
+          ) : null}
+
+          {serverFeatures ? (
+            <div className="subtle">
+              Patient story loading:{" "}
+              {serverFeatures.patientEverything
+                ? `Patient/$everything${serverFeatures.batch ? " (single patient) · batch Bundles (worklist)" : ""}`
+                : serverFeatures.batch
+                  ? "batch Bundles"
+                  : "one search per resource type"}
+            </div>
+          ) : null}
+
+          <PatientSearchForm
+            query={patientQuery}
+            onChange={setPatientQuery}
+            count={count}
+            onCountChange={(n) => setCount(clamp(n, 1, 50))}
+            onSearch={(query) => searchPatients({ query })}
+            loading={loading}
+            recent={recentSearches}
+            onClearRecent={() => setRecentSearches([])}
+          />
+
           {error ? <div className="errorBox">{error}</div> : null}
         </div>
 
         {/* MAIN */}
         {view === "governance" ? (
           <div className="mainGridSingle">
-            <PatientDetailsPanel compact={false} />
+            <RuleSetEditor
+              ruleSets={ruleSets}
+              activeVersion={activeRuleVersion}
+              onSave={saveRuleSet}
+              onActivate={activateRuleSet}
+            />
+            <div style={{ marginTop: 14 }}>
+              <SummaryProviderSettings config={summaryProvider} apiKey={summaryApiKey} onApply={changeSummaryProvider} />
+            </div>
+            <div style={{ marginTop: 14 }}>
+              <AuditTrailPanel
+                entries={audit}
+                sentThrough={auditSent[fhirBase] || 0}
+                sending={auditSending}
+                onExport={(format, count, filtered) =>
+                  addAudit("Exported audit trail", `${count} AuditEvent(s) as ${format === "ndjson" ? "NDJSON" : "Bundle"}${filtered ? " (filtered)" : ""}`)
+                }
+                onSend={sendAuditEvents}
+              />
+            </div>
+            <div style={{ marginTop: 14 }}>
+              <PatientDetailsPanel compact={false} />
+            </div>
           </div>
         ) : view === "patient" ? (
           <div className="mainGrid" style={{ marginTop: 14 }}>
             <div className="card list">
               <div className="listHeader">
                 <div className="sectionTitle">Results</div>
-                <div className="countText">{patients.length} patient(s)</div>
+                <div className="countText">{resultCountText}</div>
               </div>
 
               {patients.map((p) => {
@@ -1140,6 +3054,8 @@ export default function App() {
                   </div>
                 );
               })}
+
+              {loadMoreButton}
             </div>
 
             <PatientDetailsPanel compact={false} />
@@ -1152,6 +3068,7 @@ export default function App() {
                 <div>
                   <div className="bigAiTitle">AI triage worklist</div>
                   <div className="subtle">Queue intelligence view: risk flags, missing-data flags, and quick patient preview.</div>
+                  <div className="countText">{resultCountText}</div>
                 </div>
 
                 <div className="kpiRow">
@@ -1176,9 +3093,22 @@ export default function App() {
                 </div>
 
                 <div className="sortGroup">
+                  <span className="sortLabel">Engine</span>
+                  <select className="select" value={triageEngine} onChange={(e) => changeTriageEngine(e.target.value)}>
+                    {TRIAGE_ENGINES.map((x) => (
+                      <option key={x.key} value={x.key}>
+                        {x.label}
+                      </option>
+                    ))}
+                  </select>
+                  {refreshWorklistButton}
+                  <label className="sortLabel writeBackToggle" title="Persist each triage as RiskAssessment + Flag">
+                    <input type="checkbox" checked={writeBackEnabled} onChange={(e) => changeWriteBack(e.target.checked)} />
+                    Write back
+                  </label>
                   <span className="sortLabel">Sort</span>
                   <select className="select" value={sortMode} onChange={(e) => setSortMode(e.target.value)}>
-                    <option value="RISK">Risk</option>
+                    <option value="RISK">{triageEngine === "NEWS2" ? "Risk (NEWS2 score)" : "Risk"}</option>
                     <option value="RECENT">Most recent encounter</option>
                     <option value="NAME">Name</option>
                   </select>
@@ -1190,6 +3120,8 @@ export default function App() {
                   <WorklistRow key={p.id} p={p} snap={snap} />
                 ))}
               </div>
+
+              {loadMoreButton}
             </div>
 
             <div className="stickyRight">
@@ -1198,6 +3130,17 @@ export default function App() {
           </div>
         )}
       </div>
+
+      {overrideDraft ? (
+        <TriageOverrideForm
+          draft={overrideDraft}
+          patientName={getPatientDisplayName(patients.find((x) => x.id === overrideDraft.patientId))}
+          computedLevel={overrideDraft.computedLevel}
+          onChange={setOverrideDraft}
+          onSave={applyOverride}
+          onCancel={() => setOverrideDraft(null)}
+        />
+      ) : null}
     </div>
   );
 }
\ No newline at end of file
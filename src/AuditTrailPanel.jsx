@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from "react";
+import { auditBundle, auditNdjson, filterAuditEntries, verifyAuditChain } from "./auditTrail.js";
+import { downloadText } from "./download.js";
+
+const PAGE_SIZE = 50;
+const NO_FILTERS = { patient: "", action: "", actor: "", from: "", to: "" };
+
+const fmtTs = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+};
+
+/**
+ * Governance view of the full audit trail: search, chain verification, AuditEvent export
+ * (NDJSON or Bundle, of the filtered entries) and sending unsent entries to the FHIR server.
+ */
+export default function AuditTrailPanel({ entries, sentThrough, sending, onExport, onSend }) {
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [shown, setShown] = useState(PAGE_SIZE);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  const matches = useMemo(() => filterAuditEntries(entries, filters), [entries, filters]);
+  const unsent = entries.filter((e) => e.seq > sentThrough).length;
+  const unhashed = entries.filter((e) => !e.hash).length;
+  const filtered = matches.length !== entries.length;
+
+  const set = (key) => (e) => {
+    setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+    setShown(PAGE_SIZE);
+  };
+
+  async function verify() {
+    setVerifying(true);
+    try {
+      setVerification(await verifyAuditChain(entries));
+    } catch (e) {
+      setVerification({ ok: false, checked: 0, head: "", problems: [`Could not verify: ${e.message || e}`] });
+    } finally {
+      setVerifying(false);
+    }
+  }
+
+  function exportAs(format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    if (format === "ndjson") {
+      downloadText(`audit-events-${stamp}.ndjson`, auditNdjson(matches), "application/fhir+ndjson");
+    } else {
+      downloadText(`audit-events-${stamp}.json`, JSON.stringify(auditBundle(matches), null, 2), "application/fhir+json");
+    }
+    onExport(format, matches.length, filtered);
+  }
+
+  return (
+    <div className="card cardPad">
+      <div className="bigAiTitle">Audit trail</div>
+      <div className="subtle">
+        {entries.length} entr{entries.length === 1 ? "y" : "ies"} stored in this browser. Each entry is hash-chained to the one
+        before it, so edits and removals are detectable.
+      </div>
+
+      {unhashed ? (
+        <div className="errorBox">
+          {unhashed} entr{unhashed === 1 ? "y was" : "ies were"} recorded without a hash (SHA-256 needs a secure context:
+          HTTPS or localhost) and cannot be verified.
+        </div>
+      ) : null}
+
+      <div className="auditFilters">
+        <div>
+          <div className="label">Patient id</div>
+          <input className="input" value={filters.patient} onChange={set("patient")} placeholder="e.g. fx-red" />
+        </div>
+        <div>
+          <div className="label">Action</div>
+          <input className="input" value={filters.action} onChange={set("action")} placeholder="e.g. override" />
+        </div>
+        <div>
+          <div className="label">Actor</div>
+          <input className="input" value={filters.actor} onChange={set("actor")} placeholder="e.g. demo.clinician" />
+        </div>
+        <div>
+          <div className="label">From</div>
+          <input className="input" type="date" value={filters.from} onChange={set("from")} />
+        </div>
+        <div>
+          <div className="label">To</div>
+          <input className="input" type="date" value={filters.to} onChange={set("to")} />
+        </div>
+      </div>
+
+      <div className="aiButtonsRow">
+        <button className="aiBtnGhost" onClick={verify} disabled={verifying || entries.length === 0}>
+          {verifying ? "Verifying…" : "Verify chain"}
+        </button>
+        <button className="aiBtnGhost" onClick={() => exportAs("ndjson")} disabled={matches.length === 0}>
+          Export NDJSON{filtered ? ` (${matches.length})` : ""}
+        </button>
+        <button className="aiBtnGhost" onClick={() => exportAs("bundle")} disabled={matches.length === 0}>
+          Export Bundle{filtered ? ` (${matches.length})` : ""}
+        </button>
+        <button className="aiBtnGhost" onClick={onSend} disabled={sending || unsent === 0}>
+          {sending ? "Sending…" : `Send ${unsent} to server`}
+        </button>
+        {filtered ? (
+          <button className="whyBtn" onClick={() => setFilters(NO_FILTERS)}>
+            Clear filters
+          </button>
+        ) : null}
+      </div>
+
+      {verification ? (
+        <div className={verification.ok ? "auditVerifyOk" : "errorBox"}>
+          {verification.ok
+            ? `Chain intact: ${verification.checked} entries verified. Newest hash ${verification.head.slice(0, 16)}…`
+            : verification.problems.map((p) => <div key={p}>• {p}</div>)}
+        </div>
+      ) : null}
+
+      <div className="auditList">
+        {matches.length === 0 ? (
+          <div className="subtle">{entries.length ? "No entries match these filters." : "No events yet."}</div>
+        ) : (
+          matches.slice(0, shown).map((a) => (
+            <div className="auditRow" key={a.seq}>
+              <div className="auditTs">
+                #{a.seq} · {fmtTs(a.ts)}
+                <div className="auditHash" title={a.hash || a.unverifiable}>
+                  {a.hash ? `${a.hash.slice(0, 12)}…` : "unverifiable"}
+                </div>
+              </div>
+              <div className="auditBody">
+                <div className="auditAction">{a.action}</div>
+                <div className="auditDetails">{a.details}</div>
+                <div className="auditDetails">by {a.actor}</div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+      {matches.length > shown ? (
+        <button className="whyBtn" style={{ marginTop: 8 }} onClick={() => setShown((n) => n + PAGE_SIZE)}>
+          Show more ({matches.length - shown} remaining)
+        </button>
+      ) : null}
+    </div>
+  );
+}
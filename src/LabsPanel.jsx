@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { LAB_FLAG_LABELS, isAbnormalFlag } from "./labs.js";
+import Sparkline from "./Sparkline.jsx";
+
+const fmtWhen = (iso) => {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleString(undefined, { month: "short", day: "2-digit", hour: "2-digit", minute: "2-digit" });
+};
+
+function FlagBadge({ result }) {
+  if (!result.flag) return <span className="subtle">—</span>;
+  const cls = result.critical ? "labFlagCritical" : isAbnormalFlag(result.flag) ? "labFlagAbnormal" : "labFlagNormal";
+  const label = LAB_FLAG_LABELS[result.flag] || result.flag;
+  return (
+    <span className={`labFlag ${cls}`} title={result.derived ? "Derived from the reference range" : "Reported by the lab"}>
+      {label}
+      {result.derived ? "*" : ""}
+    </span>
+  );
+}
+
+/**
+ * Laboratory results grouped by panel (DiagnosticReport / panel Observation), with reference ranges,
+ * lab flags and a per-analyte trend that expands into the full history.
+ */
+export default function LabsPanel({ labs }) {
+  const [openKey, setOpenKey] = useState(null);
+
+  if (!labs) return <div className="subtle">Loading laboratory results…</div>;
+  if (!labs.panels.length) return <div className="subtle">No laboratory results returned by server.</div>;
+
+  const analyteByKey = new Map(labs.analytes.map((a) => [a.key, a]));
+
+  return (
+    <div className="labsWrap">
+      {labs.critical.length ? (
+        <div className="errorBox">
+          {labs.critical.length} critical result(s): {labs.critical.map((r) => `${r.label} ${r.display}`).join(" · ")}
+        </div>
+      ) : null}
+
+      {labs.panels.map((panel) => (
+        <div className="labPanel" key={panel.id}>
+          <div className="labPanelHead">
+            <div className="labPanelTitle">{panel.title}</div>
+            <div className="subtle">
+              {fmtWhen(panel.when)}
+              {panel.status ? ` · ${panel.status}` : ""}
+              {panel.source === "DiagnosticReport" ? ` · ${panel.id}` : ""}
+            </div>
+          </div>
+          {panel.conclusion ? <div className="labConclusion">{panel.conclusion}</div> : null}
+
+          {panel.results.length ? (
+            <table className="labTable">
+              <thead>
+                <tr>
+                  <th>Test</th>
+                  <th>Result</th>
+                  <th>Flag</th>
+                  <th>Reference range</th>
+                  <th>Trend</th>
+                </tr>
+              </thead>
+              <tbody>
+                {panel.results.map((r) => {
+                  const analyte = analyteByKey.get(r.key);
+                  const rowKey = `${panel.id}:${r.id}`;
+                  const open = openKey === rowKey;
+                  return (
+                    <React.Fragment key={rowKey}>
+                      <tr className={r.critical ? "labRowCritical" : ""} onClick={() => setOpenKey(open ? null : rowKey)}>
+                        <td>{r.label}</td>
+                        <td className="labValue">{r.display}</td>
+                        <td>
+                          <FlagBadge result={r} />
+                        </td>
+                        <td>{r.range || "—"}</td>
+                        <td className="labTrend">
+                          <Sparkline values={(analyte?.history || []).map((h) => h.value)} width={80} height={22} />
+                          <span className="subtle"> {analyte?.history.length || 0}</span>
+                        </td>
+                      </tr>
+                      {open && analyte ? (
+                        <tr className="labHistoryRow">
+                          <td colSpan={5}>
+                            {analyte.history
+                              .slice()
+                              .reverse()
+                              .map((h) => (
+                                <div className="labHistory" key={h.id}>
+                                  <span>{fmtWhen(h.when)}</span>
+                                  <span className="labValue">
+                                    {h.value ?? "—"} {analyte.unit}
+                                  </span>
+                                  <span>{h.flag ? LAB_FLAG_LABELS[h.flag] || h.flag : ""}</span>
+                                  <span className="subtle">Observation/{h.id}</span>
+                                </div>
+                              ))}
+                          </td>
+                        </tr>
+                      ) : null}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <div className="subtle">No result Observations returned for this report.</div>
+          )}
+        </div>
+      ))}
+      <div className="subtle">* flag derived from the reference range (no lab interpretation recorded).</div>
+    </div>
+  );
+}
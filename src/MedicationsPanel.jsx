@@ -0,0 +1,244 @@
+import React from "react";
+import { RECENT_ADMINISTRATION_HOURS } from "./medications.js";
+import { INTERACTION_DATASET_VERSION } from "./interactions.js";
+
+const fmtWhen = (iso) => {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleString(undefined, { year: "numeric", month: "short", day: "2-digit", hour: "2-digit", minute: "2-digit" });
+};
+
+function MedicationName({ row }) {
+  return (
+    <>
+      <div className="labValue">{row.medication.display}</div>
+      <div className="subtle">
+        {row.ref}
+        {row.medication.unresolved ? " · medication not resolved" : ""}
+      </div>
+    </>
+  );
+}
+
+function Dosage({ lines }) {
+  return lines.length ? lines.map((line) => <div key={line}>{line}</div>) : <span className="subtle">No dosage recorded</span>;
+}
+
+const SEVERITY_FLAGS = { contraindicated: "labFlagCritical", major: "labFlagCritical", moderate: "labFlagAbnormal", minor: "labFlagNormal" };
+
+function evidence(c) {
+  const out = [];
+  if (c.ordered) out.push(`Ordered ${fmtWhen(c.ordered.when)}${c.ordered.requester ? ` by ${c.ordered.requester}` : ""}`);
+  if (c.reported) out.push(`Reported taking${c.reported.source ? ` (${c.reported.source})` : ""}`);
+  if (c.lastGiven) out.push(`Last given ${fmtWhen(c.lastGiven.when)}`);
+  return out;
+}
+
+/**
+ * What the patient is taking (active orders, active MedicationStatements, recent administrations), drug-drug
+ * interactions between the active orders, then every order, statement and administration with its status,
+ * dosage and who asked for or gave it.
+ */
+export default function MedicationsPanel({ meds, interactions }) {
+  if (!meds) return <div className="subtle">Loading medications…</div>;
+  if (!meds.orders.length && !meds.statements.length && !meds.administrations.length) {
+    return <div className="subtle">No MedicationRequest, MedicationStatement or MedicationAdministration returned by server.</div>;
+  }
+
+  return (
+    <div className="labsWrap">
+      {meds.unresolved.length ? (
+        <div className="errorBox">
+          {meds.unresolved.length} medication reference(s) could not be resolved (the server did not return the Medication):{" "}
+          {meds.unresolved.join(", ")}
+        </div>
+      ) : null}
+
+      <div className="labPanel">
+        <div className="labPanelHead">
+          <div className="labPanelTitle">Current medication</div>
+          <div className="subtle">active orders · reported taking · given in the last {RECENT_ADMINISTRATION_HOURS} h</div>
+        </div>
+        {meds.current.length ? (
+          <table className="labTable problemTable">
+            <thead>
+              <tr>
+                <th>Medication</th>
+                <th>Dosage</th>
+                <th>Evidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {meds.current.map((c) => (
+                <tr key={c.key}>
+                  <td>
+                    <div className="labValue">{c.display}</div>
+                    <div className="subtle">{c.refs.join(", ")}</div>
+                  </td>
+                  <td>
+                    <Dosage lines={c.dosage} />
+                  </td>
+                  <td>
+                    {evidence(c).map((line) => (
+                      <div key={line}>{line}</div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="subtle">Nothing current: no active orders, active statements or recent administrations.</div>
+        )}
+      </div>
+
+      {interactions?.interactions.length ? (
+        <div className="labPanel">
+          <div className="labPanelHead">
+            <div className="labPanelTitle">Drug-drug interactions</div>
+            <div className="subtle">between {interactions.checked} active orders · dataset {INTERACTION_DATASET_VERSION}</div>
+          </div>
+          <table className="labTable problemTable">
+            <thead>
+              <tr>
+                <th>Severity</th>
+                <th>Medications</th>
+                <th>Rationale</th>
+              </tr>
+            </thead>
+            <tbody>
+              {interactions.interactions.map((x) => (
+                <tr
+                  key={`${x.a.ref}-${x.b.ref}-${x.a.drug}-${x.b.drug}`}
+                  className={SEVERITY_FLAGS[x.severity] === "labFlagCritical" ? "labRowCritical" : ""}
+                >
+                  <td>
+                    <span className={`labFlag ${SEVERITY_FLAGS[x.severity]}`}>{x.severity}</span>
+                  </td>
+                  <td>
+                    {[x.a, x.b].map((side) => (
+                      <div key={side.ref}>
+                        <span className="labValue">{side.drug}</span>{" "}
+                        <span className="subtle">
+                          {side.display} · {side.ref}
+                          {side.matchedBy === "text" ? " · matched by name" : ""}
+                        </span>
+                      </div>
+                    ))}
+                  </td>
+                  <td>{x.rationale}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+
+      {meds.orders.length ? (
+        <div className="labPanel">
+          <div className="labPanelHead">
+            <div className="labPanelTitle">Orders (MedicationRequest)</div>
+            <div className="subtle">{meds.orders.filter((o) => !o.current).length} not current</div>
+          </div>
+          <table className="labTable problemTable">
+            <thead>
+              <tr>
+                <th>Medication</th>
+                <th>Status / intent</th>
+                <th>Dosage</th>
+                <th>Requester</th>
+                <th>Authored</th>
+              </tr>
+            </thead>
+            <tbody>
+              {meds.orders.map((o) => (
+                <tr key={o.id} className={o.current ? "" : "medRowInactive"}>
+                  <td>
+                    <MedicationName row={o} />
+                  </td>
+                  <td>
+                    {o.status} / {o.intent}
+                  </td>
+                  <td>
+                    <Dosage lines={o.dosage} />
+                  </td>
+                  <td>{o.requester || "—"}</td>
+                  <td>{fmtWhen(o.when)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+
+      {meds.statements.length ? (
+        <div className="labPanel">
+          <div className="labPanelHead">
+            <div className="labPanelTitle">Patient-reported (MedicationStatement)</div>
+          </div>
+          <table className="labTable problemTable">
+            <thead>
+              <tr>
+                <th>Medication</th>
+                <th>Status</th>
+                <th>Dosage</th>
+                <th>Source</th>
+                <th>Effective</th>
+              </tr>
+            </thead>
+            <tbody>
+              {meds.statements.map((s) => (
+                <tr key={s.id} className={s.current ? "" : "medRowInactive"}>
+                  <td>
+                    <MedicationName row={s} />
+                  </td>
+                  <td>{s.status}</td>
+                  <td>
+                    <Dosage lines={s.dosage} />
+                  </td>
+                  <td>{s.source || "—"}</td>
+                  <td>{fmtWhen(s.when)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+
+      {meds.administrations.length ? (
+        <div className="labPanel">
+          <div className="labPanelHead">
+            <div className="labPanelTitle">Administrations (MedicationAdministration)</div>
+          </div>
+          <table className="labTable problemTable">
+            <thead>
+              <tr>
+                <th>Medication</th>
+                <th>Status</th>
+                <th>Dose</th>
+                <th>Given by</th>
+                <th>Given</th>
+              </tr>
+            </thead>
+            <tbody>
+              {meds.administrations.map((a) => (
+                <tr key={a.id}>
+                  <td>
+                    <MedicationName row={a} />
+                  </td>
+                  <td>{a.status}</td>
+                  <td>
+                    <Dosage lines={a.dosage} />
+                  </td>
+                  <td>{a.performer || "—"}</td>
+                  <td>{fmtWhen(a.when)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </div>
+  );
+}
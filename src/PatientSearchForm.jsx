@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+import {
+  GENDERS,
+  IDENTIFIER_SYSTEMS,
+  STRING_MODES,
+  describePatientSearch,
+  patientSearchParams,
+  validatePatientQuery,
+} from "./patientSearch.js";
+
+function ModeSelect({ value, onChange }) {
+  return (
+    <select className="select searchMode" value={value} onChange={(e) => onChange(e.target.value)}>
+      {STRING_MODES.map((m) => (
+        <option key={m.key} value={m.key}>
+          {m.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Structured Patient search: a quick name box, an advanced panel for identifier / demographics,
+ * and chips for recent searches. The query lives in App so other flows (server switch, SMART launch) can reset it.
+ */
+export default function PatientSearchForm({ query, onChange, count, onCountChange, onSearch, loading, recent, onClearRecent }) {
+  const [advanced, setAdvanced] = useState(false);
+  const errors = validatePatientQuery(query);
+  const params = patientSearchParams(query);
+  const set = (key) => (e) => onChange({ ...query, [key]: typeof e === "string" ? e : e.target.value });
+
+  function submit(e) {
+    e.preventDefault();
+    if (!errors.length) onSearch(query);
+  }
+
+  return (
+    <form onSubmit={submit}>
+      <div className="searchGrid">
+        <div>
+          <div className="label">Name (any part)</div>
+          <input className="input" value={query.name} onChange={set("name")} />
+        </div>
+
+        <div>
+          <div className="label">Count</div>
+          <input
+            className="input"
+            type="number"
+            min={1}
+            max={50}
+            value={count}
+            onChange={(e) => onCountChange(Number(e.target.value || 10))}
+          />
+        </div>
+
+        <button className="button" type="submit" disabled={loading || errors.length > 0}>
+          {loading ? "Searching…" : "Search"}
+        </button>
+      </div>
+
+      <div className="searchMeta">
+        <button type="button" className="aiBtnGhost" onClick={() => setAdvanced((v) => !v)}>
+          {advanced ? "Hide advanced search" : "Advanced search"}
+        </button>
+        <span className="subtle">Patient?{describePatientSearch(params)}</span>
+      </div>
+
+      {advanced ? (
+        <div className="advancedGrid">
+          <div>
+            <div className="label">Family name</div>
+            <div className="searchPair">
+              <input className="input" value={query.family} onChange={set("family")} />
+              <ModeSelect value={query.familyMode} onChange={set("familyMode")} />
+            </div>
+          </div>
+
+          <div>
+            <div className="label">Given name</div>
+            <div className="searchPair">
+              <input className="input" value={query.given} onChange={set("given")} />
+              <ModeSelect value={query.givenMode} onChange={set("givenMode")} />
+            </div>
+          </div>
+
+          <div>
+            <div className="label">Identifier</div>
+            <div className="searchPair">
+              <select className="select searchMode" value={query.identifierType} onChange={set("identifierType")}>
+                {IDENTIFIER_SYSTEMS.map((t) => (
+                  <option key={t.key} value={t.key}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                className="input"
+                value={query.identifierValue}
+                onChange={set("identifierValue")}
+                placeholder={query.identifierType === "nhs" ? "943 476 5919" : "value"}
+              />
+            </div>
+            {query.identifierType === "custom" ? (
+              <input
+                className="input searchSystem"
+                value={query.identifierSystem}
+                onChange={set("identifierSystem")}
+                placeholder="http://hospital.example.org/mrn"
+              />
+            ) : null}
+          </div>
+
+          <div>
+            <div className="label">Born between</div>
+            <div className="searchPair">
+              <input className="input" type="date" value={query.birthFrom} onChange={set("birthFrom")} />
+              <input className="input" type="date" value={query.birthTo} onChange={set("birthTo")} />
+            </div>
+          </div>
+
+          <div>
+            <div className="label">Gender</div>
+            <select className="select" value={query.gender} onChange={set("gender")}>
+              {GENDERS.map((g) => (
+                <option key={g} value={g}>
+                  {g || "any"}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <div className="label">Phone</div>
+            <input className="input" value={query.phone} onChange={set("phone")} />
+          </div>
+
+          <div>
+            <div className="label">Postcode</div>
+            <div className="searchPair">
+              <input className="input" value={query.postcode} onChange={set("postcode")} />
+              <ModeSelect value={query.postcodeMode} onChange={set("postcodeMode")} />
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {errors.length ? (
+        <div className="errorBox">
+          {errors.map((e) => (
+            <div key={e}>{e}</div>
+          ))}
+        </div>
+      ) : null}
+
+      {recent.length ? (
+        <div className="recentRow">
+          <span className="sortLabel">Recent</span>
+          {recent.map((r) => (
+            <button
+              key={r.label}
+              type="button"
+              className="chip"
+              title={r.label}
+              onClick={() => onSearch(r.query)}
+              disabled={loading}
+            >
+              {r.label}
+            </button>
+          ))}
+          <button type="button" className="chip" onClick={onClearRecent}>
+            Clear
+          </button>
+        </div>
+      ) : null}
+    </form>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useState } from "react";
+import { TIMELINE_CATEGORIES, TIMELINE_PAGE_SIZE, filterTimeline, groupTimeline, pageTimeline } from "./timeline.js";
+
+const fmtWhen = (iso) => {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleString(undefined, { year: "numeric", month: "short", day: "2-digit", hour: "2-digit", minute: "2-digit" });
+};
+
+function TriagePill({ level }) {
+  const cls = level === "RED" ? "pillRed" : level === "AMBER" ? "pillAmber" : level === "GREEN" ? "pillGreen" : "pillUnknown";
+  return <span className={`triagePill ${cls}`}>{level}</span>;
+}
+
+function News2Table({ news2 }) {
+  return (
+    <table className="news2Table">
+      <tbody>
+        {news2.subscores.map((sub) => (
+          <tr key={sub.key} title={sub.note || undefined}>
+            <td>{sub.label}</td>
+            <td>{sub.display}</td>
+            <td className={sub.score === 3 ? "news2Score3" : ""}>{sub.score === null ? "–" : sub.score}</td>
+          </tr>
+        ))}
+        <tr className="news2Total">
+          <td>Aggregate</td>
+          <td>{news2.risk}</td>
+          <td>{news2.total}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+// The FHIR resource(s) an item was built from, as returned by the server.
+function ResourceView({ resources }) {
+  const [open, setOpen] = useState(false);
+  if (!resources?.length) return null;
+  return (
+    <>
+      <button className="whyBtn" type="button" onClick={() => setOpen((o) => !o)}>
+        {open ? "Hide" : "Show"} FHIR {resources.length > 1 ? `resources (${resources.length})` : "resource"}
+      </button>
+      {open ? <pre className="resourceJson">{JSON.stringify(resources.length > 1 ? resources : resources[0], null, 2)}</pre> : null}
+    </>
+  );
+}
+
+function GroupHead({ group }) {
+  const w = group.window;
+  const label = group.kind === "encounter" ? `Encounter/${group.key}` : group.kind === "unlinked" ? "Unlinked" : "Day";
+  return (
+    <div className={`storyGroupHead ${group.flags.length || group.kind === "unlinked" ? "storyGroupFlagged" : ""}`}>
+      <div>
+        <div className="storyKind">{label}</div>
+        <div className="storyTitle">{group.title}</div>
+        {w ? (
+          <div className="storyWhen">
+            {fmtWhen(new Date(w.start).toISOString())} – {w.open ? "ongoing" : w.endAssumed ? "no end recorded" : fmtWhen(new Date(w.end).toISOString())}
+          </div>
+        ) : null}
+      </div>
+      <div className="storyGroupMeta">
+        {group.count} item(s)
+        {group.flags.map((f) => (
+          <div className="storyGroupFlag" key={f}>
+            ⚠ {f}
+          </div>
+        ))}
+        {group.encounter ? <ResourceView resources={group.encounter.resources} /> : null}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The whole patient story, newest first: filter by kind, date range and free text, group by encounter or by day,
+ * and page through long histories. "Explain why" shows the reasons behind an item's triage and the resource it
+ * came from. The view settings and open explanations live with the caller so they survive re-renders.
+ */
+export default function PatientTimeline({ items, episodes, view, onViewChange, expanded, onToggleExpanded }) {
+  const matching = filterTimeline(items, view);
+  const page = pageTimeline(groupTimeline(matching, view.groupBy, episodes), view.limit);
+  const filtered = view.categories.length || view.from || view.to || view.query.trim();
+
+  // Any filter change starts again from the first page.
+  const update = (patch) => onViewChange({ ...view, ...patch, limit: TIMELINE_PAGE_SIZE });
+  const toggleCategory = (key) =>
+    update({ categories: view.categories.includes(key) ? view.categories.filter((c) => c !== key) : [...view.categories, key] });
+
+  return (
+    <div className="timelineWrap">
+      <div className="timelineControls">
+        <div className="chipGroup">
+          <button type="button" className={`chip ${view.categories.length ? "" : "chipActive"}`} onClick={() => update({ categories: [] })}>
+            All kinds ({items.length})
+          </button>
+          {TIMELINE_CATEGORIES.map((c) => (
+            <button
+              key={c.key}
+              type="button"
+              className={`chip ${view.categories.includes(c.key) ? "chipActive" : ""}`}
+              onClick={() => toggleCategory(c.key)}
+            >
+              {c.label} ({items.filter((it) => it.category === c.key).length})
+            </button>
+          ))}
+        </div>
+        <div className="timelineFilters">
+          <div>
+            <div className="label">Search</div>
+            <input
+              className="input"
+              type="search"
+              value={view.query}
+              placeholder="e.g. pneumonia, SpO₂, Observation/…"
+              onChange={(e) => update({ query: e.target.value })}
+            />
+          </div>
+          <div>
+            <div className="label">From</div>
+            <input className="input" type="date" value={view.from} max={view.to || undefined} onChange={(e) => update({ from: e.target.value })} />
+          </div>
+          <div>
+            <div className="label">To</div>
+            <input className="input" type="date" value={view.to} min={view.from || undefined} onChange={(e) => update({ to: e.target.value })} />
+          </div>
+          <div>
+            <div className="label">Group by</div>
+            <div className="chipGroup">
+              {[
+                ["encounter", "Encounter"],
+                ["day", "Day"],
+              ].map(([key, label]) => (
+                <button
+                  key={key}
+                  type="button"
+                  className={`chip ${view.groupBy === key ? "chipActive" : ""}`}
+                  onClick={() => onViewChange({ ...view, groupBy: key })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="subtle">
+          Showing {page.shown} of {page.total} item(s){filtered ? ` matching the filters (${items.length} in total)` : ""}.{" "}
+          {filtered ? (
+            <button className="whyBtn" type="button" onClick={() => update({ categories: [], from: "", to: "", query: "" })}>
+              Clear filters
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      {!page.groups.length ? <div className="subtle">Nothing in the timeline matches these filters.</div> : null}
+
+      <div className="storyList">
+        {page.groups.map((g) => (
+          <div className="storyGroup" key={g.key}>
+            <GroupHead group={g} />
+            {g.items.map((it) => (
+              <div className="storyItem" key={it.id}>
+                <div className="storyLeft">
+                  <div className="storyKind">{it.kind}</div>
+                  <div className="storyTitle">{it.title}</div>
+                  <div className="storyWhen">{fmtWhen(it.when)}</div>
+                </div>
+                <div className="storyRight">
+                  <TriagePill level={it.triage} />
+                  <button className="whyBtn" type="button" onClick={() => onToggleExpanded(it.id)}>
+                    Explain why
+                  </button>
+                  {expanded[it.id] ? (
+                    <div className="whyPanel">
+                      {(it.why || []).map((w, i) => (
+                        <div className="whyLine" key={i}>
+                          • {w}
+                        </div>
+                      ))}
+                      {it.news2 ? <News2Table news2={it.news2} /> : null}
+                      <div className="subtle">{it.refs.join(", ")}</div>
+                      <ResourceView resources={it.resources} />
+                    </div>
+                  ) : null}
+                </div>
+              </div>
+            ))}
+            {g.items.length < g.count ? <div className="subtle">… {g.count - g.items.length} more in this group</div> : null}
+          </div>
+        ))}
+      </div>
+
+      {page.shown < page.total ? (
+        <div className="aiButtonsRow">
+          <button className="aiBtnGhost" type="button" onClick={() => onViewChange({ ...view, limit: view.limit + TIMELINE_PAGE_SIZE })}>
+            Show {Math.min(TIMELINE_PAGE_SIZE, page.total - page.shown)} more
+          </button>
+          <button className="aiBtnGhost" type="button" onClick={() => onViewChange({ ...view, limit: page.total })}>
+            Show all {page.total}
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
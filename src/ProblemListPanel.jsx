@@ -0,0 +1,98 @@
+import React from "react";
+import { CONDITION_CATEGORY_LABELS, PROBLEM_GROUPS, filterProblemList } from "./conditions.js";
+
+const fmtDay = (iso) => {
+  if (!iso) return null;
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+};
+
+const fmtWhenText = (x) => fmtDay(x.when) || x.text || "—";
+
+const categoryLabel = (code) => CONDITION_CATEGORY_LABELS[code] || code;
+
+/**
+ * Conditions as a problem list: active, inactive/resolved and unconfirmed, one row per code, filterable by
+ * category. The category filter lives with the caller so it survives re-renders of the patient panel.
+ */
+export default function ProblemListPanel({ problems, category, onCategoryChange }) {
+  if (!problems) return <div className="subtle">Loading conditions…</div>;
+
+  const total = PROBLEM_GROUPS.reduce((n, g) => n + problems[g.key].length, 0);
+  if (!total && !problems.excluded.length) return <div className="subtle">No Conditions returned by server.</div>;
+
+  const shown = filterProblemList(problems, category);
+  const categories = ["all", ...problems.categories];
+
+  return (
+    <div className="labsWrap">
+      {categories.length > 2 ? (
+        <div className="chipGroup">
+          {categories.map((c) => (
+            <button
+              key={c}
+              type="button"
+              className={`chip ${(category || "all") === c ? "chipActive" : ""}`}
+              onClick={() => onCategoryChange(c)}
+            >
+              {c === "all" ? "All categories" : categoryLabel(c)}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      {PROBLEM_GROUPS.map((g) => (
+        <div className="labPanel" key={g.key}>
+          <div className="labPanelHead">
+            <div className="labPanelTitle">{g.label}</div>
+            <div className="subtle">{shown[g.key].length}</div>
+          </div>
+          {shown[g.key].length ? (
+            <table className="labTable problemTable">
+              <thead>
+                <tr>
+                  <th>Problem</th>
+                  <th>Onset</th>
+                  {g.key === "inactive" ? <th>Abatement</th> : null}
+                  <th>Severity</th>
+                  <th>Status</th>
+                  <th>Category</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown[g.key].map((p) => (
+                  <tr key={p.key}>
+                    <td>
+                      <div className="labValue">{p.display}</div>
+                      <div className="subtle">
+                        {p.ref}
+                        {p.duplicates.length ? ` · recorded ${p.duplicates.length + 1} times` : ""}
+                      </div>
+                    </td>
+                    <td>{fmtWhenText(p.onset)}</td>
+                    {g.key === "inactive" ? <td>{fmtWhenText(p.abatement)}</td> : null}
+                    <td>{p.severity || "—"}</td>
+                    <td>
+                      {p.clinical || "no clinical status"} / {p.verification || "no verification status"}
+                    </td>
+                    <td>{p.categories.map(categoryLabel).join(", ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="subtle">None{category && category !== "all" ? " in this category" : ""}.</div>
+          )}
+        </div>
+      ))}
+
+      {problems.excluded.length ? (
+        <div className="subtle">
+          Not shown: {problems.excluded.length} refuted or entered-in-error Condition(s) (
+          {problems.excluded.map((x) => `Condition/${x.id}`).join(", ")}).
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { useMemo, useState } from "react";
+import { RULE_FIELDS, diffRules, nextVersionName, validateRules, validateVersionName } from "./ruleSets.js";
+
+const fmtRuleValue = (v, unit) => (v === undefined || v === null ? "—" : `${v} ${unit}`);
+
+function draftFromRules(rules) {
+  const d = {};
+  for (const f of RULE_FIELDS) d[f.key] = String(rules?.[f.key] ?? "");
+  return d;
+}
+
+function rulesFromDraft(draft) {
+  const r = {};
+  for (const f of RULE_FIELDS) {
+    const raw = String(draft[f.key] ?? "").trim();
+    r[f.key] = raw === "" ? null : Number(raw);
+  }
+  return r;
+}
+
+/**
+ * Governance editor for triage thresholds.
+ * Saving always creates a new named version; activating a version is a separate, explicit step.
+ */
+export default function RuleSetEditor({ ruleSets, activeVersion, onSave, onActivate }) {
+  const active = ruleSets.find((s) => s.version === activeVersion) || ruleSets[0];
+
+  const [baseVersion, setBaseVersion] = useState(active.version);
+  const [draft, setDraft] = useState(() => draftFromRules(active.rules));
+  const [versionName, setVersionName] = useState(() => nextVersionName(active.version, ruleSets));
+  const [note, setNote] = useState("");
+  const [activateOnSave, setActivateOnSave] = useState(true);
+
+  const [compareA, setCompareA] = useState(ruleSets[0].version);
+  const [compareB, setCompareB] = useState(active.version);
+
+  const draftRules = useMemo(() => rulesFromDraft(draft), [draft]);
+  const ruleErrors = useMemo(() => validateRules(draftRules), [draftRules]);
+  const nameError = validateVersionName(versionName, ruleSets);
+  const base = ruleSets.find((s) => s.version === baseVersion) || active;
+  const pendingChanges = diffRules(base, { rules: draftRules });
+
+  const setA = ruleSets.find((s) => s.version === compareA) || null;
+  const setB = ruleSets.find((s) => s.version === compareB) || null;
+  const comparison = setA && setB ? diffRules(setA, setB) : [];
+
+  function loadBase(version) {
+    const s = ruleSets.find((x) => x.version === version);
+    if (!s) return;
+    setBaseVersion(version);
+    setDraft(draftFromRules(s.rules));
+    setVersionName(nextVersionName(version, ruleSets));
+  }
+
+  function save() {
+    if (ruleErrors.length || nameError || pendingChanges.length === 0) return;
+    const set = {
+      version: versionName.trim(),
+      savedAt: new Date().toISOString(),
+      note: note.trim(),
+      basedOn: base.version,
+      rules: draftRules,
+    };
+    onSave(set, { activate: activateOnSave, changes: pendingChanges });
+    setBaseVersion(set.version);
+    setVersionName(nextVersionName(set.version, [...ruleSets, set]));
+    setNote("");
+    setCompareA(base.version);
+    setCompareB(set.version);
+  }
+
+  return (
+    <div className="card cardPad">
+      <div className="bigAiTitle">Triage rule sets</div>
+      <div className="subtle">
+        Edit thresholds as a new named version. Saved versions are immutable and stored in this browser; every change is
+        written to the audit trail.
+      </div>
+
+      <div className="ruleVersionList">
+        {ruleSets.map((s) => (
+          <div className={`ruleVersionRow ${s.version === activeVersion ? "ruleVersionActive" : ""}`} key={s.version}>
+            <div>
+              <div className="ruleVersionName">{s.version}</div>
+              <div className="auditDetails">
+                {s.note || "No note."}
+                {s.basedOn ? ` (based on ${s.basedOn})` : ""}
+              </div>
+            </div>
+            <div className="ruleVersionActions">
+              {s.version === activeVersion ? (
+                <span className="flagOk">Active</span>
+              ) : (
+                <button className="whyBtn" onClick={() => onActivate(s.version)}>
+                  Activate
+                </button>
+              )}
+              <button className="whyBtn" onClick={() => loadBase(s.version)}>
+                Edit as new
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="aiBlockTitle" style={{ marginTop: 14 }}>
+        Editing from {base.version}
+      </div>
+      <div className="ruleGrid">
+        {RULE_FIELDS.map((f) => (
+          <div key={f.key}>
+            <div className="label">
+              {f.label} ({f.unit})
+            </div>
+            <input
+              className="input"
+              type="number"
+              step="any"
+              value={draft[f.key]}
+              onChange={(e) => setDraft((prev) => ({ ...prev, [f.key]: e.target.value }))}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="ruleGrid">
+        <div>
+          <div className="label">New version name</div>
+          <input className="input" value={versionName} onChange={(e) => setVersionName(e.target.value)} />
+        </div>
+        <div>
+          <div className="label">Change note</div>
+          <input className="input" value={note} onChange={(e) => setNote(e.target.value)} placeholder="Why are the thresholds changing?" />
+        </div>
+      </div>
+
+      {ruleErrors.length > 0 || nameError ? (
+        <div className="errorBox">
+          {[...ruleErrors, nameError].filter(Boolean).map((e) => (
+            <div key={e}>• {e}</div>
+          ))}
+        </div>
+      ) : null}
+
+      <div className="aiButtonsRow">
+        <label className="ruleCheck">
+          <input type="checkbox" checked={activateOnSave} onChange={(e) => setActivateOnSave(e.target.checked)} />
+          Activate after saving
+        </label>
+        <button
+          className="aiBtnBig"
+          onClick={save}
+          disabled={ruleErrors.length > 0 || !!nameError || pendingChanges.length === 0}
+          title={pendingChanges.length === 0 ? "No thresholds changed." : ""}
+        >
+          Save as {versionName.trim() || "new version"} ({pendingChanges.length} change{pendingChanges.length === 1 ? "" : "s"})
+        </button>
+      </div>
+
+      <div className="aiBlockTitle" style={{ marginTop: 14 }}>
+        Compare versions
+      </div>
+      <div className="sortGroup">
+        <select className="select" value={compareA} onChange={(e) => setCompareA(e.target.value)}>
+          {ruleSets.map((s) => (
+            <option key={s.version} value={s.version}>
+              {s.version}
+            </option>
+          ))}
+        </select>
+        <span className="sortLabel">vs</span>
+        <select className="select" value={compareB} onChange={(e) => setCompareB(e.target.value)}>
+          {ruleSets.map((s) => (
+            <option key={s.version} value={s.version}>
+              {s.version}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="auditList">
+        {comparison.length === 0 ? (
+          <div className="subtle">No threshold differences.</div>
+        ) : (
+          comparison.map((d) => (
+            <div className="auditRow" key={d.key}>
+              <div className="auditTs">{d.label}</div>
+              <div className="auditBody">
+                <div className="auditAction">
+                  {fmtRuleValue(d.from, d.unit)} → {fmtRuleValue(d.to, d.unit)}
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from "react";
+
+/* ---------- mini sparkline (SVG) ---------- */
+export default function Sparkline({ values = [], height = 28, width = 92 }) {
+  const clean = values.filter((v) => typeof v === "number" && Number.isFinite(v));
+  if (clean.length < 2) return <div className="sparkEmpty">—</div>;
+
+  const min = Math.min(...clean);
+  const max = Math.max(...clean);
+  const span = max - min || 1;
+
+  const pts = clean.map((v, i) => {
+    const x = (i / (clean.length - 1)) * (width - 4) + 2;
+    const y = height - ((v - min) / span) * (height - 6) - 3;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <svg className="spark" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+      <polyline points={pts.join(" ")} fill="none" stroke="currentColor" strokeWidth="2" />
+    </svg>
+  );
+}
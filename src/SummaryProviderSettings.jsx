@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { SUMMARY_DATA_LIMITS } from "./summaryProviders.js";
+
+/**
+ * Governance setting for which provider writes the AI note. Edits are a local draft until applied,
+ * so a half-typed endpoint never becomes the active provider.
+ */
+export default function SummaryProviderSettings({ config, apiKey, onApply }) {
+  const [draft, setDraft] = useState(config);
+  const [keyDraft, setKeyDraft] = useState(apiKey);
+
+  const set = (key) => (e) => setDraft((prev) => ({ ...prev, [key]: e.target.value }));
+  const http = draft.kind === "http";
+  const invalid = http && (!/^https?:\/\/\S+$/.test(draft.endpoint.trim()) || !draft.model.trim());
+  const changed =
+    draft.kind !== config.kind || draft.endpoint !== config.endpoint || draft.model !== config.model || keyDraft !== apiKey;
+
+  function apply() {
+    if (invalid || !changed) return;
+    onApply({ ...draft, endpoint: draft.endpoint.trim(), model: draft.model.trim() }, keyDraft);
+  }
+
+  return (
+    <div className="card cardPad">
+      <div className="bigAiTitle">AI note provider</div>
+      <div className="subtle">
+        The rule-based generator runs in this browser. An HTTP provider calls an OpenAI-compatible chat-completions endpoint
+        (the fixture server serves a mock at http://localhost:8787/v1). Either way, every reference the note cites is checked
+        against the data that was provided.
+      </div>
+
+      <div className="ruleGrid">
+        <div>
+          <div className="label">Provider</div>
+          <select className="select" value={draft.kind} onChange={set("kind")}>
+            <option value="rules">Rule-based (built-in)</option>
+            <option value="http">HTTP model endpoint</option>
+          </select>
+        </div>
+        {http ? (
+          <>
+            <div>
+              <div className="label">Endpoint (base URL, /chat/completions is appended)</div>
+              <input className="input" value={draft.endpoint} onChange={set("endpoint")} placeholder="http://localhost:8787/v1" />
+            </div>
+            <div>
+              <div className="label">Model</div>
+              <input className="input" value={draft.model} onChange={set("model")} placeholder="fixture-mock-model" />
+            </div>
+            <div>
+              <div className="label">API key (kept in memory only)</div>
+              <input className="input" type="password" value={keyDraft} onChange={(e) => setKeyDraft(e.target.value)} />
+            </div>
+          </>
+        ) : null}
+      </div>
+
+      {http ? (
+        <div className="subtle">
+          Sent to the endpoint: gender, birth year, triage result and reasons, and at most {SUMMARY_DATA_LIMITS.vitals} vitals,{" "}
+          {SUMMARY_DATA_LIMITS.labs} lab results, {SUMMARY_DATA_LIMITS.encounters} encounters, {SUMMARY_DATA_LIMITS.conditions}{" "}
+          conditions, {SUMMARY_DATA_LIMITS.medications} medications, {SUMMARY_DATA_LIMITS.allergies} allergies (with their
+          medication conflicts) and {SUMMARY_DATA_LIMITS.interactions} drug-drug interactions, each with its resource id. Never
+          sent: name, identifiers, contact details.
+        </div>
+      ) : null}
+
+      <div className="aiButtonsRow">
+        <button className="aiBtnBig" onClick={apply} disabled={invalid || !changed}>
+          Apply provider
+        </button>
+      </div>
+    </div>
+  );
+}
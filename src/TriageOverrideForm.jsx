@@ -0,0 +1,70 @@
+import React from "react";
+import { OVERRIDE_EXPIRY, OVERRIDE_LEVELS, validateOverrideDraft } from "./triageOverrides.js";
+
+/**
+ * Override dialog, opened from the worklist row or the patient panel.
+ * It is rendered at the top of App with the draft held there, so typing survives the panels' re-renders.
+ */
+export default function TriageOverrideForm({ draft, patientName, computedLevel, onChange, onSave, onCancel }) {
+  const errors = validateOverrideDraft(draft, computedLevel);
+  const set = (key) => (e) => onChange({ ...draft, [key]: e.target.value });
+
+  function submit(e) {
+    e.preventDefault();
+    if (!errors.length) onSave(draft);
+  }
+
+  return (
+    <div className="overlay" role="dialog" aria-modal="true" aria-label="Override triage">
+      <form className="card cardPad overrideForm" onSubmit={submit}>
+        <div className="sectionTitle">Override triage</div>
+        <div className="subtle">
+          {patientName} (Patient/{draft.patientId}) · computed level {computedLevel}
+        </div>
+
+        <div className="overrideGrid">
+          <div>
+            <div className="label">Override level</div>
+            <select className="select" value={draft.level} onChange={set("level")}>
+              {OVERRIDE_LEVELS.map((l) => (
+                <option key={l} value={l}>
+                  {l}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <div className="label">Expires</div>
+            <select className="select" value={draft.expiry} onChange={set("expiry")}>
+              {OVERRIDE_EXPIRY.map((x) => (
+                <option key={x.key} value={x.key}>
+                  {x.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="label">Reason (required)</div>
+        <textarea
+          className="input overrideReason"
+          rows={3}
+          autoFocus
+          value={draft.reason}
+          onChange={set("reason")}
+          placeholder="e.g. Known chronic hypoxia, target SpO₂ 88–92% agreed with respiratory team"
+        />
+        {errors.length ? <div className="subtle">{errors.join(" ")}</div> : null}
+
+        <div className="overrideActions">
+          <button className="button" type="submit" disabled={errors.length > 0}>
+            Apply override
+          </button>
+          <button className="aiBtnGhost" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,440 @@
+import React, { useRef, useState } from "react";
+
+/* ---------- full vitals chart (SVG) ---------- */
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+// Rule-set thresholds per series; "falling" vitals (SpO₂) breach below the line.
+const SERIES_RULES = {
+  bpSys: { amber: "bpAmberSys", red: "bpRedSys", direction: "rising" },
+  bpDia: { amber: "bpAmberDia", red: "bpRedDia", direction: "rising" },
+  hr: { amber: "hrAmber", red: "hrRed", direction: "rising" },
+  temp: { amber: "tempAmber", red: "tempRed", direction: "rising" },
+  spo2: { amber: "spo2Amber", red: "spo2Red", direction: "falling" },
+};
+
+// The first series' thresholds are shaded as bands; any others are drawn as dashed lines.
+const CHART_VITALS = [
+  {
+    key: "bp",
+    label: "Blood pressure",
+    unit: "mmHg",
+    series: [
+      { key: "bpSys", label: "Systolic" },
+      { key: "bpDia", label: "Diastolic" },
+    ],
+  },
+  { key: "hr", label: "Heart rate", unit: "bpm", series: [{ key: "hr", label: "Heart rate" }] },
+  { key: "temp", label: "Temperature", unit: "°C", series: [{ key: "temp", label: "Temperature" }] },
+  { key: "spo2", label: "Oxygen saturation", unit: "%", series: [{ key: "spo2", label: "SpO₂" }] },
+  { key: "rr", label: "Respiratory rate", unit: "/min", series: [{ key: "rr", label: "Respiratory rate" }] },
+];
+
+const RANGE_PRESETS = [
+  { key: "24h", label: "24h", ms: DAY },
+  { key: "7d", label: "7d", ms: 7 * DAY },
+  { key: "all", label: "All", ms: null },
+];
+
+const TICK_STEPS = [HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, DAY, 2 * DAY, 7 * DAY, 14 * DAY, 30 * DAY, 90 * DAY];
+const MIN_ZOOM_MS = 30 * 60 * 1000;
+
+const W = 640;
+const H = 250;
+const M = { top: 12, right: 16, bottom: 36, left: 46 };
+const PLOT_W = W - M.left - M.right;
+const PLOT_H = H - M.top - M.bottom;
+
+const fmtWhen = (t) =>
+  new Date(t).toLocaleString(undefined, { day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit" });
+const fmtDay = (t) => new Date(t).toLocaleDateString(undefined, { day: "2-digit", month: "short" });
+const fmtTime = (t) => new Date(t).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+
+function timeTicks(from, to) {
+  const step = TICK_STEPS.find((s) => (to - from) / s <= 6) || TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = [];
+  if (step >= DAY) {
+    // Day ticks sit on local midnight.
+    const d = new Date(from);
+    d.setHours(0, 0, 0, 0);
+    while (d.getTime() < from) d.setDate(d.getDate() + 1);
+    for (; d.getTime() <= to; d.setDate(d.getDate() + step / DAY)) ticks.push(d.getTime());
+  } else {
+    for (let t = Math.ceil(from / step) * step; t <= to; t += step) ticks.push(t);
+  }
+  return { step, ticks };
+}
+
+function valueTicks(min, max) {
+  const raw = (max - min) / 5 || 1;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const norm = raw / mag;
+  const step = (norm < 1.5 ? 1 : norm < 3 ? 2 : norm < 7 ? 5 : 10) * mag;
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + 1e-9; v += step) ticks.push(Math.round(v * 1000) / 1000);
+  return ticks;
+}
+
+/**
+ * RED / AMBER / null for one reading against the active rule set.
+ */
+function bandOf(seriesKey, value, rules) {
+  const rule = SERIES_RULES[seriesKey];
+  if (!rule || typeof value !== "number") return null;
+  const amber = rules?.[rule.amber];
+  const red = rules?.[rule.red];
+  if (rule.direction === "falling") return value <= red ? "RED" : value <= amber ? "AMBER" : null;
+  return value >= red ? "RED" : value >= amber ? "AMBER" : null;
+}
+
+function timeDomain(all, view, zoom, now) {
+  if (zoom) return [zoom.from, zoom.to];
+  const preset = RANGE_PRESETS.find((r) => r.key === view.range) || RANGE_PRESETS[1];
+  if (preset.ms) return [now - preset.ms, now];
+  if (!all.length) return [now - DAY, now];
+  const first = all[0].t;
+  const last = all[all.length - 1].t;
+  const pad = Math.max((last - first) * 0.03, HOUR);
+  return [first - pad, last + pad];
+}
+
+/**
+ * Vitals over time for the selected patient: real time axis, systolic + diastolic together,
+ * amber/red bands from the active rule set, range presets, drag-to-zoom, tooltips with the
+ * source Observation id, and a table view of the same readings.
+ *
+ * The view ({ vital, range, mode, zoom }) is owned by App so it survives re-renders of the panel.
+ */
+export default function VitalsChart({ vitals, rules, patientId, view, onViewChange }) {
+  const svgRef = useRef(null);
+  const [hover, setHover] = useState(null); // { key, x, y, seriesLabel, point }
+  const [drag, setDrag] = useState(null); // { start, end } in SVG x units
+  const [now] = useState(() => Date.now()); // range presets end here
+
+  if (!vitals) return <div className="subtle">Loading vitals…</div>;
+
+  const chart = CHART_VITALS.find((c) => c.key === view.vital) || CHART_VITALS[0];
+  const zoom = view.zoom?.patientId === patientId ? view.zoom : null;
+  const set = (patch) => onViewChange({ ...view, ...patch });
+
+  const series = chart.series.map((s, i) => ({
+    ...s,
+    index: i,
+    points: (vitals.points?.[s.key] || [])
+      .map((p) => ({ ...p, t: new Date(p.when).getTime() }))
+      .filter((p) => Number.isFinite(p.t)),
+  }));
+  const all = series.flatMap((s) => s.points).sort((a, b) => a.t - b.t);
+
+  const [from, to] = timeDomain(all, view, zoom, now);
+  const visible = series.map((s) => ({ ...s, points: s.points.filter((p) => p.t >= from && p.t <= to) }));
+  const visibleCount = visible.reduce((n, s) => n + s.points.length, 0);
+
+  const thresholds = chart.series
+    .map((s) => SERIES_RULES[s.key])
+    .filter(Boolean)
+    .flatMap((r) => [rules?.[r.amber], rules?.[r.red]])
+    .filter((v) => typeof v === "number");
+  const values = [...visible.flatMap((s) => s.points.map((p) => p.value)), ...thresholds];
+  let yMin = values.length ? Math.min(...values) : 0;
+  let yMax = values.length ? Math.max(...values) : 1;
+  const yPad = (yMax - yMin) * 0.08 || 1;
+  yMin -= yPad;
+  yMax += yPad;
+
+  const x = (t) => M.left + ((t - from) / (to - from)) * PLOT_W;
+  const y = (v) => M.top + PLOT_H - ((v - yMin) / (yMax - yMin)) * PLOT_H;
+  const clampY = (v) => Math.min(M.top + PLOT_H, Math.max(M.top, y(v)));
+  const timeAt = (sx) => from + ((Math.min(Math.max(sx, M.left), M.left + PLOT_W) - M.left) / PLOT_W) * (to - from);
+
+  function svgX(e) {
+    const rect = svgRef.current.getBoundingClientRect();
+    return ((e.clientX - rect.left) / rect.width) * W;
+  }
+
+  function zoomTo(a, b) {
+    const center = (a + b) / 2;
+    const span = Math.max(b - a, MIN_ZOOM_MS);
+    set({ zoom: { patientId, from: center - span / 2, to: center + span / 2 } });
+  }
+
+  function endDrag() {
+    if (drag && Math.abs(drag.end - drag.start) > 8) {
+      zoomTo(timeAt(Math.min(drag.start, drag.end)), timeAt(Math.max(drag.start, drag.end)));
+    }
+    setDrag(null);
+  }
+
+  const { step, ticks } = timeTicks(from, to);
+  const yTicks = valueTicks(yMin, yMax);
+
+  // Threshold shading for the first series, dashed lines for the rest.
+  const bandRule = SERIES_RULES[chart.series[0].key];
+  const bands = [];
+  if (bandRule) {
+    const amber = rules?.[bandRule.amber];
+    const red = rules?.[bandRule.red];
+    if (bandRule.direction === "falling") {
+      bands.push({ cls: "vcBandRed", top: clampY(red), bottom: M.top + PLOT_H });
+      bands.push({ cls: "vcBandAmber", top: clampY(amber), bottom: clampY(red) });
+    } else {
+      bands.push({ cls: "vcBandRed", top: M.top, bottom: clampY(red) });
+      bands.push({ cls: "vcBandAmber", top: clampY(red), bottom: clampY(amber) });
+    }
+  }
+  const lines = chart.series.slice(1).flatMap((s) => {
+    const rule = SERIES_RULES[s.key];
+    if (!rule) return [];
+    return [
+      { key: `${s.key}-amber`, cls: "vcLineAmber", value: rules?.[rule.amber], label: `${s.label} amber` },
+      { key: `${s.key}-red`, cls: "vcLineRed", value: rules?.[rule.red], label: `${s.label} red` },
+    ].filter((l) => typeof l.value === "number" && l.value >= yMin && l.value <= yMax);
+  });
+
+  // Table rows: one per Observation + time, newest first, with every series of the tab side by side.
+  const rows = new Map();
+  for (const s of visible) {
+    for (const p of s.points) {
+      const key = `${p.when}|${p.id}`;
+      if (!rows.has(key)) rows.set(key, { key, t: p.t, id: p.id, values: {}, originals: [] });
+      const row = rows.get(key);
+      row.values[s.key] = p.value;
+      if (p.original) row.originals.push(`${p.original.value} ${p.original.unit}`);
+    }
+  }
+  const tableRows = [...rows.values()].sort((a, b) => b.t - a.t);
+
+  return (
+    <div className="vitalsChart">
+      <div className="vcControls">
+        <div className="chipGroup">
+          {CHART_VITALS.map((c) => (
+            <button
+              key={c.key}
+              type="button"
+              className={`chip ${c.key === chart.key ? "chipActive" : ""}`}
+              onClick={() => set({ vital: c.key })}
+            >
+              {c.label}
+            </button>
+          ))}
+        </div>
+        <div className="chipGroup">
+          {RANGE_PRESETS.map((r) => (
+            <button
+              key={r.key}
+              type="button"
+              className={`chip ${!zoom && view.range === r.key ? "chipActive" : ""}`}
+              onClick={() => set({ range: r.key, zoom: null })}
+            >
+              {r.label}
+            </button>
+          ))}
+          <button type="button" className="chip" onClick={() => zoomTo(from + (to - from) / 4, to - (to - from) / 4)}>
+            Zoom in
+          </button>
+          <button type="button" className="chip" onClick={() => zoomTo(from - (to - from) / 2, to + (to - from) / 2)}>
+            Zoom out
+          </button>
+          {zoom ? (
+            <button type="button" className="chip" onClick={() => set({ zoom: null })}>
+              Reset zoom
+            </button>
+          ) : null}
+          <button type="button" className="chip" onClick={() => set({ mode: view.mode === "table" ? "chart" : "table" })}>
+            {view.mode === "table" ? "Show chart" : "Show table"}
+          </button>
+        </div>
+      </div>
+
+      <div className="subtle">
+        {fmtWhen(from)} – {fmtWhen(to)} · {visibleCount} reading(s) in view
+        {bandRule ? "" : " · no thresholds for this vital in the rule set"}
+        {vitals.truncated ? " · older readings not loaded" : ""}
+      </div>
+
+      {view.mode === "table" ? (
+        tableRows.length ? (
+          <table className="vcTable">
+            <thead>
+              <tr>
+                <th>Time</th>
+                {chart.series.map((s) => (
+                  <th key={s.key}>
+                    {s.label} ({chart.unit})
+                  </th>
+                ))}
+                <th>Rule band</th>
+                <th>Recorded as</th>
+                <th>Observation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tableRows.map((row) => {
+                const levels = chart.series.map((s) => bandOf(s.key, row.values[s.key], rules));
+                const band = levels.includes("RED") ? "RED" : levels.includes("AMBER") ? "AMBER" : null;
+                return (
+                  <tr key={row.key}>
+                    <td>{fmtWhen(row.t)}</td>
+                    {chart.series.map((s) => (
+                      <td key={s.key} className="vcValue">
+                        {row.values[s.key] ?? "—"}
+                      </td>
+                    ))}
+                    <td className={band === "RED" ? "vcTextRed" : band === "AMBER" ? "vcTextAmber" : ""}>{band || "—"}</td>
+                    <td>{row.originals.join(" / ") || "—"}</td>
+                    <td className="subtle">Observation/{row.id}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <div className="subtle">No readings in this range.</div>
+        )
+      ) : (
+        <div className="vcPlot">
+          <svg
+            ref={svgRef}
+            className="vcSvg"
+            viewBox={`0 0 ${W} ${H}`}
+            onMouseDown={(e) => {
+              const sx = svgX(e);
+              setDrag({ start: sx, end: sx });
+            }}
+            onMouseMove={(e) => {
+              if (drag) setDrag({ ...drag, end: svgX(e) });
+            }}
+            onMouseUp={endDrag}
+            onMouseLeave={() => {
+              setDrag(null);
+              setHover(null);
+            }}
+          >
+            <defs>
+              <clipPath id="vcClip">
+                <rect x={M.left} y={M.top} width={PLOT_W} height={PLOT_H} />
+              </clipPath>
+            </defs>
+
+            {bands.map((b) =>
+              b.bottom > b.top ? (
+                <rect key={b.cls} className={b.cls} x={M.left} y={b.top} width={PLOT_W} height={b.bottom - b.top} />
+              ) : null
+            )}
+
+            {yTicks.map((v) => (
+              <g key={v}>
+                <line className="vcGrid" x1={M.left} x2={M.left + PLOT_W} y1={y(v)} y2={y(v)} />
+                <text className="vcAxisText" x={M.left - 6} y={y(v) + 3} textAnchor="end">
+                  {v}
+                </text>
+              </g>
+            ))}
+
+            {ticks.map((t, i) => (
+              <g key={t}>
+                <line className="vcGrid" x1={x(t)} x2={x(t)} y1={M.top} y2={M.top + PLOT_H} />
+                <text className="vcAxisText" x={x(t)} y={M.top + PLOT_H + 14} textAnchor="middle">
+                  {step >= DAY ? fmtDay(t) : fmtTime(t)}
+                </text>
+                {step < DAY && (i === 0 || new Date(t).getHours() < step / HOUR) ? (
+                  <text className="vcAxisText" x={x(t)} y={M.top + PLOT_H + 27} textAnchor="middle">
+                    {fmtDay(t)}
+                  </text>
+                ) : null}
+              </g>
+            ))}
+
+            {lines.map((l) => (
+              <g key={l.key}>
+                <line className={l.cls} x1={M.left} x2={M.left + PLOT_W} y1={y(l.value)} y2={y(l.value)} />
+                <text className="vcAxisText" x={M.left + PLOT_W - 2} y={y(l.value) - 3} textAnchor="end">
+                  {l.label} {l.value}
+                </text>
+              </g>
+            ))}
+
+            <rect className="vcFrame" x={M.left} y={M.top} width={PLOT_W} height={PLOT_H} />
+
+            <g clipPath="url(#vcClip)">
+              {visible.map((s) =>
+                s.points.length > 1 ? (
+                  <polyline
+                    key={s.key}
+                    className={`vcSeries vcSeries${s.index}`}
+                    points={s.points.map((p) => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ")}
+                  />
+                ) : null
+              )}
+              {visible.map((s) =>
+                s.points.map((p) => (
+                  <circle
+                    key={`${s.key}-${p.id}-${p.when}`}
+                    className={`vcPoint vcSeries${s.index} ${bandOf(s.key, p.value, rules) === "RED" ? "vcPointRed" : ""}`}
+                    cx={x(p.t)}
+                    cy={y(p.value)}
+                    r={hover?.key === `${s.key}-${p.id}-${p.when}` ? 5 : 3.5}
+                    onMouseEnter={() =>
+                      setHover({ key: `${s.key}-${p.id}-${p.when}`, x: x(p.t), y: y(p.value), seriesLabel: s.label, point: p })
+                    }
+                    onMouseLeave={() => setHover(null)}
+                  />
+                ))
+              )}
+            </g>
+
+            {drag && Math.abs(drag.end - drag.start) > 2 ? (
+              <rect
+                className="vcSelection"
+                x={Math.max(M.left, Math.min(drag.start, drag.end))}
+                y={M.top}
+                width={Math.min(Math.abs(drag.end - drag.start), PLOT_W)}
+                height={PLOT_H}
+              />
+            ) : null}
+
+            <text className="vcAxisText" x={12} y={M.top + PLOT_H / 2} transform={`rotate(-90 12 ${M.top + PLOT_H / 2})`} textAnchor="middle">
+              {chart.unit}
+            </text>
+          </svg>
+
+          {hover ? (
+            <div
+              className="vcTooltip"
+              style={{ left: `${(hover.x / W) * 100}%`, top: `${(hover.y / H) * 100}%` }}
+            >
+              <div className="vcTooltipValue">
+                {hover.seriesLabel} {hover.point.value} {chart.unit}
+              </div>
+              {hover.point.original ? (
+                <div>
+                  recorded as {hover.point.original.value} {hover.point.original.unit}
+                </div>
+              ) : null}
+              <div>{fmtWhen(hover.point.t)}</div>
+              <div className="subtle">Observation/{hover.point.id}</div>
+            </div>
+          ) : null}
+
+          <div className="vcLegend">
+            {chart.series.map((s, i) => (
+              <span key={s.key} className={`vcLegendItem vcSeries${i}`}>
+                ● {s.label}
+              </span>
+            ))}
+            {bandRule ? (
+              <>
+                <span className="vcLegendItem vcTextAmber">▮ amber ({chart.series[0].label.toLowerCase()})</span>
+                <span className="vcLegendItem vcTextRed">▮ red ({chart.series[0].label.toLowerCase()})</span>
+              </>
+            ) : null}
+            <span className="subtle">Drag across the chart to zoom.</span>
+          </div>
+
+          {!visibleCount ? <div className="subtle">No readings in this range — try “All”.</div> : null}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+/* ---------- allergies and allergy-versus-medication conflicts ---------- */
+/**
+ * Turns a patient's AllergyIntolerances into panel rows (substance, criticality, reactions) and checks the
+ * active ones against active medication orders using SUBSTANCE_CLASSES, a small offline table of drug classes
+ * and their ingredients. Matching is by ingredient name in the coded display / text (word boundaries, case
+ * insensitive), plus the RxNorm and SNOMED codes listed in the table, so it works without a terminology server.
+ *
+ * A conflict is one of:
+ * - "ingredient":        the order contains the very substance the patient reacts to
+ * - "class":             the order is in the same class (penicillin allergy, amoxicillin order)
+ * - "cross-reactivity":  the order is in a class listed as cross-reactive (penicillin allergy, cephalosporin order)
+ * Refuted and entered-in-error allergies are dropped; inactive / resolved ones are listed but never checked.
+ */
+
+const RXNORM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+const SNOMED = "http://snomed.info/sct";
+
+/**
+ * Demo-grade, not a formulary: class -> { label, names (the class word itself first), codes, crossReactive }.
+ * `codes` are "system|code" tokens for ingredients and for allergy-to-class concepts.
+ */
+export const SUBSTANCE_CLASSES = {
+  penicillins: {
+    label: "Penicillins",
+    names: [
+      "penicillin",
+      "amoxicillin",
+      "amoxycillin",
+      "ampicillin",
+      "benzylpenicillin",
+      "phenoxymethylpenicillin",
+      "flucloxacillin",
+      "cloxacillin",
+      "dicloxacillin",
+      "piperacillin",
+      "temocillin",
+      "co-amoxiclav",
+    ],
+    codes: [`${RXNORM}|723`, `${RXNORM}|733`, `${RXNORM}|7980`, `${RXNORM}|7984`, `${SNOMED}|764146007`, `${SNOMED}|91936005`],
+    crossReactive: ["cephalosporins", "carbapenems"],
+  },
+  cephalosporins: {
+    label: "Cephalosporins",
+    names: [
+      "cephalosporin",
+      "cefalexin",
+      "cephalexin",
+      "cefadroxil",
+      "cefaclor",
+      "cefuroxime",
+      "cefixime",
+      "ceftriaxone",
+      "cefotaxime",
+      "ceftazidime",
+      "cefazolin",
+    ],
+    codes: [`${RXNORM}|2231`, `${RXNORM}|2193`],
+    crossReactive: ["penicillins"],
+  },
+  carbapenems: {
+    label: "Carbapenems",
+    names: ["carbapenem", "meropenem", "imipenem", "ertapenem"],
+    codes: [],
+    crossReactive: [],
+  },
+  sulfonamides: {
+    label: "Sulfonamide antibiotics",
+    names: [
+      "sulfonamide",
+      "sulphonamide",
+      "sulfamethoxazole",
+      "sulphamethoxazole",
+      "co-trimoxazole",
+      "sulfadiazine",
+      "sulfasalazine",
+    ],
+    codes: [`${RXNORM}|10180`, `${SNOMED}|91939003`],
+    crossReactive: [],
+  },
+  macrolides: {
+    label: "Macrolides",
+    names: ["macrolide", "erythromycin", "clarithromycin", "azithromycin"],
+    codes: [`${RXNORM}|4053`, `${RXNORM}|21212`, `${RXNORM}|18631`],
+    crossReactive: [],
+  },
+  tetracyclines: {
+    label: "Tetracyclines",
+    names: ["tetracycline", "doxycycline", "minocycline", "lymecycline", "oxytetracycline"],
+    codes: [`${RXNORM}|10395`, `${RXNORM}|3640`],
+    crossReactive: [],
+  },
+  quinolones: {
+    label: "Fluoroquinolones",
+    names: ["quinolone", "fluoroquinolone", "ciprofloxacin", "levofloxacin", "moxifloxacin", "ofloxacin"],
+    codes: [`${RXNORM}|2551`, `${RXNORM}|82122`],
+    crossReactive: [],
+  },
+  nsaids: {
+    label: "NSAIDs (incl. aspirin)",
+    names: [
+      "nsaid",
+      "aspirin",
+      "acetylsalicylic acid",
+      "ibuprofen",
+      "naproxen",
+      "diclofenac",
+      "indometacin",
+      "indomethacin",
+      "ketoprofen",
+      "mefenamic acid",
+      "celecoxib",
+      "etoricoxib",
+    ],
+    codes: [`${RXNORM}|1191`, `${RXNORM}|5640`, `${RXNORM}|7258`, `${RXNORM}|3355`],
+    crossReactive: [],
+  },
+  opioids: {
+    label: "Opioids",
+    names: [
+      "opioid",
+      "opiate",
+      "morphine",
+      "codeine",
+      "dihydrocodeine",
+      "oxycodone",
+      "hydromorphone",
+      "tramadol",
+      "fentanyl",
+      "diamorphine",
+      "pethidine",
+    ],
+    codes: [`${RXNORM}|7052`, `${RXNORM}|2670`, `${RXNORM}|7804`, `${RXNORM}|10689`],
+    crossReactive: [],
+  },
+  aceInhibitors: {
+    label: "ACE inhibitors",
+    names: ["ace inhibitor", "ramipril", "lisinopril", "enalapril", "perindopril", "captopril"],
+    codes: [`${RXNORM}|35296`, `${RXNORM}|29046`],
+    crossReactive: [],
+  },
+};
+
+const CRITICALITY_LABELS = { high: "High criticality", low: "Low criticality", "unable-to-assess": "Criticality not assessed" };
+const INACTIVE_CLINICAL = new Set(["inactive", "resolved"]);
+
+const statusCode = (codeable) => codeable?.coding?.find((c) => c?.code)?.code || null;
+const codeText = (codeable) => codeable?.text || codeable?.coding?.find((c) => c?.display)?.display || null;
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const NAME_PATTERNS = Object.entries(SUBSTANCE_CLASSES).flatMap(([cls, def]) =>
+  def.names.map((name) => ({ cls, name, re: new RegExp(`(^|[^a-z])${escape(name)}s?($|[^a-z])`, "i") }))
+);
+
+/**
+ * The table entries a coded concept (or plain text) matches: { classes: Set, ingredients: Set }.
+ * Matching the class word itself ("Penicillin", "NSAID") adds the class but no ingredient.
+ */
+export function substanceClasses(codeable, text = "") {
+  const classes = new Set();
+  const ingredients = new Set();
+  const words = [text, codeable?.text, ...(codeable?.coding || []).map((c) => c?.display)].filter(Boolean).join(" | ");
+  for (const p of NAME_PATTERNS) {
+    if (!p.re.test(words)) continue;
+    classes.add(p.cls);
+    if (p.name !== SUBSTANCE_CLASSES[p.cls].names[0]) ingredients.add(p.name);
+  }
+  const tokens = (codeable?.coding || []).map((c) => `${c?.system}|${c?.code}`);
+  for (const [cls, def] of Object.entries(SUBSTANCE_CLASSES)) {
+    if (tokens.some((t) => def.codes.includes(t))) classes.add(cls);
+  }
+  return { classes, ingredients };
+}
+
+// A medication's classes and ingredients across its display text and every coded concept it carries.
+function medicationClasses(med) {
+  const found = [substanceClasses(null, med.display), ...(med.concepts || []).map((cc) => substanceClasses(cc))];
+  return {
+    classes: new Set(found.flatMap((f) => [...f.classes])),
+    ingredients: new Set(found.flatMap((f) => [...f.ingredients])),
+  };
+}
+
+/**
+ * AllergyIntolerance -> panel row; null for refuted / entered-in-error.
+ *   { id, ref, substance, classes, ingredients, clinical, verification, active, criticality, criticalityLabel,
+ *     type, categories, reactions: [{ manifestations, severity, substance }], onset, recorded }
+ */
+export function allergyRow(a) {
+  const verification = statusCode(a?.verificationStatus);
+  if (verification === "refuted" || verification === "entered-in-error") return null;
+  const clinical = statusCode(a?.clinicalStatus);
+  const reactionSubstances = (a.reaction || []).map((r) => r?.substance).filter(Boolean);
+  const matched = [a.code, ...reactionSubstances].map((c) => substanceClasses(c));
+  return {
+    id: a.id,
+    ref: `AllergyIntolerance/${a.id}`,
+    substance: codeText(a.code) || codeText(reactionSubstances[0]) || "Unspecified substance",
+    classes: new Set(matched.flatMap((m) => [...m.classes])),
+    ingredients: new Set(matched.flatMap((m) => [...m.ingredients])),
+    clinical,
+    verification,
+    active: !INACTIVE_CLINICAL.has(clinical),
+    criticality: a.criticality || null,
+    criticalityLabel: CRITICALITY_LABELS[a.criticality] || "Criticality not recorded",
+    type: a.type || null,
+    categories: a.category || [],
+    reactions: (a.reaction || []).map((r) => ({
+      manifestations: (r.manifestation || []).map(codeText).filter(Boolean),
+      severity: r.severity || null,
+      substance: codeText(r.substance),
+    })),
+    onset: a.onsetDateTime || a.onsetPeriod?.start || a.onsetString || null,
+    recorded: a.recordedDate || null,
+  };
+}
+
+/**
+ * Rows for the panel, active first, high criticality first within each.
+ */
+export function summariseAllergies(allergies) {
+  const rank = (r) => (r.active ? 0 : 2) + (r.criticality === "high" ? 0 : 1);
+  return (allergies || [])
+    .map(allergyRow)
+    .filter(Boolean)
+    .sort((a, b) => rank(a) - rank(b) || a.substance.localeCompare(b.substance));
+}
+
+/**
+ * Active allergies x medications -> [{ allergy, medication, kind, classLabel, high, text }]
+ * medications: [{ ref, display, concepts? }]; the display is matched by name, `concepts` (the product's and its
+ * ingredients' CodeableConcepts, as resolveMedication returns them) by name and code.
+ * `high` marks conflicts that need attention first: a direct (ingredient / class) match on an allergy, or any
+ * match on a high-criticality one. Conflicts with an intolerance (non-immune reaction) are still reported, but are
+ * only `high` when the intolerance is high-criticality.
+ */
+export function allergyConflicts(allergyRows, medications) {
+  const out = [];
+  for (const allergy of allergyRows.filter((r) => r.active)) {
+    for (const med of medications || []) {
+      const drug = medicationClasses(med);
+      const sameIngredient = [...drug.ingredients].find((i) => allergy.ingredients.has(i));
+      const sameClass = [...drug.classes].find((c) => allergy.classes.has(c));
+      const cross = [...drug.classes].find((c) =>
+        [...allergy.classes].some((a) => SUBSTANCE_CLASSES[a].crossReactive.includes(c))
+      );
+      const kind = sameIngredient ? "ingredient" : sameClass ? "class" : cross ? "cross-reactivity" : null;
+      if (!kind) continue;
+      const classLabel = SUBSTANCE_CLASSES[sameClass || cross]?.label || "";
+      const why =
+        kind === "ingredient"
+          ? `contains ${sameIngredient}`
+          : kind === "class"
+            ? `same class (${classLabel})`
+            : `possible cross-reactivity (${classLabel})`;
+      const unconfirmed = allergy.verification && allergy.verification !== "confirmed" ? `, ${allergy.verification}` : "";
+      out.push({
+        allergy,
+        medication: med,
+        kind,
+        classLabel,
+        high: allergy.criticality === "high" || (kind !== "cross-reactivity" && allergy.type !== "intolerance"),
+        text: `${med.display} vs ${allergy.substance} ${allergy.type === "intolerance" ? "intolerance" : "allergy"} (${allergy.criticalityLabel.toLowerCase()}${unconfirmed}): ${why}`,
+      });
+    }
+  }
+  return out.sort((a, b) => Number(b.high) - Number(a.high));
+}
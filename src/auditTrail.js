@@ -0,0 +1,185 @@
+/* ---------- audit trail (durable, hash-chained, AuditEvent export) ---------- */
+/**
+ * Every audit entry is kept in localStorage, newest first, with no cap:
+ *   { seq, ts, actor, action, details, patientId, prevHash, hash, unverifiable? }
+ * `hash` is SHA-256 over the entry's content plus the previous entry's hash, so editing or removing an
+ * entry breaks every hash after it. verifyAuditChain() recomputes the chain; the newest hash is the
+ * value a reviewer compares against an earlier export to detect truncation.
+ * SubtleCrypto only exists in secure contexts; without it an entry is still recorded, with `hash: null`
+ * and the reason in `unverifiable`, and verification reports it.
+ */
+
+const STORAGE_KEY = "fhirDemo.auditTrail.v1";
+const SENT_KEY = "fhirDemo.auditTrailSent.v1";
+
+export const GENESIS_HASH = "0".repeat(64);
+export const AUDIT_ACTION_SYSTEM = "https://fhir-core-demo.example.org/CodeSystem/audit-action";
+export const AUDIT_CHAIN_SYSTEM = "https://fhir-core-demo.example.org/CodeSystem/audit-chain";
+
+const DCM_SYSTEM = "http://dicom.nema.org/resources/ontology/DCM";
+const OBJECT_ROLE_SYSTEM = "http://terminology.hl7.org/CodeSystem/object-role";
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function chainInput(e, prevHash) {
+  return JSON.stringify([e.seq, e.ts, e.actor, e.action, e.details, e.patientId, prevHash]);
+}
+
+// The first "Patient/<id>" the details mention, so entries can be searched by patient.
+export function auditPatientId(details) {
+  return /\bPatient\/([A-Za-z0-9\-.]{1,64})/.exec(details || "")?.[1] || null;
+}
+
+/**
+ * The entry that follows `previous` (null for the first one) in the chain.
+ */
+export async function chainAuditEntry(previous, { ts, actor, action, details = "" }) {
+  const prevHash = previous ? previous.hash : GENESIS_HASH;
+  const entry = { seq: (previous?.seq || 0) + 1, ts, actor, action, details, patientId: auditPatientId(details) };
+  try {
+    return { ...entry, prevHash, hash: await sha256Hex(chainInput(entry, prevHash)) };
+  } catch (e) {
+    return { ...entry, prevHash, hash: null, unverifiable: `not hashed: ${e.message || e}` };
+  }
+}
+
+/**
+ * Recomputes the chain over `entries` (newest first, as stored).
+ * Resolves to { ok, checked, head, unverifiable, problems: ["#12: …"] }; entries recorded without a hash
+ * count as unverifiable and make the chain not ok.
+ */
+export async function verifyAuditChain(entries) {
+  const problems = [];
+  let unverifiable = 0;
+  let prev = null;
+  for (const e of [...entries].reverse()) {
+    const expectedSeq = (prev?.seq || 0) + 1;
+    const expectedPrev = prev ? prev.hash : GENESIS_HASH;
+    if (e.seq !== expectedSeq) problems.push(`#${e.seq}: expected entry #${expectedSeq} (entries missing or reordered)`);
+    if (e.prevHash !== expectedPrev) problems.push(`#${e.seq}: does not link to the previous entry`);
+    if (!e.hash) {
+      unverifiable += 1;
+      problems.push(`#${e.seq}: recorded without a hash (${e.unverifiable || "reason unknown"}), cannot be verified`);
+    } else if ((await sha256Hex(chainInput(e, e.prevHash))) !== e.hash) {
+      problems.push(`#${e.seq}: content does not match its hash`);
+    }
+    prev = e;
+  }
+  return { ok: problems.length === 0, checked: entries.length, head: entries[0]?.hash || GENESIS_HASH, unverifiable, problems };
+}
+
+/**
+ * filters: { patient, action, actor, from, to } (all optional; from/to are YYYY-MM-DD, inclusive).
+ */
+export function filterAuditEntries(entries, { patient, action, actor, from, to } = {}) {
+  const has = (value, needle) => !needle || String(value || "").toLowerCase().includes(needle.trim().toLowerCase());
+  return entries.filter((e) => {
+    const day = (e.ts || "").slice(0, 10);
+    return (
+      has(e.patientId, patient) &&
+      has(e.action, action) &&
+      has(e.actor, actor) &&
+      (!from || day >= from) &&
+      (!to || day <= to)
+    );
+  });
+}
+
+/* ---------- FHIR AuditEvent ---------- */
+const slug = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// SMART fhirUser claims are references (or absolute URLs ending in one); anything else is a display name.
+function agentWho(actor) {
+  const ref = /([A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64})$/.exec(actor || "")?.[1];
+  return ref ? { reference: ref, display: actor } : { display: actor || "unknown" };
+}
+
+export function toAuditEvent(entry) {
+  const chain = [
+    { type: "seq", valueString: String(entry.seq) },
+    ...(entry.hash ? [{ type: "hash", valueString: entry.hash }] : [{ type: "unverifiable", valueString: entry.unverifiable }]),
+    ...(entry.prevHash ? [{ type: "prevHash", valueString: entry.prevHash }] : []),
+  ];
+  return {
+    resourceType: "AuditEvent",
+    meta: { tag: [{ system: AUDIT_CHAIN_SYSTEM, code: "sha256-chain", display: "Hash-chained audit entry" }] },
+    type: { system: DCM_SYSTEM, code: "110100", display: "Application Activity" },
+    subtype: [{ system: AUDIT_ACTION_SYSTEM, code: slug(entry.action), display: entry.action }],
+    action: "E",
+    recorded: entry.ts,
+    outcome: "0",
+    agent: [{ who: agentWho(entry.actor), requestor: true }],
+    source: { observer: { display: "Clinical FHIR Integration Demo" } },
+    entity: [
+      {
+        ...(entry.patientId
+          ? {
+              what: { reference: `Patient/${entry.patientId}` },
+              role: { system: OBJECT_ROLE_SYSTEM, code: "1", display: "Patient" },
+            }
+          : {}),
+        description: entry.details || entry.action,
+        detail: chain,
+      },
+    ],
+  };
+}
+
+// Oldest first, so the export reads in chain order.
+export function auditNdjson(entries) {
+  return [...entries].reverse().map((e) => JSON.stringify(toAuditEvent(e))).join("\n") + "\n";
+}
+
+export function auditBundle(entries) {
+  return {
+    resourceType: "Bundle",
+    type: "collection",
+    timestamp: new Date().toISOString(),
+    entry: [...entries].reverse().map((e) => ({ resource: toAuditEvent(e) })),
+  };
+}
+
+/* ---------- local persistence ---------- */
+export function loadAuditTrail() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveAuditTrail(entries) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // storage disabled/full: newer entries only last for this session
+  }
+}
+
+/**
+ * Highest seq already POSTed to each server: { [base]: seq }.
+ */
+export function loadAuditSent() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(SENT_KEY) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveAuditSent(sent) {
+  try {
+    window.localStorage.setItem(SENT_KEY, JSON.stringify(sent));
+  } catch {
+    // storage disabled/full: entries may be sent again next session
+  }
+}
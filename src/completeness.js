@@ -0,0 +1,73 @@
+/* ---------- vitals data completeness ---------- */
+/**
+ * Whether each key vital was recorded recently enough to count for triage.
+ * Per vital: "present" (timestamp inside the window), "stale" (older, or undated: an undated value cannot prove
+ * recency), "future" (timestamped ahead of now by more than clock drift; such a reading cannot be trusted either)
+ * or "absent" (no value).
+ */
+import { FUTURE_TOLERANCE_MS } from "./episodes.js";
+
+export const COMPLETENESS_VITALS = ["bpSys", "hr", "temp", "spo2"];
+
+/**
+ * vitals: { latest, when } from fetchVitals; hours: the completeness window.
+ * Returns [{ key, status, when, ageHours }] in `wanted` order (ageHours is negative for future timestamps).
+ */
+export function computeCompleteness(vitals, hours, now = Date.now(), wanted = COMPLETENESS_VITALS) {
+  const windowMs = hours * 3600 * 1000;
+  const out = [];
+  for (const k of wanted) {
+    const v = vitals?.latest?.[k];
+    if (!(typeof v === "number" && Number.isFinite(v))) {
+      out.push({ key: k, status: "absent", when: null, ageHours: null });
+      continue;
+    }
+    const when = vitals?.when?.[k] || null;
+    const t = when ? new Date(when).getTime() : NaN;
+    if (Number.isNaN(t)) {
+      out.push({ key: k, status: "stale", when: null, ageHours: null });
+      continue;
+    }
+    const ageHours = (now - t) / 3600000;
+    let status = now - t <= windowMs ? "present" : "stale";
+    if (t - now > FUTURE_TOLERANCE_MS) status = "future";
+    out.push({ key: k, status, when, ageHours });
+  }
+  return out;
+}
+
+export function missingFrom(completeness) {
+  return (completeness || []).filter((c) => c.status !== "present").map((c) => c.key);
+}
+
+function fmtSpan(hours) {
+  if (hours < 48) return `${Math.round(hours)} h`;
+  const days = hours / 24;
+  if (days < 14) return `${Math.round(days)} days`;
+  if (days < 60) return `${Math.round(days / 7)} weeks`;
+  if (days < 730) return `${Math.round(days / 30)} months`;
+  return `${Math.round(days / 365)} years`;
+}
+
+export function fmtAge(hours) {
+  if (typeof hours !== "number" || !Number.isFinite(hours)) return "no timestamp";
+  if (hours * 3600000 < -FUTURE_TOLERANCE_MS) return `${fmtSpan(Math.max(1, -hours))} in the future`;
+  return `${fmtSpan(Math.max(0, hours))} old`;
+}
+
+export function completenessLabel(c) {
+  if (c.status === "absent") return `${missingLabel(c.key)} (not recorded)`;
+  if (c.status === "stale") return `${missingLabel(c.key)} (stale, ${fmtAge(c.ageHours)})`;
+  if (c.status === "future") return `${missingLabel(c.key)} (timestamp ${fmtAge(c.ageHours)}, not counted)`;
+  return missingLabel(c.key);
+}
+
+export function missingLabel(k) {
+  if (k === "bpSys") return "Blood pressure";
+  if (k === "hr") return "Heart rate";
+  if (k === "temp") return "Temperature";
+  if (k === "spo2") return "Oxygen saturation";
+  if (k === "rr") return "Respiratory rate";
+  if (k === "bpDia") return "Diastolic blood pressure";
+  return k;
+}
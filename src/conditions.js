@@ -0,0 +1,161 @@
+/* ---------- problem list (Condition) ---------- */
+/**
+ * Turns a patient's Conditions into a problem list split by status:
+ * - active:      clinicalStatus active / recurrence / relapse, verificationStatus confirmed
+ * - inactive:    clinicalStatus inactive / remission / resolved (any verification except refuted)
+ * - unconfirmed: verificationStatus unconfirmed / provisional / differential, or missing either status
+ * Refuted and entered-in-error Conditions are left out and only counted.
+ *
+ * Conditions with the same code are merged: the most recently recorded one decides the status,
+ * and the others are kept as `duplicates` so the list still shows how often it was recorded.
+ */
+
+const ACTIVE_CLINICAL = new Set(["active", "recurrence", "relapse"]);
+const INACTIVE_CLINICAL = new Set(["inactive", "remission", "resolved"]);
+
+export const PROBLEM_GROUPS = [
+  { key: "active", label: "Active" },
+  { key: "inactive", label: "Inactive / resolved" },
+  { key: "unconfirmed", label: "Unconfirmed" },
+];
+
+export const CONDITION_CATEGORY_LABELS = {
+  "problem-list-item": "Problem list",
+  "encounter-diagnosis": "Encounter diagnosis",
+  "health-concern": "Health concern",
+};
+
+const statusCode = (codeable) => codeable?.coding?.find((c) => c?.code)?.code || null;
+
+const codeText = (codeable) => codeable?.coding?.find((c) => c?.display)?.display || codeable?.text || null;
+
+const time = (iso) => {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+const ageText = (age) => (age?.value !== undefined ? `age ${age.value} ${age.unit || age.code || ""}`.trim() : null);
+
+const rangeText = (range) => {
+  const low = range?.low?.value;
+  const high = range?.high?.value;
+  if (low === undefined && high === undefined) return null;
+  return `age ${low ?? "?"}–${high ?? "?"} ${range.low?.unit || range.high?.unit || ""}`.trim();
+};
+
+/**
+ * The category codes of a Condition (problem-list-item, encounter-diagnosis, …); "uncategorised" when it has none.
+ */
+export function conditionCategories(c) {
+  const codes = (c?.category || []).flatMap((cat) => (cat?.coding || []).map((x) => x?.code)).filter(Boolean);
+  return codes.length ? [...new Set(codes)] : ["uncategorised"];
+}
+
+/**
+ * Onset as { when, text }: `when` is an ISO date when there is one, `text` covers ages, ranges and strings.
+ */
+export function conditionOnset(c) {
+  const when = c?.onsetDateTime || c?.onsetPeriod?.start || null;
+  return { when, text: when ? null : ageText(c?.onsetAge) || rangeText(c?.onsetRange) || c?.onsetString || null };
+}
+
+/**
+ * Abatement in the same shape; `abatementBoolean: true` (allowed in DSTU2-era data) reads as "abated".
+ */
+export function conditionAbatement(c) {
+  const when = c?.abatementDateTime || c?.abatementPeriod?.end || c?.abatementPeriod?.start || null;
+  const text = when
+    ? null
+    : ageText(c?.abatementAge) || rangeText(c?.abatementRange) || c?.abatementString || (c?.abatementBoolean ? "abated" : null);
+  return { when, text };
+}
+
+/**
+ * Which problem-list group a Condition belongs in, or "excluded" (refuted / entered-in-error).
+ */
+export function problemGroup(c) {
+  const clinical = statusCode(c?.clinicalStatus);
+  const verification = statusCode(c?.verificationStatus);
+  if (verification === "entered-in-error" || verification === "refuted") return "excluded";
+  if (clinical && INACTIVE_CLINICAL.has(clinical)) return "inactive";
+  if (clinical && ACTIVE_CLINICAL.has(clinical) && verification === "confirmed") return "active";
+  return "unconfirmed";
+}
+
+function dedupeKey(c) {
+  const coding = (c?.code?.coding || []).find((x) => x?.code);
+  if (coding) return `${coding.system || ""}|${coding.code}`;
+  const text = (c?.code?.text || "").trim().toLowerCase();
+  return text ? `text|${text}` : `id|${c?.id}`;
+}
+
+const recordedAt = (c) => time(c?.recordedDate) ?? time(c?.onsetDateTime) ?? time(c?.onsetPeriod?.start) ?? time(c?.meta?.lastUpdated) ?? 0;
+
+/**
+ * -> { active: [problem], inactive: [problem], unconfirmed: [problem], excluded: [{ id, verification }],
+ *      categories: [code] }
+ *    problem = { key, id, ref, display, group, clinical, verification, categories, onset, abatement,
+ *                severity, recorded, encounter, duplicates: [id] }
+ * Each group is sorted newest onset first (undated last).
+ */
+export function buildProblemList(conditions) {
+  const byKey = new Map();
+  for (const c of conditions || []) {
+    if (!c?.id) continue;
+    const key = dedupeKey(c);
+    const list = byKey.get(key) || [];
+    list.push(c);
+    byKey.set(key, list);
+  }
+
+  const result = { active: [], inactive: [], unconfirmed: [], excluded: [], categories: [] };
+  const categories = new Set();
+
+  for (const [key, list] of byKey) {
+    // Entered-in-error records say nothing about the problem, so they never decide its status.
+    const usable = list.filter((c) => statusCode(c.verificationStatus) !== "entered-in-error");
+    for (const c of list) {
+      if (!usable.includes(c)) result.excluded.push({ id: c.id, verification: "entered-in-error" });
+    }
+    if (!usable.length) continue;
+
+    const [latest, ...older] = [...usable].sort((a, b) => recordedAt(b) - recordedAt(a));
+    const group = problemGroup(latest);
+    if (group === "excluded") {
+      result.excluded.push({ id: latest.id, verification: statusCode(latest.verificationStatus) });
+      continue;
+    }
+    const cats = [...new Set(usable.flatMap(conditionCategories))];
+    cats.forEach((cat) => categories.add(cat));
+    result[group].push({
+      key,
+      id: latest.id,
+      ref: `Condition/${latest.id}`,
+      display: codeText(latest.code) || "Condition",
+      group,
+      clinical: statusCode(latest.clinicalStatus),
+      verification: statusCode(latest.verificationStatus),
+      categories: cats,
+      onset: conditionOnset(latest),
+      abatement: group === "inactive" ? conditionAbatement(latest) : { when: null, text: null },
+      severity: codeText(latest.severity),
+      recorded: latest.recordedDate || null,
+      encounter: latest.encounter?.reference || null,
+      duplicates: older.map((c) => c.id),
+    });
+  }
+
+  const onsetOrder = (a, b) => (time(b.onset.when) ?? 0) - (time(a.onset.when) ?? 0);
+  for (const g of PROBLEM_GROUPS) result[g.key].sort(onsetOrder);
+  result.categories = [...categories].sort();
+  return result;
+}
+
+/**
+ * A problem list narrowed to one category ("all" keeps everything).
+ */
+export function filterProblemList(list, category) {
+  if (!category || category === "all") return list;
+  const keep = (p) => p.categories.includes(category);
+  return { ...list, active: list.active.filter(keep), inactive: list.inactive.filter(keep), unconfirmed: list.unconfirmed.filter(keep) };
+}
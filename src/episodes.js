@@ -0,0 +1,219 @@
+/* ---------- episode-of-care validation ---------- */
+/**
+ * Matches a patient's vitals, Conditions and MedicationRequests to their Encounters and reports what doesn't fit.
+ *
+ * An item belongs to an encounter when its `encounter` reference names a loaded Encounter, otherwise when its
+ * timestamp falls inside an Encounter.period (the latest-starting one wins where periods overlap).
+ * A period without an end runs until now while the encounter is in progress; a finished (or status-less) one
+ * is assumed to last a day from its start, and flagged as open-ended.
+ *
+ * Flagged: vitals outside every encounter, encounters with no vitals (only those reaching into the range vitals
+ * were loaded for, `vitalsSince`), open-ended finished encounters, references to encounters that weren't loaded,
+ * and timestamps in the future or before the patient's birth date. When only the newest encounters were loaded
+ * (`encountersComplete: false`), the check is limited to the span they cover: references to other encounters and
+ * vitals from before the oldest loaded encounter are counted as not checked instead of flagged.
+ */
+
+// Still-open encounter statuses (R4 Encounter.status); a missing end means "ongoing" for these.
+const OPEN_STATUSES = new Set(["planned", "arrived", "triaged", "in-progress", "onleave"]);
+// Device clocks drift; readings a few minutes "in the future" are not worth flagging.
+export const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+// How long a finished encounter without a period end is assumed to have lasted.
+const ASSUMED_DURATION_MS = 24 * 3600 * 1000;
+
+const ms = (iso) => {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+const refId = (ref, type) => {
+  const m = new RegExp(`(?:^|/)${type}/([^/]+)$`).exec(ref || "");
+  return m ? m[1] : null;
+};
+
+export function conditionTime(c) {
+  return c?.recordedDate || c?.onsetDateTime || c?.onsetPeriod?.start || null;
+}
+
+export function medicationRequestTime(m) {
+  return m?.authoredOn || null;
+}
+
+/**
+ * Encounters as windows, newest start first: [{ id, ref, start, end, open, endAssumed, encounter }] (start/end in
+ * ms). `open`: still in progress, runs to `now`; `endAssumed`: finished but no end recorded, capped at a day.
+ */
+export function encounterWindows(encounters, now = Date.now()) {
+  const withStart = (encounters || [])
+    .map((e) => ({ e, start: ms(e?.period?.start) ?? ms(e?.period?.end) }))
+    .filter((x) => x.e?.id && x.start !== null)
+    .sort((a, b) => a.start - b.start);
+  return withStart
+    .map(({ e, start }) => {
+      const end = ms(e.period?.end);
+      const open = end === null && OPEN_STATUSES.has(e.status);
+      const endAssumed = end === null && !open;
+      return {
+        id: e.id,
+        ref: `Encounter/${e.id}`,
+        start,
+        end: end ?? (open ? now : start + ASSUMED_DURATION_MS),
+        open,
+        endAssumed,
+        encounter: e,
+      };
+    })
+    .reverse();
+}
+
+/**
+ * The encounter window containing `when` (the latest-starting one where they overlap), or null.
+ */
+export function encounterAt(windows, when) {
+  const t = ms(when);
+  return t === null ? null : windows.find((w) => t >= w.start && t <= w.end) || null;
+}
+
+/**
+ * items:    { vitals: [{ id, when, encounter }], conditions: [Condition], medications: [MedicationRequest] }
+ * vitalsSince: start of the range vitals were loaded for (ms), or null when the whole history was loaded.
+ * encountersComplete: false when the encounter search may have stopped before the oldest encounter.
+ * -> { windows, byRef: { "Observation/1": { encounterId, how: "reference" | "period" } }, issues, counts,
+ *      unchecked, notLoaded, vitalsSince, encountersSince, ok }
+ *    issues: [{ kind, ref, text }], counts: { vitals|conditions|medications: { total, byReference, byPeriod } },
+ *    unchecked: encounters that ended before vitalsSince, so weren't checked for vitals
+ *    notLoaded: items that reference, or fall before, encounters that weren't loaded (only when not complete)
+ *    encountersSince: start of the oldest loaded encounter when the list isn't complete, else null
+ */
+export function validateEpisodes({
+  encounters = [],
+  vitals = [],
+  conditions = [],
+  medications = [],
+  birthDate = null,
+  vitalsSince = null,
+  encountersComplete = true,
+  now = Date.now(),
+}) {
+  const windows = encounterWindows(encounters, now);
+  const encountersSince = encountersComplete || !windows.length ? null : Math.min(...windows.map((w) => w.start));
+  let notLoaded = 0;
+  const known = new Set(windows.map((w) => w.id));
+  const birth = ms(birthDate);
+  const byRef = {};
+  const issues = [];
+  const vitalsPerEncounter = new Map(windows.map((w) => [w.id, 0]));
+
+  const checkTime = (ref, label, when) => {
+    const t = ms(when);
+    if (t === null) return;
+    if (t > now + FUTURE_TOLERANCE_MS) issues.push({ kind: "future", ref, text: `${label} is dated in the future (${when})` });
+    if (birth !== null && t < birth) issues.push({ kind: "before-birth", ref, text: `${label} is dated before birth (${when})` });
+  };
+
+  const place = (ref, label, when, encounterRef) => {
+    const linked = refId(encounterRef, "Encounter");
+    if (linked && known.has(linked)) return (byRef[ref] = { encounterId: linked, how: "reference" });
+    if (linked && encountersSince !== null) notLoaded += 1;
+    else if (linked) issues.push({ kind: "unknown-encounter", ref, text: `${label} references Encounter/${linked}, which was not returned` });
+    const w = encounterAt(windows, when);
+    if (w) return (byRef[ref] = { encounterId: w.id, how: "period" });
+    return null;
+  };
+
+  // Before the oldest loaded encounter, when older ones weren't fetched: nothing to match against.
+  const beforeLoaded = (when) => encountersSince !== null && ms(when) !== null && ms(when) < encountersSince;
+  // Linked to an encounter that exists but wasn't fetched (already counted in `notLoaded` by place()).
+  const linkedNotLoaded = (encounterRef) => encountersSince !== null && Boolean(refId(encounterRef, "Encounter"));
+
+  const tally = (list, type, label, whenOf, encounterOf) => {
+    const counts = { total: list.length, byReference: 0, byPeriod: 0 };
+    for (const item of list) {
+      const ref = `${type}/${item.id}`;
+      const when = whenOf(item);
+      checkTime(ref, label(item), when);
+      const placed = place(ref, label(item), when, encounterOf(item));
+      if (placed?.how === "reference") counts.byReference += 1;
+      if (placed?.how === "period") counts.byPeriod += 1;
+      if (type === "Observation") {
+        if (placed) vitalsPerEncounter.set(placed.encounterId, vitalsPerEncounter.get(placed.encounterId) + 1);
+        else if (beforeLoaded(when) && !linkedNotLoaded(encounterOf(item))) notLoaded += 1;
+        else if (!linkedNotLoaded(encounterOf(item))) {
+          issues.push({ kind: "outside-encounter", ref, text: `${label(item)} (${when || "undated"}) is outside every encounter` });
+        }
+      }
+    }
+    return counts;
+  };
+
+  for (const w of windows) {
+    checkTime(w.ref, `Encounter/${w.id}`, w.encounter.period?.start);
+    if (w.endAssumed) {
+      issues.push({
+        kind: "open-ended",
+        ref: w.ref,
+        text: `Encounter/${w.id} (${w.encounter.status || "no status"}) has no period end; assumed to last one day`,
+      });
+    }
+  }
+
+  const counts = {
+    vitals: tally(vitals, "Observation", (v) => `Vital-sign Observation/${v.id}`, (v) => v.when, (v) => v.encounter),
+    conditions: tally(conditions, "Condition", (c) => `Condition/${c.id}`, conditionTime, (c) => c?.encounter?.reference),
+    medications: tally(medications, "MedicationRequest", (m) => `MedicationRequest/${m.id}`, medicationRequestTime, (m) => m?.encounter?.reference),
+  };
+
+  let unchecked = 0;
+  for (const w of windows) {
+    if (vitalsPerEncounter.get(w.id)) continue;
+    if (vitalsSince !== null && w.end < vitalsSince) unchecked += 1;
+    else issues.push({ kind: "no-vitals", ref: w.ref, text: `Encounter/${w.id} has no vital signs recorded` });
+  }
+
+  return {
+    windows,
+    byRef,
+    issues,
+    counts,
+    unchecked,
+    notLoaded,
+    vitalsSince,
+    encountersSince,
+    ok: windows.length > 0 && issues.length === 0,
+  };
+}
+
+/**
+ * Note lines for the episode check: totals, match counts, then each issue.
+ */
+export function episodeSummaryLines(result, fmt = (iso) => iso, maxIssues = 8) {
+  const { windows, counts, issues, unchecked = 0, vitalsSince = null, notLoaded = 0, encountersSince = null } = result;
+  const linked = (c) => `${c.byReference + c.byPeriod} of ${c.total} linked (${c.byReference} by reference, ${c.byPeriod} by period)`;
+  const lines = [];
+  if (!windows.length) {
+    lines.push(`- No encounters returned: nothing to validate against.`);
+  } else {
+    const w = windows[0];
+    lines.push(
+      `- ${windows.length} encounter(s); most recent ${fmt(new Date(w.start).toISOString())} to ${
+        w.open ? "ongoing" : w.endAssumed ? "no end recorded" : fmt(new Date(w.end).toISOString())
+      }.`
+    );
+  }
+  if (encountersSince !== null) {
+    lines.push(
+      `- Only encounters since ${fmt(new Date(encountersSince).toISOString())} were loaded; ${notLoaded} item(s) referencing or before older encounters not checked.`
+    );
+  }
+  if (unchecked) {
+    lines.push(`- ${unchecked} encounter(s) ended before ${fmt(new Date(vitalsSince).toISOString())}, outside the vitals look-back: not checked for vitals.`);
+  }
+  lines.push(`- Vital-sign Observations: ${linked(counts.vitals)}.`);
+  lines.push(`- Conditions: ${linked(counts.conditions)}.`);
+  lines.push(`- MedicationRequests: ${linked(counts.medications)}.`);
+  if (!windows.length) lines.push(`Result: NOT VALIDATED (no encounters).`);
+  else lines.push(`Result: ${result.ok ? "PASS, all vitals fall within an encounter." : `${issues.length} issue(s) found.`}`);
+  for (const issue of issues.slice(0, maxIssues)) lines.push(`- ${issue.text}`);
+  if (issues.length > maxIssues) lines.push(`- … and ${issues.length - maxIssues} more.`);
+  return lines;
+}
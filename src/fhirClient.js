@@ -0,0 +1,340 @@
+/* ---------- FHIR REST client ---------- */
+import { buildCuratedResources } from "./fixtures/curatedPatients.js";
+import { createFixtureStore, FIXTURE_BASE } from "./fixtures/fixtureStore.js";
+import { smartAuthHeaders } from "./smart.js";
+
+export { FIXTURE_BASE };
+
+// In-browser stand-in server for the fixture:// base; seeded with the curated cohort on first use.
+let fixtureStore = null;
+
+export function getFixtureStore() {
+  if (!fixtureStore) fixtureStore = createFixtureStore(buildCuratedResources());
+  return fixtureStore;
+}
+
+export function isFixtureBase(base) {
+  return String(base || "").startsWith(FIXTURE_BASE);
+}
+
+/* ---------- errors ---------- */
+/**
+ * Error raised for any failed FHIR call. `message` is ready for the UI
+ * ("Encounter search failed: Unknown _sort parameter value"), `issues` holds the
+ * parsed OperationOutcome issues, and `status` the HTTP status (0 = network/timeout).
+ */
+export class FhirError extends Error {
+  constructor(message, { status = 0, issues = [], url = "", cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "FhirError";
+    this.status = status;
+    this.issues = issues;
+    this.url = url;
+  }
+}
+
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+/**
+ * OperationOutcome -> [{ severity, code, text }], with the most useful wording FHIR offers.
+ */
+export function operationOutcomeIssues(body) {
+  if (body?.resourceType !== "OperationOutcome") return [];
+  return (body.issue || []).map((i) => ({
+    severity: i.severity || "error",
+    code: i.code || "",
+    text: i.diagnostics || i.details?.text || i.details?.coding?.[0]?.display || i.code || "unknown issue",
+  }));
+}
+
+function failure(label, detail, extra) {
+  return new FhirError(`${label} failed: ${detail}`, extra);
+}
+
+/* ---------- request policy ---------- */
+const TIMEOUT_MS_DEFAULT = 15000;
+const RETRIES_DEFAULT = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+function retryDelayMs(res, attempt) {
+  const header = res?.headers?.get?.("Retry-After");
+  if (header) {
+    const secs = Number(header);
+    if (Number.isFinite(secs)) return Math.min(BACKOFF_MAX_MS, Math.max(0, secs * 1000));
+    const at = new Date(header).getTime();
+    if (!Number.isNaN(at)) return Math.min(BACKOFF_MAX_MS, Math.max(0, at - Date.now()));
+  }
+  const exp = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(BACKOFF_MAX_MS, exp + Math.random() * BACKOFF_BASE_MS);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(t);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+function abortError() {
+  return new DOMException("The request was cancelled.", "AbortError");
+}
+
+// Runs the retry/timeout loop and returns the final Response (2xx or 304); throws FhirError otherwise.
+async function send(url, { label, signal, timeoutMs, retries, headers = {}, method = "GET", body = null }) {
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let res;
+    try {
+      // Bearer token when a SMART session exists for this server (refreshed as needed).
+      const auth = await smartAuthHeaders(url);
+      res = await fetch(url, {
+        method,
+        headers: {
+          Accept: "application/fhir+json",
+          ...(body ? { "Content-Type": "application/fhir+json" } : {}),
+          ...headers,
+          ...auth,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (e) {
+      if (signal?.aborted) throw abortError();
+      const detail = timedOut ? `timed out after ${Math.round(timeoutMs / 1000)} s` : e.message || "network error";
+      if (attempt < retries) {
+        await sleep(retryDelayMs(null, attempt), signal);
+        continue;
+      }
+      throw failure(label, detail, { url, cause: e });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    if (res.ok || res.status === 304) return res;
+
+    if (RETRYABLE_STATUS.has(res.status) && attempt < retries) {
+      await sleep(retryDelayMs(res, attempt), signal);
+      continue;
+    }
+
+    const outcome = await res.json().catch(() => null);
+    const issues = operationOutcomeIssues(outcome);
+    const detail = issues.length ? issues.map((i) => i.text).join("; ") : `HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`;
+    throw failure(label, detail, { status: res.status, issues, url });
+  }
+}
+
+function fixtureRequest(url, label, method = "GET", payload = null) {
+  const { status, body } = getFixtureStore().handle(method, url, FIXTURE_BASE, payload);
+  if (status >= 400) {
+    const issues = operationOutcomeIssues(body);
+    throw failure(label, issues.map((i) => i.text).join("; ") || `HTTP ${status}`, { status, issues, url });
+  }
+  return body;
+}
+
+/**
+ * GET a FHIR JSON resource or Bundle.
+ *
+ * options:
+ * - label: what the call is for, used in error messages ("Encounter search")
+ * - signal: AbortSignal; aborting rejects with an AbortError (never retried)
+ * - timeoutMs: per attempt (default 15 s)
+ * - retries: extra attempts for 429/5xx/network failures, honouring Retry-After
+ */
+export async function fetchJSON(url, { label = "FHIR request", signal, timeoutMs = TIMEOUT_MS_DEFAULT, retries = RETRIES_DEFAULT } = {}) {
+  if (signal?.aborted) throw abortError();
+  if (isFixtureBase(url)) return fixtureRequest(url, label);
+
+  const res = await send(url, { label, signal, timeoutMs, retries });
+  return res.json();
+}
+
+/**
+ * Conditional GET for cache revalidation. Sends If-None-Match when `etag` is given and resolves to
+ * { notModified, body, etag } — `notModified` is true (and `body` null) when the server answered 304.
+ * Takes the same options as fetchJSON.
+ */
+export async function fetchJSONConditional(
+  url,
+  { etag = null, label = "FHIR request", signal, timeoutMs = TIMEOUT_MS_DEFAULT, retries = RETRIES_DEFAULT } = {}
+) {
+  if (signal?.aborted) throw abortError();
+  if (isFixtureBase(url)) return { notModified: false, body: fixtureRequest(url, label), etag: null };
+
+  const headers = etag ? { "If-None-Match": etag } : {};
+  const res = await send(url, { label, signal, timeoutMs, retries, headers });
+  if (res.status === 304) return { notModified: true, body: null, etag };
+  return { notModified: false, body: await res.json(), etag: res.headers.get("ETag") };
+}
+
+/* ---------- capabilities + batch ---------- */
+/**
+ * What the loading strategy needs to know from a CapabilityStatement:
+ * { patientEverything, batch }.
+ */
+export function capabilityFeatures(cap) {
+  const rest = (cap?.rest || []).find((r) => r.mode === "server") || cap?.rest?.[0];
+  const patient = (rest?.resource || []).find((r) => r.type === "Patient");
+  const operations = [...(rest?.operation || []), ...(patient?.operation || [])];
+  return {
+    patientEverything: operations.some((o) => o.name === "everything" || /Patient-everything$/.test(o.definition || "")),
+    batch: (rest?.interaction || []).some((i) => i.code === "batch"),
+  };
+}
+
+/**
+ * Sends read requests as one FHIR `batch` Bundle. `requests` is [{ url, label }] with urls relative to `base`.
+ * Resolves to one { ok, status, resource, error } per request, in order; `error` is a FhirError worded like
+ * fetchJSON's. Only the batch itself failing rejects. Takes the same options as fetchJSON.
+ */
+export async function fetchBatch(
+  base,
+  requests,
+  { label = "Batch request", signal, timeoutMs = TIMEOUT_MS_DEFAULT, retries = RETRIES_DEFAULT } = {}
+) {
+  if (signal?.aborted) throw abortError();
+  const root = String(base).replace(/\/+$/, "");
+  const bundle = {
+    resourceType: "Bundle",
+    type: "batch",
+    entry: requests.map((r) => ({ request: { method: "GET", url: r.url } })),
+  };
+
+  // Every entry is a read, so retrying the whole batch is safe.
+  const response = isFixtureBase(root)
+    ? fixtureRequest(root, label, "POST", bundle)
+    : await (await send(root, { label, signal, timeoutMs, retries, method: "POST", body: bundle })).json();
+
+  const entries = response?.entry || [];
+  return requests.map((r, i) => {
+    const entry = entries[i];
+    const status = parseInt(entry?.response?.status, 10) || 0;
+    if (status >= 200 && status < 300 && entry?.resource) return { ok: true, status, resource: entry.resource, error: null };
+
+    const issues = operationOutcomeIssues(entry?.response?.outcome || entry?.resource);
+    const detail = issues.map((x) => x.text).join("; ") || (status ? `HTTP ${status}` : "missing from the batch response");
+    return {
+      ok: false,
+      status,
+      resource: null,
+      error: failure(r.label || label, detail, { status, issues, url: `${root}/${r.url}` }),
+    };
+  });
+}
+
+/* ---------- writes ---------- */
+// ".../Flag/abc/_history/2" -> "abc"
+function idFromLocation(location) {
+  const m = /\/([^/]+?)(?:\/_history\/[^/]+)?\/?$/.exec(String(location || ""));
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+/**
+ * Creates (POST, no `id`) or updates (PUT, with `id`) one resource and resolves to the stored
+ * resource as the server returned it, with its assigned id and meta.
+ *
+ * Takes the same options as fetchJSON, but a create is not retried unless `retries` is given:
+ * a POST that timed out may still have been committed, and repeating it would duplicate the resource.
+ */
+export async function saveResource(base, resource, { label, signal, timeoutMs = TIMEOUT_MS_DEFAULT, retries } = {}) {
+  if (signal?.aborted) throw abortError();
+  const root = String(base).replace(/\/+$/, "");
+  const update = Boolean(resource.id);
+  const method = update ? "PUT" : "POST";
+  const url = `${root}/${resource.resourceType}${update ? `/${encodeURIComponent(resource.id)}` : ""}`;
+  const what = label || `${resource.resourceType} ${update ? "update" : "create"}`;
+  if (isFixtureBase(root)) return fixtureRequest(url, what, method, resource);
+
+  const res = await send(url, {
+    label: what,
+    signal,
+    timeoutMs,
+    retries: retries ?? (update ? RETRIES_DEFAULT : 0),
+    method,
+    body: resource,
+    headers: { Prefer: "return=representation" },
+  });
+  // Servers may ignore Prefer and answer with an empty body; the Location header still carries the id.
+  const text = await res.text();
+  return text ? JSON.parse(text) : { ...resource, id: idFromLocation(res.headers.get("Location")) || resource.id };
+}
+
+/* ---------- Bundle paging ---------- */
+export function bundleResources(bundle) {
+  // search.mode "outcome" entries carry server warnings, not results.
+  return (bundle?.entry || [])
+    .filter((e) => e.search?.mode !== "outcome")
+    .map((e) => e.resource)
+    .filter(Boolean);
+}
+
+export function bundleOutcomeIssues(bundle) {
+  return (bundle?.entry || [])
+    .filter((e) => e.search?.mode === "outcome" || e.resource?.resourceType === "OperationOutcome")
+    .flatMap((e) => operationOutcomeIssues(e.resource));
+}
+
+export function bundleNextLink(bundle) {
+  return (bundle?.link || []).find((l) => l.relation === "next")?.url || null;
+}
+
+/**
+ * Follows Bundle.link[relation=next] from `url`.
+ *
+ * options:
+ * - maxPages: safety cap on round trips (default 10)
+ * - shouldContinue(resources, pageResources): return false to stop early,
+ *   e.g. once a date-sorted search has gone past a look-back window
+ * - label, signal, timeoutMs, retries: passed to fetchJSON for every page
+ *
+ * Returns { resources, total, next, pages, truncated } where `next` is the
+ * link to resume from (null when the server has no more pages) and
+ * `truncated` is true when the cap, not the server, ended the walk.
+ */
+export async function fetchBundlePages(url, { maxPages = 10, shouldContinue = () => true, ...requestOptions } = {}) {
+  const resources = [];
+  let total = null;
+  let next = url;
+  let pages = 0;
+  let truncated = false;
+
+  while (next) {
+    if (pages >= maxPages) {
+      truncated = true;
+      break;
+    }
+    const bundle = await fetchJSON(next, requestOptions);
+    pages += 1;
+    if (typeof bundle?.total === "number") total = bundle.total;
+
+    const page = bundleResources(bundle);
+    resources.push(...page);
+    next = bundleNextLink(bundle);
+
+    if (!page.length || !shouldContinue(resources, page)) break;
+  }
+
+  return { resources, total, next, pages, truncated };
+}
@@ -0,0 +1,536 @@
+/* ---------- curated fixture patients ---------- */
+/**
+ * A small, hand-built cohort that exercises every worklist state:
+ *
+ *   fx-red        RED on both engines (NEWS2 high); critical potassium on the latest U&E
+ *   fx-amber      AMBER on both engines (NEWS2 medium); raised CRP and white cells
+ *   fx-green      GREEN, complete recent vitals, normal blood count
+ *   fx-single3    GREEN on thresholds, NEWS2 "single parameter scored 3"
+ *   fx-stale      normal values recorded three weeks ago (completeness: stale)
+ *   fx-partial    only blood pressure + heart rate recorded (completeness: absent)
+ *   fx-novitals   demographics, encounter and problems but no vitals at all
+ *
+ * Timestamps are generated relative to `now` so the cohort never ages out of
+ * the completeness window.
+ */
+
+const HOUR = 3600 * 1000;
+const NHS_SYSTEM = "https://fhir.nhs.uk/Id/nhs-number";
+const LOINC_SYSTEM = "http://loinc.org";
+const SNOMED_SYSTEM = "http://snomed.info/sct";
+const UCUM_SYSTEM = "http://unitsofmeasure.org";
+const RXNORM_SYSTEM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+
+const ROUTES = { Oral: "26643006", Inhalation: "447694001", Intravenous: "47625008" };
+
+const LAB_CATEGORY = [
+  {
+    coding: [
+      {
+        system: "http://terminology.hl7.org/CodeSystem/observation-category",
+        code: "laboratory",
+        display: "Laboratory",
+      },
+    ],
+  },
+];
+
+const VITALS_CATEGORY = [
+  {
+    coding: [
+      {
+        system: "http://terminology.hl7.org/CodeSystem/observation-category",
+        code: "vital-signs",
+        display: "Vital Signs",
+      },
+    ],
+  },
+];
+
+function iso(now, hoursAgo) {
+  return new Date(now.getTime() - hoursAgo * HOUR).toISOString();
+}
+
+function patient(id, given, family, gender, birthDate, nhs, phone, postcode) {
+  return {
+    resourceType: "Patient",
+    id,
+    identifier: [{ system: NHS_SYSTEM, value: nhs }],
+    name: [{ use: "official", family, given: [given] }],
+    gender,
+    birthDate,
+    telecom: [{ system: "phone", value: phone, use: "home" }],
+    address: [{ line: ["1 Demo Street"], city: "Leeds", postalCode: postcode, country: "GB" }],
+  };
+}
+
+function quantityObs(id, pid, when, code, display, value, unit, ucum) {
+  return {
+    resourceType: "Observation",
+    id,
+    status: "final",
+    category: VITALS_CATEGORY,
+    code: { coding: [{ system: LOINC_SYSTEM, code, display }], text: display },
+    subject: { reference: `Patient/${pid}` },
+    effectiveDateTime: when,
+    valueQuantity: { value, unit, system: UCUM_SYSTEM, code: ucum },
+  };
+}
+
+/**
+ * One set of observations taken at `hoursAgo`. Any vital left undefined is not recorded.
+ */
+function vitalsSet(pid, now, hoursAgo, seq, v) {
+  const when = iso(now, hoursAgo);
+  const out = [];
+  const id = (k) => `${pid}-${k}-${seq}`;
+
+  if (v.sys !== undefined) {
+    out.push({
+      resourceType: "Observation",
+      id: id("bp"),
+      status: "final",
+      category: VITALS_CATEGORY,
+      code: { coding: [{ system: LOINC_SYSTEM, code: "55284-4", display: "Blood pressure" }], text: "Blood pressure" },
+      subject: { reference: `Patient/${pid}` },
+      effectiveDateTime: when,
+      component: [
+        {
+          code: { coding: [{ system: LOINC_SYSTEM, code: "8480-6", display: "Systolic blood pressure" }] },
+          valueQuantity: { value: v.sys, unit: "mmHg", system: UCUM_SYSTEM, code: "mm[Hg]" },
+        },
+        {
+          code: { coding: [{ system: LOINC_SYSTEM, code: "8462-4", display: "Diastolic blood pressure" }] },
+          valueQuantity: { value: v.dia, unit: "mmHg", system: UCUM_SYSTEM, code: "mm[Hg]" },
+        },
+      ],
+    });
+  }
+  if (v.hr !== undefined) out.push(quantityObs(id("hr"), pid, when, "8867-4", "Heart rate", v.hr, "beats/minute", "/min"));
+  if (v.temp !== undefined) out.push(quantityObs(id("temp"), pid, when, "8310-5", "Body temperature", v.temp, "°C", "Cel"));
+  if (v.spo2 !== undefined) out.push(quantityObs(id("spo2"), pid, when, "59408-5", "Oxygen saturation", v.spo2, "%", "%"));
+  if (v.rr !== undefined) out.push(quantityObs(id("rr"), pid, when, "9279-1", "Respiratory rate", v.rr, "breaths/minute", "/min"));
+  if (v.o2Flow !== undefined) {
+    out.push(quantityObs(id("o2"), pid, when, "3151-8", "Inhaled oxygen flow rate", v.o2Flow, "L/min", "L/min"));
+  }
+  if (v.acvpu !== undefined) {
+    const answers = {
+      A: ["248234008", "Mentally alert"],
+      C: ["130987000", "Acute confusion"],
+      V: ["300202002", "Responds to voice"],
+      P: ["450847001", "Responds to pain"],
+      U: ["422768004", "Unresponsive"],
+    };
+    const [code, display] = answers[v.acvpu];
+    out.push({
+      resourceType: "Observation",
+      id: id("acvpu"),
+      status: "final",
+      category: [{ coding: [{ system: VITALS_CATEGORY[0].coding[0].system, code: "survey" }] }],
+      code: { coding: [{ system: LOINC_SYSTEM, code: "67775-7", display: "Level of responsiveness" }] },
+      subject: { reference: `Patient/${pid}` },
+      effectiveDateTime: when,
+      valueCodeableConcept: { coding: [{ system: SNOMED_SYSTEM, code, display }], text: display },
+    });
+  }
+  return out;
+}
+
+/**
+ * `series` is a list of [hoursAgo, vitals]; the first entry is the most recent.
+ */
+function vitalsSeries(pid, now, series) {
+  return series.flatMap(([hoursAgo, v], i) => vitalsSet(pid, now, hoursAgo, i, v));
+}
+
+// LOINC code -> [display, unit, UCUM code, reference low, reference high]
+const LAB_TESTS = {
+  "2823-3": ["Potassium", "mmol/L", "mmol/L", 3.5, 5.3],
+  "2951-2": ["Sodium", "mmol/L", "mmol/L", 133, 146],
+  "2160-0": ["Creatinine", "µmol/L", "umol/L", 45, 110],
+  "1988-5": ["C-reactive protein", "mg/L", "mg/L", 0, 5],
+  "6690-2": ["White cell count", "10*9/L", "10*9/L", 4.0, 11.0],
+  "718-7": ["Haemoglobin", "g/L", "g/L", 115, 165],
+};
+
+/**
+ * One laboratory report taken at `hoursAgo`: a DiagnosticReport plus its result Observations.
+ * `results` maps LOINC code -> value or [value, interpretation code] (HH/LL for lab-called criticals).
+ */
+function labReport(id, pid, now, hoursAgo, panelCode, panelDisplay, results, conclusion) {
+  const when = iso(now, hoursAgo);
+  const obs = Object.entries(results).map(([code, result]) => {
+    const [display, unit, ucum, low, high] = LAB_TESTS[code];
+    const [value, interp] = Array.isArray(result) ? result : [result, null];
+    return {
+      resourceType: "Observation",
+      id: `${id}-${code}`,
+      status: "final",
+      category: LAB_CATEGORY,
+      code: { coding: [{ system: LOINC_SYSTEM, code, display }], text: display },
+      subject: { reference: `Patient/${pid}` },
+      effectiveDateTime: when,
+      valueQuantity: { value, unit, system: UCUM_SYSTEM, code: ucum },
+      ...(interp
+        ? {
+            interpretation: [
+              {
+                coding: [{ system: "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation", code: interp }],
+              },
+            ],
+          }
+        : {}),
+      referenceRange: [
+        {
+          low: { value: low, unit, system: UCUM_SYSTEM, code: ucum },
+          high: { value: high, unit, system: UCUM_SYSTEM, code: ucum },
+        },
+      ],
+    };
+  });
+  const report = {
+    resourceType: "DiagnosticReport",
+    id,
+    status: "final",
+    category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "LAB", display: "Laboratory" }] }],
+    code: { coding: [{ system: LOINC_SYSTEM, code: panelCode, display: panelDisplay }], text: panelDisplay },
+    subject: { reference: `Patient/${pid}` },
+    effectiveDateTime: when,
+    issued: iso(now, hoursAgo - 1),
+    result: obs.map((o) => ({ reference: `Observation/${o.id}` })),
+    ...(conclusion ? { conclusion } : {}),
+  };
+  return [report, ...obs];
+}
+
+function encounter(id, pid, now, startHoursAgo, endHoursAgo, display, classCode = "IMP") {
+  return {
+    resourceType: "Encounter",
+    id,
+    status: endHoursAgo === null ? "in-progress" : "finished",
+    class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: classCode },
+    type: [{ coding: [{ system: SNOMED_SYSTEM, code: "183452005", display }], text: display }],
+    subject: { reference: `Patient/${pid}` },
+    period: { start: iso(now, startHoursAgo), ...(endHoursAgo === null ? {} : { end: iso(now, endHoursAgo) }) },
+  };
+}
+
+function condition(id, pid, now, hoursAgo, code, display) {
+  return {
+    resourceType: "Condition",
+    id,
+    clinicalStatus: {
+      coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: "active" }],
+    },
+    verificationStatus: {
+      coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-ver-status", code: "confirmed" }],
+    },
+    category: [
+      {
+        coding: [
+          { system: "http://terminology.hl7.org/CodeSystem/condition-category", code: "problem-list-item" },
+        ],
+      },
+    ],
+    code: { coding: [{ system: SNOMED_SYSTEM, code, display }], text: display },
+    subject: { reference: `Patient/${pid}` },
+    onsetDateTime: iso(now, hoursAgo + 24 * 90),
+    recordedDate: iso(now, hoursAgo),
+  };
+}
+
+// Overrides the statuses / category of a condition() for the problem-list cases.
+function withConditionStatus(c, clinical, verification, category = null) {
+  return {
+    ...c,
+    clinicalStatus: { coding: [{ ...c.clinicalStatus.coding[0], code: clinical }] },
+    verificationStatus: { coding: [{ ...c.verificationStatus.coding[0], code: verification }] },
+    ...(category ? { category: [{ coding: [{ ...c.category[0].coding[0], code: category }] }] } : {}),
+  };
+}
+
+// reactions: [[snomedCode, display, severity]]
+function allergyIntolerance(id, pid, now, hoursAgo, code, display, { category = "medication", criticality = "low", reactions = [] } = {}) {
+  return {
+    resourceType: "AllergyIntolerance",
+    id,
+    clinicalStatus: {
+      coding: [{ system: "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical", code: "active" }],
+    },
+    verificationStatus: {
+      coding: [{ system: "http://terminology.hl7.org/CodeSystem/allergyintolerance-verification", code: "confirmed" }],
+    },
+    type: "allergy",
+    category: [category],
+    criticality,
+    code: { coding: [{ system: SNOMED_SYSTEM, code, display }], text: display },
+    patient: { reference: `Patient/${pid}` },
+    recordedDate: iso(now, hoursAgo),
+    reaction: reactions.map(([rcode, rdisplay, severity]) => ({
+      manifestation: [{ coding: [{ system: SNOMED_SYSTEM, code: rcode, display: rdisplay }], text: rdisplay }],
+      severity,
+    })),
+  };
+}
+
+function rxnormConcept(rxnorm, display) {
+  return { coding: [{ system: RXNORM_SYSTEM, code: rxnorm, display }], text: display };
+}
+
+function medicationRequest(id, pid, now, hoursAgo, rxnorm, display) {
+  return {
+    resourceType: "MedicationRequest",
+    id,
+    status: "active",
+    intent: "order",
+    medicationCodeableConcept: rxnormConcept(rxnorm, display),
+    subject: { reference: `Patient/${pid}` },
+    authoredOn: iso(now, hoursAgo),
+  };
+}
+
+// Structured dosage: dose (UCUM unit), SNOMED route, `frequency` times every `period` `periodUnit`.
+function dosage(value, unit, route, frequency, period, periodUnit) {
+  return {
+    doseAndRate: [{ doseQuantity: { value, unit, system: UCUM_SYSTEM, code: unit } }],
+    route: { coding: [{ system: SNOMED_SYSTEM, code: ROUTES[route], display: route }], text: route },
+    timing: { repeat: { frequency, period, periodUnit } },
+  };
+}
+
+export function buildCuratedResources(now = new Date()) {
+  const r = [];
+
+  // RED: hypertensive crisis, tachycardic, hypoxic on oxygen, febrile, responds to voice.
+  r.push(patient("fx-red", "Ada", "Redmond", "female", "1948-03-12", "9000000009", "0113 496 0001", "LS1 4AP"));
+  r.push(
+    ...vitalsSeries("fx-red", now, [
+      [1, { sys: 192, dia: 124, hr: 134, temp: 39.4, spo2: 88, rr: 27, o2Flow: 4, acvpu: "V" }],
+      [5, { sys: 178, dia: 112, hr: 122, temp: 38.9, spo2: 91, rr: 24 }],
+      [9, { sys: 165, dia: 104, hr: 110, temp: 38.4, spo2: 93, rr: 22 }],
+      [13, { sys: 150, dia: 96, hr: 98, temp: 37.9, spo2: 95, rr: 20 }],
+    ])
+  );
+  r.push(
+    ...labReport("fx-red-lab1", "fx-red", now, 3, "24323-8", "Urea, electrolytes and CRP", {
+      "2823-3": [6.8, "HH"],
+      "2951-2": [129, "L"],
+      "2160-0": [168, "H"],
+      "1988-5": [212, "H"],
+    }, "Hyperkalaemia; lab phoned result to ward.")
+  );
+  r.push(
+    ...labReport("fx-red-lab0", "fx-red", now, 19, "24323-8", "Urea, electrolytes and CRP", {
+      "2823-3": 5.6,
+      "2951-2": 132,
+      "2160-0": 141,
+      "1988-5": 148,
+    })
+  );
+  r.push(encounter("fx-red-enc1", "fx-red", now, 20, null, "Emergency admission"));
+  // Admission problems and orders carry an explicit encounter reference; the rest are matched by period.
+  r.push({
+    ...withConditionStatus(condition("fx-red-cond1", "fx-red", now, 18, "233604007", "Pneumonia"), "active", "confirmed", "encounter-diagnosis"),
+    onsetDateTime: iso(now, 30),
+    severity: { coding: [{ system: SNOMED_SYSTEM, code: "24484000", display: "Severe" }], text: "Severe" },
+    encounter: { reference: "Encounter/fx-red-enc1" },
+  });
+  r.push(condition("fx-red-cond2", "fx-red", now, 24 * 400, "38341003", "Hypertensive disorder"));
+  // Problem-list cases: an earlier, resolved episode of the same code, a resolved problem,
+  // a working diagnosis that was ruled out and one that is still provisional.
+  r.push({
+    ...withConditionStatus(condition("fx-red-cond3", "fx-red", now, 24 * 300, "233604007", "Pneumonia"), "resolved", "confirmed"),
+    abatementDateTime: iso(now, 24 * 280),
+  });
+  r.push({
+    ...withConditionStatus(condition("fx-red-cond4", "fx-red", now, 24 * 120, "10509002", "Acute bronchitis"), "resolved", "confirmed"),
+    abatementDateTime: iso(now, 24 * 105),
+  });
+  r.push({
+    ...withConditionStatus(condition("fx-red-cond5", "fx-red", now, 16, "59282003", "Pulmonary embolism"), "active", "refuted", "encounter-diagnosis"),
+    encounter: { reference: "Encounter/fx-red-enc1" },
+  });
+  r.push({
+    ...withConditionStatus(condition("fx-red-cond6", "fx-red", now, 15, "91302008", "Sepsis"), "active", "provisional", "encounter-diagnosis"),
+    onsetDateTime: iso(now, 20),
+    encounter: { reference: "Encounter/fx-red-enc1" },
+  });
+  // The admission order points at a Medication resource and a Practitioner (both come back through `_include`);
+  // a stopped order and a dose given on the ward complete the medication view.
+  r.push({
+    resourceType: "Practitioner",
+    id: "fx-prac-1",
+    name: [{ prefix: ["Dr"], given: ["Priya"], family: "Patel" }],
+  });
+  r.push({ resourceType: "Medication", id: "fx-med-amoxicillin", code: rxnormConcept("308191", "Amoxicillin 500 MG Oral Capsule") });
+  r.push({
+    resourceType: "MedicationRequest",
+    id: "fx-red-med1",
+    status: "active",
+    intent: "order",
+    subject: { reference: "Patient/fx-red" },
+    authoredOn: iso(now, 17),
+    medicationReference: { reference: "Medication/fx-med-amoxicillin" },
+    dosageInstruction: [dosage(500, "mg", "Oral", 1, 8, "h")],
+    requester: { reference: "Practitioner/fx-prac-1" },
+    encounter: { reference: "Encounter/fx-red-enc1" },
+  });
+  r.push({
+    ...medicationRequest("fx-red-med2", "fx-red", now, 24 * 380, "197361", "Amlodipine 5 MG Oral Tablet"),
+    dosageInstruction: [dosage(5, "mg", "Oral", 1, 1, "d")],
+    requester: { display: "GP surgery" },
+  });
+  r.push({
+    ...medicationRequest("fx-red-med3", "fx-red", now, 24 * 30, "617296", "Amoxicillin 875 MG / Clavulanate 125 MG Oral Tablet"),
+    status: "stopped",
+    dosageInstruction: [dosage(1, "{tbl}", "Oral", 2, 1, "d")],
+  });
+  // Simvastatin with amlodipine: a moderate interaction for the interaction check.
+  r.push({
+    ...medicationRequest("fx-red-med4", "fx-red", now, 24 * 380, "198211", "Simvastatin 40 MG Oral Tablet"),
+    dosageInstruction: [dosage(40, "mg", "Oral", 1, 1, "d")],
+    requester: { display: "GP surgery" },
+  });
+  // Penicillin allergy against the amoxicillin order: the allergy check should raise a high-visibility conflict.
+  r.push(
+    allergyIntolerance("fx-red-allergy1", "fx-red", now, 24 * 2000, "764146007", "Penicillin", {
+      criticality: "high",
+      reactions: [["39579001", "Anaphylaxis", "severe"]],
+    })
+  );
+  r.push({
+    resourceType: "MedicationAdministration",
+    id: "fx-red-admin1",
+    status: "completed",
+    medicationReference: { reference: "Medication/fx-med-amoxicillin" },
+    subject: { reference: "Patient/fx-red" },
+    context: { reference: "Encounter/fx-red-enc1" },
+    effectiveDateTime: iso(now, 2),
+    performer: [{ actor: { display: "Ward 7 nursing team" } }],
+    request: { reference: "MedicationRequest/fx-red-med1" },
+    dosage: {
+      dose: { value: 500, unit: "mg", system: UCUM_SYSTEM, code: "mg" },
+      route: { coding: [{ system: SNOMED_SYSTEM, code: ROUTES.Oral, display: "Oral" }], text: "Oral" },
+    },
+  });
+
+  // AMBER: raised BP and heart rate, borderline saturations and respiratory rate.
+  r.push(patient("fx-amber", "Ben", "Ambrose", "male", "1961-07-02", "9000000017", "0113 496 0002", "LS6 2QT"));
+  r.push(
+    ...vitalsSeries("fx-amber", now, [
+      [2, { sys: 152, dia: 94, hr: 106, temp: 38.3, spo2: 93, rr: 23, acvpu: "A" }],
+      [8, { sys: 146, dia: 91, hr: 101, temp: 38.0, spo2: 94, rr: 21 }],
+      [14, { sys: 138, dia: 88, hr: 96, temp: 37.6, spo2: 95, rr: 19 }],
+    ])
+  );
+  r.push(
+    ...labReport("fx-amber-lab1", "fx-amber", now, 6, "58410-2", "Full blood count and CRP", {
+      "6690-2": [14.2, "H"],
+      "718-7": 138,
+      "1988-5": 64,
+    })
+  );
+  r.push(encounter("fx-amber-enc1", "fx-amber", now, 16, null, "Acute medical unit"));
+  r.push(condition("fx-amber-cond1", "fx-amber", now, 15, "68566005", "Urinary tract infection"));
+  r.push(withConditionStatus(condition("fx-amber-cond2", "fx-amber", now, 14, "45816000", "Pyelonephritis"), "active", "entered-in-error"));
+  r.push(medicationRequest("fx-amber-med1", "fx-amber", now, 14, "1664986", "Nitrofurantoin 100 MG Oral Capsule"));
+  r.push({
+    ...allergyIntolerance("fx-amber-allergy1", "fx-amber", now, 24 * 900, "387406002", "Sulfonamide", {
+      reactions: [["271807003", "Eruption of skin", "moderate"]],
+    }),
+    verificationStatus: {
+      coding: [{ system: "http://terminology.hl7.org/CodeSystem/allergyintolerance-verification", code: "unconfirmed" }],
+    },
+  });
+  r.push({ ...medicationRequest("fx-amber-med2", "fx-amber", now, 15, "198335", "Trimethoprim 200 MG Oral Tablet"), status: "cancelled" });
+
+  // GREEN: unremarkable, complete recent set.
+  r.push(patient("fx-green", "Cara", "Greenwood", "female", "1985-11-20", "9000000025", "0113 496 0003", "LS8 1NT"));
+  r.push(
+    ...vitalsSeries("fx-green", now, [
+      [3, { sys: 118, dia: 76, hr: 72, temp: 36.8, spo2: 98, rr: 15, acvpu: "A" }],
+      [11, { sys: 121, dia: 78, hr: 75, temp: 36.9, spo2: 97, rr: 16 }],
+      [19, { sys: 116, dia: 74, hr: 70, temp: 36.7, spo2: 98, rr: 14 }],
+    ])
+  );
+  r.push(
+    ...labReport("fx-green-lab1", "fx-green", now, 7, "58410-2", "Full blood count", { "6690-2": 6.1, "718-7": 132 })
+  );
+  r.push(encounter("fx-green-enc1", "fx-green", now, 30, 6, "Day case review", "AMB"));
+  r.push(condition("fx-green-cond1", "fx-green", now, 24 * 200, "195967001", "Asthma"));
+  r.push({
+    ...medicationRequest("fx-green-med1", "fx-green", now, 24 * 150, "245314", "Salbutamol 100 MCG/ACTUAT Inhaler"),
+    dosageInstruction: [{ ...dosage(2, "{puff}", "Inhalation", 4, 1, "d"), asNeededBoolean: true }],
+  });
+  r.push(
+    allergyIntolerance("fx-green-allergy1", "fx-green", now, 24 * 3000, "256349002", "Peanut", {
+      category: "food",
+      criticality: "high",
+      reactions: [["39579001", "Anaphylaxis", "severe"]],
+    })
+  );
+  r.push({
+    resourceType: "MedicationStatement",
+    id: "fx-green-stmt1",
+    status: "active",
+    medicationCodeableConcept: rxnormConcept("1014678", "Cetirizine 10 MG Oral Tablet"),
+    subject: { reference: "Patient/fx-green" },
+    effectiveDateTime: iso(now, 24 * 20),
+    dateAsserted: iso(now, 24 * 20),
+    informationSource: { reference: "Patient/fx-green", display: "Patient" },
+    dosage: [{ text: "One tablet daily in hay fever season" }],
+  });
+
+  // NEWS2 single parameter 3: respiratory rate 7, everything else normal.
+  r.push(patient("fx-single3", "Gus", "Singh", "male", "1972-01-30", "9000000033", "0113 496 0004", "LS11 5DL"));
+  r.push(
+    ...vitalsSeries("fx-single3", now, [
+      [1, { sys: 124, dia: 80, hr: 66, temp: 36.6, spo2: 97, rr: 7, acvpu: "A" }],
+      [7, { sys: 126, dia: 82, hr: 70, temp: 36.7, spo2: 97, rr: 12 }],
+    ])
+  );
+  r.push(encounter("fx-single3-enc1", "fx-single3", now, 10, null, "Post-operative ward"));
+  r.push(condition("fx-single3-cond1", "fx-single3", now, 9, "609588000", "Total knee replacement"));
+  r.push(medicationRequest("fx-single3-med1", "fx-single3", now, 8, "1049621", "Oxycodone 5 MG Oral Tablet"));
+  // Uncoded order (text only, matched by name): opioid plus benzodiazepine, a major interaction with RR 7.
+  r.push({
+    ...medicationRequest("fx-single3-med2", "fx-single3", now, 6, null, null),
+    medicationCodeableConcept: { text: "Diazepam 5 mg tablets" },
+    dosageInstruction: [dosage(5, "mg", "Oral", 1, 1, "d")],
+  });
+  r.push({
+    ...allergyIntolerance("fx-single3-allergy1", "fx-single3", now, 24 * 700, "387494007", "Codeine", {
+      reactions: [["422587007", "Nausea", "mild"]],
+    }),
+    type: "intolerance",
+  });
+
+  // Stale: normal values, but three weeks old.
+  r.push(patient("fx-stale", "Dev", "Stanton", "male", "1956-05-14", "9000000041", "0113 496 0005", "LS16 6EB"));
+  r.push(
+    ...vitalsSeries("fx-stale", now, [
+      [24 * 21, { sys: 128, dia: 82, hr: 78, temp: 36.9, spo2: 96, rr: 16 }],
+      [24 * 28, { sys: 131, dia: 84, hr: 80, temp: 36.8, spo2: 96, rr: 16 }],
+    ])
+  );
+  r.push(encounter("fx-stale-enc1", "fx-stale", now, 24 * 21 + 2, 24 * 21 - 1, "GP review", "AMB"));
+  r.push(condition("fx-stale-cond1", "fx-stale", now, 24 * 600, "44054006", "Type 2 diabetes mellitus"));
+  r.push(medicationRequest("fx-stale-med1", "fx-stale", now, 24 * 590, "861007", "Metformin 500 MG Oral Tablet"));
+
+  // Partial: only blood pressure and heart rate recorded.
+  r.push(patient("fx-partial", "Eve", "Partington", "female", "1990-09-09", "9000000068", "0113 496 0006", "LS2 9JT"));
+  r.push(
+    ...vitalsSeries("fx-partial", now, [
+      [4, { sys: 132, dia: 84, hr: 88 }],
+      [10, { sys: 129, dia: 83, hr: 84 }],
+    ])
+  );
+  r.push(encounter("fx-partial-enc1", "fx-partial", now, 12, null, "Maternity assessment"));
+
+  // No vitals at all.
+  r.push(patient("fx-novitals", "Finn", "Novak", "male", "2001-02-17", "9000000076", "0113 496 0007", "LS4 2AZ"));
+  r.push(encounter("fx-novitals-enc1", "fx-novitals", now, 24 * 3, 24 * 3 - 1, "Outpatient appointment", "AMB"));
+  r.push(condition("fx-novitals-cond1", "fx-novitals", now, 24 * 3, "35489007", "Depressive disorder"));
+
+  return r;
+}
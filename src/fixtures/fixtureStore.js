@@ -0,0 +1,427 @@
+/* ---------- offline FHIR stand-in (fixtures) ---------- */
+/**
+ * A tiny in-memory FHIR R4 "server" used for offline demos and tests.
+ * It answers the same REST searches the app issues against a live server:
+ *
+ *   GET [base]/metadata
+ *   GET [base]/{type}/{id}
+ *   GET [base]/{type}?patient=|subject=&category=&code=&name=&status=&intent=&_lastUpdated=&_sort=&_count=&_total=&_summary=count
+ *   GET [base]/{type}?…&_include={type}:medication|requester|performer|encounter
+ *   GET [base]/Patient?identifier=&family=&given=&birthdate=&gender=&phone=&address-postalcode=
+ *   GET [base]/Patient/{id}/$everything?_type=&_count=
+ *   POST [base] with a `batch` Bundle of GET entries
+ *   POST [base]/{type}   PUT [base]/{type}/{id}   (create / update, kept in memory)
+ *
+ * Searches return `searchset` Bundles with `total` and `next` links, so paging
+ * behaves like HAPI. Resources are loaded from FHIR Bundles (Synthea output is
+ * a transaction Bundle), single resources, or NDJSON bulk-export files.
+ *
+ * The store is environment-neutral: the browser calls `handle()` directly for
+ * the `fixture://local` base, and scripts/fixture-server.js wraps it in HTTP.
+ */
+
+export const FIXTURE_BASE = "fixture://local";
+
+const PAGE_SIZE_DEFAULT = 20;
+const PAGE_SIZE_MAX = 500;
+
+// Search parameter -> resource date field(s), used by `_sort` and `date`.
+const DATE_FIELDS = {
+  date: (r) =>
+    r.effectiveDateTime ||
+    r.effectiveInstant ||
+    r.effectivePeriod?.start ||
+    r.issued ||
+    r.period?.start ||
+    r.authoredOn ||
+    r.recordedDate ||
+    r.date ||
+    null,
+  "recorded-date": (r) => r.recordedDate || null,
+  "onset-date": (r) => r.onsetDateTime || r.onsetPeriod?.start || null,
+  authoredon: (r) => r.authoredOn || null,
+  effective: (r) => r.effectiveDateTime || r.effectivePeriod?.start || null,
+  "effective-time": (r) => r.effectiveDateTime || r.effectivePeriod?.start || null,
+  birthdate: (r) => r.birthDate || null,
+  _lastUpdated: (r) => r.meta?.lastUpdated || null,
+};
+
+const STRING_FIELDS = {
+  name: (r) => (r.name || []).flatMap((n) => [...(n.given || []), n.family, n.text]),
+  family: (r) => (r.name || []).map((n) => n.family),
+  given: (r) => (r.name || []).flatMap((n) => n.given || []),
+  "address-postalcode": (r) => (r.address || []).map((a) => a.postalCode),
+};
+
+// `_include` search parameter -> the reference(s) it follows.
+const INCLUDE_FIELDS = {
+  medication: (r) => [r.medicationReference?.reference],
+  requester: (r) => [r.requester?.reference],
+  performer: (r) => (r.performer || []).map((p) => p.actor?.reference || p.reference),
+  encounter: (r) => [r.encounter?.reference],
+};
+
+function outcome(status, severity, code, diagnostics) {
+  return {
+    status,
+    body: {
+      resourceType: "OperationOutcome",
+      issue: [{ severity, code, diagnostics }],
+    },
+  };
+}
+
+function refId(ref) {
+  // "Patient/123", "urn:uuid:123", "http://x/Patient/123" -> "123"
+  if (!ref) return null;
+  const s = String(ref);
+  if (s.startsWith("urn:uuid:")) return s.slice("urn:uuid:".length);
+  const parts = s.split("/");
+  return parts[parts.length - 1];
+}
+
+function subjectRefs(r) {
+  if (r.resourceType === "Patient") return [r.id];
+  return [r.subject?.reference, r.patient?.reference, r.beneficiary?.reference].filter(Boolean).map(refId);
+}
+
+function tokenMatches(codeables, token) {
+  // token: "system|code", "|code", "code", "system|" (any code from the system)
+  const [system, code] = token.includes("|") ? token.split("|") : [null, token];
+  return codeables.some((cc) =>
+    (cc?.coding || []).some((c) => (code === "" || c.code === code) && (!system || c.system === system))
+  );
+}
+
+function identifierMatches(identifiers, token) {
+  // token: "system|value", "|value", "value"
+  const [system, value] = token.includes("|") ? token.split("|") : [null, token];
+  return (identifiers || []).some((i) => i.value === value && (!system || i.system === system));
+}
+
+function dateMatches(value, expr) {
+  if (!value) return false;
+  const m = /^(eq|ne|gt|lt|ge|le)?(.+)$/.exec(expr);
+  const prefix = m[1] || "eq";
+  const v = new Date(value).getTime();
+  const t = new Date(m[2]).getTime();
+  if (Number.isNaN(v) || Number.isNaN(t)) return false;
+  if (prefix === "eq") return String(value).startsWith(m[2]);
+  if (prefix === "ne") return !String(value).startsWith(m[2]);
+  if (prefix === "gt") return v > t;
+  if (prefix === "lt") return v < t;
+  if (prefix === "ge") return v >= t;
+  return v <= t;
+}
+
+/* ---------- parsing ---------- */
+function resourcesFromJSON(json) {
+  if (!json || typeof json !== "object") return [];
+  if (json.resourceType === "Bundle") {
+    return (json.entry || []).flatMap((e) => resourcesFromJSON(e.resource));
+  }
+  return json.resourceType ? [json] : [];
+}
+
+/**
+ * Parses a FHIR Bundle / resource JSON file or an NDJSON file into resources.
+ */
+export function parseFixtureText(text, filename = "") {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return [];
+  const looksNdjson = /\.ndjson$/i.test(filename) || (trimmed.startsWith("{") && trimmed.includes("}\n{"));
+  if (looksNdjson) {
+    return trimmed
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .flatMap((line) => resourcesFromJSON(JSON.parse(line)));
+  }
+  return resourcesFromJSON(JSON.parse(trimmed));
+}
+
+/* ---------- store ---------- */
+export function createFixtureStore(initial = []) {
+  const byType = new Map(); // resourceType -> Map(id -> resource)
+
+  function add(resources) {
+    let added = 0;
+    for (const r of resources) {
+      if (!r?.resourceType || !r.id) continue;
+      if (!byType.has(r.resourceType)) byType.set(r.resourceType, new Map());
+      byType.get(r.resourceType).set(r.id, r);
+      added += 1;
+    }
+    return added;
+  }
+
+  // Server-assigned ids for creates: unique within this process, sortable by creation order.
+  let created = 0;
+  function newId() {
+    created += 1;
+    return `${Date.now().toString(36)}-${created}`;
+  }
+
+  // Create / update: the server owns id, meta.versionId and meta.lastUpdated, as on HAPI.
+  function write(method, type, id, resource, base) {
+    if (resource?.resourceType !== type) {
+      return outcome(400, "error", "invalid", `Body must be a ${type} resource.`);
+    }
+    if (method === "PUT" && resource.id !== id) {
+      return outcome(400, "error", "invalid", `Resource id "${resource.id || ""}" does not match the URL (${type}/${id}).`);
+    }
+    const previous = method === "PUT" ? byType.get(type)?.get(id) : null;
+    const version = Number(previous?.meta?.versionId || 0) + 1;
+    const stored = {
+      ...resource,
+      id: method === "POST" ? newId() : id,
+      meta: { ...resource.meta, versionId: String(version), lastUpdated: new Date().toISOString() },
+    };
+    add([stored]);
+    return {
+      status: previous ? 200 : 201,
+      body: stored,
+      location: `${base}/${type}/${stored.id}/_history/${version}`,
+    };
+  }
+
+  function all(type) {
+    return [...(byType.get(type)?.values() || [])];
+  }
+
+  function counts() {
+    const out = {};
+    for (const [type, m] of byType) out[type] = m.size;
+    return out;
+  }
+
+  function clear() {
+    byType.clear();
+  }
+
+  function capabilityStatement() {
+    return {
+      resourceType: "CapabilityStatement",
+      status: "active",
+      kind: "instance",
+      fhirVersion: "4.0.1",
+      format: ["json"],
+      software: { name: "fhir-core-demo fixture server" },
+      rest: [
+        {
+          mode: "server",
+          interaction: [{ code: "batch" }],
+          resource: [...byType.keys()].sort().map((type) => ({
+            type,
+            interaction: [{ code: "read" }, { code: "search-type" }, { code: "create" }, { code: "update" }],
+            ...(type === "Patient"
+              ? { operation: [{ name: "everything", definition: "http://hl7.org/fhir/OperationDefinition/Patient-everything" }] }
+              : {}),
+            searchParam: [
+              { name: "patient", type: "reference" },
+              { name: "category", type: "token" },
+              { name: "code", type: "token" },
+              ...(type === "Patient"
+                ? [
+                    { name: "identifier", type: "token" },
+                    { name: "family", type: "string" },
+                    { name: "given", type: "string" },
+                    { name: "birthdate", type: "date" },
+                    { name: "gender", type: "token" },
+                    { name: "phone", type: "token" },
+                    { name: "address-postalcode", type: "string" },
+                  ]
+                : []),
+              { name: "_lastUpdated", type: "date" },
+              { name: "_sort", type: "string" },
+              { name: "_count", type: "number" },
+            ],
+          })),
+        },
+      ],
+    };
+  }
+
+  function search(type, params, base) {
+    let list = all(type);
+
+    for (const [key, raw] of params) {
+      if (!raw) continue;
+      if (key === "patient" || key === "subject") {
+        const id = refId(raw);
+        list = list.filter((r) => subjectRefs(r).includes(id));
+      } else if (key === "_id") {
+        const ids = raw.split(",");
+        list = list.filter((r) => ids.includes(r.id));
+      } else if (key === "category") {
+        const tokens = raw.split(",");
+        list = list.filter((r) => {
+          const cats = Array.isArray(r.category) ? r.category : r.category ? [r.category] : [];
+          return tokens.some((t) => tokenMatches(cats, t));
+        });
+      } else if (key === "code") {
+        const tokens = raw.split(",");
+        list = list.filter((r) => tokens.some((t) => tokenMatches([r.code], t)));
+      } else if (key === "identifier") {
+        const tokens = raw.split(",");
+        list = list.filter((r) => tokens.some((t) => identifierMatches(r.identifier, t)));
+      } else if (key === "gender") {
+        const wanted = raw.split(",");
+        list = list.filter((r) => wanted.includes(r.gender));
+      } else if (key === "phone") {
+        const digits = raw.replace(/\s+/g, "");
+        list = list.filter((r) =>
+          (r.telecom || []).some((t) => t.system === "phone" && String(t.value || "").replace(/\s+/g, "") === digits)
+        );
+      } else if (key === "status" || key === "intent") {
+        const wanted = raw.split(",");
+        list = list.filter((r) => wanted.includes(r[key]));
+      } else if (DATE_FIELDS[key]) {
+        list = list.filter((r) => dateMatches(DATE_FIELDS[key](r), raw));
+      } else if (STRING_FIELDS[key.split(":")[0]]) {
+        const [name, modifier] = key.split(":");
+        const needle = raw.toLowerCase();
+        list = list.filter((r) =>
+          STRING_FIELDS[name](r)
+            .filter(Boolean)
+            .some((v) => {
+              const s = String(v).toLowerCase();
+              if (modifier === "exact") return String(v) === raw;
+              if (modifier === "contains") return s.includes(needle);
+              return s.startsWith(needle);
+            })
+        );
+      }
+      // Anything else (_total, _count, _sort, _getpagesoffset, unknown params) is handled below or ignored, as HAPI does leniently.
+    }
+
+    const sort = params.get("_sort");
+    if (sort) {
+      const desc = sort.startsWith("-");
+      const field = DATE_FIELDS[desc ? sort.slice(1) : sort];
+      if (field) {
+        list.sort((a, b) => {
+          const av = new Date(field(a) || 0).getTime();
+          const bv = new Date(field(b) || 0).getTime();
+          return desc ? bv - av : av - bv;
+        });
+      }
+    }
+
+    // `_summary=count` is what cache revalidation uses to ask "anything new since…?".
+    if (params.get("_summary") === "count") {
+      return { resourceType: "Bundle", type: "searchset", meta: { lastUpdated: new Date().toISOString() }, total: list.length };
+    }
+
+    return pageBundle(list, params, `${base}/${type}`, base);
+  }
+
+  // One searchset page of `list`; `self` is the URL (without query) that next links repeat.
+  function pageBundle(list, params, self, base) {
+    const count = Math.min(PAGE_SIZE_MAX, Math.max(1, Number(params.get("_count")) || PAGE_SIZE_DEFAULT));
+    const offset = Math.max(0, Number(params.get("_getpagesoffset")) || 0);
+    const page = list.slice(offset, offset + count);
+
+    const selfParams = new URLSearchParams(params);
+    const link = [{ relation: "self", url: `${self}?${selfParams}` }];
+    if (offset + count < list.length) {
+      const nextParams = new URLSearchParams(params);
+      nextParams.set("_getpagesoffset", String(offset + count));
+      link.push({ relation: "next", url: `${self}?${nextParams}` });
+    }
+
+    const entry = (resource, mode) => ({ fullUrl: `${base}/${resource.resourceType}/${resource.id}`, resource, search: { mode } });
+    return {
+      resourceType: "Bundle",
+      type: "searchset",
+      meta: { lastUpdated: new Date().toISOString() },
+      total: list.length,
+      link,
+      entry: [...page.map((r) => entry(r, "match")), ...included(page, params.getAll("_include")).map((r) => entry(r, "include"))],
+    };
+  }
+
+  // The resources `_include=Type:param` values reach from one page (each once, never a page match itself).
+  function included(page, includes) {
+    const out = new Map();
+    const matched = new Set(page.map((r) => `${r.resourceType}/${r.id}`));
+    for (const value of includes) {
+      const [sourceType, param] = value.split(":");
+      if (!INCLUDE_FIELDS[param]) continue;
+      for (const r of page) {
+        if (sourceType !== "*" && r.resourceType !== sourceType) continue;
+        for (const ref of INCLUDE_FIELDS[param](r)) {
+          const m = /([A-Z][A-Za-z]+)\/([^/]+)$/.exec(ref || "");
+          const target = m && byType.get(m[1])?.get(m[2]);
+          const key = target && `${target.resourceType}/${target.id}`;
+          if (target && !matched.has(key)) out.set(key, target);
+        }
+      }
+    }
+    return [...out.values()];
+  }
+
+  // Patient/$everything: the patient plus everything that references them, optionally limited by `_type`,
+  // plus the Medications those resources point at (they have no subject of their own).
+  function everything(id, params, base) {
+    const patient = byType.get("Patient")?.get(id);
+    if (!patient) return outcome(404, "error", "not-found", `Patient/${id} is not known.`);
+    const types = params.get("_type") ? params.get("_type").split(",") : null;
+    const related = [...byType.entries()]
+      .filter(([type]) => type !== "Patient" && (!types || types.includes(type)))
+      .flatMap(([, m]) => [...m.values()])
+      .filter((r) => subjectRefs(r).includes(id));
+    const medications = !types || types.includes("Medication") ? included(related, ["*:medication"]) : [];
+    const list = [...(!types || types.includes("Patient") ? [patient] : []), ...related, ...medications];
+    return { status: 200, body: pageBundle(list, params, `${base}/Patient/${id}/$everything`, base) };
+  }
+
+  // Each entry runs as its own GET; failures become per-entry OperationOutcomes, as in a real batch.
+  function batch(bundle, base) {
+    if (bundle?.resourceType !== "Bundle" || bundle.type !== "batch") {
+      return outcome(400, "error", "invalid", "POST to the base expects a Bundle of type batch.");
+    }
+    const entry = (bundle.entry || []).map((e) => {
+      const method = e.request?.method || "GET";
+      const { status, body } =
+        method === "GET"
+          ? handle("GET", `${base}/${String(e.request?.url || "").replace(/^\/+/, "")}`, base)
+          : outcome(405, "error", "not-supported", `${method} entries are not supported in a batch.`);
+      const response = { status: `${status} ${status < 400 ? "OK" : "Error"}` };
+      return status < 400 ? { resource: body, response } : { response: { ...response, outcome: body } };
+    });
+    return { status: 200, body: { resourceType: "Bundle", type: "batch-response", entry } };
+  }
+
+  /**
+   * Handles one REST call. `url` is absolute; `base` is the server root it was issued against;
+   * `body` is the parsed request body for POST/PUT. Returns { status, body } (plus `location` for writes).
+   */
+  function handle(method, url, base, body = null) {
+    const u = new URL(url);
+    const root = new URL(base);
+    const path = u.pathname.slice(root.pathname.replace(/\/$/, "").length).replace(/^\/+/, "");
+    const parts = path.split("/").filter(Boolean);
+    const trimmedBase = base.replace(/\/$/, "");
+
+    if (method === "POST" && parts.length === 0) return batch(body, trimmedBase);
+    if (method === "POST" && parts.length === 1) return write("POST", parts[0], null, body, trimmedBase);
+    if (method === "PUT" && parts.length === 2) return write("PUT", parts[0], parts[1], body, trimmedBase);
+    if (method !== "GET") return outcome(405, "error", "not-supported", `${method} is not supported by the fixture server.`);
+    if (parts.length === 1 && parts[0] === "metadata") return { status: 200, body: capabilityStatement() };
+
+    const [type, id, operation] = parts;
+    if (!type || !/^[A-Z][A-Za-z]+$/.test(type)) return outcome(400, "error", "not-supported", `Unknown path "/${path}".`);
+    if (operation === "$everything" && type === "Patient") return everything(id, u.searchParams, trimmedBase);
+    if (operation) return outcome(400, "error", "not-supported", `Unknown operation "${operation}".`);
+
+    if (id) {
+      const r = byType.get(type)?.get(id);
+      return r ? { status: 200, body: r } : outcome(404, "error", "not-found", `${type}/${id} is not known.`);
+    }
+
+    return { status: 200, body: search(type, u.searchParams, trimmedBase) };
+  }
+
+  add(initial);
+  return { add, all, clear, counts, handle, load: (text, filename) => add(parseFixtureText(text, filename)) };
+}
@@ -0,0 +1,52 @@
+/* ---------- mock OpenAI-compatible summary model ---------- */
+/**
+ * Stands in for a chat-completions endpoint so the HTTP summary provider can run offline
+ * (served by the fixture server at POST /v1/chat/completions). It reads the patient data
+ * block out of the prompt and answers with the rule-based sections in the JSON shape the
+ * provider asks for. With "cite_unknown": true in the request it also cites a resource that
+ * was never sent, to exercise the hallucinated-reference check.
+ */
+import { ruleSections } from "../summaryProviders.js";
+
+export const MOCK_MODEL = { name: "fixture-mock-model", version: "mock-2024-06" };
+
+function contextFromMessages(messages) {
+  const user = [...(messages || [])].reverse().find((m) => m?.role === "user");
+  const match = /```json\s*([\s\S]*?)```/.exec(user?.content || "");
+  if (!match) throw new Error("No patient data block in the prompt.");
+  return JSON.parse(match[1]);
+}
+
+function completion(status, body) {
+  return { status, body };
+}
+
+export function mockChatCompletion(request) {
+  let context;
+  try {
+    context = contextFromMessages(request?.messages);
+  } catch (e) {
+    return completion(400, { error: { message: e.message, type: "invalid_request_error" } });
+  }
+  const sections = ruleSections(context).map((s) => ({
+    key: s.key,
+    title: s.title,
+    lines: s.lines,
+    citations: s.refs,
+  }));
+  if (request.cite_unknown && sections[0]) sections[0].citations = [...sections[0].citations, "Observation/not-in-context"];
+  return completion(200, {
+    id: `chatcmpl-mock-${Date.now()}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: MOCK_MODEL.name,
+    system_fingerprint: MOCK_MODEL.version,
+    choices: [
+      {
+        index: 0,
+        message: { role: "assistant", content: JSON.stringify({ sections }) },
+        finish_reason: "stop",
+      },
+    ],
+  });
+}
@@ -0,0 +1,232 @@
+/* ---------- drug-drug interactions ---------- */
+/**
+ * Checks a list of medications against a small bundled interaction dataset, offline. No UI or FHIR-client
+ * imports: callers pass plain `{ ref, display, concepts }` items (concepts = CodeableConcepts for the product
+ * and/or its ingredients), so the checker can run anywhere.
+ *
+ * Each medication is mapped to ingredients in DRUGS, by code first (RxNorm or dm+d, see CODE_SYSTEMS) and by
+ * ingredient name in the display text when no code matches. Every pair of medications is then looked up in
+ * INTERACTIONS, where either side may name an ingredient or a GROUPS entry.
+ *
+ * Demo-grade: a few dozen well-known interactions, not a substitute for a clinical decision support product.
+ */
+
+export const INTERACTION_DATASET_VERSION = "demo-2026.10.1";
+
+// System URI -> the prefix used in DRUGS codes.
+export const CODE_SYSTEMS = {
+  "http://www.nlm.nih.gov/research/umls/rxnorm": "rxnorm",
+  "https://dmd.nhs.uk": "dmd",
+};
+
+// dm+d concepts also arrive as plain SNOMED CT codings whose version names a UK edition module
+// ("http://snomed.info/sct/83821000000107/version/…"): UK drug extension, UK clinical edition or UK composition.
+const SNOMED = "http://snomed.info/sct";
+const UK_SNOMED_MODULES = ["999000011000001104", "999000011000000103", "83821000000107"];
+
+export const SEVERITY_ORDER = ["contraindicated", "major", "moderate", "minor"];
+
+/**
+ * Ingredients: id -> { name, codes: ["rxnorm|…" | "dmd|…"], names: [extra text to match] }.
+ * Codes are RxNorm ingredient codes, plus product codes used by the demo fixtures, and the dm+d VTM (virtual
+ * therapeutic moiety) id for each ingredient; add "dmd|<VMP id>" tokens for UK products that should match directly.
+ */
+export const DRUGS = {
+  warfarin: { name: "Warfarin", codes: ["rxnorm|11289", "dmd|48603004"], names: [] },
+  aspirin: { name: "Aspirin", codes: ["rxnorm|1191", "dmd|7947003"], names: ["acetylsalicylic acid"] },
+  ibuprofen: { name: "Ibuprofen", codes: ["rxnorm|5640", "dmd|38268001"], names: [] },
+  naproxen: { name: "Naproxen", codes: ["rxnorm|7258", "dmd|74186001"], names: [] },
+  diclofenac: { name: "Diclofenac", codes: ["rxnorm|3355", "dmd|7034005"], names: [] },
+  clopidogrel: { name: "Clopidogrel", codes: ["rxnorm|32968", "dmd|108979001"], names: [] },
+  omeprazole: { name: "Omeprazole", codes: ["rxnorm|7646", "dmd|25673006"], names: [] },
+  simvastatin: { name: "Simvastatin", codes: ["rxnorm|36567", "rxnorm|198211", "dmd|96304005"], names: [] },
+  atorvastatin: { name: "Atorvastatin", codes: ["rxnorm|83367", "dmd|108600003"], names: [] },
+  clarithromycin: { name: "Clarithromycin", codes: ["rxnorm|21212", "dmd|21223005"], names: [] },
+  erythromycin: { name: "Erythromycin", codes: ["rxnorm|4053", "dmd|57516003"], names: [] },
+  ciprofloxacin: { name: "Ciprofloxacin", codes: ["rxnorm|2551", "dmd|15480007"], names: [] },
+  trimethoprim: { name: "Trimethoprim", codes: ["rxnorm|10829", "rxnorm|198335", "dmd|86213000"], names: ["co-trimoxazole"] },
+  fluconazole: { name: "Fluconazole", codes: ["rxnorm|4450", "dmd|21305006"], names: [] },
+  rifampicin: { name: "Rifampicin", codes: ["rxnorm|9384", "dmd|52589007"], names: ["rifampin"] },
+  amiodarone: { name: "Amiodarone", codes: ["rxnorm|703", "dmd|44046005"], names: [] },
+  digoxin: { name: "Digoxin", codes: ["rxnorm|3407", "dmd|74813005"], names: [] },
+  verapamil: { name: "Verapamil", codes: ["rxnorm|11170", "dmd|48698004"], names: [] },
+  diltiazem: { name: "Diltiazem", codes: ["rxnorm|3443", "dmd|45448005"], names: [] },
+  amlodipine: { name: "Amlodipine", codes: ["rxnorm|17767", "rxnorm|197361", "dmd|108537001"], names: [] },
+  lisinopril: { name: "Lisinopril", codes: ["rxnorm|29046", "dmd|108577009"], names: [] },
+  ramipril: { name: "Ramipril", codes: ["rxnorm|35296", "dmd|108572003"], names: [] },
+  spironolactone: { name: "Spironolactone", codes: ["rxnorm|9997", "dmd|85817004"], names: [] },
+  potassium: { name: "Potassium chloride", codes: ["rxnorm|8591", "dmd|8631001"], names: ["potassium chloride"] },
+  methotrexate: { name: "Methotrexate", codes: ["rxnorm|6851", "dmd|68887009"], names: [] },
+  azathioprine: { name: "Azathioprine", codes: ["rxnorm|1256", "dmd|69236009"], names: [] },
+  allopurinol: { name: "Allopurinol", codes: ["rxnorm|519", "dmd|25246002"], names: [] },
+  lithium: { name: "Lithium", codes: ["rxnorm|6448", "rxnorm|42351", "dmd|85899009"], names: [] },
+  sertraline: { name: "Sertraline", codes: ["rxnorm|36437", "dmd|82785000"], names: [] },
+  fluoxetine: { name: "Fluoxetine", codes: ["rxnorm|4493", "dmd|83366001"], names: [] },
+  citalopram: { name: "Citalopram", codes: ["rxnorm|2556", "dmd|108395001"], names: [] },
+  tramadol: { name: "Tramadol", codes: ["rxnorm|10689", "dmd|108505002"], names: [] },
+  oxycodone: { name: "Oxycodone", codes: ["rxnorm|7804", "rxnorm|1049621", "dmd|55011004"], names: [] },
+  morphine: { name: "Morphine", codes: ["rxnorm|7052", "dmd|73572009"], names: [] },
+  codeine: { name: "Codeine", codes: ["rxnorm|2670", "dmd|1201005"], names: [] },
+  diazepam: { name: "Diazepam", codes: ["rxnorm|3322", "dmd|20552009"], names: [] },
+  lorazepam: { name: "Lorazepam", codes: ["rxnorm|6470", "dmd|11646003"], names: [] },
+  gabapentin: { name: "Gabapentin", codes: ["rxnorm|25480", "dmd|108478006"], names: [] },
+  pregabalin: { name: "Pregabalin", codes: ["rxnorm|187832", "dmd|415160008"], names: [] },
+  sildenafil: { name: "Sildenafil", codes: ["rxnorm|136411", "dmd|108494008"], names: [] },
+  nitrates: { name: "Nitrate", codes: ["rxnorm|4917", "rxnorm|6058", "dmd|22396001"], names: ["glyceryl trinitrate", "nitroglycerin", "isosorbide"] },
+  theophylline: { name: "Theophylline", codes: ["rxnorm|10438", "dmd|66493003"], names: ["aminophylline"] },
+  metformin: { name: "Metformin", codes: ["rxnorm|6809", "rxnorm|861007", "dmd|109081006"], names: [] },
+  amoxicillin: { name: "Amoxicillin", codes: ["rxnorm|723", "rxnorm|308191", "dmd|27658006"], names: ["co-amoxiclav"] },
+};
+
+export const GROUPS = {
+  nsaids: ["aspirin", "ibuprofen", "naproxen", "diclofenac"],
+  macrolides: ["clarithromycin", "erythromycin"],
+  aceInhibitors: ["lisinopril", "ramipril"],
+  ssris: ["sertraline", "fluoxetine", "citalopram"],
+  opioids: ["tramadol", "oxycodone", "morphine", "codeine"],
+  benzodiazepines: ["diazepam", "lorazepam"],
+  gabapentinoids: ["gabapentin", "pregabalin"],
+  rateLimitingCcbs: ["verapamil", "diltiazem"],
+  enzymeInducers: ["rifampicin"],
+};
+
+/**
+ * { a, b, severity, rationale }: `a` / `b` name a DRUGS id or a GROUPS key; order doesn't matter.
+ */
+export const INTERACTIONS = [
+  { a: "warfarin", b: "nsaids", severity: "major", rationale: "Additive bleeding risk (antiplatelet effect and gastric injury)." },
+  { a: "warfarin", b: "macrolides", severity: "major", rationale: "Reduced warfarin clearance; INR may rise sharply." },
+  { a: "warfarin", b: "ciprofloxacin", severity: "moderate", rationale: "Raised INR reported; monitor INR closely." },
+  { a: "warfarin", b: "amiodarone", severity: "major", rationale: "Amiodarone inhibits warfarin metabolism; INR rises over weeks." },
+  { a: "warfarin", b: "fluconazole", severity: "major", rationale: "CYP2C9 inhibition; INR may rise sharply." },
+  { a: "warfarin", b: "trimethoprim", severity: "major", rationale: "Raised INR (notably with co-trimoxazole)." },
+  { a: "warfarin", b: "enzymeInducers", severity: "major", rationale: "Enzyme induction lowers the warfarin effect; INR falls." },
+  { a: "simvastatin", b: "macrolides", severity: "contraindicated", rationale: "CYP3A4 inhibition: risk of myopathy and rhabdomyolysis." },
+  { a: "simvastatin", b: "amiodarone", severity: "major", rationale: "Myopathy risk; simvastatin dose should not exceed 20 mg." },
+  { a: "simvastatin", b: "rateLimitingCcbs", severity: "major", rationale: "Myopathy risk; limit the simvastatin dose." },
+  { a: "simvastatin", b: "amlodipine", severity: "moderate", rationale: "Raised simvastatin levels; limit simvastatin to 20 mg daily." },
+  { a: "atorvastatin", b: "macrolides", severity: "major", rationale: "CYP3A4 inhibition raises atorvastatin levels; myopathy risk." },
+  { a: "digoxin", b: "amiodarone", severity: "major", rationale: "Digoxin levels roughly double; halve the digoxin dose and monitor." },
+  { a: "digoxin", b: "verapamil", severity: "major", rationale: "Raised digoxin levels and additive AV-node block." },
+  { a: "digoxin", b: "macrolides", severity: "major", rationale: "P-glycoprotein inhibition raises digoxin levels." },
+  { a: "aceInhibitors", b: "spironolactone", severity: "major", rationale: "Hyperkalaemia; monitor potassium and renal function." },
+  { a: "aceInhibitors", b: "potassium", severity: "major", rationale: "Hyperkalaemia." },
+  { a: "aceInhibitors", b: "trimethoprim", severity: "moderate", rationale: "Trimethoprim reduces potassium excretion; hyperkalaemia." },
+  { a: "aceInhibitors", b: "lithium", severity: "major", rationale: "Reduced lithium excretion; risk of lithium toxicity." },
+  { a: "lithium", b: "nsaids", severity: "major", rationale: "Reduced lithium excretion; risk of lithium toxicity." },
+  { a: "methotrexate", b: "trimethoprim", severity: "contraindicated", rationale: "Additive antifolate effect: bone-marrow suppression." },
+  { a: "methotrexate", b: "nsaids", severity: "major", rationale: "Reduced methotrexate excretion; toxicity risk." },
+  { a: "azathioprine", b: "allopurinol", severity: "major", rationale: "Xanthine oxidase inhibition: cut azathioprine to a quarter dose." },
+  { a: "ssris", b: "tramadol", severity: "major", rationale: "Serotonin syndrome and lowered seizure threshold." },
+  { a: "ssris", b: "nsaids", severity: "moderate", rationale: "Increased risk of gastrointestinal bleeding; consider gastroprotection." },
+  { a: "citalopram", b: "amiodarone", severity: "major", rationale: "Additive QT prolongation." },
+  { a: "opioids", b: "benzodiazepines", severity: "major", rationale: "Additive CNS and respiratory depression." },
+  { a: "opioids", b: "gabapentinoids", severity: "major", rationale: "Additive CNS and respiratory depression." },
+  { a: "oxycodone", b: "macrolides", severity: "moderate", rationale: "CYP3A4 inhibition raises oxycodone levels." },
+  { a: "clopidogrel", b: "omeprazole", severity: "moderate", rationale: "CYP2C19 inhibition reduces clopidogrel activation." },
+  { a: "sildenafil", b: "nitrates", severity: "contraindicated", rationale: "Profound hypotension." },
+  { a: "theophylline", b: "ciprofloxacin", severity: "major", rationale: "Raised theophylline levels; seizures and arrhythmia." },
+  { a: "amlodipine", b: "macrolides", severity: "moderate", rationale: "CYP3A4 inhibition; hypotension and oedema." },
+];
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const NAME_PATTERNS = Object.entries(DRUGS).flatMap(([id, d]) =>
+  [d.name, ...d.names].map((name) => ({ id, re: new RegExp(`(^|[^a-z])${escape(name.toLowerCase())}($|[^a-z])`) }))
+);
+
+const CODE_INDEX = new Map(Object.entries(DRUGS).flatMap(([id, d]) => d.codes.map((code) => [code, id])));
+
+const membersOf = (key) => GROUPS[key] || [key];
+
+/**
+ * The DRUGS code prefix for a Coding ("rxnorm" | "dmd"), or null when its system isn't one the dataset uses.
+ */
+export function codePrefix(coding) {
+  if (!coding?.system) return null;
+  if (CODE_SYSTEMS[coding.system]) return CODE_SYSTEMS[coding.system];
+  if (coding.system !== SNOMED) return null;
+  const module = /^http:\/\/snomed\.info\/sct\/(\d+)/.exec(coding.version || "")?.[1];
+  return UK_SNOMED_MODULES.includes(module) ? "dmd" : null;
+}
+
+/**
+ * The DRUGS ids a medication contains: { ids: [id], via: { id: "code" | "text" }, matchedBy: "code" | "text" | null }.
+ * Code and name matches are merged, so a combination product or a Medication with one coded and one text-only
+ * ingredient keeps both; `matchedBy` is "code" when any ingredient matched by code.
+ */
+export function identifyDrugs({ display = "", concepts = [] } = {}) {
+  const via = {};
+  for (const cc of concepts) {
+    for (const c of cc?.coding || []) {
+      const prefix = codePrefix(c);
+      const id = prefix && CODE_INDEX.get(`${prefix}|${c.code}`);
+      if (id) via[id] = "code";
+    }
+  }
+
+  const text = [display, ...concepts.flatMap((cc) => [cc?.text, ...(cc?.coding || []).map((c) => c?.display)])]
+    .filter(Boolean)
+    .join(" | ")
+    .toLowerCase();
+  for (const p of NAME_PATTERNS) {
+    if (!via[p.id] && p.re.test(text)) via[p.id] = "text";
+  }
+
+  const ids = Object.keys(via);
+  const matchedBy = ids.some((id) => via[id] === "code") ? "code" : ids.length ? "text" : null;
+  return { ids, via, matchedBy };
+}
+
+/**
+ * medications: [{ ref, display, concepts? }] ->
+ *   { interactions: [{ a, b, severity, rationale }], unmatched: [ref], checked }
+ *   a / b = { ref, display, drug (DRUGS name), matchedBy }
+ * Sorted most severe first; one entry per medication pair and ingredient pair, whichever order the medications
+ * or the rule list them in. The same ingredient ordered twice is not reported (that's a duplicate order, not an
+ * interaction), nor is a medication listed twice paired with itself. `rules` defaults to INTERACTIONS.
+ */
+export function checkInteractions(medications, rules = INTERACTIONS) {
+  const items = (medications || []).map((m) => ({ ...m, ...identifyDrugs(m) }));
+  const interactions = [];
+  const seen = new Set();
+  for (let i = 0; i < items.length; i += 1) {
+    for (let j = i + 1; j < items.length; j += 1) {
+      const [x, y] = [items[i], items[j]];
+      if (x.ref && x.ref === y.ref) continue;
+      for (const rule of rules) {
+        const sideA = membersOf(rule.a);
+        const sideB = membersOf(rule.b);
+        const hit =
+          pick(x.ids, sideA) && pick(y.ids, sideB)
+            ? [x, pick(x.ids, sideA), y, pick(y.ids, sideB)]
+            : pick(x.ids, sideB) && pick(y.ids, sideA)
+              ? [y, pick(y.ids, sideA), x, pick(x.ids, sideB)]
+              : null;
+        if (!hit || hit[1] === hit[3]) continue;
+        const key = [`${hit[0].ref}|${hit[1]}`, `${hit[2].ref}|${hit[3]}`].sort().join("+");
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const side = (m, id) => ({ ref: m.ref, display: m.display, drug: DRUGS[id].name, matchedBy: m.via[id] });
+        interactions.push({ a: side(hit[0], hit[1]), b: side(hit[2], hit[3]), severity: rule.severity, rationale: rule.rationale });
+      }
+    }
+  }
+  interactions.sort((p, q) => SEVERITY_ORDER.indexOf(p.severity) - SEVERITY_ORDER.indexOf(q.severity));
+  return {
+    interactions,
+    unmatched: items.filter((m) => !m.ids.length).map((m) => m.ref),
+    checked: items.length,
+  };
+}
+
+function pick(ids, members) {
+  return ids.find((id) => members.includes(id)) || null;
+}
+
+/**
+ * One line per interaction, for alerts and the AI note.
+ */
+export function interactionText(x) {
+  return `${x.severity.toUpperCase()}: ${x.a.drug} + ${x.b.drug} (${x.a.display} / ${x.b.display}). ${x.rationale}`;
+}
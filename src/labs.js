@@ -0,0 +1,265 @@
+/* ---------- laboratory results ---------- */
+/**
+ * Turns `category=laboratory` Observations and DiagnosticReports into what the
+ * labs view needs:
+ * - panels: one per DiagnosticReport (its `result` references), plus panel
+ *   Observations (`hasMember`), plus an "Other results" group for the rest
+ * - analytes: per-test history for trend lines
+ * - critical / abnormal: latest results flagged by the lab
+ *
+ * Only final, amended and corrected results count towards critical / abnormal;
+ * preliminary, cancelled and entered-in-error ones are listed but never flagged
+ * up. recentResults() bounds triage escalation to LAB_ESCALATION_HOURS.
+ *
+ * Flags come from Observation.interpretation (v3 ObservationInterpretation:
+ * H, L, HH, LL, A, AA, N, …). When a result has none, a numeric value is
+ * compared with its referenceRange; that derived flag is never "critical",
+ * because critical limits are the lab's call.
+ */
+
+const INTERPRETATION_SYSTEM = "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation";
+
+const CRITICAL_CODES = new Set(["HH", "LL", "AA", "HU", "LU"]);
+const HIGH_CODES = new Set(["H", "HH", "HU", ">"]);
+const LOW_CODES = new Set(["L", "LL", "LU", "<"]);
+const ABNORMAL_CODES = new Set([...HIGH_CODES, ...LOW_CODES, "A", "AA", "POS", "DET", "R"]);
+
+// Observation.status values a clinician can act on.
+export const REPORTABLE_STATUSES = ["final", "amended", "corrected"];
+
+// How recent a critical result must be to escalate triage; older ones stay in the labs view.
+export const LAB_ESCALATION_HOURS = 72;
+
+export const LAB_FLAG_LABELS = {
+  HH: "Critical high",
+  LL: "Critical low",
+  AA: "Critical abnormal",
+  H: "High",
+  L: "Low",
+  A: "Abnormal",
+  N: "Normal",
+};
+
+function refId(ref) {
+  if (!ref) return null;
+  const s = String(ref);
+  if (s.startsWith("urn:uuid:")) return s.slice("urn:uuid:".length);
+  const parts = s.split("/");
+  return parts[parts.length - 1];
+}
+
+function effectiveDate(r) {
+  return r?.effectiveDateTime || r?.effectivePeriod?.start || r?.issued || r?.meta?.lastUpdated || null;
+}
+
+function codeLabel(cc) {
+  return cc?.text || cc?.coding?.[0]?.display || cc?.coding?.[0]?.code || "Unnamed test";
+}
+
+// LOINC code when there is one, so one analyte's history survives display-name differences.
+function analyteKey(o) {
+  const coding = o?.code?.coding || [];
+  const loinc = coding.find((c) => c.system === "http://loinc.org") || coding[0];
+  return loinc?.code ? `${loinc.system || ""}|${loinc.code}` : `text|${codeLabel(o?.code).toLowerCase()}`;
+}
+
+function num(v) {
+  if (typeof v === "number") return v;
+  if (typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v))) return Number(v);
+  return null;
+}
+
+function formatRange(range, unit) {
+  if (!range) return "";
+  if (range.text) return range.text;
+  const low = num(range.low?.value);
+  const high = num(range.high?.value);
+  const u = range.low?.unit || range.high?.unit || unit || "";
+  if (low !== null && high !== null) return `${low}–${high}${u ? ` ${u}` : ""}`;
+  if (low !== null) return `≥ ${low}${u ? ` ${u}` : ""}`;
+  if (high !== null) return `≤ ${high}${u ? ` ${u}` : ""}`;
+  return "";
+}
+
+function resultValue(o) {
+  if (o.valueQuantity) {
+    const q = o.valueQuantity;
+    const value = num(q.value);
+    const unit = q.unit || q.code || "";
+    const comparator = q.comparator || "";
+    return { value, unit, display: value === null ? "—" : `${comparator}${value}${unit ? ` ${unit}` : ""}` };
+  }
+  if (o.valueCodeableConcept) return { value: null, unit: "", display: codeLabel(o.valueCodeableConcept) };
+  if (typeof o.valueString === "string") return { value: null, unit: "", display: o.valueString };
+  if (o.dataAbsentReason) return { value: null, unit: "", display: `Not available (${codeLabel(o.dataAbsentReason)})` };
+  return { value: null, unit: "", display: "—" };
+}
+
+/**
+ * Flag for one result: { flag, critical, derived } where flag is an interpretation code or null.
+ */
+export function labFlag(o) {
+  const codings = (o.interpretation || []).flatMap((i) => i.coding || []);
+  const coded = codings.find((c) => !c.system || c.system === INTERPRETATION_SYSTEM) || codings[0];
+  const text = (o.interpretation || []).map((i) => i.text || "").join(" ");
+  if (coded?.code) {
+    const code = String(coded.code).toUpperCase();
+    return { flag: code, critical: CRITICAL_CODES.has(code) || /critical|panic/i.test(text), derived: false };
+  }
+  if (/critical|panic/i.test(text)) return { flag: "AA", critical: true, derived: false };
+
+  const value = num(o.valueQuantity?.value);
+  const range = (o.referenceRange || []).find((r) => !r.type || (r.type.coding || []).some((c) => c.code === "normal"));
+  if (value === null || !range) return { flag: null, critical: false, derived: false };
+  const low = num(range.low?.value);
+  const high = num(range.high?.value);
+  if (high !== null && value > high) return { flag: "H", critical: false, derived: true };
+  if (low !== null && value < low) return { flag: "L", critical: false, derived: true };
+  return { flag: "N", critical: false, derived: true };
+}
+
+export function isAbnormalFlag(flag) {
+  return Boolean(flag) && ABNORMAL_CODES.has(flag);
+}
+
+function toResult(o) {
+  const { value, unit, display } = resultValue(o);
+  const range = (o.referenceRange || [])[0];
+  const { flag, critical, derived } = labFlag(o);
+  return {
+    id: o.id,
+    key: analyteKey(o),
+    label: codeLabel(o.code),
+    value,
+    unit,
+    display,
+    range: formatRange(range, unit),
+    flag,
+    critical,
+    derived,
+    status: o.status || "",
+    reportable: REPORTABLE_STATUSES.includes(o.status),
+    when: effectiveDate(o),
+  };
+}
+
+const newestFirst = (a, b) => new Date(b.when || 0).getTime() - new Date(a.when || 0).getTime();
+
+/**
+ * observations: laboratory Observations; reports: DiagnosticReports (any order).
+ * Returns { panels, analytes, critical, abnormal, count }:
+ * - panels: [{ id, title, when, status, conclusion, source, results, resources }] newest first; `resources` are the
+ *   report or panel Observation and its members as returned (for the timeline's resource view)
+ * - analytes: [{ key, label, unit, latest, history: [{ value, when, id, flag }] (oldest -> newest) }]
+ * - critical / abnormal: latest reportable result per analyte that is critical / outside its range
+ */
+export function summariseLabs(observations = [], reports = []) {
+  const byId = new Map(observations.filter((o) => o?.id).map((o) => [o.id, o]));
+  const grouped = new Set();
+  const panels = [];
+
+  for (const report of reports) {
+    const members = (report.result || []).map((ref) => byId.get(refId(ref.reference))).filter(Boolean);
+    members.forEach((o) => grouped.add(o.id));
+    panels.push({
+      id: `DiagnosticReport/${report.id}`,
+      title: codeLabel(report.code),
+      when: effectiveDate(report),
+      status: report.status || "",
+      conclusion: report.conclusion || "",
+      source: "DiagnosticReport",
+      results: members.map(toResult).sort((a, b) => a.label.localeCompare(b.label)),
+      resources: [report, ...members],
+    });
+  }
+
+  // Panel Observations (e.g. a CBC with hasMember) not already covered by a report.
+  for (const o of observations) {
+    if (!o.hasMember?.length || grouped.has(o.id)) continue;
+    const members = o.hasMember.map((ref) => byId.get(refId(ref.reference))).filter((m) => m && !grouped.has(m.id));
+    if (!members.length) continue;
+    grouped.add(o.id);
+    members.forEach((m) => grouped.add(m.id));
+    panels.push({
+      id: `Observation/${o.id}`,
+      title: codeLabel(o.code),
+      when: effectiveDate(o),
+      status: o.status || "",
+      conclusion: "",
+      source: "Observation",
+      results: members.map(toResult).sort((a, b) => a.label.localeCompare(b.label)),
+      resources: [o, ...members],
+    });
+  }
+
+  const looseObservations = observations.filter((o) => !grouped.has(o.id) && !o.hasMember?.length);
+  const loose = looseObservations.map(toResult);
+  if (loose.length) {
+    panels.push({
+      id: "other",
+      title: "Other results",
+      when: loose.map((r) => r.when).sort().pop() || null,
+      status: "",
+      conclusion: "",
+      source: "Observation",
+      results: loose.sort(newestFirst),
+      resources: looseObservations,
+    });
+  }
+  panels.sort(newestFirst);
+
+  const analyteMap = new Map();
+  for (const o of observations) {
+    if (o.hasMember?.length) continue;
+    const r = toResult(o);
+    if (!analyteMap.has(r.key)) analyteMap.set(r.key, { key: r.key, label: r.label, unit: r.unit, results: [] });
+    analyteMap.get(r.key).results.push(r);
+  }
+  const analytes = [...analyteMap.values()]
+    .map((a) => {
+      const results = a.results.sort(newestFirst);
+      return {
+        key: a.key,
+        label: a.label,
+        unit: a.unit,
+        latest: results[0],
+        history: results
+          .slice()
+          .reverse()
+          .map((r) => ({ value: r.value, when: r.when, id: r.id, flag: r.flag })),
+      };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  const latest = [...analyteMap.values()]
+    .map((a) => a.results.slice().sort(newestFirst).find((r) => r.reportable))
+    .filter(Boolean)
+    .sort((a, b) => a.label.localeCompare(b.label));
+  return {
+    panels,
+    analytes,
+    critical: latest.filter((r) => r.critical),
+    abnormal: latest.filter((r) => !r.critical && isAbnormalFlag(r.flag)),
+    count: observations.length,
+  };
+}
+
+/**
+ * The results taken within the last `hours` (undated ones can't be shown to be recent and are left out).
+ */
+export function recentResults(results, now = Date.now(), hours = LAB_ESCALATION_HOURS) {
+  const since = now - hours * 3600 * 1000;
+  return (results || []).filter((r) => {
+    const t = r.when ? new Date(r.when).getTime() : NaN;
+    return t >= since;
+  });
+}
+
+/**
+ * "Potassium 6.8 mmol/L (critical high, ref 3.5–5.3)" for triage reasons and the note.
+ */
+export function describeLabResult(r) {
+  const flag = LAB_FLAG_LABELS[r.flag]?.toLowerCase() || r.flag || "";
+  const bits = [flag, r.range ? `ref ${r.range}` : ""].filter(Boolean).join(", ");
+  return `${r.label} ${r.display}${bits ? ` (${bits})` : ""}`;
+}
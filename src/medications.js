@@ -0,0 +1,238 @@
+/* ---------- medications ---------- */
+/**
+ * Turns a patient's MedicationRequests, MedicationStatements and MedicationAdministrations (plus the
+ * Medications and requesters returned through `_include`) into what the medication view needs:
+ * - orders / statements / administrations: one row each, with the medication resolved, status and dosage
+ * - current: what the patient is taking, one row per medication, combining an active order, an active
+ *   statement ("reported taking") and any administration in the last RECENT_ADMINISTRATION_HOURS
+ *
+ * `medicationReference` is resolved against contained Medications first, then included ones; a reference
+ * that can't be resolved keeps its `display` (or the reference itself) and is flagged `unresolved`.
+ * Orders only count as current when their status is active and their intent is an actual order, so
+ * proposals, plans, and stopped, cancelled, completed or on-hold orders are listed but not "current".
+ * Entered-in-error resources are dropped.
+ */
+
+export const RECENT_ADMINISTRATION_HOURS = 48;
+
+const MEDICATION_TYPES = new Set(["MedicationRequest", "MedicationStatement", "MedicationAdministration"]);
+const ORDER_INTENTS = new Set(["order", "original-order", "reflex-order", "filler-order", "instance-order"]);
+const GIVEN_STATUSES = new Set(["completed", "in-progress"]);
+
+const PERIOD_UNITS = { s: "second", min: "minute", h: "hour", d: "day", wk: "week", mo: "month", a: "year" };
+
+const codeText = (codeable) => codeable?.text || codeable?.coding?.find((c) => c?.display)?.display || null;
+
+const codeKey = (codeable) => {
+  const coding = (codeable?.coding || []).find((c) => c?.code);
+  if (coding) return `${coding.system || ""}|${coding.code}`;
+  const text = (codeable?.text || "").trim().toLowerCase();
+  return text ? `text|${text}` : null;
+};
+
+const time = (iso) => {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+// "Medication/1", "http://x/fhir/Medication/1", "Medication/1/_history/2" -> "Medication/1"
+function refKey(ref) {
+  const m = /([A-Z][A-Za-z]+)\/([^/]+)(?:\/_history\/[^/]+)?$/.exec(ref || "");
+  return m ? `${m[1]}/${m[2]}` : null;
+}
+
+// UCUM annotations such as "{tbl}" read as plain words.
+const quantityText = (q) =>
+  q?.value !== undefined ? `${q.value} ${(q.unit || q.code || "").replace(/^\{(.*)\}$/, "$1")}`.trim() : null;
+
+function rangeText(range) {
+  const low = quantityText(range?.low);
+  const high = quantityText(range?.high);
+  return low || high ? `${low || "?"} – ${high || "?"}` : null;
+}
+
+function timingText(timing) {
+  const r = timing?.repeat;
+  const unit = PERIOD_UNITS[r?.periodUnit];
+  if (!r?.period || !unit) return codeText(timing?.code);
+  const frequency = r.frequency ?? 1;
+  if (r.period === 1) return frequency === 1 ? `once a ${unit}` : `${frequency} times a ${unit}`;
+  return frequency === 1 ? `every ${r.period} ${unit}s` : `${frequency} times every ${r.period} ${unit}s`;
+}
+
+/**
+ * A Dosage (MedicationRequest.dosageInstruction, MedicationStatement.dosage) as "dose · route · frequency",
+ * falling back to its free text.
+ */
+export function dosageText(dosage) {
+  if (!dosage) return null;
+  const doseAndRate = dosage.doseAndRate?.[0];
+  const asNeeded = dosage.asNeededBoolean
+    ? "as needed"
+    : dosage.asNeededCodeableConcept
+      ? `as needed for ${codeText(dosage.asNeededCodeableConcept) || "symptoms"}`
+      : null;
+  const parts = [
+    quantityText(doseAndRate?.doseQuantity) || rangeText(doseAndRate?.doseRange),
+    codeText(dosage.route),
+    timingText(dosage.timing),
+    asNeeded,
+  ].filter(Boolean);
+  return parts.length ? parts.join(" · ") : dosage.text || dosage.patientInstruction || null;
+}
+
+// MedicationAdministration.dosage has a single dose and an optional rate rather than a Dosage.
+function administrationDosageText(dosage) {
+  if (!dosage) return null;
+  const rate = quantityText(dosage.rateQuantity);
+  const parts = [quantityText(dosage.dose), codeText(dosage.route), rate ? `at ${rate}` : null].filter(Boolean);
+  return parts.length ? parts.join(" · ") : dosage.text || null;
+}
+
+function personText(resource) {
+  const name = resource?.name;
+  if (typeof name === "string") return name;
+  const n = Array.isArray(name) ? name[0] : null;
+  if (!n) return null;
+  return n.text || [...(n.prefix || []), ...(n.given || []), n.family].filter(Boolean).join(" ") || null;
+}
+
+// A reference to a person or organisation as a name, using included resources when the server sent them.
+function actorText(reference, byRef) {
+  if (!reference) return null;
+  const included = byRef.get(refKey(reference.reference));
+  return personText(included) || reference.display || reference.reference || null;
+}
+
+/**
+ * What a MedicationRequest / Statement / Administration is for: { display, key, concepts, reference, unresolved }.
+ * `concepts` holds the product's CodeableConcept and, for a resolved Medication, its ingredients' (for interactions.js).
+ */
+export function resolveMedication(resource, byRef) {
+  if (resource?.medicationCodeableConcept) {
+    const cc = resource.medicationCodeableConcept;
+    return { display: codeText(cc) || "Medication", key: codeKey(cc), concepts: [cc], reference: null, unresolved: false };
+  }
+  const ref = resource?.medicationReference?.reference || null;
+  const med = ref?.startsWith("#")
+    ? (resource.contained || []).find((c) => c?.resourceType === "Medication" && `#${c.id}` === ref)
+    : byRef.get(refKey(ref));
+  if (med) {
+    return {
+      display: codeText(med.code) || resource.medicationReference.display || ref,
+      key: codeKey(med.code) || ref,
+      concepts: [med.code, ...(med.ingredient || []).map((i) => i?.itemCodeableConcept)].filter(Boolean),
+      reference: ref,
+      unresolved: false,
+    };
+  }
+  return {
+    display: resource?.medicationReference?.display || (ref ? `${ref} (not returned)` : "Unknown medication"),
+    key: ref || `${resource?.resourceType}/${resource?.id}`,
+    concepts: [],
+    reference: ref,
+    unresolved: true,
+  };
+}
+
+function orderRow(m, byRef) {
+  const current = m.status === "active" && ORDER_INTENTS.has(m.intent);
+  return {
+    id: m.id,
+    ref: `MedicationRequest/${m.id}`,
+    medication: resolveMedication(m, byRef),
+    status: m.status || "unknown",
+    intent: m.intent || "unknown",
+    dosage: (m.dosageInstruction || []).map(dosageText).filter(Boolean),
+    requester: actorText(m.requester, byRef),
+    when: m.authoredOn || null,
+    current,
+  };
+}
+
+function statementRow(s, byRef) {
+  return {
+    id: s.id,
+    ref: `MedicationStatement/${s.id}`,
+    medication: resolveMedication(s, byRef),
+    status: s.status || "unknown",
+    dosage: (s.dosage || []).map(dosageText).filter(Boolean),
+    source: actorText(s.informationSource, byRef),
+    when: s.effectiveDateTime || s.effectivePeriod?.start || s.dateAsserted || null,
+    current: s.status === "active",
+  };
+}
+
+function administrationRow(a, byRef, now) {
+  const when = a.effectiveDateTime || a.effectivePeriod?.start || null;
+  const t = time(when);
+  return {
+    id: a.id,
+    ref: `MedicationAdministration/${a.id}`,
+    medication: resolveMedication(a, byRef),
+    status: a.status || "unknown",
+    dosage: [administrationDosageText(a.dosage)].filter(Boolean),
+    performer: actorText(a.performer?.[0]?.actor, byRef),
+    request: refKey(a.request?.reference),
+    when,
+    current: GIVEN_STATUSES.has(a.status) && t !== null && t <= now && now - t <= RECENT_ADMINISTRATION_HOURS * 3600 * 1000,
+  };
+}
+
+const newestFirst = (a, b) => (time(b.when) ?? 0) - (time(a.when) ?? 0);
+
+/**
+ * Mixed search results (any order, included resources too) ->
+ * { orders, statements, administrations, current, requests, resources, unresolved }
+ *   current = [{ key, display, dosage, ordered, reported, lastGiven, refs }] where ordered / reported /
+ *   lastGiven are rows (or null); `requests` keeps the MedicationRequests as returned, `resources` every
+ *   medication resource, for the episode check and the note's document Bundle.
+ */
+export function summariseMedications(resources, now = Date.now()) {
+  const byRef = new Map();
+  for (const r of resources || []) {
+    if (r?.resourceType && r.id) byRef.set(`${r.resourceType}/${r.id}`, r);
+  }
+  const kept = [...byRef.values()].filter((r) => MEDICATION_TYPES.has(r.resourceType) && r.status !== "entered-in-error");
+  const of = (type) => kept.filter((r) => r.resourceType === type);
+
+  const orders = of("MedicationRequest").map((m) => orderRow(m, byRef)).sort(newestFirst);
+  const statements = of("MedicationStatement").map((s) => statementRow(s, byRef)).sort(newestFirst);
+  const administrations = of("MedicationAdministration").map((a) => administrationRow(a, byRef, now)).sort(newestFirst);
+
+  // Rows are newest first, so the first row seen per medication is the one shown.
+  const current = new Map();
+  const merge = (row, slot) => {
+    if (!row.current) return;
+    const key = row.medication.key;
+    const entry = current.get(key) || {
+      key,
+      display: row.medication.display,
+      dosage: [],
+      ordered: null,
+      reported: null,
+      lastGiven: null,
+      refs: [],
+    };
+    if (!entry[slot]) entry[slot] = row;
+    entry.refs.push(row.ref);
+    current.set(key, entry);
+  };
+  orders.forEach((row) => merge(row, "ordered"));
+  statements.forEach((row) => merge(row, "reported"));
+  administrations.forEach((row) => merge(row, "lastGiven"));
+  for (const entry of current.values()) {
+    entry.dosage = (entry.ordered || entry.reported || entry.lastGiven).dosage;
+  }
+
+  const rows = [...orders, ...statements, ...administrations];
+  return {
+    orders,
+    statements,
+    administrations,
+    current: [...current.values()].sort((a, b) => a.display.localeCompare(b.display)),
+    requests: of("MedicationRequest"),
+    resources: [...kept, ...[...byRef.values()].filter((r) => r.resourceType === "Medication")],
+    unresolved: rows.filter((row) => row.medication.unresolved).map((row) => row.ref),
+  };
+}
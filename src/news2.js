@@ -0,0 +1,203 @@
+/* ---------- NEWS2 (National Early Warning Score 2) ---------- */
+/**
+ * Royal College of Physicians NEWS2. SpO₂ is scored on scale 1 unless the
+ * patient has been put on scale 2 (hypercapnic respiratory failure, target
+ * 88–92%), where saturations of 93% or more only score while on oxygen.
+ * Input is the same `latest` vitals object the threshold engine uses, plus:
+ * - rr: respiratory rate (breaths/min)
+ * - acvpu: "A" | "C" | "V" | "P" | "U" (level of consciousness)
+ * - onOxygen: true | false | null (supplemental oxygen)
+ *
+ * Bands are inclusive upper bounds, checked in order; values between the
+ * published integer bands (e.g. 38.05 °C) fall into the lower band.
+ */
+
+const BANDS = {
+  rr: [
+    [8, 3],
+    [11, 1],
+    [20, 0],
+    [24, 2],
+    [Infinity, 3],
+  ],
+  spo2: [
+    [91, 3],
+    [93, 2],
+    [95, 1],
+    [Infinity, 0],
+  ],
+  bpSys: [
+    [90, 3],
+    [100, 2],
+    [110, 1],
+    [219, 0],
+    [Infinity, 3],
+  ],
+  hr: [
+    [40, 3],
+    [50, 1],
+    [90, 0],
+    [110, 1],
+    [130, 2],
+    [Infinity, 3],
+  ],
+  temp: [
+    [35, 3],
+    [36, 1],
+    [38, 0],
+    [39, 1],
+    [Infinity, 2],
+  ],
+};
+
+// SpO₂ scale 2: the same low bands; above 92% scores 0 on air and rises again on oxygen.
+const SPO2_SCALE2 = {
+  air: [
+    [83, 3],
+    [85, 2],
+    [87, 1],
+    [Infinity, 0],
+  ],
+  oxygen: [
+    [83, 3],
+    [85, 2],
+    [87, 1],
+    [92, 0],
+    [94, 1],
+    [96, 2],
+    [Infinity, 3],
+  ],
+};
+
+export const NEWS2_PARAMS = [
+  { key: "rr", label: "Respiration rate", short: "RR", unit: "/min" },
+  { key: "spo2", label: "SpO₂ (scale 1)", short: "SpO₂", unit: "%" },
+  { key: "onOxygen", label: "Air or oxygen", short: "Air/O₂", unit: "" },
+  { key: "bpSys", label: "Systolic blood pressure", short: "SBP", unit: "mmHg" },
+  { key: "hr", label: "Pulse", short: "HR", unit: "bpm" },
+  { key: "acvpu", label: "Consciousness (ACVPU)", short: "ACVPU", unit: "" },
+  { key: "temp", label: "Temperature", short: "Temp", unit: "°C" },
+];
+
+function bandScore(bands, v) {
+  for (const [upper, score] of bands) if (v <= upper) return score;
+  return 0;
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * options: { spo2Scale: 1 | 2 } (default 1).
+ * Returns:
+ * {
+ *   total,            // aggregate of the parameters that could be scored
+ *   subscores,        // [{ key, label, short, value, display, score|null, note }]
+ *   singleParam3,     // any single parameter scored 3
+ *   missing,          // parameter keys that could not be scored
+ *   spo2Scale,        // 1 | 2
+ *   risk,             // "LOW" | "LOW-MEDIUM" | "MEDIUM" | "HIGH"
+ *   response          // RCP clinical response wording
+ * }
+ */
+export function computeNews2(latest, { spo2Scale = 1 } = {}) {
+  const scale2 = spo2Scale === 2;
+  const subscores = [];
+  const missing = [];
+
+  for (const p of NEWS2_PARAMS) {
+    const v = latest?.[p.key];
+    let score = null;
+    let display = "—";
+    let note = "";
+    const label = p.key === "spo2" && scale2 ? "SpO₂ (scale 2)" : p.label;
+
+    if (p.key === "onOxygen") {
+      if (v === true) {
+        score = 2;
+        display = "Oxygen";
+      } else {
+        // No supplemental-oxygen Observation is recorded as room air, but say so.
+        score = 0;
+        display = "Air";
+        if (v !== false) note = "No supplemental oxygen Observation; assumed room air.";
+      }
+    } else if (p.key === "acvpu") {
+      if (typeof v === "string" && v) {
+        score = v === "A" ? 0 : 3;
+        display = v;
+      }
+    } else if (p.key === "spo2" && scale2 && isNum(v)) {
+      score = bandScore(latest?.onOxygen === true ? SPO2_SCALE2.oxygen : SPO2_SCALE2.air, v);
+      display = `${v} ${p.unit}`;
+    } else if (isNum(v)) {
+      score = bandScore(BANDS[p.key], v);
+      display = `${v}${p.unit ? ` ${p.unit}` : ""}`;
+    }
+
+    if (score === null) missing.push(p.key);
+    subscores.push({ key: p.key, label, short: p.short, value: v ?? null, display, score, note });
+  }
+
+  const total = subscores.reduce((sum, s) => sum + (s.score || 0), 0);
+  const singleParam3 = subscores.some((s) => s.score === 3);
+
+  let risk = "LOW";
+  if (total >= 7) risk = "HIGH";
+  else if (total >= 5) risk = "MEDIUM";
+  else if (singleParam3) risk = "LOW-MEDIUM";
+
+  const response = {
+    HIGH: "Emergency response: continuous monitoring, urgent assessment by a critical-care competent team.",
+    MEDIUM: "Urgent response: minimum hourly observations, urgent review by a clinician competent in acute illness.",
+    "LOW-MEDIUM": "Single parameter scored 3: minimum hourly observations and urgent ward-based review.",
+    LOW: total > 0 ? "Minimum 4–6 hourly observations; registered nurse to assess." : "Minimum 12 hourly observations.",
+  }[risk];
+
+  return { total, subscores, singleParam3, missing, spo2Scale: scale2 ? 2 : 1, risk, response };
+}
+
+/**
+ * RED/AMBER/GREEN mapping used by the worklist: HIGH -> RED; MEDIUM or a
+ * single-parameter 3 -> AMBER; otherwise GREEN.
+ */
+export function news2Level(news2) {
+  if (news2.risk === "HIGH") return "RED";
+  if (news2.risk === "MEDIUM" || news2.risk === "LOW-MEDIUM") return "AMBER";
+  return "GREEN";
+}
+
+export function news2Breakdown(news2) {
+  return news2.subscores.map((s) => `${s.short} ${s.score === null ? "–" : s.score}`).join(" · ");
+}
+
+/* ---------- ACVPU + oxygen parsing helpers ---------- */
+// SNOMED CT answers commonly used for ACVPU.
+const ACVPU_SNOMED = {
+  248234008: "A", // Mentally alert
+  130987000: "C", // Acute confusion
+  300202002: "V", // Responds to voice
+  450847001: "P", // Responds to pain
+  422768004: "U", // Unresponsive
+};
+
+/**
+ * Reads an ACVPU letter from a consciousness Observation value
+ * (valueCodeableConcept coding/text or valueString).
+ */
+export function acvpuFromObs(obs) {
+  const cc = obs?.valueCodeableConcept;
+  for (const c of cc?.coding || []) {
+    if (ACVPU_SNOMED[c.code]) return ACVPU_SNOMED[c.code];
+    const letter = String(c.code || "").toUpperCase();
+    if (["A", "C", "V", "P", "U"].includes(letter)) return letter;
+  }
+  const text = String(cc?.text || cc?.coding?.[0]?.display || obs?.valueString || "").toLowerCase().trim();
+  if (!text) return null;
+  if (["a", "c", "v", "p", "u"].includes(text)) return text.toUpperCase();
+  if (text.includes("unrespons")) return "U";
+  if (text.includes("pain")) return "P";
+  if (text.includes("voice") || text.includes("verbal")) return "V";
+  if (text.includes("confus")) return "C";
+  if (text.includes("alert")) return "A";
+  return null;
+}
@@ -0,0 +1,167 @@
+/* ---------- AI note → FHIR document ---------- */
+/**
+ * The AI note as a FHIR document: a Composition whose sections carry the note text and reference the
+ * resources each section was derived from, packaged as a `document` Bundle, and optionally filed on the
+ * server as a DocumentReference with the PDF (and the Bundle) attached.
+ *
+ * note: { meta, sections } as built by generateAiSummary:
+ *   meta:     { patientName, patientId, ruleVersion, engine, model: { name, version }, generatedAt, generatedIso, author }
+ *   sections: [{ key, title, lines: ["- item" | "text"], refs: ["Observation/…"] }]
+ */
+
+export const NOTE_SECTION_SYSTEM = "https://fhir-core-demo.example.org/CodeSystem/ai-note-section";
+export const NOTE_IDENTIFIER_SYSTEM = "https://fhir-core-demo.example.org/ai-note";
+
+const LOINC = "http://loinc.org";
+const RULE_VERSION_TAG_SYSTEM = "https://fhir-core-demo.example.org/CodeSystem/rule-set-version";
+const NOTE_TYPE = { system: LOINC, code: "11506-3", display: "Progress note" };
+
+// LOINC section codes where one fits; the demo's own code system otherwise.
+const SECTION_CODES = {
+  triage: { system: NOTE_SECTION_SYSTEM, code: "triage", display: "Deterioration triage" },
+  allergies: { system: LOINC, code: "48765-2", display: "Allergies and adverse reactions Document" },
+  interactions: { system: NOTE_SECTION_SYSTEM, code: "drug-interactions", display: "Drug-drug interaction check" },
+  labs: { system: LOINC, code: "30954-2", display: "Relevant diagnostic tests/laboratory data Narrative" },
+  episode: { system: NOTE_SECTION_SYSTEM, code: "episode-check", display: "Episode-of-care check" },
+  completeness: { system: NOTE_SECTION_SYSTEM, code: "data-completeness", display: "Data completeness check" },
+  problems: { system: LOINC, code: "11450-4", display: "Problem list - Reported" },
+  medications: { system: LOINC, code: "10160-0", display: "History of Medication use Narrative" },
+  actions: { system: NOTE_SECTION_SYSTEM, code: "next-actions", display: "Suggested next actions" },
+};
+
+const escapeXhtml = (text) =>
+  String(text).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+// Narrative for one section: bullets become a list, other lines paragraphs.
+export function sectionNarrative(lines) {
+  const parts = [];
+  let bullets = [];
+  const flush = () => {
+    if (bullets.length) parts.push(`<ul>${bullets.map((b) => `<li>${escapeXhtml(b)}</li>`).join("")}</ul>`);
+    bullets = [];
+  };
+  for (const line of lines) {
+    if (line.startsWith("- ")) bullets.push(line.slice(2));
+    else {
+      flush();
+      parts.push(`<p>${escapeXhtml(line)}</p>`);
+    }
+  }
+  flush();
+  return `<div xmlns="http://www.w3.org/1999/xhtml">${parts.join("")}</div>`;
+}
+
+// SMART fhirUser claims are references (or absolute URLs ending in one); anything else is a display name.
+function authorRef(author) {
+  const ref = /([A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64})$/.exec(author || "")?.[1];
+  return ref ? { reference: ref, display: author } : { display: author || "unknown" };
+}
+
+export function buildNoteComposition(note, id = crypto.randomUUID()) {
+  const { meta, sections } = note;
+  return {
+    resourceType: "Composition",
+    id,
+    meta: { tag: [{ system: RULE_VERSION_TAG_SYSTEM, code: meta.ruleVersion, display: `Rule set ${meta.ruleVersion}` }] },
+    identifier: { system: NOTE_IDENTIFIER_SYSTEM, value: id },
+    // Machine-generated and not yet signed off by a clinician.
+    status: "preliminary",
+    type: { coding: [NOTE_TYPE], text: "AI clinical assistant note" },
+    subject: { reference: `Patient/${meta.patientId}`, display: meta.patientName },
+    date: meta.generatedIso,
+    // The clinician who generated it, and the model (or rule engine) that wrote it.
+    author: [authorRef(meta.author), ...(meta.model ? [{ display: `${meta.model.name} ${meta.model.version}` }] : [])],
+    title: "AI clinical assistant note (demo)",
+    section: sections.map((s) => ({
+      title: s.title,
+      code: { coding: [SECTION_CODES[s.key] || { system: NOTE_SECTION_SYSTEM, code: s.key }] },
+      text: { status: "generated", div: sectionNarrative(s.lines) },
+      ...(s.refs.length ? { entry: s.refs.map((reference) => ({ reference })) } : { emptyReason: { text: "No source resources" } }),
+    })),
+  };
+}
+
+/**
+ * Everything loaded for the patient that a note section can cite, as FHIR resources: the Patient, Encounters,
+ * Conditions, medication resources, vital-sign Observations, lab Observations and DiagnosticReports, and
+ * AllergyIntolerances. Arguments are the app's per-patient state (summariseVitals / summariseLabs /
+ * summariseMedications results, raw arrays for the rest).
+ */
+export function noteSourceResources({ patient, encounters = [], conditions = [], medications, vitals, labs, allergies = [] }) {
+  return [
+    patient,
+    ...encounters,
+    ...conditions,
+    ...(medications?.resources || []),
+    ...(vitals?.observations || []).map((o) => o.resource),
+    ...(labs?.panels || []).flatMap((p) => p.resources),
+    ...allergies,
+  ].filter(Boolean);
+}
+
+/**
+ * `document` Bundle: the Composition first, then whichever referenced resources are at hand
+ * (`resources`, see noteSourceResources). Relative references resolve against `base`.
+ */
+export function buildNoteDocumentBundle(composition, { base, resources = [] }) {
+  const root = String(base).replace(/\/+$/, "");
+  const wanted = new Set([composition.subject.reference, ...composition.section.flatMap((s) => (s.entry || []).map((e) => e.reference))]);
+  // A lab Observation can sit in more than one panel; each resource goes in once.
+  const included = [...new Map(resources.filter((r) => r?.id && wanted.has(`${r.resourceType}/${r.id}`)).map((r) => [`${r.resourceType}/${r.id}`, r])).values()];
+  return {
+    resourceType: "Bundle",
+    identifier: composition.identifier,
+    type: "document",
+    timestamp: composition.date,
+    entry: [
+      { fullUrl: `urn:uuid:${composition.id}`, resource: composition },
+      ...included.map((r) => ({ fullUrl: `${root}/${r.resourceType}/${r.id}`, resource: r })),
+    ],
+  };
+}
+
+/**
+ * The subject and section.entry references a document Bundle does not contain (empty when it stands on its own).
+ */
+export function unresolvedReferences(bundle) {
+  const [composition, ...rest] = bundle.entry.map((e) => e.resource);
+  const present = new Set(rest.map((r) => `${r.resourceType}/${r.id}`));
+  const cited = [composition.subject.reference, ...composition.section.flatMap((s) => (s.entry || []).map((e) => e.reference))];
+  return [...new Set(cited.filter((ref) => !present.has(ref)))];
+}
+
+function base64Utf8(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+export function buildNoteDocumentReference(bundle, pdfBase64, filename) {
+  const composition = bundle.entry[0].resource;
+  return {
+    resourceType: "DocumentReference",
+    meta: composition.meta,
+    masterIdentifier: composition.identifier,
+    status: "current",
+    docStatus: "preliminary",
+    type: composition.type,
+    subject: composition.subject,
+    date: new Date().toISOString(),
+    author: composition.author,
+    description: composition.title,
+    content: [
+      {
+        attachment: { contentType: "application/pdf", data: pdfBase64, title: filename, creation: composition.date },
+      },
+      {
+        attachment: {
+          contentType: "application/fhir+json",
+          data: base64Utf8(JSON.stringify(bundle)),
+          title: filename.replace(/\.pdf$/i, ".json"),
+          creation: composition.date,
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,163 @@
+import { jsPDF } from "jspdf";
+
+/* ---------- AI note → text PDF ---------- */
+/**
+ * Lays the AI note out as real PDF text (searchable, copyable, small) instead of a screenshot.
+ * The note is the plain text shown on screen: blocks separated by blank lines, where
+ *   "Heading:"   starts a section,
+ *   "- item"     is a bullet,
+ *   anything else is a paragraph line.
+ * The note's own first block (title / patient / generated) is replaced by a structured header built from `meta`:
+ *   { patientName, patientId, identifier, birthDate, gender, ruleVersion, engine, model, generatedAt }
+ */
+
+export const NOTE_PDF_DISCLAIMER =
+  "Demo output: rule-based decision support, not a medical device. Verify against the source record before acting.";
+
+const PAGE = { margin: 18, headerGap: 8, footerH: 14 };
+const LINE = { body: 4.6, heading: 6, bullet: 4.6 };
+
+// The standard PDF fonts only cover Windows-1252; map the symbols the note uses and drop anything else.
+const SUBSTITUTES = { "→": "->", "←": "<-", "≥": ">=", "≤": "<=", "₂": "2", "⚠": "!", "✓": "OK", "×": "x" };
+const CP1252_EXTRAS = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+
+export function pdfSafeText(text) {
+  return [...String(text ?? "")]
+    .map((ch) => SUBSTITUTES[ch] ?? (ch.charCodeAt(0) <= 0xff || CP1252_EXTRAS.includes(ch) ? ch : "?"))
+    .join("");
+}
+
+/**
+ * [{ heading, items: [{ kind: "bullet" | "text", text }] }], without the note's own header block.
+ */
+export function parseNoteSections(note) {
+  const blocks = String(note || "")
+    .split(/\n\s*\n/)
+    .map((b) => b.split("\n").filter((l) => l.trim()))
+    .filter((b) => b.length);
+  const sections = [];
+  for (const lines of blocks.slice(1)) {
+    let section = null;
+    for (const line of lines) {
+      const t = line.trim();
+      if (t.startsWith("- ")) {
+        if (!section) sections.push((section = { heading: "", items: [] }));
+        section.items.push({ kind: "bullet", text: t.slice(2) });
+      } else if (t.endsWith(":")) {
+        sections.push((section = { heading: t.slice(0, -1), items: [] }));
+      } else {
+        if (!section) sections.push((section = { heading: "", items: [] }));
+        section.items.push({ kind: "text", text: t });
+      }
+    }
+  }
+  return sections;
+}
+
+function headerLines(meta) {
+  return [
+    [
+      meta.patientName,
+      `Patient/${meta.patientId}`,
+      meta.identifier && meta.identifier !== "—" ? `Identifier ${meta.identifier}` : null,
+      meta.birthDate && meta.birthDate !== "—" ? `DOB ${meta.birthDate}` : null,
+      meta.gender ? `Gender ${meta.gender}` : null,
+    ]
+      .filter(Boolean)
+      .join("  ·  "),
+    `Rule set ${meta.ruleVersion}${meta.engine === "NEWS2" ? " (NEWS2 engine)" : ""}  ·  Generated ${meta.generatedAt}${
+      meta.model ? ` by ${meta.model.name} ${meta.model.version}` : ""
+    }`,
+  ];
+}
+
+export function buildNotePdf(note, meta) {
+  const pdf = new jsPDF({ orientation: "p", unit: "mm", format: "a4" });
+  const pageW = pdf.internal.pageSize.getWidth();
+  const pageH = pdf.internal.pageSize.getHeight();
+  const left = PAGE.margin;
+  const width = pageW - PAGE.margin * 2;
+  const bottom = pageH - PAGE.margin - PAGE.footerH;
+  let y = PAGE.margin;
+
+  const font = (style, size, grey = 20) => {
+    pdf.setFont("helvetica", style);
+    pdf.setFontSize(size);
+    pdf.setTextColor(grey);
+  };
+
+  // Continuation pages repeat a one-line header so a loose page still identifies the patient.
+  const newPage = () => {
+    pdf.addPage();
+    y = PAGE.margin;
+    font("normal", 8, 110);
+    pdf.text(pdfSafeText(`${meta.patientName}  ·  Patient/${meta.patientId}  ·  AI note (continued)`), left, y);
+    y += PAGE.headerGap;
+  };
+  const ensure = (h) => {
+    if (y + h > bottom) newPage();
+  };
+
+  // First-page header
+  font("bold", 15);
+  pdf.text("AI clinical assistant note (demo)", left, y + 2);
+  y += 9;
+  font("normal", 9, 60);
+  for (const line of headerLines(meta)) {
+    for (const wrapped of pdf.splitTextToSize(pdfSafeText(line), width)) {
+      pdf.text(wrapped, left, y);
+      y += 4.4;
+    }
+  }
+  pdf.setDrawColor(0, 94, 184);
+  pdf.setLineWidth(0.5);
+  pdf.line(left, y, left + width, y);
+  y += PAGE.headerGap;
+
+  for (const section of parseNoteSections(note)) {
+    if (section.heading) {
+      // Keep a heading with at least its first line.
+      ensure(LINE.heading + LINE.body);
+      font("bold", 11, 0);
+      pdf.text(pdfSafeText(section.heading), left, y);
+      y += LINE.heading;
+    }
+    for (const item of section.items) {
+      const indent = item.kind === "bullet" ? 5 : 0;
+      font("normal", 10, 20);
+      const wrapped = pdf.splitTextToSize(pdfSafeText(item.text), width - indent);
+      wrapped.forEach((line, i) => {
+        ensure(LINE.body);
+        if (item.kind === "bullet" && i === 0) pdf.text("•", left + 1, y);
+        pdf.text(line, left + indent, y);
+        y += LINE.body;
+      });
+    }
+    y += 3;
+  }
+
+  // Footers need the final page count, so they are drawn once the body is laid out.
+  const pages = pdf.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    pdf.setPage(i);
+    const fy = pageH - PAGE.margin;
+    pdf.setDrawColor(200);
+    pdf.setLineWidth(0.2);
+    pdf.line(left, fy - 6, left + width, fy - 6);
+    font("normal", 7.5, 110);
+    pdf.text(pdf.splitTextToSize(NOTE_PDF_DISCLAIMER, width - 30), left, fy - 2);
+    pdf.text(`Page ${i} of ${pages}`, left + width, fy - 2, { align: "right" });
+  }
+  return pdf;
+}
+
+// Base64 PDF body, for attaching to a DocumentReference.
+export function notePdfBase64(note, meta) {
+  return buildNotePdf(note, meta).output("datauristring").split(",")[1];
+}
+
+// pdf.save() triggers a download directly (no print dialog / popup window).
+export function exportAiNoteToPdf(note, meta, filename = "AI_note.pdf") {
+  if (!note) return;
+  buildNotePdf(note, meta).save(filename);
+}
@@ -0,0 +1,157 @@
+/* ---------- structured patient search ---------- */
+/**
+ * Builds FHIR R4 Patient search parameters from the search form:
+ *   name | family[:exact|:contains] | given[:exact|:contains]
+ *   identifier=system|value   birthdate=geYYYY-MM-DD&birthdate=leYYYY-MM-DD
+ *   gender   phone   address-postalcode[:exact|:contains]
+ * Repeated parameters are ANDed by FHIR servers, which is what a date range needs.
+ * Recent searches are kept in localStorage so they survive a reload.
+ */
+
+const RECENT_KEY = "fhirDemo.recentSearches.v1";
+const RECENT_MAX = 8;
+
+export const NHS_NUMBER_SYSTEM = "https://fhir.nhs.uk/Id/nhs-number";
+
+export const IDENTIFIER_SYSTEMS = [
+  { key: "nhs", label: "NHS number", system: NHS_NUMBER_SYSTEM },
+  { key: "any", label: "Any system (MRN, local number…)", system: "" },
+  { key: "custom", label: "Other system (URI)", system: null },
+];
+
+export const STRING_MODES = [
+  { key: "", label: "starts with" },
+  { key: "contains", label: "contains" },
+  { key: "exact", label: "exact" },
+];
+
+export const GENDERS = ["", "female", "male", "other", "unknown"];
+
+export const EMPTY_PATIENT_QUERY = {
+  name: "",
+  family: "",
+  familyMode: "",
+  given: "",
+  givenMode: "",
+  identifierType: "nhs",
+  identifierSystem: "",
+  identifierValue: "",
+  birthFrom: "",
+  birthTo: "",
+  gender: "",
+  phone: "",
+  postcode: "",
+  postcodeMode: "",
+};
+
+const modified = (param, mode) => (mode ? `${param}:${mode}` : param);
+
+function identifierToken(query) {
+  const value = query.identifierValue.trim().replace(/\s+/g, query.identifierType === "nhs" ? "" : " ");
+  if (!value) return null;
+  const type = IDENTIFIER_SYSTEMS.find((t) => t.key === query.identifierType) || IDENTIFIER_SYSTEMS[1];
+  const system = type.system === null ? query.identifierSystem.trim() : type.system;
+  return system ? `${system}|${value}` : value;
+}
+
+/**
+ * Query form -> [[param, value], ...] (without _count/_total). Blank fields are left out.
+ */
+export function patientSearchParams(query) {
+  const q = { ...EMPTY_PATIENT_QUERY, ...query };
+  const params = [];
+  const add = (param, value) => {
+    const v = String(value || "").trim();
+    if (v) params.push([param, v]);
+  };
+
+  add("name", q.name);
+  add(modified("family", q.familyMode), q.family);
+  add(modified("given", q.givenMode), q.given);
+  const identifier = identifierToken(q);
+  if (identifier) params.push(["identifier", identifier]);
+  if (q.birthFrom) params.push(["birthdate", `ge${q.birthFrom}`]);
+  if (q.birthTo) params.push(["birthdate", `le${q.birthTo}`]);
+  add("gender", q.gender);
+  add("phone", q.phone.replace(/\s+/g, ""));
+  add(modified("address-postalcode", q.postcodeMode), q.postcode);
+  return params;
+}
+
+export function patientSearchQueryString(params) {
+  return params.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join("&");
+}
+
+/**
+ * Readable parameter list for the audit trail and recent-search chips: `family:exact=Smith · birthdate=ge1970-01-01`.
+ */
+export function describePatientSearch(params) {
+  return params.length ? params.map(([k, v]) => `${k}=${v}`).join(" · ") : "all patients";
+}
+
+// NHS numbers are 10 digits with a modulus 11 check digit.
+export function isValidNhsNumber(value) {
+  const digits = String(value || "").replace(/\s+/g, "");
+  if (!/^\d{10}$/.test(digits)) return false;
+  const sum = [...digits.slice(0, 9)].reduce((acc, d, i) => acc + Number(d) * (10 - i), 0);
+  const check = 11 - (sum % 11);
+  if (check === 10) return false;
+  return (check === 11 ? 0 : check) === Number(digits[9]);
+}
+
+/**
+ * Returns a list of problems that would make the search meaningless; empty when it can run.
+ */
+export function validatePatientQuery(query) {
+  const q = { ...EMPTY_PATIENT_QUERY, ...query };
+  const errors = [];
+  if (q.identifierValue.trim()) {
+    if (q.identifierType === "nhs" && !isValidNhsNumber(q.identifierValue)) {
+      errors.push("NHS number must be 10 digits with a valid check digit.");
+    }
+    if (q.identifierType === "custom" && !q.identifierSystem.trim()) {
+      errors.push("Enter the identifier system URI, or choose “Any system”.");
+    }
+  }
+  if (q.birthFrom && q.birthTo && q.birthFrom > q.birthTo) errors.push("Born-from date is after born-to date.");
+  return errors;
+}
+
+/* ---------- recent searches ---------- */
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch {
+    // storage disabled/full: recent searches just won't persist
+  }
+}
+
+export function loadRecentSearches() {
+  try {
+    const parsed = JSON.parse(readStorage(RECENT_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((r) => r?.query && typeof r.label === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveRecentSearches(list) {
+  writeStorage(RECENT_KEY, JSON.stringify(list.slice(0, RECENT_MAX)));
+}
+
+/**
+ * Puts `query` at the front of `list` (most recent first), dropping an identical earlier search.
+ */
+export function rememberSearch(list, query) {
+  const label = describePatientSearch(patientSearchParams(query));
+  const entry = { query: { ...EMPTY_PATIENT_QUERY, ...query }, label, at: new Date().toISOString() };
+  return [entry, ...list.filter((r) => r.label !== label)].slice(0, RECENT_MAX);
+}
@@ -0,0 +1,146 @@
+/* ---------- shared resource cache ---------- */
+/**
+ * Keyed cache for loaded FHIR data with a TTL, shared by the worklist previews
+ * and the selected-patient view so the same patient is only fetched once.
+ *
+ * `load(key, loader)` returns the cached value while it is fresh. Once it
+ * expires (or on a forced refresh) the loader is called with the previous
+ * value and its validators, so it can revalidate cheaply (ETag /
+ * `_lastUpdated`) and answer `{ notModified: true }` instead of refetching.
+ * Concurrent loads of one key share a single request, which is only cancelled
+ * once every caller waiting on it has aborted.
+ *
+ * Subscribers are told about every change so derived views (worklist
+ * snapshots) can rebuild themselves.
+ */
+import { isAbortError } from "./fhirClient.js";
+
+export const CACHE_TTL_MS_DEFAULT = 5 * 60 * 1000;
+
+function abortError() {
+  return new DOMException("The request was cancelled.", "AbortError");
+}
+
+export function createResourceCache({ ttlMs = CACHE_TTL_MS_DEFAULT } = {}) {
+  const entries = new Map(); // key -> { meta, value, validators, fetchedAt, error, inflight }
+  const listeners = new Set();
+  let generation = 0; // bumped by clear(); loads started before it are discarded
+
+  function notify(key) {
+    const snapshot = get(key);
+    for (const fn of listeners) fn(key, snapshot);
+  }
+
+  function isFresh(entry, now = Date.now()) {
+    return entry?.fetchedAt != null && now - entry.fetchedAt < ttlMs;
+  }
+
+  /**
+   * Read-only view of an entry: { meta, value, fetchedAt, error, loading, stale }, or null.
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    return {
+      meta: entry.meta,
+      value: entry.value,
+      fetchedAt: entry.fetchedAt,
+      error: entry.error,
+      loading: Boolean(entry.inflight),
+      stale: !isFresh(entry),
+    };
+  }
+
+  function start(key, entry, loader) {
+    const controller = new AbortController();
+    const startedIn = generation;
+    const previous =
+      entry.fetchedAt != null ? { value: entry.value, validators: entry.validators, fetchedAt: entry.fetchedAt } : null;
+
+    const promise = (async () => {
+      try {
+        const result = await loader({ signal: controller.signal, previous });
+        if (startedIn !== generation) throw abortError();
+        if (!result?.notModified) {
+          entry.value = result.value;
+          entry.validators = result.validators || null;
+        }
+        entry.fetchedAt = Date.now();
+        entry.error = null;
+        return entry.value;
+      } catch (e) {
+        if (!isAbortError(e) && startedIn === generation) entry.error = e;
+        throw e;
+      } finally {
+        entry.inflight = null;
+        if (startedIn === generation) notify(key);
+      }
+    })();
+
+    entry.inflight = { promise, controller, waiters: 0 };
+    notify(key);
+    return entry.inflight;
+  }
+
+  function join(inflight, signal) {
+    inflight.waiters += 1;
+    if (!signal) return inflight.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        inflight.waiters -= 1;
+        if (inflight.waiters <= 0) inflight.controller.abort();
+        reject(abortError());
+      };
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+      inflight.promise.then(
+        (value) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        (e) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(e);
+        }
+      );
+    });
+  }
+
+  /**
+   * Returns the value for `key`, calling `loader({ signal, previous })` when it is missing,
+   * expired or `force` is set. The loader resolves to { value, validators } or { notModified: true }.
+   *
+   * options:
+   * - force: skip the TTL (a manual refresh still revalidates rather than refetching blindly)
+   * - signal: AbortSignal for this caller
+   * - meta: stored on the entry and passed to subscribers (e.g. { patientId, section })
+   */
+  async function load(key, loader, { force = false, signal, meta } = {}) {
+    if (signal?.aborted) throw abortError();
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = { meta: meta || null, value: undefined, validators: null, fetchedAt: null, error: null, inflight: null };
+      entries.set(key, entry);
+    } else if (meta) {
+      entry.meta = meta;
+    }
+
+    if (entry.inflight) return join(entry.inflight, signal);
+    if (!force && isFresh(entry) && !entry.error) return entry.value;
+    return join(start(key, entry, loader), signal);
+  }
+
+  function clear() {
+    generation += 1;
+    for (const entry of entries.values()) entry.inflight?.controller.abort();
+    entries.clear();
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return { get, load, clear, subscribe, ttlMs };
+}
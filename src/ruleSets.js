@@ -0,0 +1,202 @@
+/* ---------- triage rule sets (versioned, stored locally) ---------- */
+/**
+ * A rule set is a named, immutable snapshot of the triage thresholds:
+ *   { version, rules, savedAt, note }
+ * Editing never mutates a saved set; it always produces a new version so every
+ * triage result can be traced back to the exact thresholds that produced it.
+ */
+
+const STORAGE_KEY = "fhirDemo.ruleSets.v1";
+const ACTIVE_KEY = "fhirDemo.ruleSets.active";
+const ENGINE_KEY = "fhirDemo.triageEngine";
+const SCALE2_KEY = "fhirDemo.news2Spo2Scale2";
+
+export const DEFAULT_RULE_SET = {
+  version: "demo-rules-v1.3",
+  savedAt: "2025-12-29T00:00:00.000Z",
+  note: "Built-in demo thresholds.",
+  rules: {
+    bpRedSys: 180,
+    bpRedDia: 120,
+    bpAmberSys: 140,
+    bpAmberDia: 90,
+    hrRed: 130,
+    hrAmber: 100,
+    spo2Red: 90,
+    spo2Amber: 94,
+    tempRed: 39,
+    tempAmber: 37.8,
+    completenessHours: 24,
+  },
+};
+
+// Field metadata drives both the editor form and the comparison table.
+export const RULE_FIELDS = [
+  { key: "bpAmberSys", label: "Systolic BP amber (≥)", unit: "mmHg", min: 60, max: 300 },
+  { key: "bpRedSys", label: "Systolic BP red (≥)", unit: "mmHg", min: 60, max: 300 },
+  { key: "bpAmberDia", label: "Diastolic BP amber (≥)", unit: "mmHg", min: 30, max: 200 },
+  { key: "bpRedDia", label: "Diastolic BP red (≥)", unit: "mmHg", min: 30, max: 200 },
+  { key: "hrAmber", label: "Heart rate amber (≥)", unit: "bpm", min: 30, max: 250 },
+  { key: "hrRed", label: "Heart rate red (≥)", unit: "bpm", min: 30, max: 250 },
+  { key: "tempAmber", label: "Temperature amber (≥)", unit: "°C", min: 34, max: 43 },
+  { key: "tempRed", label: "Temperature red (≥)", unit: "°C", min: 34, max: 43 },
+  { key: "spo2Amber", label: "Oxygen saturation amber (≤)", unit: "%", min: 50, max: 100 },
+  { key: "spo2Red", label: "Oxygen saturation red (≤)", unit: "%", min: 50, max: 100 },
+  { key: "completenessHours", label: "Completeness window", unit: "hours", min: 1, max: 720 },
+];
+
+// Pairs that must be ordered: for "rising" vitals amber fires before red,
+// for oxygen saturation (a "falling" vital) amber sits above red.
+const ORDERED_PAIRS = [
+  { amber: "bpAmberSys", red: "bpRedSys", direction: "rising" },
+  { amber: "bpAmberDia", red: "bpRedDia", direction: "rising" },
+  { amber: "hrAmber", red: "hrRed", direction: "rising" },
+  { amber: "tempAmber", red: "tempRed", direction: "rising" },
+  { amber: "spo2Amber", red: "spo2Red", direction: "falling" },
+];
+
+export function ruleLabel(key) {
+  return RULE_FIELDS.find((f) => f.key === key)?.label || key;
+}
+
+/**
+ * Returns a list of human-readable problems; an empty list means the rules are usable.
+ */
+export function validateRules(rules) {
+  const errors = [];
+
+  for (const f of RULE_FIELDS) {
+    const v = rules?.[f.key];
+    if (typeof v !== "number" || !Number.isFinite(v)) {
+      errors.push(`${f.label}: a number is required.`);
+      continue;
+    }
+    if (v < f.min || v > f.max) errors.push(`${f.label}: must be between ${f.min} and ${f.max} ${f.unit}.`);
+  }
+
+  for (const { amber, red, direction } of ORDERED_PAIRS) {
+    const a = rules?.[amber];
+    const r = rules?.[red];
+    if (typeof a !== "number" || typeof r !== "number") continue;
+    if (direction === "rising" && !(a < r)) errors.push(`${ruleLabel(amber)} must be below ${ruleLabel(red)}.`);
+    if (direction === "falling" && !(a > r)) errors.push(`${ruleLabel(amber)} must be above ${ruleLabel(red)}.`);
+  }
+
+  if (typeof rules?.bpRedDia === "number" && typeof rules?.bpRedSys === "number" && rules.bpRedDia >= rules.bpRedSys) {
+    errors.push(`${ruleLabel("bpRedDia")} must be below ${ruleLabel("bpRedSys")}.`);
+  }
+
+  return errors;
+}
+
+export function validateVersionName(name, ruleSets) {
+  const v = String(name || "").trim();
+  if (!v) return "A version name is required.";
+  if (!/^[A-Za-z0-9._-]+$/.test(v)) return "Version names may only use letters, numbers, dot, dash and underscore.";
+  if ((ruleSets || []).some((s) => s.version === v)) return `Version "${v}" already exists; saved versions are immutable.`;
+  return "";
+}
+
+/**
+ * Field-by-field differences between two rule sets: [{ key, label, unit, from, to }].
+ */
+export function diffRules(a, b) {
+  const out = [];
+  for (const f of RULE_FIELDS) {
+    const from = a?.rules?.[f.key];
+    const to = b?.rules?.[f.key];
+    if (from !== to) out.push({ key: f.key, label: f.label, unit: f.unit, from, to });
+  }
+  return out;
+}
+
+/**
+ * Suggests the next version name, e.g. "demo-rules-v1.3" -> "demo-rules-v1.4".
+ */
+export function nextVersionName(version, ruleSets) {
+  const m = /^(.*?)(\d+)$/.exec(String(version || ""));
+  const base = m ? m[1] : `${version || "rules"}-v`;
+  let n = m ? Number(m[2]) + 1 : 1;
+  while ((ruleSets || []).some((s) => s.version === `${base}${n}`)) n += 1;
+  return `${base}${n}`;
+}
+
+/* ---------- local persistence ---------- */
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch {
+    // storage disabled/full: keep working in memory
+  }
+}
+
+export function loadRuleSets() {
+  let stored = [];
+  try {
+    const parsed = JSON.parse(readStorage(STORAGE_KEY) || "[]");
+    if (Array.isArray(parsed)) stored = parsed;
+  } catch {
+    stored = [];
+  }
+
+  // Drop anything corrupt, and always keep the built-in set first.
+  const valid = stored.filter(
+    (s) => s && typeof s.version === "string" && s.version !== DEFAULT_RULE_SET.version && validateRules(s.rules).length === 0
+  );
+  return [DEFAULT_RULE_SET, ...valid];
+}
+
+export function saveRuleSets(ruleSets) {
+  const custom = (ruleSets || []).filter((s) => s.version !== DEFAULT_RULE_SET.version);
+  writeStorage(STORAGE_KEY, JSON.stringify(custom));
+}
+
+export function loadActiveRuleVersion(ruleSets) {
+  const v = readStorage(ACTIVE_KEY);
+  return (ruleSets || []).some((s) => s.version === v) ? v : DEFAULT_RULE_SET.version;
+}
+
+export function saveActiveRuleVersion(version) {
+  writeStorage(ACTIVE_KEY, version);
+}
+
+/* ---------- triage engine ---------- */
+// THRESHOLDS = single-parameter cutoffs from the active rule set; NEWS2 = RCP early-warning score.
+export const TRIAGE_ENGINES = [
+  { key: "THRESHOLDS", label: "Rule thresholds" },
+  { key: "NEWS2", label: "NEWS2 score" },
+];
+
+export function loadTriageEngine() {
+  const v = readStorage(ENGINE_KEY);
+  return TRIAGE_ENGINES.some((e) => e.key === v) ? v : "THRESHOLDS";
+}
+
+export function saveTriageEngine(engine) {
+  writeStorage(ENGINE_KEY, engine);
+}
+
+/* ---------- NEWS2 SpO₂ scale 2 ---------- */
+// Patients a clinician has put on SpO₂ scale 2, as spo2ScaleKey() strings (server base + patient id).
+export const spo2ScaleKey = (base, patientId) => `${base}|${patientId}`;
+
+export function loadSpo2Scale2() {
+  try {
+    const parsed = JSON.parse(readStorage(SCALE2_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((k) => typeof k === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveSpo2Scale2(keys) {
+  writeStorage(SCALE2_KEY, JSON.stringify(keys));
+}
@@ -0,0 +1,267 @@
+/* ---------- SMART App Launch (OAuth 2.0 authorization code + PKCE) ---------- */
+/**
+ * Supports both launch styles from the SMART App Launch IG:
+ * - EHR launch: the EHR opens the app with `?iss=<fhir base>&launch=<opaque>`
+ * - standalone launch: the user picks a server in the app and signs in
+ *
+ * Flow: discover endpoints -> redirect to authorize (with PKCE S256) -> the
+ * server redirects back with `?code&state` -> exchange the code for tokens.
+ * The session (tokens, patient context, fhirUser) lives in sessionStorage so it
+ * survives the redirect but not the browser tab.
+ *
+ * Note: the id_token is decoded only to read the `fhirUser` claim for the audit
+ * trail; its signature is not verified in the browser.
+ */
+
+const SESSION_KEY = "fhirDemo.smart.session";
+const PENDING_PREFIX = "fhirDemo.smart.pending.";
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+export const SMART_CLIENT_ID_DEFAULT = import.meta.env?.VITE_SMART_CLIENT_ID || "";
+export const SMART_SCOPES_STANDALONE =
+  "openid fhirUser launch/patient offline_access patient/*.read user/*.read";
+export const SMART_SCOPES_EHR = "openid fhirUser launch offline_access patient/*.read user/*.read";
+
+function readSession(key) {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(key) || "null");
+  } catch {
+    return null;
+  }
+}
+
+function writeSession(key, value) {
+  try {
+    if (value === null) window.sessionStorage.removeItem(key);
+    else window.sessionStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage disabled: the launch cannot survive the redirect
+  }
+}
+
+function redirectUri() {
+  return `${window.location.origin}${window.location.pathname}`;
+}
+
+/* ---------- PKCE ---------- */
+function base64Url(bytes) {
+  let s = "";
+  for (const b of bytes) s += String.fromCharCode(b);
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function randomString(bytes = 32) {
+  return base64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+async function pkceChallenge(verifier) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return base64Url(new Uint8Array(digest));
+}
+
+/* ---------- discovery ---------- */
+/**
+ * Reads `.well-known/smart-configuration`, falling back to the CapabilityStatement
+ * oauth-uris security extension for older servers.
+ */
+export async function discoverSmart(base) {
+  const root = String(base).replace(/\/+$/, "");
+  try {
+    const res = await fetch(`${root}/.well-known/smart-configuration`, { headers: { Accept: "application/json" } });
+    if (res.ok) {
+      const cfg = await res.json();
+      if (cfg?.authorization_endpoint && cfg?.token_endpoint) return cfg;
+    }
+  } catch {
+    // fall through to the CapabilityStatement
+  }
+
+  const res = await fetch(`${root}/metadata`, { headers: { Accept: "application/fhir+json" } });
+  if (!res.ok) throw new Error(`SMART discovery failed: HTTP ${res.status}`);
+  const cap = await res.json();
+  const ext = (cap?.rest?.[0]?.security?.extension || []).find((e) => /oauth-uris$/.test(e.url || ""));
+  const uri = (name) => (ext?.extension || []).find((x) => x.url === name)?.valueUri;
+  if (!uri("authorize") || !uri("token")) throw new Error(`${root} does not advertise SMART on FHIR endpoints.`);
+  return { authorization_endpoint: uri("authorize"), token_endpoint: uri("token"), capabilities: [] };
+}
+
+/* ---------- authorize ---------- */
+/**
+ * Redirects the browser to the authorization server. Resolves only if the redirect is blocked.
+ */
+export async function beginSmartLaunch({ iss, launch = null, clientId, scope }) {
+  if (!clientId) throw new Error("A SMART client_id is required to sign in.");
+  const cfg = await discoverSmart(iss);
+  const verifier = randomString(48);
+  const state = randomString(16);
+
+  writeSession(`${PENDING_PREFIX}${state}`, {
+    iss: String(iss).replace(/\/+$/, ""),
+    clientId,
+    verifier,
+    tokenEndpoint: cfg.token_endpoint,
+    redirectUri: redirectUri(),
+    launchType: launch ? "ehr" : "standalone",
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri(),
+    scope: scope || (launch ? SMART_SCOPES_EHR : SMART_SCOPES_STANDALONE),
+    state,
+    aud: String(iss).replace(/\/+$/, ""),
+    code_challenge: await pkceChallenge(verifier),
+    code_challenge_method: "S256",
+  });
+  if (launch) params.set("launch", launch);
+
+  window.location.assign(`${cfg.authorization_endpoint}?${params}`);
+}
+
+/* ---------- tokens ---------- */
+function decodeJwtPayload(jwt) {
+  try {
+    const part = String(jwt).split(".")[1];
+    const bin = atob(part.replace(/-/g, "+").replace(/_/g, "/"));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0))));
+  } catch {
+    return null;
+  }
+}
+
+async function tokenRequest(tokenEndpoint, form) {
+  const res = await fetch(tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: new URLSearchParams(form),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(`Token request failed: ${body.error_description || body.error || `HTTP ${res.status}`}`);
+  }
+  return body;
+}
+
+function sessionFromToken(token, pending, previous = null) {
+  const claims = token.id_token ? decodeJwtPayload(token.id_token) : null;
+  return {
+    serverUrl: pending.iss,
+    clientId: pending.clientId,
+    tokenEndpoint: pending.tokenEndpoint,
+    launchType: pending.launchType,
+    accessToken: token.access_token,
+    refreshToken: token.refresh_token || previous?.refreshToken || null,
+    expiresAt: token.expires_in ? Date.now() + token.expires_in * 1000 : null,
+    scope: token.scope || previous?.scope || "",
+    patient: token.patient || previous?.patient || null,
+    encounter: token.encounter || previous?.encounter || null,
+    fhirUser: claims?.fhirUser || claims?.profile || previous?.fhirUser || null,
+  };
+}
+
+/**
+ * Call once on app start. Returns:
+ * - { status: "redirecting" } when an EHR launch just started
+ * - { status: "authorized", session } after a successful code exchange or when a session is stored
+ * - { status: "none" } otherwise
+ * Throws when the authorization server returned an error.
+ */
+export async function completeSmartLaunch({ clientId = SMART_CLIENT_ID_DEFAULT } = {}) {
+  const url = new URL(window.location.href);
+  const q = url.searchParams;
+  const clean = () => window.history.replaceState(null, "", `${url.origin}${url.pathname}${url.hash}`);
+
+  if (q.get("error")) {
+    clean();
+    throw new Error(`SMART authorization failed: ${q.get("error_description") || q.get("error")}`);
+  }
+
+  if (q.get("iss") && q.get("launch")) {
+    await beginSmartLaunch({ iss: q.get("iss"), launch: q.get("launch"), clientId });
+    return { status: "redirecting" };
+  }
+
+  if (q.get("code") && q.get("state")) {
+    const pending = readSession(`${PENDING_PREFIX}${q.get("state")}`);
+    writeSession(`${PENDING_PREFIX}${q.get("state")}`, null);
+    clean();
+    if (!pending) throw new Error("SMART launch state not recognised (expired or replayed).");
+
+    const token = await tokenRequest(pending.tokenEndpoint, {
+      grant_type: "authorization_code",
+      code: q.get("code"),
+      redirect_uri: pending.redirectUri,
+      client_id: pending.clientId,
+      code_verifier: pending.verifier,
+    });
+    const session = sessionFromToken(token, pending);
+    writeSession(SESSION_KEY, session);
+    return { status: "authorized", session };
+  }
+
+  const stored = readSession(SESSION_KEY);
+  return stored?.accessToken ? { status: "authorized", session: stored } : { status: "none" };
+}
+
+export function getSmartSession() {
+  return readSession(SESSION_KEY);
+}
+
+export function endSmartSession() {
+  writeSession(SESSION_KEY, null);
+}
+
+let refreshing = null;
+
+async function refreshIfNeeded(session) {
+  if (!session.expiresAt || session.expiresAt - Date.now() > REFRESH_MARGIN_MS) return session;
+  if (!session.refreshToken) return session;
+
+  // Concurrent requests share one refresh round trip.
+  if (!refreshing) {
+    refreshing = tokenRequest(session.tokenEndpoint, {
+      grant_type: "refresh_token",
+      refresh_token: session.refreshToken,
+      client_id: session.clientId,
+    })
+      .then((token) => {
+        const next = sessionFromToken(
+          token,
+          { iss: session.serverUrl, clientId: session.clientId, tokenEndpoint: session.tokenEndpoint, launchType: session.launchType },
+          session
+        );
+        writeSession(SESSION_KEY, next);
+        return next;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// `url` is on the FHIR server at `base`: same origin, and the path is the base path or continues below it with "/".
+function onServer(url, base) {
+  let u;
+  let b;
+  try {
+    u = new URL(url);
+    b = new URL(base);
+  } catch {
+    return false;
+  }
+  const root = b.pathname.replace(/\/+$/, "");
+  return u.origin === b.origin && (u.pathname === root || u.pathname.startsWith(`${root}/`));
+}
+
+/**
+ * Authorization header for `url`, or {} when there is no session for that server.
+ * Tokens are only ever sent to the server they were issued for.
+ */
+export async function smartAuthHeaders(url) {
+  const session = getSmartSession();
+  if (!session?.accessToken || !onServer(String(url), session.serverUrl)) return {};
+  const current = await refreshIfNeeded(session);
+  return { Authorization: `Bearer ${current.accessToken}` };
+}
@@ -0,0 +1,362 @@
+/* ---------- AI note summary providers ---------- */
+/**
+ * generateAiSummary hands a provider the patient's summary context and gets note sections back:
+ *   provider.summarise(context, { signal }) -> { sections: [{ key, title, lines, refs }], model: { name, version }, context }
+ * where the returned `context` is what the provider actually gave the model (e.g. capped), so citations are checked
+ * against that and not against facts that were trimmed before sending.
+ *
+ * The context is assembled from the loaded resources, and every fact in it carries the reference it came from:
+ *   { patient: { ref, gender, birthDate },
+ *     triage: { level, computedLevel, engineLabel, ruleVersion, override, reasons, refs, news2 },
+ *     vitals: [fact], unitIssues: [text], labs: null | { count, critical: [fact], abnormal: [fact], reports: [ref] },
+ *     encounters: [fact], episodeCheck: { ok, lines: [text], issues: [fact] },
+ *     completeness: { hours, missing: [text], present: [fact] },
+ *     conditions: [fact], medications: [fact],
+ *     allergies: { loaded, recorded: [fact], conflicts: [fact + medicationRef] },
+ *     interactions: { loaded, checked, unmatched: [ref], pairs: [fact + otherRef, severity] } }
+ *   fact = { ref: "Observation/…", text }
+ * `conditions` holds active, confirmed problems only, one per code (see conditions.js).
+ *
+ * Providers: the built-in rule-based generator, and an HTTP provider for an OpenAI-compatible
+ * chat-completions endpoint (hosted or local; the fixture server includes a mock at /v1).
+ * Whatever a provider returns goes through checkCitations(), which drops references its context didn't contain.
+ */
+
+const CONFIG_KEY = "fhirDemo.summaryProvider.v1";
+const HTTP_TIMEOUT_MS = 60000;
+
+export const DEFAULT_PROVIDER_CONFIG = { kind: "rules", endpoint: "http://localhost:8787/v1", model: "fixture-mock-model" };
+
+// Per-list caps on what is sent to an external model (the rule-based provider runs in the browser and sees everything).
+export const SUMMARY_DATA_LIMITS = {
+  vitals: 10,
+  labs: 10,
+  encounters: 3,
+  episodeIssues: 10,
+  conditions: 10,
+  medications: 10,
+  allergies: 10,
+  interactions: 10,
+};
+
+// Sections whose claims must cite at least one resource when the context had facts for them.
+const CITED_SECTIONS = ["triage", "allergies", "interactions", "labs", "episode", "completeness", "problems", "medications"];
+
+export function sectionTitles(context) {
+  return {
+    triage: "Triage",
+    allergies: "Allergies and medication conflicts (AllergyIntolerance)",
+    interactions: "Drug-drug interactions (active MedicationRequests)",
+    labs: "Laboratory results (latest per test)",
+    episode: "Episode-of-care (Encounter) check",
+    completeness: `Data completeness check (last ${context.completeness.hours} hours)`,
+    problems: "Top active problems (Conditions) (demo)",
+    medications: "Current medications (MedicationRequest / MedicationStatement / MedicationAdministration) (demo)",
+    actions: "AI next actions (demo)",
+  };
+}
+
+const refsOf = (facts) => (facts || []).map((f) => f.ref).filter(Boolean);
+
+/* ---------- data cap ---------- */
+/**
+ * What leaves the browser: no name, identifiers or contact details (the context never holds them),
+ * birth year instead of birth date, and at most SUMMARY_DATA_LIMITS items per list.
+ */
+export function capSummaryContext(context, limits = SUMMARY_DATA_LIMITS) {
+  const labs = context.labs;
+  return {
+    ...context,
+    patient: { ref: context.patient.ref, gender: context.patient.gender, birthYear: (context.patient.birthDate || "").slice(0, 4) || null },
+    vitals: context.vitals.slice(0, limits.vitals),
+    labs: labs
+      ? { ...labs, critical: labs.critical.slice(0, limits.labs), abnormal: labs.abnormal.slice(0, Math.max(0, limits.labs - labs.critical.length)) }
+      : null,
+    encounters: context.encounters.slice(0, limits.encounters),
+    episodeCheck: { ...context.episodeCheck, issues: context.episodeCheck.issues.slice(0, limits.episodeIssues) },
+    conditions: context.conditions.slice(0, limits.conditions),
+    medications: context.medications.slice(0, limits.medications),
+    allergies: {
+      ...context.allergies,
+      recorded: context.allergies.recorded.slice(0, limits.allergies),
+      conflicts: context.allergies.conflicts.slice(0, limits.allergies),
+    },
+    interactions: { ...context.interactions, pairs: context.interactions.pairs.slice(0, limits.interactions) },
+  };
+}
+
+/* ---------- citations ---------- */
+export function contextRefs(context) {
+  return new Set([
+    context.patient.ref,
+    ...context.triage.refs,
+    ...refsOf(context.vitals),
+    ...refsOf(context.labs?.critical),
+    ...refsOf(context.labs?.abnormal),
+    ...(context.labs?.reports || []),
+    ...refsOf(context.encounters),
+    ...refsOf(context.episodeCheck.issues),
+    ...refsOf(context.completeness.present),
+    ...refsOf(context.conditions),
+    ...refsOf(context.medications),
+    ...refsOf(context.allergies.recorded),
+    ...refsOf(context.allergies.conflicts),
+    ...context.allergies.conflicts.map((c) => c.medicationRef),
+    ...refsOf(context.interactions.pairs),
+    ...context.interactions.pairs.map((p) => p.otherRef),
+  ]);
+}
+
+const INLINE_REF = /\[([A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64})\]/g;
+
+function hasFacts(key, context) {
+  if (key === "triage") return context.triage.refs.length > 0;
+  if (key === "allergies") return context.allergies.recorded.length > 0;
+  if (key === "interactions") return context.interactions.pairs.length > 0;
+  if (key === "labs") return Boolean(context.labs?.critical.length || context.labs?.abnormal.length || context.labs?.reports.length);
+  if (key === "episode") return context.encounters.length > 0;
+  if (key === "completeness") return context.completeness.present.length > 0;
+  if (key === "problems") return context.conditions.length > 0;
+  if (key === "medications") return context.medications.length > 0;
+  return false;
+}
+
+/**
+ * Keeps only references that exist in `context` (listed in `refs` or cited inline as "[Type/id]"),
+ * and reports the rest as hallucinated, plus any cited section that came back without a citation.
+ * -> { sections, problems: [text] }
+ */
+export function checkCitations(sections, context) {
+  const known = contextRefs(context);
+  const problems = [];
+  const checked = sections.map((s) => {
+    const inline = s.lines.flatMap((line) => [...line.matchAll(INLINE_REF)].map((m) => m[1]));
+    const cited = [...new Set([...(s.refs || []), ...inline])];
+    const unknown = cited.filter((r) => !known.has(r));
+    for (const r of unknown) problems.push(`${s.title}: cites ${r}, which was not in the patient data provided`);
+    const refs = cited.filter((r) => known.has(r));
+    if (!refs.length && CITED_SECTIONS.includes(s.key) && hasFacts(s.key, context)) {
+      problems.push(`${s.title}: no citation to a source resource`);
+    }
+    return { ...s, refs };
+  });
+  return { sections: checked, problems };
+}
+
+/* ---------- rule-based provider ---------- */
+export function ruleSections(context) {
+  const titles = sectionTitles(context);
+  const { triage, labs, completeness } = context;
+  const bullets = (facts) => facts.map((f) => `- ${f.text}`);
+
+  const triageLines = [];
+  if (triage.override) {
+    triageLines.push(`Level: ${triage.level} (clinician override; computed ${triage.computedLevel})`);
+    triageLines.push(`- Clinician override: ${triage.override}`);
+    triageLines.push(`Computed triage (${triage.engineLabel}): ${triage.computedLevel}`);
+  } else {
+    triageLines.push(`Level: ${triage.level} (${triage.engineLabel})`);
+  }
+  triageLines.push(...triage.reasons.map((r) => `- ${r}`));
+  if (context.vitals.length) triageLines.push(`Latest vitals (converted to triage units):`, ...bullets(context.vitals));
+  triageLines.push(...context.unitIssues.map((t) => `- ${t}`));
+  if (triage.news2) triageLines.push(`NEWS2 breakdown (aggregate ${triage.news2.total}):`, ...triage.news2.lines.map((t) => `- ${t}`));
+
+  const labLines = [];
+  if (!labs) labLines.push(`- Not loaded.`);
+  else if (!labs.count) labLines.push(`- None returned by server.`);
+  else if (!labs.critical.length && !labs.abnormal.length) labLines.push(`- All within reference range.`);
+  for (const f of labs?.critical || []) labLines.push(`- CRITICAL ${f.text}`);
+  labLines.push(...bullets(labs?.abnormal || []));
+
+  const completenessLines = [];
+  if (!completeness.missing.length) {
+    completenessLines.push(`- Complete: all key vitals recorded within the window.`);
+  } else {
+    completenessLines.push(`- Missing: ${completeness.missing.join(", ")}.`);
+    if (completeness.present.length) completenessLines.push(`- Present: ${completeness.present.map((f) => f.text).join(", ")}.`);
+    completenessLines.push(`- Action: trigger “data completeness” flag for clinical review.`);
+  }
+
+  const { allergies } = context;
+  const allergyLines = allergies.conflicts.map((c) => `- ALERT: ${c.text}.`);
+  if (!allergies.loaded) allergyLines.push(`- Allergies not loaded: medication conflicts could not be checked.`);
+  else if (!allergies.recorded.length) allergyLines.push(`- No active allergies recorded (not the same as "no known allergies").`);
+  else allergyLines.push(...bullets(allergies.recorded));
+
+  const { interactions } = context;
+  const interactionLines = interactions.pairs.map((p) => `- ALERT: ${p.text}`);
+  if (!interactions.loaded) interactionLines.push(`- Medications not loaded: interactions could not be checked.`);
+  else if (!interactions.pairs.length) interactionLines.push(`- None found between ${interactions.checked} active order(s).`);
+  if (interactions.unmatched.length) {
+    interactionLines.push(`- Not in the interaction dataset, not checked: ${interactions.unmatched.join(", ")}.`);
+  }
+
+  const problems = context.conditions.slice(0, 5);
+  const meds = context.medications.slice(0, 5);
+
+  return [
+    { key: "triage", title: titles.triage, lines: triageLines, refs: triage.refs },
+    {
+      key: "allergies",
+      title: titles.allergies,
+      lines: allergyLines,
+      refs: [...new Set([...refsOf(allergies.conflicts), ...allergies.conflicts.map((c) => c.medicationRef), ...refsOf(allergies.recorded)])],
+    },
+    {
+      key: "interactions",
+      title: titles.interactions,
+      lines: interactionLines,
+      refs: [...new Set([...refsOf(interactions.pairs), ...interactions.pairs.map((p) => p.otherRef)])],
+    },
+    { key: "labs", title: titles.labs, lines: labLines, refs: [...(labs?.reports || []), ...refsOf(labs?.critical), ...refsOf(labs?.abnormal)] },
+    {
+      key: "episode",
+      title: titles.episode,
+      lines: context.episodeCheck.lines,
+      refs: [...refsOf(context.encounters), ...refsOf(context.episodeCheck.issues)],
+    },
+    { key: "completeness", title: titles.completeness, lines: completenessLines, refs: refsOf(completeness.present) },
+    {
+      key: "problems",
+      title: titles.problems,
+      lines: problems.length ? bullets(problems) : [`- No active, confirmed problems recorded.`],
+      refs: refsOf(problems),
+    },
+    {
+      key: "medications",
+      title: titles.medications,
+      lines: meds.length ? bullets(meds) : [`- None returned by server.`],
+      refs: refsOf(meds),
+    },
+    {
+      key: "actions",
+      title: titles.actions,
+      lines: [
+        ...(allergies.conflicts.length ? [`- Review the allergy conflicts above before the next dose of the flagged medication.`] : []),
+        ...(interactions.pairs.length ? [`- Review the drug-drug interactions above with a pharmacist or prescriber.`] : []),
+        context.episodeCheck.ok
+          ? `- Episode of care consistent: no encounter follow-up needed.`
+          : `- Review the episode-of-care findings above (unlinked vitals, encounters without vitals, bad timestamps).`,
+        `- Check missing vitals and raise a data completeness flag.`,
+        `- Surface Conditions + MedicationRequests in one timeline view.`,
+        `- Provide rule-based triage suggestions and export this note to PDF (Portable Document Format).`,
+      ],
+      refs: [],
+    },
+  ];
+}
+
+export const rulesProvider = {
+  kind: "rules",
+  label: "Rule-based (built-in)",
+  async summarise(context) {
+    return { sections: ruleSections(context), model: { name: "rules-engine", version: context.triage.ruleVersion }, context };
+  },
+};
+
+/* ---------- HTTP (OpenAI-compatible) provider ---------- */
+export function buildSummaryPrompt(context) {
+  const titles = sectionTitles(context);
+  const keys = Object.keys(titles);
+  return [
+    {
+      role: "system",
+      content: [
+        "You write a concise clinical summary note for a clinician from FHIR data.",
+        "Use only the facts provided. Every fact has a `ref` (a FHIR reference such as Observation/123).",
+        `Reply with JSON only: {"sections":[{"key":"…","title":"…","lines":["- …"],"citations":["Type/id"]}]}.`,
+        `Write one section per key, in this order: ${keys.map((k) => `${k} ("${titles[k]}")`).join(", ")}.`,
+        "List in `citations` the refs of every fact a section relies on. Never cite a ref that is not in the data.",
+        "Do not invent values, diagnoses or medications. Say so when data is missing.",
+      ].join("\n"),
+    },
+    { role: "user", content: `Patient data:\n\`\`\`json\n${JSON.stringify(context, null, 2)}\n\`\`\`` },
+  ];
+}
+
+/**
+ * The model's reply content -> sections. Tolerates a ```json fence around the object.
+ */
+export function parseModelSections(content) {
+  const text = String(content || "")
+    .trim()
+    .replace(/^```(?:json)?\s*|\s*```$/g, "");
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("The model did not reply with JSON.");
+  }
+  if (!Array.isArray(parsed?.sections)) throw new Error("The model reply has no `sections` array.");
+  return parsed.sections
+    .filter((s) => s && typeof s.title === "string" && Array.isArray(s.lines))
+    .map((s) => ({
+      key: typeof s.key === "string" ? s.key : "model",
+      title: s.title,
+      lines: s.lines.map(String),
+      refs: Array.isArray(s.citations) ? s.citations.map(String) : [],
+    }));
+}
+
+export function createHttpProvider({ endpoint, model, apiKey = "" }) {
+  const root = String(endpoint || "").replace(/\/+$/, "");
+  return {
+    kind: "http",
+    label: `${model} at ${root}`,
+    async summarise(context, { signal } = {}) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+      signal?.addEventListener("abort", () => controller.abort(), { once: true });
+      const sent = capSummaryContext(context);
+      try {
+        const res = await fetch(`${root}/chat/completions`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+          body: JSON.stringify({
+            model,
+            temperature: 0,
+            response_format: { type: "json_object" },
+            messages: buildSummaryPrompt(sent),
+          }),
+          signal: controller.signal,
+        });
+        if (!res.ok) throw new Error(`Summary model request failed: HTTP ${res.status}`);
+        const body = await res.json();
+        return {
+          sections: parseModelSections(body?.choices?.[0]?.message?.content),
+          model: { name: body?.model || model, version: body?.system_fingerprint || "unversioned" },
+          context: sent,
+        };
+      } catch (e) {
+        if (controller.signal.aborted && !signal?.aborted) throw new Error(`Summary model timed out after ${HTTP_TIMEOUT_MS / 1000}s`);
+        throw e;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+export function providerFromConfig(config, apiKey) {
+  return config.kind === "http" ? createHttpProvider({ ...config, apiKey }) : rulesProvider;
+}
+
+/* ---------- setting ---------- */
+// The API key is never stored; it lives in memory for the session.
+export function loadProviderConfig() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(CONFIG_KEY) || "null");
+    return parsed?.kind === "http" || parsed?.kind === "rules" ? { ...DEFAULT_PROVIDER_CONFIG, ...parsed } : DEFAULT_PROVIDER_CONFIG;
+  } catch {
+    return DEFAULT_PROVIDER_CONFIG;
+  }
+}
+
+export function saveProviderConfig(config) {
+  try {
+    window.localStorage.setItem(CONFIG_KEY, JSON.stringify({ kind: config.kind, endpoint: config.endpoint, model: config.model }));
+  } catch {
+    // storage disabled/full: the setting just won't persist
+  }
+}
@@ -0,0 +1,139 @@
+/* ---------- patient story timeline: filter, group, page ---------- */
+/**
+ * View logic for the patient story timeline, separate from how App builds the items:
+ *   item = { id, kind, category, title, when, triage, why: [text], encounterId, refs: [ref], resources: [FHIR], news2? }
+ * `kind` is the resource type shown on the item; `category` is a TIMELINE_CATEGORIES key and drives the kind filter.
+ *
+ * filterTimeline applies the kind, date-range and free-text filters; groupTimeline groups by encounter (via the
+ * episode check's windows) or by calendar day; pageTimeline cuts the groups to the first `limit` items so a long
+ * history renders a page at a time. Items are expected newest first.
+ */
+
+export const TIMELINE_CATEGORIES = [
+  { key: "encounters", label: "Encounters" },
+  { key: "conditions", label: "Conditions" },
+  { key: "medications", label: "Medication" },
+  { key: "allergies", label: "Allergies" },
+  { key: "vitals", label: "Vitals" },
+  { key: "labs", label: "Lab results" },
+];
+
+export const TIMELINE_PAGE_SIZE = 25;
+
+// categories: [] means all; from / to: "YYYY-MM-DD" (local days, inclusive) or "".
+export const DEFAULT_TIMELINE_VIEW = { categories: [], from: "", to: "", query: "", groupBy: "encounter", limit: TIMELINE_PAGE_SIZE };
+
+const time = (iso) => {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+// "2026-10-19" -> local midnight of that day (plus `days`), or null.
+function localDay(day, days = 0) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day || "");
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + days).getTime() : null;
+}
+
+function dayKey(iso) {
+  const t = time(iso);
+  if (t === null) return null;
+  const d = new Date(t);
+  return [d.getFullYear(), String(d.getMonth() + 1).padStart(2, "0"), String(d.getDate()).padStart(2, "0")].join("-");
+}
+
+const searchText = (it) => [it.kind, it.title, ...(it.why || []), ...(it.refs || [])].join(" ").toLowerCase();
+
+/**
+ * Items matching every filter: category, date range (undated items drop out once a range is set), and all words
+ * of `query` somewhere in the kind, title, explanation or references.
+ */
+export function filterTimeline(items, { categories = [], from = "", to = "", query = "" } = {}) {
+  const start = localDay(from);
+  const end = localDay(to, 1);
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  return (items || []).filter((it) => {
+    if (categories.length && !categories.includes(it.category)) return false;
+    if (start !== null || end !== null) {
+      const t = time(it.when);
+      if (t === null || (start !== null && t < start) || (end !== null && t >= end)) return false;
+    }
+    if (words.length) {
+      const text = searchText(it);
+      if (!words.every((w) => text.includes(w))) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Filtered items -> [{ key, kind: "encounter" | "day" | "unlinked" | "undated", title, window, flags, encounter, items }]
+ * - "encounter": one group per episode window (newest first), headed by its Encounter; the Encounter item itself is
+ *   the head, not a member. An encounter is listed when it passed the filter or has matching items. Items no
+ *   encounter covers come last, under "Not within any encounter".
+ * - "day": one group per local calendar day, newest first, then undated items.
+ */
+export function groupTimeline(items, groupBy, episodes) {
+  if (groupBy === "day") {
+    const groups = new Map();
+    for (const it of items) {
+      const key = dayKey(it.when) || "undated";
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          kind: key === "undated" ? "undated" : "day",
+          title: key === "undated" ? "Undated" : dayTitle(key),
+          window: null,
+          flags: [],
+          encounter: null,
+          items: [],
+        });
+      }
+      groups.get(key).items.push(it);
+    }
+    return [...groups.values()].sort((a, b) => (a.key === "undated") - (b.key === "undated") || b.key.localeCompare(a.key));
+  }
+
+  const windows = episodes?.windows || [];
+  const groups = windows.map((w) => ({
+    key: w.id,
+    kind: "encounter",
+    title: typeText(w.encounter),
+    window: w,
+    flags: (episodes.issues || []).filter((i) => i.ref === w.ref).map((i) => i.text),
+    encounter: items.find((it) => it.category === "encounters" && it.encounterId === w.id) || null,
+    items: [],
+  }));
+  const loose = { key: "unlinked", kind: "unlinked", title: "Not within any encounter", window: null, flags: [], encounter: null, items: [] };
+  for (const it of items) {
+    if (it.category === "encounters") continue;
+    (groups.find((g) => g.key === it.encounterId) || loose).items.push(it);
+  }
+  const shown = groups.filter((g) => g.encounter || g.items.length);
+  return loose.items.length ? [...shown, loose] : shown;
+}
+
+function typeText(encounter) {
+  const type = encounter?.type?.[0];
+  return type?.coding?.find((c) => c?.display)?.display || type?.text || "Encounter";
+}
+
+function dayTitle(key) {
+  return new Date(localDay(key)).toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "2-digit" });
+}
+
+/**
+ * The groups cut to the first `limit` items in display order -> { groups, shown, total }.
+ * Each group keeps `count`, its size before the cut.
+ */
+export function pageTimeline(groups, limit) {
+  const total = groups.reduce((n, g) => n + g.items.length, 0);
+  const out = [];
+  let left = limit;
+  for (const g of groups) {
+    if (left <= 0) break;
+    const items = g.items.slice(0, left);
+    left -= items.length;
+    out.push({ ...g, count: g.items.length, items });
+  }
+  return { groups: out, shown: out.reduce((n, g) => n + g.items.length, 0), total };
+}
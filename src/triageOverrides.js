@@ -0,0 +1,120 @@
+/* ---------- clinician triage overrides ---------- */
+/**
+ * A clinician can replace a patient's computed triage level with their own:
+ *   { base, patientId, level, reason, expiresAt, by, at, computedLevel, supersededAt?, supersededBy? }
+ * The reason is mandatory; `expiresAt` (ISO) is optional, and an expired override
+ * stops applying so the computed level shows again. `computedLevel` is the level
+ * the override was made against: once the computed level rises above it and
+ * above the override's own level, the override is superseded and stops applying
+ * for good (the clinician has to look again). Overrides are kept per FHIR
+ * server in localStorage so they survive a reload.
+ */
+
+const STORAGE_KEY = "fhirDemo.triageOverrides.v1";
+
+export const OVERRIDE_LEVELS = ["RED", "AMBER", "GREEN"];
+
+const LEVEL_RANK = { GREEN: 1, AMBER: 2, RED: 3 };
+const rank = (level) => LEVEL_RANK[level] || 0;
+
+export const OVERRIDE_EXPIRY = [
+  { key: "", label: "No expiry", hours: null },
+  { key: "4h", label: "4 hours", hours: 4 },
+  { key: "12h", label: "12 hours", hours: 12 },
+  { key: "24h", label: "24 hours", hours: 24 },
+  { key: "72h", label: "3 days", hours: 72 },
+];
+
+/**
+ * Problems that stop the draft from being saved; empty when it can be applied.
+ */
+export function validateOverrideDraft(draft, computedLevel) {
+  const errors = [];
+  if (!OVERRIDE_LEVELS.includes(draft.level)) errors.push("Choose RED, AMBER or GREEN.");
+  if (draft.level === computedLevel) errors.push(`The computed level is already ${computedLevel}.`);
+  if (draft.reason.trim().length < 5) errors.push("A reason is required (at least 5 characters).");
+  return errors;
+}
+
+export function overrideFromDraft(draft, { base, computedLevel, by, now = Date.now() }) {
+  const expiry = OVERRIDE_EXPIRY.find((e) => e.key === draft.expiry);
+  return {
+    base,
+    patientId: draft.patientId,
+    level: draft.level,
+    reason: draft.reason.trim(),
+    expiresAt: expiry?.hours ? new Date(now + expiry.hours * 3600 * 1000).toISOString() : null,
+    by,
+    at: new Date(now).toISOString(),
+    computedLevel,
+  };
+}
+
+export function isOverrideActive(o, now = Date.now()) {
+  return Boolean(o) && (!o.expiresAt || new Date(o.expiresAt).getTime() > now);
+}
+
+/**
+ * True when `computedLevel` has risen above the level the override was made against and now outranks the
+ * override itself, i.e. the override would hide an escalation.
+ */
+export function isOverrideEscalated(o, computedLevel) {
+  return rank(computedLevel) > rank(o.computedLevel) && rank(computedLevel) > rank(o.level);
+}
+
+export function supersedeOverride(o, computedLevel, now = Date.now()) {
+  return { ...o, supersededAt: new Date(now).toISOString(), supersededBy: computedLevel };
+}
+
+/**
+ * The override that applies to `patientId` on `base` right now, or null. With `computedLevel`, an override that
+ * level has escalated past no longer applies, even before it is marked superseded.
+ */
+export function activeOverride(overrides, base, patientId, now = Date.now(), computedLevel = null) {
+  const o = overrides.find((x) => x.base === base && x.patientId === patientId);
+  if (!isOverrideActive(o, now) || o.supersededAt) return null;
+  return computedLevel && isOverrideEscalated(o, computedLevel) ? null : o;
+}
+
+/**
+ * The stored override for `patientId` on `base` that a computed escalation superseded, or null (for flagging it).
+ */
+export function supersededOverride(overrides, base, patientId, now = Date.now()) {
+  const o = overrides.find((x) => x.base === base && x.patientId === patientId);
+  return isOverrideActive(o, now) && o.supersededAt ? o : null;
+}
+
+/**
+ * "AMBER → RED by dr.x at …: reason (until …)" for the audit trail and the AI note.
+ */
+export function describeOverride(o, fmt = (iso) => iso) {
+  const until = o.expiresAt ? ` (until ${fmt(o.expiresAt)})` : " (no expiry)";
+  return `${o.computedLevel} → ${o.level} by ${o.by} at ${fmt(o.at)}: ${o.reason}${until}`;
+}
+
+/**
+ * "Override to GREEN (AMBER → GREEN by dr.x …) withdrawn at …: computed level rose to RED" for the alert and audit.
+ */
+export function describeSuperseded(o, fmt = (iso) => iso) {
+  return `Override to ${o.level} (${describeOverride(o, fmt)}) withdrawn at ${fmt(o.supersededAt)}: computed level rose to ${o.supersededBy}.`;
+}
+
+/* ---------- local persistence ---------- */
+export function loadOverrides() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(parsed)
+      ? parsed.filter((o) => o?.base && o.patientId && OVERRIDE_LEVELS.includes(o.level) && typeof o.reason === "string")
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveOverrides(overrides) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  } catch {
+    // storage disabled/full: overrides only last for this session
+  }
+}
@@ -0,0 +1,174 @@
+/* ---------- triage write-back (RiskAssessment + Flag) ---------- */
+/**
+ * Makes triage results visible to other FHIR clients:
+ * - one RiskAssessment per evaluation, whose `basis` references the Observations it was computed from
+ * - one active Flag per alert (RED / AMBER triage, incomplete vitals), set inactive once it resolves
+ * Every resource is tagged (meta.tag) with the rule-set version that produced it, and each RiskAssessment carries
+ * an identifier derived from the evaluation, so a client can read the latest one back and skip an unchanged write
+ * (after a reload, say).
+ *
+ * The code systems are this demo's own; a deployment would map them to local codes.
+ */
+
+export const TRIAGE_CODE_SYSTEM = "https://fhir-core-demo.example.org/CodeSystem/triage";
+export const RULE_VERSION_TAG_SYSTEM = "https://fhir-core-demo.example.org/CodeSystem/rule-set-version";
+export const EVALUATION_IDENTIFIER_SYSTEM = "https://fhir-core-demo.example.org/NamingSystem/triage-evaluation";
+
+const RISK_PROBABILITY_SYSTEM = "http://terminology.hl7.org/CodeSystem/risk-probability";
+const FLAG_CATEGORY_SYSTEM = "http://terminology.hl7.org/CodeSystem/flag-category";
+const FLAG_DETAIL_EXTENSION = "http://hl7.org/fhir/StructureDefinition/flag-detail";
+const WRITE_BACK_KEY = "fhirDemo.triageWriteBack";
+
+const LEVEL_RISK = {
+  RED: { code: "high", display: "High likelihood" },
+  AMBER: { code: "moderate", display: "Moderate likelihood" },
+  GREEN: { code: "low", display: "Low likelihood" },
+};
+
+export const TRIAGE_ALERTS = {
+  "triage-red": "RED triage: urgent clinical review",
+  "triage-amber": "AMBER triage: increase observation frequency",
+  "data-incomplete": "Incomplete vital signs",
+};
+
+/**
+ * evaluation:
+ *   { patientId, level, reasons, engine, ruleVersion, basis: ["Observation/…"], missing: ["Blood pressure", …], when }
+ */
+export function alertCodes(evaluation) {
+  const codes = [];
+  if (evaluation.level === "RED") codes.push("triage-red");
+  if (evaluation.level === "AMBER") codes.push("triage-amber");
+  if (evaluation.missing?.length) codes.push("data-incomplete");
+  return codes;
+}
+
+// Unknown triage (vitals failed to load) is not an evaluation worth recording.
+export function isWritableEvaluation(evaluation) {
+  return Boolean(LEVEL_RISK[evaluation?.level]);
+}
+
+/**
+ * Identical evaluations produce the same signature, so re-renders don't write duplicates.
+ */
+export function evaluationSignature(evaluation) {
+  const { level, reasons, engine, ruleVersion, basis, missing } = evaluation;
+  return JSON.stringify([level, reasons, engine, ruleVersion, [...basis].sort(), missing]);
+}
+
+// FNV-1a (32-bit) of the signature, as a short identifier value.
+function signatureHash(signature) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < signature.length; i += 1) {
+    h ^= signature.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+export function evaluationIdentifier(evaluation) {
+  return { system: EVALUATION_IDENTIFIER_SYSTEM, value: signatureHash(evaluationSignature(evaluation)) };
+}
+
+/**
+ * Search (relative to the base) for the patient's most recently written triage RiskAssessment.
+ */
+export function latestRiskAssessmentSearch(patientId) {
+  const code = encodeURIComponent(`${TRIAGE_CODE_SYSTEM}|deterioration-triage`);
+  return `RiskAssessment?patient=${encodeURIComponent(patientId)}&code=${code}&_sort=-_lastUpdated&_count=1`;
+}
+
+/**
+ * True when `riskAssessment` was written for an evaluation identical to `evaluation`.
+ */
+export function isSameEvaluation(riskAssessment, evaluation) {
+  const { system, value } = evaluationIdentifier(evaluation);
+  return (riskAssessment?.identifier || []).some((i) => i.system === system && i.value === value);
+}
+
+function ruleTag(ruleVersion) {
+  return { system: RULE_VERSION_TAG_SYSTEM, code: ruleVersion, display: `Rule set ${ruleVersion}` };
+}
+
+export function buildRiskAssessment(evaluation) {
+  const risk = LEVEL_RISK[evaluation.level];
+  const method = evaluation.engine === "NEWS2" ? "NEWS2 score" : "Rule thresholds";
+  return {
+    resourceType: "RiskAssessment",
+    meta: { tag: [ruleTag(evaluation.ruleVersion)] },
+    identifier: [evaluationIdentifier(evaluation)],
+    status: "final",
+    subject: { reference: `Patient/${evaluation.patientId}` },
+    occurrenceDateTime: evaluation.when,
+    code: { coding: [{ system: TRIAGE_CODE_SYSTEM, code: "deterioration-triage", display: "Deterioration triage" }] },
+    method: {
+      coding: [{ system: TRIAGE_CODE_SYSTEM, code: evaluation.engine.toLowerCase(), display: method }],
+      text: `${method} (${evaluation.ruleVersion})`,
+    },
+    basis: evaluation.basis.map((reference) => ({ reference })),
+    prediction: [
+      {
+        outcome: { text: "Clinical deterioration" },
+        qualitativeRisk: { coding: [{ system: RISK_PROBABILITY_SYSTEM, ...risk }], text: evaluation.level },
+      },
+    ],
+    note: evaluation.reasons.map((text) => ({ text })),
+  };
+}
+
+export function buildFlag(evaluation, code, riskAssessmentId) {
+  const detail = code === "data-incomplete" ? `${TRIAGE_ALERTS[code]}: ${evaluation.missing.join(", ")}` : TRIAGE_ALERTS[code];
+  return {
+    resourceType: "Flag",
+    meta: { tag: [ruleTag(evaluation.ruleVersion)] },
+    ...(riskAssessmentId
+      ? { extension: [{ url: FLAG_DETAIL_EXTENSION, valueReference: { reference: `RiskAssessment/${riskAssessmentId}` } }] }
+      : {}),
+    status: "active",
+    category: [{ coding: [{ system: FLAG_CATEGORY_SYSTEM, code: "clinical", display: "Clinical" }] }],
+    code: { coding: [{ system: TRIAGE_CODE_SYSTEM, code, display: TRIAGE_ALERTS[code] }], text: detail },
+    subject: { reference: `Patient/${evaluation.patientId}` },
+    period: { start: evaluation.when },
+  };
+}
+
+export function flagAlertCode(flag) {
+  return (flag?.code?.coding || []).find((c) => c.system === TRIAGE_CODE_SYSTEM)?.code || null;
+}
+
+/**
+ * Compares the patient's active triage Flags with what `evaluation` needs:
+ * { create: [Flag], resolve: [Flag set inactive], keep: [Flag] }.
+ * A still-valid Flag is kept as is (it carries the rule version that raised it); duplicates are resolved.
+ */
+export function planFlagChanges(activeFlags, evaluation, riskAssessmentId) {
+  const wanted = new Set(alertCodes(evaluation));
+  const keep = [];
+  const resolve = [];
+  for (const flag of activeFlags) {
+    const code = flagAlertCode(flag);
+    if (wanted.has(code) && !keep.some((f) => flagAlertCode(f) === code)) keep.push(flag);
+    else resolve.push({ ...flag, status: "inactive", period: { ...flag.period, end: evaluation.when } });
+  }
+  const create = [...wanted]
+    .filter((code) => !keep.some((f) => flagAlertCode(f) === code))
+    .map((code) => buildFlag(evaluation, code, riskAssessmentId));
+  return { create, resolve, keep };
+}
+
+/* ---------- setting ---------- */
+export function loadWriteBackEnabled() {
+  try {
+    return window.localStorage.getItem(WRITE_BACK_KEY) === "on";
+  } catch {
+    return false;
+  }
+}
+
+export function saveWriteBackEnabled(enabled) {
+  try {
+    window.localStorage.setItem(WRITE_BACK_KEY, enabled ? "on" : "off");
+  } catch {
+    // storage disabled/full: the setting just won't persist
+  }
+}
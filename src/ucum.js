@@ -0,0 +1,140 @@
+/* ---------- UCUM unit normalisation for vitals ---------- */
+/**
+ * Triage thresholds are in °C, beats/breaths per minute, percent and mmHg.
+ * Observations carry UCUM codes (valueQuantity.system = http://unitsofmeasure.org)
+ * or, on older feeds, free-text units. `normaliseQuantity` converts a reading to
+ * the canonical unit, keeps the original for display, and reports units it does
+ * not recognise so the caller can leave them out of triage.
+ *
+ * A missing unit is taken as the canonical one, except SpO₂ values ≤ 1, which
+ * are read as a fraction (0.97 -> 97 %). Units are matched exactly: UCUM is
+ * case-sensitive ("mL" is not "ML"), so any other casing is unconvertible.
+ * Bare "C" and "F" are coulomb and farad in UCUM, so they are only read as
+ * degrees in free-text units, never with the UCUM system.
+ */
+
+const UCUM_SYSTEM = "http://unitsofmeasure.org";
+
+const same = (v) => v;
+const perSecond = (v) => v * 60;
+const perHour = (v) => v / 60;
+const fraction = (v) => v * 100;
+
+// vital -> { canonical UCUM code, display unit, accepted units -> converter, free-text-only units }
+const VITAL_UNITS = {
+  temp: {
+    canonical: "Cel",
+    display: "°C",
+    textOnly: ["C", "F"],
+    units: {
+      Cel: same,
+      "°C": same,
+      C: same,
+      degC: same,
+      "[degF]": (v) => ((v - 32) * 5) / 9,
+      "°F": (v) => ((v - 32) * 5) / 9,
+      F: (v) => ((v - 32) * 5) / 9,
+      degF: (v) => ((v - 32) * 5) / 9,
+      K: (v) => v - 273.15,
+    },
+  },
+  hr: {
+    canonical: "/min",
+    display: "bpm",
+    units: {
+      "/min": same,
+      "1/min": same,
+      "{beats}/min": same,
+      "{beat}/min": same,
+      "beats/min": same,
+      bpm: same,
+      "/s": perSecond,
+      "1/s": perSecond,
+      "{beats}/s": perSecond,
+      "beats/s": perSecond,
+      Hz: perSecond,
+      "/h": perHour,
+      "{beats}/h": perHour,
+    },
+  },
+  rr: {
+    canonical: "/min",
+    display: "/min",
+    units: {
+      "/min": same,
+      "1/min": same,
+      "{breaths}/min": same,
+      "{breath}/min": same,
+      "breaths/min": same,
+      "/s": perSecond,
+      "1/s": perSecond,
+      "{breaths}/s": perSecond,
+      "/h": perHour,
+    },
+  },
+  spo2: {
+    canonical: "%",
+    display: "%",
+    units: {
+      "%": same,
+      percent: same,
+      "1": fraction,
+      "{fraction}": fraction,
+      "{ratio}": fraction,
+    },
+  },
+  bp: {
+    canonical: "mm[Hg]",
+    display: "mmHg",
+    units: {
+      "mm[Hg]": same,
+      mmHg: same,
+      "mm Hg": same,
+      kPa: (v) => v * 7.50062,
+    },
+  },
+};
+
+function unitOf(q) {
+  if (q?.system === UCUM_SYSTEM && q.code) return String(q.code).trim();
+  return String(q?.code || q?.unit || "").trim();
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+export function vitalDisplayUnit(vital) {
+  return VITAL_UNITS[vital]?.display || "";
+}
+
+/**
+ * vital: "temp" | "hr" | "rr" | "spo2" | "bp"; q: a valueQuantity.
+ * Returns null when there is no numeric value, otherwise
+ * { value, unit, original: { value, unit }, converted, unknownUnit } where `value`
+ * is in the canonical unit (null when `unknownUnit`).
+ */
+export function normaliseQuantity(vital, q) {
+  const raw = typeof q?.value === "number" ? q.value : typeof q?.value === "string" && q.value.trim() ? Number(q.value) : null;
+  if (raw === null || !Number.isFinite(raw)) return null;
+
+  const spec = VITAL_UNITS[vital];
+  const unit = unitOf(q);
+  const original = { value: raw, unit: q?.unit || unit };
+
+  let convert;
+  if (!unit) convert = vital === "spo2" && raw <= 1 ? fraction : same;
+  else if (q?.system === UCUM_SYSTEM && spec.textOnly?.includes(unit)) convert = null;
+  else convert = Object.hasOwn(spec.units, unit) ? spec.units[unit] : null;
+
+  if (!convert) return { value: null, unit: spec.display, original, converted: false, unknownUnit: true };
+
+  const value = convert === same ? raw : round1(convert(raw));
+  return { value, unit: spec.display, original, converted: convert !== same, unknownUnit: false };
+}
+
+/**
+ * "102 [degF]" / "0.97 (no unit)" for showing the recorded value next to the converted one.
+ */
+export function formatOriginal(original) {
+  if (!original) return "";
+  return `${original.value} ${original.unit || "(no unit)"}`;
+}
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { allergyConflicts, summariseAllergies } from "../src/allergies.js";
+import { summariseMedications } from "../src/medications.js";
+
+const RXNORM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+const SNOMED = "http://snomed.info/sct";
+
+const allergy = (overrides = {}) => ({
+  resourceType: "AllergyIntolerance",
+  id: "a1",
+  clinicalStatus: { coding: [{ code: "active" }] },
+  verificationStatus: { coding: [{ code: "confirmed" }] },
+  code: { coding: [{ system: SNOMED, code: "91936005", display: "Allergy to penicillin" }] },
+  ...overrides,
+});
+
+const order = (id, medicationCodeableConcept) => ({
+  resourceType: "MedicationRequest",
+  id,
+  status: "active",
+  intent: "order",
+  medicationCodeableConcept,
+});
+
+// The same mapping App uses: active orders with their resolved concepts.
+function activeOrders(resources) {
+  return summariseMedications(resources)
+    .orders.filter((o) => o.current)
+    .map((o) => ({ ref: o.ref, display: o.medication.display, concepts: o.medication.concepts }));
+}
+
+test("a coded-only, brand-name order conflicts with a coded penicillin allergy", () => {
+  const meds = activeOrders([order("m1", { coding: [{ system: RXNORM, code: "723", display: "Amoxil 500mg capsule" }] })]);
+  const conflicts = allergyConflicts(summariseAllergies([allergy()]), meds);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].medication.ref, "MedicationRequest/m1");
+  assert.equal(conflicts[0].kind, "class");
+  assert.equal(conflicts[0].high, true);
+});
+
+test("the code on an included Medication is used too", () => {
+  const meds = activeOrders([
+    { resourceType: "Medication", id: "med1", code: { coding: [{ system: RXNORM, code: "723" }], text: "Amoxil" } },
+    { ...order("m2"), medicationCodeableConcept: undefined, medicationReference: { reference: "Medication/med1" } },
+  ]);
+  assert.equal(allergyConflicts(summariseAllergies([allergy()]), meds).length, 1);
+});
+
+test("an unrelated coded order gives no conflict", () => {
+  const meds = activeOrders([order("m3", { coding: [{ system: RXNORM, code: "17767", display: "Istin 5mg tablet" }] })]);
+  assert.deepEqual(allergyConflicts(summariseAllergies([allergy()]), meds), []);
+});
+
+test("an intolerance conflict is reported but only high when high-criticality", () => {
+  const codeine = { code: { text: "Codeine" }, type: "intolerance" };
+  const meds = [{ ref: "MedicationRequest/m4", display: "Oxycodone 5 MG Oral Tablet" }];
+  const [low] = allergyConflicts(summariseAllergies([allergy(codeine)]), meds);
+  assert.equal(low.high, false);
+  const [high] = allergyConflicts(summariseAllergies([allergy({ ...codeine, criticality: "high" })]), meds);
+  assert.equal(high.high, true);
+});
+
+test("refuted and inactive allergies are never checked", () => {
+  const meds = [{ ref: "MedicationRequest/m5", display: "Amoxicillin 500 MG Oral Capsule" }];
+  const refuted = allergy({ verificationStatus: { coding: [{ code: "refuted" }] } });
+  const resolved = allergy({ id: "a2", clinicalStatus: { coding: [{ code: "resolved" }] } });
+  assert.deepEqual(allergyConflicts(summariseAllergies([refuted, resolved]), meds), []);
+});
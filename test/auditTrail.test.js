@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AUDIT_ACTION_SYSTEM,
+  auditNdjson,
+  chainAuditEntry,
+  filterAuditEntries,
+  GENESIS_HASH,
+  toAuditEvent,
+  verifyAuditChain,
+} from "../src/auditTrail.js";
+
+// Builds a chain of `count` entries, newest first (as stored).
+async function chain(count) {
+  const entries = [];
+  for (let i = 1; i <= count; i++) {
+    const ts = `2026-10-${String(10 + i).padStart(2, "0")}T09:00:00.000Z`;
+    entries.unshift(await chainAuditEntry(entries[0] || null, { ts, actor: "dr.x", action: `Action ${i}`, details: `Patient/p${i}` }));
+  }
+  return entries;
+}
+
+// Runs `fn` as if SubtleCrypto were missing (outside a secure context).
+async function withoutSubtleCrypto(fn) {
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, "crypto");
+  Object.defineProperty(globalThis, "crypto", { value: {}, configurable: true });
+  try {
+    return await fn();
+  } finally {
+    Object.defineProperty(globalThis, "crypto", descriptor);
+  }
+}
+
+test("without SubtleCrypto an entry is kept, unhashed and reported as unverifiable", async () => {
+  const [first] = await chain(1);
+  const unhashed = await withoutSubtleCrypto(() => chainAuditEntry(first, { ts: "2026-10-19T09:00:00.000Z", actor: "dr.x", action: "Viewed" }));
+  assert.equal(unhashed.seq, 2);
+  assert.equal(unhashed.prevHash, first.hash);
+  assert.equal(unhashed.hash, null);
+  assert.match(unhashed.unverifiable, /^not hashed: /);
+
+  const next = await chainAuditEntry(unhashed, { ts: "2026-10-19T10:00:00.000Z", actor: "dr.x", action: "Exported" });
+  assert.equal(next.seq, 3);
+  assert.equal(next.prevHash, null);
+
+  const result = await verifyAuditChain([next, unhashed, first]);
+  assert.equal(result.ok, false);
+  assert.equal(result.unverifiable, 1);
+  assert.deepEqual(result.problems, [`#2: recorded without a hash (${unhashed.unverifiable}), cannot be verified`]);
+
+  const detail = toAuditEvent(unhashed).entity[0].detail;
+  assert.deepEqual(detail.map((d) => d.type), ["seq", "unverifiable", "prevHash"]);
+});
+
+test("an intact chain verifies and reports its newest hash", async () => {
+  const entries = await chain(3);
+  const result = await verifyAuditChain(entries);
+  assert.equal(result.ok, true);
+  assert.equal(result.checked, 3);
+  assert.equal(result.head, entries[0].hash);
+  assert.equal(entries[2].prevHash, GENESIS_HASH);
+});
+
+test("an edited entry is detected", async () => {
+  const entries = await chain(3);
+  entries[1] = { ...entries[1], details: "Patient/someone-else" };
+  const result = await verifyAuditChain(entries);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.problems, ["#2: content does not match its hash"]);
+});
+
+test("a removed entry is detected", async () => {
+  const entries = await chain(3);
+  const result = await verifyAuditChain([entries[0], entries[2]]);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.problems, ["#3: expected entry #2 (entries missing or reordered)", "#3: does not link to the previous entry"]);
+});
+
+test("reordered entries are detected", async () => {
+  const [third, second, first] = await chain(3);
+  const result = await verifyAuditChain([second, third, first]);
+  assert.equal(result.ok, false);
+  assert.ok(result.problems.some((p) => p.startsWith("#3: expected entry #2")));
+  assert.ok(result.problems.some((p) => p === "#2: does not link to the previous entry"));
+});
+
+test("the date filter includes both ends of the range", async () => {
+  const entries = await chain(5); // 2026-10-11 … 2026-10-15
+  const days = (filters) => filterAuditEntries(entries, filters).map((e) => e.ts.slice(0, 10));
+  assert.deepEqual(days({ from: "2026-10-12", to: "2026-10-14" }), ["2026-10-14", "2026-10-13", "2026-10-12"]);
+  assert.deepEqual(days({ from: "2026-10-15" }), ["2026-10-15"]);
+  assert.deepEqual(days({ to: "2026-10-11" }), ["2026-10-11"]);
+  assert.deepEqual(days({ patient: "P3" }), ["2026-10-13"]);
+});
+
+test("an entry becomes an AuditEvent carrying its place in the chain", async () => {
+  const [entry] = await chain(1);
+  const event = toAuditEvent({ ...entry, actor: "Practitioner/pr1", action: "Viewed patient record" });
+  assert.equal(event.resourceType, "AuditEvent");
+  assert.equal(event.recorded, entry.ts);
+  assert.equal(event.action, "E");
+  assert.equal(event.outcome, "0");
+  assert.deepEqual(event.subtype, [{ system: AUDIT_ACTION_SYSTEM, code: "viewed-patient-record", display: "Viewed patient record" }]);
+  assert.deepEqual(event.agent, [{ who: { reference: "Practitioner/pr1", display: "Practitioner/pr1" }, requestor: true }]);
+  assert.equal(event.entity[0].what.reference, "Patient/p1");
+  assert.deepEqual(event.entity[0].detail, [
+    { type: "seq", valueString: "1" },
+    { type: "hash", valueString: entry.hash },
+    { type: "prevHash", valueString: GENESIS_HASH },
+  ]);
+});
+
+test("the NDJSON export is one AuditEvent per line, oldest first", async () => {
+  const entries = await chain(3);
+  const text = auditNdjson(entries);
+  assert.ok(text.endsWith("\n"));
+  const events = text.trimEnd().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(events.map((e) => e.entity[0].detail[0].valueString), ["1", "2", "3"]);
+  assert.ok(events.every((e) => e.resourceType === "AuditEvent"));
+});
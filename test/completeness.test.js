@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { completenessLabel, computeCompleteness, fmtAge, missingFrom } from "../src/completeness.js";
+
+const HOUR = 3600 * 1000;
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const at = (hoursAgo) => new Date(NOW - hoursAgo * HOUR).toISOString();
+
+const vitals = (when) => ({
+  latest: { bpSys: 120, hr: 70, temp: 37, spo2: 97 },
+  when: { bpSys: when.bpSys ?? at(1), hr: when.hr ?? at(1), temp: when.temp ?? at(1), spo2: when.spo2 ?? at(1) },
+});
+const statusOf = (result, key) => result.find((c) => c.key === key).status;
+
+test("readings inside the window are present, older ones stale", () => {
+  const result = computeCompleteness(vitals({ hr: at(30) }), 24, NOW);
+  assert.equal(statusOf(result, "bpSys"), "present");
+  assert.equal(statusOf(result, "hr"), "stale");
+  assert.deepEqual(missingFrom(result), ["hr"]);
+  assert.equal(completenessLabel(result.find((c) => c.key === "hr")), "Heart rate (stale, 30 h old)");
+});
+
+test("a reading dated in the future is not counted as present", () => {
+  const result = computeCompleteness(vitals({ temp: at(-3) }), 24, NOW);
+  const temp = result.find((c) => c.key === "temp");
+  assert.equal(temp.status, "future");
+  assert.equal(temp.ageHours, -3);
+  assert.deepEqual(missingFrom(result), ["temp"]);
+  assert.equal(completenessLabel(temp), "Temperature (timestamp 3 h in the future, not counted)");
+  assert.equal(fmtAge(-72), "3 days in the future");
+});
+
+test("a few minutes of clock drift still counts as present", () => {
+  const result = computeCompleteness(vitals({ spo2: new Date(NOW + 2 * 60 * 1000).toISOString() }), 24, NOW);
+  assert.equal(statusOf(result, "spo2"), "present");
+  assert.equal(fmtAge(-2 / 60), "0 h old");
+});
+
+test("undated and missing values are not present", () => {
+  const result = computeCompleteness({ latest: { bpSys: 120, hr: 70 }, when: { bpSys: "not a date", hr: at(1) } }, 24, NOW);
+  assert.deepEqual(
+    result.map((c) => [c.key, c.status]),
+    [["bpSys", "stale"], ["hr", "present"], ["temp", "absent"], ["spo2", "absent"]]
+  );
+  assert.equal(completenessLabel(result[0]), "Blood pressure (stale, no timestamp)");
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encounterWindows, episodeSummaryLines, validateEpisodes } from "../src/episodes.js";
+
+const DAY = 24 * 3600 * 1000;
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const at = (daysAgo) => new Date(NOW - daysAgo * DAY).toISOString();
+
+const encounter = (id, startDaysAgo, endDaysAgo, status = "finished") => ({
+  resourceType: "Encounter",
+  id,
+  status,
+  period: { start: at(startDaysAgo), ...(endDaysAgo === null ? {} : { end: at(endDaysAgo) }) },
+});
+
+const kinds = (result, kind) => result.issues.filter((i) => i.kind === kind).map((i) => i.ref);
+
+test("encounters that ended before the vitals look-back are not flagged for missing vitals", () => {
+  const result = validateEpisodes({
+    encounters: [encounter("old", 400, 399), encounter("recent", 10, 9)],
+    vitals: [],
+    vitalsSince: NOW - 90 * DAY,
+    now: NOW,
+  });
+  assert.deepEqual(kinds(result, "no-vitals"), ["Encounter/recent"]);
+  assert.equal(result.unchecked, 1);
+  assert.match(episodeSummaryLines(result).join("\n"), /1 encounter\(s\) ended before .* not checked for vitals/);
+});
+
+test("an encounter overlapping the start of the look-back is still checked", () => {
+  const result = validateEpisodes({ encounters: [encounter("span", 95, 85)], vitalsSince: NOW - 90 * DAY, now: NOW });
+  assert.deepEqual(kinds(result, "no-vitals"), ["Encounter/span"]);
+});
+
+test("without vitalsSince every encounter is checked", () => {
+  const result = validateEpisodes({ encounters: [encounter("old", 400, 399)], now: NOW });
+  assert.deepEqual(kinds(result, "no-vitals"), ["Encounter/old"]);
+});
+
+test("a finished encounter with no end is capped at a day and reported open-ended", () => {
+  const encounters = [encounter("noend", 30, null), encounter("next", 5, 4)];
+  const [next, noend] = encounterWindows(encounters, NOW);
+  assert.equal(next.id, "next");
+  assert.equal(noend.end - noend.start, DAY);
+  assert.equal(noend.open, false);
+  assert.equal(noend.endAssumed, true);
+
+  const result = validateEpisodes({
+    encounters,
+    vitals: [{ id: "v1", when: at(29.5) }, { id: "v2", when: at(20) }],
+    now: NOW,
+  });
+  assert.deepEqual(kinds(result, "open-ended"), ["Encounter/noend"]);
+  assert.equal(result.byRef["Observation/v1"].encounterId, "noend");
+  assert.equal(result.byRef["Observation/v2"], undefined);
+  assert.deepEqual(kinds(result, "outside-encounter"), ["Observation/v2"]);
+});
+
+test("an in-progress encounter with no end runs to now and is not flagged", () => {
+  const [w] = encounterWindows([encounter("live", 2, null, "in-progress")], NOW);
+  assert.equal(w.end, NOW);
+  assert.equal(w.open, true);
+  assert.equal(w.endAssumed, false);
+  const result = validateEpisodes({ encounters: [encounter("live", 2, null, "in-progress")], vitals: [{ id: "v1", when: at(1) }], now: NOW });
+  assert.deepEqual(result.issues, []);
+});
+
+test("with only the newest encounters loaded, older references and vitals are not flagged", () => {
+  const result = validateEpisodes({
+    encounters: [encounter("e2", 20, 19), encounter("e1", 40, 39)],
+    vitals: [
+      { id: "old-ref", when: at(300), encounter: "Encounter/e0" },
+      { id: "old", when: at(300) },
+      { id: "in", when: at(19.5) },
+      { id: "gap", when: at(30) },
+    ],
+    conditions: [{ id: "c1", recordedDate: at(200), encounter: { reference: "Encounter/e0" } }],
+    encountersComplete: false,
+    now: NOW,
+  });
+  assert.deepEqual(kinds(result, "unknown-encounter"), []);
+  assert.deepEqual(kinds(result, "outside-encounter"), ["Observation/gap"]);
+  assert.equal(result.notLoaded, 3);
+  assert.equal(result.encountersSince, NOW - 40 * DAY);
+  assert.match(episodeSummaryLines(result).join("\n"), /Only encounters since .* 3 item\(s\) referencing or before older encounters not checked/);
+});
+
+test("with the full encounter list, unknown references and stray vitals are flagged", () => {
+  const result = validateEpisodes({
+    encounters: [encounter("e1", 40, 39)],
+    vitals: [{ id: "old-ref", when: at(300), encounter: "Encounter/e0" }],
+    now: NOW,
+  });
+  assert.deepEqual(kinds(result, "unknown-encounter"), ["Observation/old-ref"]);
+  assert.deepEqual(kinds(result, "outside-encounter"), ["Observation/old-ref"]);
+  assert.equal(result.notLoaded, 0);
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkInteractions, codePrefix, identifyDrugs, INTERACTIONS } from "../src/interactions.js";
+
+const RXNORM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+const SNOMED = "http://snomed.info/sct";
+
+const coded = (ref, code, display) => ({ ref, display, concepts: [{ coding: [{ system: RXNORM, code, display }] }] });
+
+test("a coded pair in the dataset is reported once with its severity and rationale", () => {
+  const { interactions, unmatched, checked } = checkInteractions([
+    coded("MedicationRequest/1", "198211", "Simvastatin 40 MG Oral Tablet"),
+    coded("MedicationRequest/2", "197361", "Amlodipine 5 MG Oral Tablet"),
+  ]);
+  assert.equal(checked, 2);
+  assert.deepEqual(unmatched, []);
+  assert.equal(interactions.length, 1);
+  assert.equal(interactions[0].severity, "moderate");
+  assert.equal(interactions[0].a.drug, "Simvastatin");
+  assert.equal(interactions[0].b.drug, "Amlodipine");
+  assert.equal(interactions[0].a.matchedBy, "code");
+});
+
+test("group rules match any member, and uncoded orders match by ingredient name", () => {
+  const { interactions } = checkInteractions([
+    coded("MedicationRequest/1", "1049621", "Oxycodone 5 MG Oral Tablet"),
+    { ref: "MedicationRequest/2", display: "Diazepam 5 mg tablets", concepts: [] },
+  ]);
+  assert.equal(interactions.length, 1);
+  assert.equal(interactions[0].severity, "major");
+  assert.equal(interactions[0].b.matchedBy, "text");
+});
+
+test("interactions are ranked contraindicated, major, moderate", () => {
+  const { interactions } = checkInteractions([
+    coded("MedicationRequest/1", "197361", "Amlodipine 5 MG Oral Tablet"),
+    coded("MedicationRequest/2", "11289", "Warfarin"),
+    coded("MedicationRequest/3", "21212", "Clarithromycin"),
+    coded("MedicationRequest/4", "36567", "Simvastatin"),
+  ]);
+  assert.deepEqual(
+    interactions.map((x) => x.severity),
+    ["contraindicated", "major", "moderate", "moderate"]
+  );
+  assert.equal(interactions[0].rationale, INTERACTIONS.find((r) => r.a === "simvastatin" && r.b === "macrolides").rationale);
+});
+
+test("the order of the medications or of a rule's sides does not duplicate a pair", () => {
+  const simva = coded("MedicationRequest/1", "36567", "Simvastatin");
+  const clari = coded("MedicationRequest/2", "21212", "Clarithromycin");
+  const forward = checkInteractions([simva, clari]);
+  const reversed = checkInteractions([clari, simva]);
+  assert.equal(forward.interactions.length, 1);
+  assert.equal(reversed.interactions.length, 1);
+  assert.equal(reversed.interactions[0].a.drug, "Simvastatin");
+
+  const rules = [
+    { a: "simvastatin", b: "clarithromycin", severity: "major", rationale: "forward" },
+    { a: "clarithromycin", b: "simvastatin", severity: "major", rationale: "reversed" },
+  ];
+  assert.equal(checkInteractions([simva, clari], rules).interactions.length, 1);
+  assert.equal(checkInteractions([simva, simva, clari]).interactions.length, 1);
+});
+
+test("unknown codes are reported as not checked and raise nothing", () => {
+  const { interactions, unmatched } = checkInteractions([
+    coded("MedicationRequest/1", "999999", "Investigational product"),
+    coded("MedicationRequest/2", "11289", "Warfarin"),
+  ]);
+  assert.deepEqual(interactions, []);
+  assert.deepEqual(unmatched, ["MedicationRequest/1"]);
+  assert.deepEqual(identifyDrugs({ display: "", concepts: [{ coding: [{ system: "urn:oid:1.2.3", code: "11289" }] }] }).ids, []);
+});
+
+test("dm+d codings are recognised by system or by UK edition version", () => {
+  assert.equal(codePrefix({ system: "https://dmd.nhs.uk", code: "39720311000001101" }), "dmd");
+  assert.equal(codePrefix({ system: SNOMED, version: `${SNOMED}/83821000000107/version/20261001`, code: "39720311000001101" }), "dmd");
+  assert.equal(codePrefix({ system: SNOMED, version: `${SNOMED}/999000011000001104`, code: "39720311000001101" }), "dmd");
+  assert.equal(codePrefix({ system: SNOMED, code: "91936005" }), null);
+  assert.equal(codePrefix({ system: `${SNOMED}/999000011000001104`, code: "39720311000001101" }), null);
+  assert.equal(codePrefix({ system: RXNORM, code: "11289" }), "rxnorm");
+});
+
+test("a pair of dm+d-coded orders (SNOMED UK edition) is matched by code", () => {
+  const version = `${SNOMED}/83821000000107/version/20261001`;
+  const dmd = (ref, code, display) => ({ ref, display, concepts: [{ coding: [{ system: SNOMED, version, code, display }] }] });
+  const { interactions, unmatched } = checkInteractions([
+    dmd("MedicationRequest/1", "96304005", "Simvastatin"),
+    dmd("MedicationRequest/2", "21223005", "Clarithromycin"),
+  ]);
+  assert.deepEqual(unmatched, []);
+  assert.equal(interactions.length, 1);
+  assert.equal(interactions[0].severity, "contraindicated");
+  assert.equal(interactions[0].a.matchedBy, "code");
+  assert.equal(interactions[0].b.matchedBy, "code");
+});
+
+test("a coded ingredient does not hide another ingredient named only in text", () => {
+  const combination = {
+    ref: "MedicationRequest/1",
+    display: "Trial pack",
+    concepts: [{ coding: [{ system: RXNORM, code: "36567", display: "Simvastatin" }] }, { text: "Clarithromycin 500 mg" }],
+  };
+  const found = identifyDrugs(combination);
+  assert.deepEqual(found.ids.sort(), ["clarithromycin", "simvastatin"]);
+  assert.deepEqual(found.via, { simvastatin: "code", clarithromycin: "text" });
+  assert.equal(found.matchedBy, "code");
+
+  const { interactions } = checkInteractions([combination, coded("MedicationRequest/2", "11289", "Warfarin")]);
+  const warfarin = interactions.find((x) => x.a.drug === "Warfarin" || x.b.drug === "Warfarin");
+  assert.equal(warfarin.severity, "major");
+  assert.equal([warfarin.a, warfarin.b].find((side) => side.drug === "Clarithromycin").matchedBy, "text");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LAB_ESCALATION_HOURS, recentResults, summariseLabs } from "../src/labs.js";
+
+const HOUR = 3600 * 1000;
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+
+const potassium = (id, hoursAgo, value, code, status = "final") => ({
+  resourceType: "Observation",
+  id,
+  status,
+  category: [{ coding: [{ code: "laboratory" }] }],
+  code: { coding: [{ system: "http://loinc.org", code: "2823-3", display: "Potassium" }] },
+  effectiveDateTime: new Date(NOW - hoursAgo * HOUR).toISOString(),
+  valueQuantity: { value, unit: "mmol/L" },
+  ...(code ? { interpretation: [{ coding: [{ code }] }] } : {}),
+});
+
+test("a final critical result is critical", () => {
+  const labs = summariseLabs([potassium("k1", 2, 6.8, "HH")]);
+  assert.deepEqual(
+    labs.critical.map((r) => r.id),
+    ["k1"]
+  );
+});
+
+test("entered-in-error, cancelled and preliminary results are never critical or abnormal", () => {
+  for (const status of ["entered-in-error", "cancelled", "preliminary"]) {
+    const labs = summariseLabs([potassium("k1", 2, 6.8, "HH", status), potassium("k2", 3, 5.9, "H", status)]);
+    assert.deepEqual(labs.critical, [], status);
+    assert.deepEqual(labs.abnormal, [], status);
+    assert.equal(labs.analytes[0].latest.id, "k1", "still listed");
+  }
+});
+
+test("the latest reportable result counts when a newer one is not final", () => {
+  const labs = summariseLabs([potassium("k2", 1, 3.1, "LL", "entered-in-error"), potassium("k1", 2, 4.2, "N", "amended")]);
+  assert.deepEqual(labs.critical, []);
+  assert.deepEqual(labs.abnormal, []);
+
+  const corrected = summariseLabs([potassium("k2", 1, 4.2, null, "preliminary"), potassium("k1", 2, 6.8, "HH", "corrected")]);
+  assert.deepEqual(
+    corrected.critical.map((r) => r.id),
+    ["k1"]
+  );
+});
+
+test("only critical results inside the escalation window are recent", () => {
+  const labs = summariseLabs([
+    potassium("k-old", 24 * 400, 6.9, "HH"),
+    { ...potassium("na-new", 5, 118, "LL"), code: { coding: [{ system: "http://loinc.org", code: "2951-2", display: "Sodium" }] } },
+  ]);
+  assert.equal(labs.critical.length, 2);
+  assert.deepEqual(
+    recentResults(labs.critical, NOW).map((r) => r.id),
+    ["na-new"]
+  );
+  assert.deepEqual(recentResults(summariseLabs([potassium("k1", LAB_ESCALATION_HOURS + 1, 6.8, "HH")]).critical, NOW), []);
+  assert.deepEqual(recentResults([{ id: "undated", when: null }], NOW), []);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeNews2, news2Level } from "../src/news2.js";
+
+// Scores 0 on every parameter.
+const NORMAL = { rr: 16, spo2: 97, onOxygen: false, bpSys: 120, hr: 70, acvpu: "A", temp: 37 };
+
+const subscore = (news2, key) => news2.subscores.find((s) => s.key === key).score;
+
+// [value, score] at each edge of the RCP chart bands.
+const BOUNDARIES = {
+  rr: [[8, 3], [9, 1], [11, 1], [12, 0], [20, 0], [21, 2], [24, 2], [25, 3]],
+  spo2: [[91, 3], [92, 2], [93, 2], [94, 1], [95, 1], [96, 0]],
+  bpSys: [[90, 3], [91, 2], [100, 2], [101, 1], [110, 1], [111, 0], [219, 0], [220, 3]],
+  hr: [[40, 3], [41, 1], [50, 1], [51, 0], [90, 0], [91, 1], [110, 1], [111, 2], [130, 2], [131, 3]],
+  temp: [[35, 3], [35.1, 1], [36, 1], [36.1, 0], [38, 0], [38.1, 1], [39, 1], [39.1, 2]],
+  acvpu: [["A", 0], ["C", 3], ["V", 3], ["P", 3], ["U", 3]],
+  onOxygen: [[false, 0], [true, 2]],
+};
+
+for (const [key, rows] of Object.entries(BOUNDARIES)) {
+  test(`${key} scores on the RCP chart boundaries`, () => {
+    for (const [value, score] of rows) {
+      assert.equal(subscore(computeNews2({ ...NORMAL, [key]: value }), key), score, `${key} ${value}`);
+    }
+  });
+}
+
+test("SpO₂ scale 2 scores 93% and above only on oxygen", () => {
+  const air = [[83, 3], [84, 2], [85, 2], [86, 1], [87, 1], [88, 0], [92, 0], [93, 0], [97, 0]];
+  const oxygen = [[87, 1], [88, 0], [92, 0], [93, 1], [94, 1], [95, 2], [96, 2], [97, 3]];
+  for (const [onOxygen, rows] of [[false, air], [true, oxygen]]) {
+    for (const [spo2, score] of rows) {
+      const news2 = computeNews2({ ...NORMAL, spo2, onOxygen }, { spo2Scale: 2 });
+      assert.equal(subscore(news2, "spo2"), score, `scale 2, ${onOxygen ? "oxygen" : "air"}, ${spo2}%`);
+      assert.equal(news2.spo2Scale, 2);
+    }
+  }
+});
+
+test("the same saturation scores differently on scale 1 and scale 2", () => {
+  assert.equal(subscore(computeNews2({ ...NORMAL, spo2: 88 }), "spo2"), 3);
+  assert.equal(subscore(computeNews2({ ...NORMAL, spo2: 88 }, { spo2Scale: 2 }), "spo2"), 0);
+  assert.equal(subscore(computeNews2({ ...NORMAL, spo2: 97, onOxygen: true }), "spo2"), 0);
+  assert.equal(subscore(computeNews2({ ...NORMAL, spo2: 97, onOxygen: true }, { spo2Scale: 2 }), "spo2"), 3);
+  assert.equal(computeNews2(NORMAL).spo2Scale, 1);
+  assert.equal(computeNews2(NORMAL, { spo2Scale: 2 }).subscores.find((s) => s.key === "spo2").label, "SpO₂ (scale 2)");
+});
+
+test("a single parameter scored 3 escalates a low total to AMBER", () => {
+  const news2 = computeNews2({ ...NORMAL, acvpu: "C" });
+  assert.equal(news2.total, 3);
+  assert.equal(news2.singleParam3, true);
+  assert.equal(news2.risk, "LOW-MEDIUM");
+  assert.equal(news2Level(news2), "AMBER");
+
+  const two = computeNews2({ ...NORMAL, rr: 21 });
+  assert.equal(two.singleParam3, false);
+  assert.equal(news2Level(two), "GREEN");
+});
+
+test("a total of 5 is AMBER and 7 is RED", () => {
+  const cases = [
+    [{ hr: 111, rr: 21 }, 4, "LOW", "GREEN"],
+    [{ hr: 111, rr: 21, temp: 38.5 }, 5, "MEDIUM", "AMBER"],
+    [{ hr: 111, rr: 21, temp: 38.5, spo2: 95 }, 6, "MEDIUM", "AMBER"],
+    [{ hr: 111, rr: 21, temp: 39.5, spo2: 95 }, 7, "HIGH", "RED"],
+  ];
+  for (const [changes, total, risk, level] of cases) {
+    const news2 = computeNews2({ ...NORMAL, ...changes });
+    assert.equal(news2.total, total);
+    assert.equal(news2.singleParam3, false);
+    assert.equal(news2.risk, risk, `total ${total}`);
+    assert.equal(news2Level(news2), level, `total ${total}`);
+  }
+});
+
+test("missing parameters are listed and oxygen defaults to room air", () => {
+  const news2 = computeNews2({ hr: 70 });
+  assert.deepEqual(news2.missing, ["rr", "spo2", "bpSys", "acvpu", "temp"]);
+  assert.equal(subscore(news2, "onOxygen"), 0);
+  assert.match(news2.subscores.find((s) => s.key === "onOxygen").note, /assumed room air/);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCuratedResources } from "../src/fixtures/curatedPatients.js";
+import { summariseLabs } from "../src/labs.js";
+import { summariseMedications } from "../src/medications.js";
+import { buildNoteComposition, buildNoteDocumentBundle, noteSourceResources, unresolvedReferences } from "../src/noteDocument.js";
+
+const BASE = "https://fhir.example.org/r4";
+const PID = "fx-red";
+
+const resources = buildCuratedResources(new Date("2026-10-19T12:00:00Z"));
+const forPatient = (type) => resources.filter((r) => r.resourceType === type && r.subject?.reference === `Patient/${PID}`);
+const isLab = (o) => (o.category || []).some((c) => (c.coding || []).some((x) => x.code === "laboratory"));
+const ref = (r) => `${r.resourceType}/${r.id}`;
+
+// The patient's loaded state, shaped as the app keeps it.
+const observations = forPatient("Observation");
+const state = {
+  patient: resources.find((r) => r.resourceType === "Patient" && r.id === PID),
+  encounters: forPatient("Encounter"),
+  conditions: forPatient("Condition"),
+  medications: summariseMedications([...resources.filter((r) => r.resourceType === "Medication"), ...forPatient("MedicationRequest")]),
+  vitals: { observations: observations.filter((o) => !isLab(o)).map((resource) => ({ resource })) },
+  labs: summariseLabs(observations.filter(isLab), forPatient("DiagnosticReport")),
+  allergies: resources.filter((r) => r.resourceType === "AllergyIntolerance" && r.patient?.reference === `Patient/${PID}`),
+};
+
+const note = (sections) => ({
+  meta: { patientId: PID, patientName: "Red Fixture", generatedIso: "2026-10-19T12:00:00Z", ruleVersion: "test", author: "dr.x" },
+  sections,
+});
+
+test("every section.entry reference resolves to a resource in the document Bundle", () => {
+  const cited = (...lists) => lists.flat().map(ref);
+  const sections = [
+    { key: "triage", title: "Triage", lines: ["RED"], refs: cited(state.vitals.observations.map((o) => o.resource)) },
+    { key: "allergies", title: "Allergies", lines: [], refs: cited(state.allergies) },
+    { key: "labs", title: "Labs", lines: [], refs: cited(forPatient("DiagnosticReport"), observations.filter(isLab)) },
+    { key: "episode", title: "Episode", lines: [], refs: cited(state.encounters) },
+    { key: "problems", title: "Problems", lines: [], refs: cited(state.conditions) },
+    { key: "medications", title: "Medications", lines: [], refs: cited(forPatient("MedicationRequest")) },
+  ];
+  for (const s of sections) assert.ok(s.refs.length, `fixture has ${s.key} resources`);
+
+  const bundle = buildNoteDocumentBundle(buildNoteComposition(note(sections), "c1"), { base: BASE, resources: noteSourceResources(state) });
+  assert.deepEqual(unresolvedReferences(bundle), []);
+
+  const [composition, ...rest] = bundle.entry;
+  const present = new Set(rest.map((e) => ref(e.resource)));
+  for (const section of composition.resource.section) {
+    for (const { reference } of section.entry || []) assert.ok(present.has(reference), reference);
+  }
+  for (const e of rest) assert.equal(e.fullUrl, `${BASE}/${ref(e.resource)}`);
+  assert.equal(present.size, rest.length, "each resource is included once");
+});
+
+test("references to resources that were not loaded are reported", () => {
+  const sections = [{ key: "labs", title: "Labs", lines: [], refs: ["Observation/missing"] }];
+  const bundle = buildNoteDocumentBundle(buildNoteComposition(note(sections), "c1"), { base: BASE, resources: [] });
+  assert.deepEqual(unresolvedReferences(bundle), [`Patient/${PID}`, "Observation/missing"]);
+});
@@ -0,0 +1,49 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { smartAuthHeaders } from "../src/smart.js";
+
+const store = new Map();
+globalThis.window = {
+  sessionStorage: {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, String(v)),
+    removeItem: (k) => store.delete(k),
+  },
+};
+
+function signIn(serverUrl) {
+  store.set("fhirDemo.smart.session", JSON.stringify({ serverUrl, accessToken: "tok", expiresAt: null }));
+}
+
+beforeEach(() => store.clear());
+
+test("the token is sent to the base URL and paths below it", async () => {
+  signIn("https://fhir.example.org/r4");
+  const bearer = { Authorization: "Bearer tok" };
+  assert.deepEqual(await smartAuthHeaders("https://fhir.example.org/r4"), bearer);
+  assert.deepEqual(await smartAuthHeaders("https://fhir.example.org/r4/Patient/1"), bearer);
+  assert.deepEqual(await smartAuthHeaders("https://fhir.example.org/r4/Observation?patient=1"), bearer);
+});
+
+test("a base URL with a trailing slash still matches its resources", async () => {
+  signIn("https://fhir.example.org/r4/");
+  assert.deepEqual(await smartAuthHeaders("https://fhir.example.org/r4/Patient/1"), { Authorization: "Bearer tok" });
+});
+
+test("lookalike hosts, sibling paths and other origins get no token", async () => {
+  signIn("https://fhir.example.org/r4");
+  for (const url of [
+    "https://fhir.example.org.evil.com/r4/Patient/1",
+    "https://fhir.example.org/r4-other/Patient/1",
+    "http://fhir.example.org/r4/Patient/1",
+    "https://fhir.example.org:8443/r4/Patient/1",
+    "https://fhir.example.org/",
+    "not a url",
+  ]) {
+    assert.deepEqual(await smartAuthHeaders(url), {}, url);
+  }
+});
+
+test("no session, no header", async () => {
+  assert.deepEqual(await smartAuthHeaders("https://fhir.example.org/r4/Patient/1"), {});
+});
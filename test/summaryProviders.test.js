@@ -0,0 +1,63 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { SUMMARY_DATA_LIMITS, checkCitations, createHttpProvider, rulesProvider } from "../src/summaryProviders.js";
+
+const vitals = Array.from({ length: SUMMARY_DATA_LIMITS.vitals + 2 }, (_, i) => ({ ref: `Observation/v${i}`, text: `Reading ${i}` }));
+
+const context = () => ({
+  patient: { ref: "Patient/p1", gender: "female", birthDate: "1948-03-12" },
+  triage: { level: "AMBER", computedLevel: "AMBER", engineLabel: "NEWS2", ruleVersion: "test", override: null, reasons: [], refs: [], news2: null },
+  vitals,
+  unitIssues: [],
+  labs: null,
+  encounters: [],
+  episodeCheck: { ok: true, lines: [], issues: [] },
+  completeness: { hours: 24, missing: [], present: [] },
+  conditions: [],
+  medications: [],
+  allergies: { loaded: true, recorded: [], conflicts: [] },
+  interactions: { loaded: true, checked: 0, unmatched: [], pairs: [] },
+});
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+function mockModel(citations) {
+  const sent = [];
+  globalThis.fetch = async (url, init) => {
+    sent.push(JSON.parse(init.body));
+    const content = JSON.stringify({ sections: [{ key: "triage", title: "Triage", lines: ["- Obs reviewed."], citations }] });
+    return { ok: true, json: async () => ({ model: "mock", choices: [{ message: { content } }] }) };
+  };
+  return sent;
+}
+
+test("the HTTP provider returns the capped context it sent", async () => {
+  const sent = mockModel([]);
+  const result = await createHttpProvider({ endpoint: "http://model.test/v1", model: "mock" }).summarise(context());
+  assert.equal(result.context.vitals.length, SUMMARY_DATA_LIMITS.vitals);
+  assert.equal(result.context.patient.birthDate, undefined);
+  assert.match(sent[0].messages[1].content, /Observation\/v0/);
+  assert.doesNotMatch(sent[0].messages[1].content, new RegExp(`Observation/v${SUMMARY_DATA_LIMITS.vitals}"`));
+});
+
+test("a citation to a fact trimmed from the prompt is rejected", async () => {
+  const trimmed = `Observation/v${SUMMARY_DATA_LIMITS.vitals + 1}`;
+  mockModel(["Observation/v0", trimmed]);
+  const result = await createHttpProvider({ endpoint: "http://model.test/v1", model: "mock" }).summarise(context());
+  const { sections, problems } = checkCitations(result.sections, result.context);
+  assert.deepEqual(sections[0].refs, ["Observation/v0"]);
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], new RegExp(trimmed));
+
+  // The same citation is valid against the full context, which is why the check must use the sent one.
+  assert.deepEqual(checkCitations(result.sections, context()).problems, []);
+});
+
+test("the rule-based provider checks against the full context it saw", async () => {
+  const full = context();
+  const result = await rulesProvider.summarise(full);
+  assert.equal(result.context, full);
+});
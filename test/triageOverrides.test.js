@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  activeOverride,
+  describeSuperseded,
+  isOverrideEscalated,
+  overrideFromDraft,
+  supersedeOverride,
+  supersededOverride,
+} from "../src/triageOverrides.js";
+
+const BASE = "https://fhir.example.org/r4";
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+
+const make = (level, computedLevel, expiry = "") =>
+  overrideFromDraft({ patientId: "p1", level, reason: "Reviewed at bedside", expiry }, { base: BASE, computedLevel, by: "dr.x", now: NOW });
+
+test("the override records the computed level it was made against", () => {
+  const o = make("GREEN", "AMBER");
+  assert.equal(o.computedLevel, "AMBER");
+  assert.equal(activeOverride([o], BASE, "p1", NOW, "AMBER"), o);
+});
+
+test("a downgrade stops applying when the computed level escalates past it", () => {
+  const o = make("GREEN", "AMBER");
+  assert.equal(isOverrideEscalated(o, "RED"), true);
+  assert.equal(activeOverride([o], BASE, "p1", NOW, "RED"), null);
+  assert.equal(activeOverride([o], BASE, "p1", NOW, "GREEN"), o, "a falling computed level keeps the override");
+});
+
+test("an upgrade is not withdrawn when the computed level only catches up with it", () => {
+  const o = make("RED", "GREEN");
+  assert.equal(isOverrideEscalated(o, "AMBER"), false);
+  assert.equal(isOverrideEscalated(o, "RED"), false);
+  assert.equal(activeOverride([o], BASE, "p1", NOW, "RED"), o);
+});
+
+test("a superseded override stays withdrawn and is flagged", () => {
+  const o = supersedeOverride(make("GREEN", "AMBER"), "RED", NOW);
+  assert.equal(activeOverride([o], BASE, "p1", NOW, "AMBER"), null, "does not come back when the level falls again");
+  assert.equal(supersededOverride([o], BASE, "p1", NOW), o);
+  assert.match(describeSuperseded(o), /Override to GREEN .* computed level rose to RED\./);
+  assert.equal(supersededOverride([make("GREEN", "AMBER")], BASE, "p1", NOW), null);
+});
+
+test("expired overrides neither apply nor flag", () => {
+  const o = supersedeOverride(make("GREEN", "AMBER", "4h"), "RED", NOW);
+  const later = NOW + 5 * 3600 * 1000;
+  assert.equal(activeOverride([make("GREEN", "AMBER", "4h")], BASE, "p1", later, "AMBER"), null);
+  assert.equal(supersededOverride([o], BASE, "p1", later), null);
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bundleResources, FIXTURE_BASE, fetchJSON, saveResource } from "../src/fhirClient.js";
+import {
+  TRIAGE_CODE_SYSTEM,
+  RULE_VERSION_TAG_SYSTEM,
+  buildFlag,
+  buildRiskAssessment,
+  evaluationSignature,
+  flagAlertCode,
+  isSameEvaluation,
+  latestRiskAssessmentSearch,
+  planFlagChanges,
+} from "../src/triageWriteBack.js";
+
+const evaluation = (overrides = {}) => ({
+  patientId: "wb-1",
+  level: "RED",
+  reasons: ["NEWS2 7: high clinical risk."],
+  engine: "NEWS2",
+  ruleVersion: "news2-rcp-2017",
+  basis: ["Observation/b", "Observation/a"],
+  missing: [],
+  when: "2026-10-19T12:00:00.000Z",
+  ...overrides,
+});
+
+test("the RiskAssessment records level, basis, reasons and rule version", () => {
+  const ra = buildRiskAssessment(evaluation());
+  assert.equal(ra.resourceType, "RiskAssessment");
+  assert.equal(ra.subject.reference, "Patient/wb-1");
+  assert.deepEqual(ra.basis, [{ reference: "Observation/b" }, { reference: "Observation/a" }]);
+  assert.equal(ra.prediction[0].qualitativeRisk.coding[0].code, "high");
+  assert.equal(ra.prediction[0].qualitativeRisk.text, "RED");
+  assert.deepEqual(ra.note, [{ text: "NEWS2 7: high clinical risk." }]);
+  assert.deepEqual(ra.meta.tag, [{ system: RULE_VERSION_TAG_SYSTEM, code: "news2-rcp-2017", display: "Rule set news2-rcp-2017" }]);
+  assert.equal(isSameEvaluation(ra, evaluation({ when: "2026-10-20T00:00:00.000Z" })), true);
+  assert.equal(isSameEvaluation(ra, evaluation({ level: "AMBER" })), false);
+});
+
+test("the Flag links its RiskAssessment and spells out missing vitals", () => {
+  const flag = buildFlag(evaluation({ missing: ["Blood pressure", "SpO₂"] }), "data-incomplete", "ra-1");
+  assert.equal(flag.status, "active");
+  assert.equal(flagAlertCode(flag), "data-incomplete");
+  assert.equal(flag.code.text, "Incomplete vital signs: Blood pressure, SpO₂");
+  assert.equal(flag.extension[0].valueReference.reference, "RiskAssessment/ra-1");
+  assert.equal(flag.period.start, "2026-10-19T12:00:00.000Z");
+  assert.equal(buildFlag(evaluation(), "triage-red").extension, undefined);
+});
+
+test("the signature ignores the time and the basis order, and nothing else", () => {
+  const a = evaluationSignature(evaluation());
+  assert.equal(evaluationSignature(evaluation({ when: "2026-10-20T00:00:00.000Z", basis: ["Observation/a", "Observation/b"] })), a);
+  assert.notEqual(evaluationSignature(evaluation({ level: "AMBER" })), a);
+  assert.notEqual(evaluationSignature(evaluation({ ruleVersion: "other" })), a);
+  assert.notEqual(evaluationSignature(evaluation({ missing: ["Temperature"] })), a);
+});
+
+test("flag plan: create what is missing, keep what still applies, resolve the rest and duplicates", () => {
+  const red = { ...buildFlag(evaluation(), "triage-red"), id: "f-red" };
+  const red2 = { ...buildFlag(evaluation(), "triage-red"), id: "f-red-2" };
+  const amber = { ...buildFlag(evaluation(), "triage-amber"), id: "f-amber" };
+  const plan = planFlagChanges([red, red2, amber], evaluation({ missing: ["Pulse"] }), "ra-2");
+  assert.deepEqual(
+    plan.keep.map((f) => f.id),
+    ["f-red"]
+  );
+  assert.deepEqual(
+    plan.resolve.map((f) => [f.id, f.status, f.period.end]),
+    [
+      ["f-red-2", "inactive", "2026-10-19T12:00:00.000Z"],
+      ["f-amber", "inactive", "2026-10-19T12:00:00.000Z"],
+    ]
+  );
+  assert.deepEqual(plan.create.map(flagAlertCode), ["data-incomplete"]);
+
+  const green = planFlagChanges([red], evaluation({ level: "GREEN" }), "ra-3");
+  assert.deepEqual([green.create.length, green.resolve.length, green.keep.length], [0, 1, 0]);
+});
+
+// The same steps App's write-back runs, against the in-browser fixture server.
+async function writeBack(ev) {
+  const [latest] = bundleResources(await fetchJSON(`${FIXTURE_BASE}/${latestRiskAssessmentSearch(ev.patientId)}`));
+  const reused = isSameEvaluation(latest, ev);
+  const risk = reused ? latest : await saveResource(FIXTURE_BASE, buildRiskAssessment(ev));
+  const flagSearch = `${FIXTURE_BASE}/Flag?patient=${ev.patientId}&status=active&code=${encodeURIComponent(`${TRIAGE_CODE_SYSTEM}|`)}`;
+  const plan = planFlagChanges(bundleResources(await fetchJSON(flagSearch)), ev, risk.id);
+  await Promise.all([...plan.resolve, ...plan.create].map((flag) => saveResource(FIXTURE_BASE, flag)));
+  return { reused, risk, plan };
+}
+
+const search = async (query) => bundleResources(await fetchJSON(`${FIXTURE_BASE}/${query}`));
+
+test("round trip on the fixture server: raise, skip an unchanged evaluation, then resolve", async () => {
+  const first = await writeBack(evaluation());
+  assert.equal(first.reused, false);
+  assert.deepEqual(first.plan.create.map(flagAlertCode), ["triage-red"]);
+  let active = await search("Flag?patient=wb-1&status=active");
+  assert.deepEqual(active.map(flagAlertCode), ["triage-red"]);
+  assert.equal(active[0].extension[0].valueReference.reference, `RiskAssessment/${first.risk.id}`);
+
+  // Same evaluation later (e.g. after a reload): no second RiskAssessment, no Flag changes.
+  const again = await writeBack(evaluation({ when: "2026-10-19T13:00:00.000Z" }));
+  assert.equal(again.reused, true);
+  assert.equal(again.risk.id, first.risk.id);
+  assert.equal((await search("RiskAssessment?patient=wb-1")).length, 1);
+  assert.deepEqual([again.plan.create.length, again.plan.resolve.length], [0, 0]);
+
+  await new Promise((resolve) => setTimeout(resolve, 5)); // distinct meta.lastUpdated for the next write
+  const green = await writeBack(evaluation({ level: "GREEN", reasons: ["NEWS2 0: low clinical risk."], when: "2026-10-19T14:00:00.000Z" }));
+  assert.equal(green.reused, false);
+  active = await search("Flag?patient=wb-1&status=active");
+  assert.deepEqual(active, []);
+  const resolved = await search("Flag?patient=wb-1&status=inactive");
+  assert.deepEqual(
+    resolved.map((f) => [flagAlertCode(f), f.period.end]),
+    [["triage-red", "2026-10-19T14:00:00.000Z"]]
+  );
+  const [latest] = await search(latestRiskAssessmentSearch("wb-1"));
+  assert.equal(latest.id, green.risk.id);
+});
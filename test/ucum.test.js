@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseQuantity } from "../src/ucum.js";
+
+const UCUM = "http://unitsofmeasure.org";
+
+test("exact UCUM codes convert", () => {
+  assert.equal(normaliseQuantity("bp", { value: 120, system: UCUM, code: "mm[Hg]" }).value, 120);
+  assert.equal(normaliseQuantity("temp", { value: 102, system: UCUM, code: "[degF]" }).value, 38.9);
+  assert.equal(normaliseQuantity("hr", { value: 1.5, system: UCUM, code: "/s" }).value, 90);
+});
+
+test("other casings of a known unit are unconvertible", () => {
+  for (const [vital, code] of [
+    ["bp", "Mm[Hg]"],
+    ["bp", "MM[HG]"],
+    ["temp", "cel"],
+    ["temp", "[DEGF]"],
+    ["hr", "BPM"],
+    ["bp", "KPA"],
+  ]) {
+    const q = normaliseQuantity(vital, { value: 100, system: UCUM, code });
+    assert.equal(q.unknownUnit, true, code);
+    assert.equal(q.value, null, code);
+    assert.deepEqual(q.original, { value: 100, unit: code });
+  }
+});
+
+test("bare C and F are degrees only in free text, not under UCUM (coulomb, farad)", () => {
+  assert.equal(normaliseQuantity("temp", { value: 38, unit: "C" }).value, 38);
+  assert.equal(normaliseQuantity("temp", { value: 102, unit: "F" }).value, 38.9);
+  for (const code of ["C", "F"]) {
+    const q = normaliseQuantity("temp", { value: 38, system: UCUM, code, unit: code });
+    assert.equal(q.unknownUnit, true, code);
+    assert.equal(q.value, null, code);
+  }
+  assert.equal(normaliseQuantity("temp", { value: 38, system: UCUM, unit: "C" }).unknownUnit, true);
+  assert.equal(normaliseQuantity("temp", { value: 311.15, system: UCUM, code: "K" }).value, 38);
+});
+
+test("free-text units are matched exactly too", () => {
+  assert.equal(normaliseQuantity("hr", { value: 80, unit: "bpm" }).value, 80);
+  assert.equal(normaliseQuantity("hr", { value: 80, unit: "Bpm" }).unknownUnit, true);
+  assert.equal(normaliseQuantity("hr", { value: 80, unit: "constructor" }).unknownUnit, true);
+});